@@ -0,0 +1,129 @@
+/**
+ * AI Providers - Selects the configured chain of triage providers
+ *
+ * aiService never talks to a model directly; it calls getProviders()
+ * and tries each provider in order until one answers:
+ *
+ * - openai  OpenAI (OPENAI_API_KEY, OPENAI_MODEL)
+ * - local   Any OpenAI-compatible server such as Ollama or llama.cpp
+ *           (LOCAL_AI_BASE_URL, LOCAL_AI_MODEL) - works without internet
+ * - rules   The rule-based engine; it cannot fail, so it always ends the chain
+ *
+ * AI_PROVIDERS lists the chain, e.g. "local" or "openai,local".
+ * Default: "openai" if OPENAI_API_KEY is set. "rules" is added at the end
+ * when it is not listed.
+ *
+ * Each model provider has its own timeout and retries:
+ *   <PREFIX>_TIMEOUT_MS and <PREFIX>_MAX_RETRIES, with PREFIX OPENAI or LOCAL_AI
+ *
+ * Personal details are masked before any model call. Only the local
+ * provider can turn this off (LOCAL_AI_REDACT_PII=false), for a server
+ * that runs inside the deployment.
+ *
+ * Every provider exposes the same interface:
+ *   { name, model, analyze(patientData) → { summary, urgency, confidence, reasoning } }
+ * Adding a provider only requires a module with that interface.
+ */
+
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createRulesProvider } = require('./rulesProvider');
+
+// Per-provider defaults; local models on a CPU are much slower than OpenAI
+const PROVIDER_DEFAULTS = {
+  openai: { model: 'gpt-3.5-turbo', timeoutMs: 15000, maxRetries: 2 },
+  local: { model: null, timeoutMs: 60000, maxRetries: 1 }
+};
+
+// Single shared chain for the whole process
+let providers = null;
+
+const isOpenAIConfigured = () => {
+  const key = process.env.OPENAI_API_KEY;
+  return Boolean(key) && key !== 'your_openai_api_key_here';
+};
+
+/**
+ * Reads a whole number from the environment, falling back to a default
+ */
+const readInteger = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Builds a provider by name
+ *
+ * @param {string} name - 'openai' | 'local' | 'rules'
+ * @returns {Object} Provider
+ * @throws {Error} For unknown names or missing settings
+ */
+const createProvider = (name) => {
+  switch (name) {
+    case 'openai':
+      if (!isOpenAIConfigured()) {
+        throw new Error('AI provider "openai" needs OPENAI_API_KEY.');
+      }
+      return createOpenAICompatibleProvider({
+        name,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || PROVIDER_DEFAULTS.openai.model,
+        timeoutMs: readInteger('OPENAI_TIMEOUT_MS', PROVIDER_DEFAULTS.openai.timeoutMs),
+        maxRetries: readInteger('OPENAI_MAX_RETRIES', PROVIDER_DEFAULTS.openai.maxRetries),
+        logprobs: true,
+        // Patient text always leaves the server here
+        redact: true
+      });
+    case 'local':
+      if (!process.env.LOCAL_AI_BASE_URL || !process.env.LOCAL_AI_MODEL) {
+        throw new Error('AI provider "local" needs LOCAL_AI_BASE_URL and LOCAL_AI_MODEL.');
+      }
+      return createOpenAICompatibleProvider({
+        name,
+        // Local servers usually ignore the key, but the client requires one
+        apiKey: process.env.LOCAL_AI_API_KEY || 'local',
+        baseURL: process.env.LOCAL_AI_BASE_URL,
+        model: process.env.LOCAL_AI_MODEL,
+        timeoutMs: readInteger('LOCAL_AI_TIMEOUT_MS', PROVIDER_DEFAULTS.local.timeoutMs),
+        maxRetries: readInteger('LOCAL_AI_MAX_RETRIES', PROVIDER_DEFAULTS.local.maxRetries),
+        // Not every local server returns token probabilities
+        logprobs: process.env.LOCAL_AI_LOGPROBS === 'true',
+        // On by default; a server inside the deployment may opt out
+        redact: process.env.LOCAL_AI_REDACT_PII !== 'false'
+      });
+    case 'rules':
+      return createRulesProvider();
+    default:
+      throw new Error(`Unknown AI provider "${name}". Use "openai", "local" or "rules".`);
+  }
+};
+
+/**
+ * Reads the provider names from AI_PROVIDERS, ending with "rules"
+ *
+ * @returns {string[]} Provider names in fallback order
+ */
+const getProviderNames = () => {
+  const configured = process.env.AI_PROVIDERS
+    ? process.env.AI_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : (isOpenAIConfigured() ? ['openai'] : []);
+
+  const names = [...new Set(configured)];
+  return names.includes('rules') ? names : [...names, 'rules'];
+};
+
+/**
+ * Returns the shared provider chain, creating it on first use
+ *
+ * @returns {Object[]} Providers in fallback order
+ * @throws {Error} If AI_PROVIDERS names an unknown or unconfigured provider
+ */
+const getProviders = () => {
+  if (!providers) {
+    providers = getProviderNames().map(createProvider);
+  }
+  return providers;
+};
+
+module.exports = {
+  getProviders
+};
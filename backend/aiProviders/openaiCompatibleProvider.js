@@ -0,0 +1,123 @@
+/**
+ * OpenAI-Compatible Provider - OpenAI and local OpenAI-compatible servers
+ *
+ * The same client talks to OpenAI and to local servers that speak the
+ * OpenAI chat completions API (Ollama, llama.cpp server, vLLM, LM Studio);
+ * only the baseURL and model differ. A local model lets deployments
+ * without internet still get LLM summaries.
+ *
+ * Timeouts and retries are handled by the client: each attempt is
+ * abandoned after timeoutMs, and connection errors, timeouts, 429 and
+ * 5xx responses are retried up to maxRetries times.
+ *
+ * An answer that is not valid triage JSON gets one repair retry: the
+ * model sees its answer and the problems found, and answers again.
+ *
+ * Personal details (phone, Aadhaar, PAN, email, pincode, house number,
+ * names) are masked before the description is sent (utils/piiRedactor.js).
+ * Names are put back into the summary; identifiers stay masked there.
+ *
+ * Errors carry a reason, recorded in the triage reasoning when the next
+ * provider takes over: "timeout", "connection", "rate_limited", "auth",
+ * "api_error", "invalid_json" or "schema_mismatch".
+ */
+
+const OpenAI = require('openai');
+const { buildTriageMessages, buildRepairPrompt, parseTriageAnswer, interpretTriageAnswer } = require('./llmTriage');
+const { redactPII, restorePII } = require('../utils/piiRedactor');
+
+/**
+ * Short, stable reason for a failed API call
+ */
+const getFailureReason = (error) => {
+  if (error instanceof OpenAI.APIConnectionTimeoutError) return 'timeout';
+  if (error instanceof OpenAI.APIConnectionError) return 'connection';
+  if (error instanceof OpenAI.RateLimitError) return 'rate_limited';
+  if (error instanceof OpenAI.AuthenticationError || error instanceof OpenAI.PermissionDeniedError) return 'auth';
+  return 'api_error';
+};
+
+/**
+ * Creates a provider backed by an OpenAI-compatible chat API
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name shown in the triage reasoning
+ * @param {string} options.apiKey - API key (any value for most local servers)
+ * @param {string} [options.baseURL] - API base URL, e.g. http://localhost:11434/v1
+ *   (default: OpenAI)
+ * @param {string} options.model - Model name
+ * @param {number} options.timeoutMs - Timeout per attempt
+ * @param {number} options.maxRetries - Retries after a failed attempt
+ * @param {boolean} options.logprobs - Ask for token probabilities (confidence)
+ * @param {boolean} options.redact - Mask personal details before sending
+ * @returns {Object} Provider { name, model, analyze }
+ */
+const createOpenAICompatibleProvider = ({ name, apiKey, baseURL, model, timeoutMs, maxRetries, logprobs, redact }) => {
+  const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries });
+
+  return {
+    name,
+    model,
+
+    analyze: async (patientData) => {
+      const complete = async (messages) => {
+        try {
+          const response = await client.chat.completions.create({
+            model,
+            messages,
+            temperature: 0.3, // Lower temperature for consistent classification
+            max_tokens: 250,
+            ...(logprobs ? { logprobs: true } : {})
+          });
+          return response.choices[0];
+        } catch (error) {
+          error.reason = getFailureReason(error);
+          throw error;
+        }
+      };
+
+      const redaction = redact
+        ? redactPII(patientData.description, { names: [patientData.name] })
+        : { text: patientData.description, replacements: [], categories: {} };
+      const redactedCategories = Object.entries(redaction.categories);
+      if (redactedCategories.length > 0) {
+        console.log(`AI provider "${name}": redacted ${redactedCategories.map(([category, count]) => `${category} ×${count}`).join(', ')}`);
+      }
+
+      const messages = buildTriageMessages({ ...patientData, description: redaction.text });
+      let choice = await complete(messages);
+      let answer;
+      let repaired = false;
+
+      try {
+        answer = parseTriageAnswer(choice.message.content);
+      } catch (error) {
+        console.warn(`AI provider "${name}" answer rejected, asking for a repair:`, error.message);
+        choice = await complete([
+          ...messages,
+          { role: 'assistant', content: choice.message.content || '' },
+          { role: 'user', content: buildRepairPrompt(error) }
+        ]);
+        answer = parseTriageAnswer(choice.message.content);
+        repaired = true;
+      }
+
+      // The emergency check runs on the original description
+      const result = interpretTriageAnswer(answer, choice.logprobs, patientData, { name, model, repaired });
+
+      return {
+        ...result,
+        summary: restorePII(result.summary, redaction.replacements),
+        reasoning: {
+          ...result.reasoning,
+          explanation: restorePII(result.reasoning.explanation, redaction.replacements),
+          redactedPII: redaction.categories
+        }
+      };
+    }
+  };
+};
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
@@ -0,0 +1,66 @@
+/**
+ * Rules Provider - Rule-based triage, no model needed
+ *
+ * Urgency comes from the urgency rule engine (urgencyRulesService):
+ * negation-aware phrases, severity, duration, age band and category.
+ * Summaries use the category's template (config/categories.js).
+ *
+ * It runs entirely in-process and cannot time out, which is why it
+ * always ends the provider chain.
+ */
+
+const { getCategoryOrFallback } = require('../config/categories');
+const { classifyUrgency } = require('../services/urgencyRulesService');
+
+/**
+ * Generates a concise summary of the patient's issue
+ *
+ * Uses category-specific templates combined with issue extraction
+ * to provide clear, empathetic summaries for NGO staff.
+ */
+const generateSummary = (category, description, age) => {
+  // Extract key issue from description (first sentence or meaningful phrase)
+  const issuePreview = description.length > 100
+    ? description.substring(0, 100).trim() + '...'
+    : description;
+
+  // Category-specific summary template from the registry
+  return getCategoryOrFallback(category).summary(age, issuePreview);
+};
+
+/**
+ * Creates the rule-based provider
+ *
+ * @returns {Object} Provider { name, model, analyze }
+ */
+const createRulesProvider = () => ({
+  name: 'rules',
+  model: null,
+
+  analyze: async ({ age, issueCategory, description }) => {
+    const { urgency, confidence, signals, ageFactor, categoryDefault } = classifyUrgency({
+      description,
+      category: issueCategory,
+      age
+    });
+
+    return {
+      summary: generateSummary(issueCategory, description, age),
+      urgency,
+      confidence,
+      reasoning: {
+        engine: 'rules',
+        model: null,
+        confidenceSource: 'rules',
+        explanation: null,
+        matchedRules: signals,
+        ageFactor,
+        categoryDefault
+      }
+    };
+  }
+});
+
+module.exports = {
+  createRulesProvider
+};
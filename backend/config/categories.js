@@ -0,0 +1,211 @@
+/**
+ * Category Registry - Single source of truth for issue categories
+ * 
+ * Every part of the application reads categories from here:
+ * - validators.validateSupportRequest (which values are accepted)
+ * - aiService (summary templates and minimum urgency per category)
+ * - GET /api/categories, which feeds the frontend form, CategoryChip
+ *   and the chatbot's category-aware guidance
+ * 
+ * ADDING A CATEGORY:
+ * Add one entry to CATEGORIES below. No other file needs to change.
+ * 
+ * FIELDS:
+ * - value: Stable identifier stored with each request
+ * - label, icon, color: How the category is displayed
+ * - aliases: Older values still accepted by the API (e.g. "Medical")
+ * - minimumUrgency: Lowest urgency a request in this category can get
+ * - summary: Builds the rule-based summary for this category
+ * - chatbot: Optional category-specific quick question, its answer,
+ *   and general guidance shown when the patient chats after submitting
+ * 
+ * TRANSLATIONS:
+ * label and chatbot texts are English; other languages translate them
+ * in their locale bundle (locales/<code>.js, under "categories").
+ */
+
+const { getTranslations } = require('./languages');
+
+const CATEGORIES = [
+  {
+    value: 'general',
+    label: 'General Medical',
+    icon: '🩺',
+    color: '#6c63ff',
+    aliases: ['Medical'],
+    minimumUrgency: 'Low',
+    summary: (age, issue) => `Patient (age ${age}) reports a medical concern: ${issue}`
+  },
+  {
+    value: 'emergency',
+    label: 'Emergency / Critical Care',
+    icon: '🚨',
+    color: '#e53935',
+    aliases: ['Emergency'],
+    // Emergency category is always high priority
+    minimumUrgency: 'High',
+    summary: (age, issue) => `URGENT: Patient (age ${age}) requires immediate attention for: ${issue}`,
+    chatbot: {
+      question: 'What should I do immediately?',
+      answer: 'If you are in immediate danger or experiencing a medical emergency, call your local emergency number now. Our team will also prioritize your request, but do not wait for a response.',
+      guidance: 'This appears to be an emergency. Please call emergency services immediately. Our team will prioritize your request, but do not wait for a response if you are in danger.'
+    }
+  },
+  {
+    value: 'mental_health',
+    label: 'Mental Health & Emotional Support',
+    icon: '🧠',
+    color: '#2196f3',
+    aliases: ['Mental Health'],
+    // Mental health requests always get at least a 24-48 hour response
+    minimumUrgency: 'Medium',
+    summary: (age, issue) => `Patient (age ${age}) is seeking mental health support regarding: ${issue}`,
+    chatbot: {
+      question: 'What mental health support is available?',
+      answer: 'We offer emotional support, information on coping strategies, and can connect you with mental health professionals or helplines. All conversations are confidential.',
+      guidance: 'Since this is related to Mental Health, here are some general steps: \n• Reach out to trusted contacts or a counselor.\n• Practice self-care and seek a safe environment.\n• If you feel unsafe, contact a helpline or emergency services.'
+    }
+  },
+  {
+    value: 'womens_health',
+    label: 'Women’s Health',
+    icon: '♀️',
+    color: '#e91e63',
+    aliases: [],
+    minimumUrgency: 'Low',
+    summary: (age, issue) => `Patient (age ${age}) is seeking women's health support regarding: ${issue}`
+  },
+  {
+    value: 'child_elderly',
+    label: 'Child & Elderly Care',
+    icon: '👶👴',
+    color: '#ffb300',
+    aliases: [],
+    minimumUrgency: 'Low',
+    summary: (age, issue) => `Patient (age ${age}) needs child or elderly care support for: ${issue}`
+  },
+  {
+    value: 'chronic',
+    label: 'Chronic Illness Support',
+    icon: '♾️',
+    color: '#8bc34a',
+    aliases: [],
+    minimumUrgency: 'Low',
+    summary: (age, issue) => `Patient (age ${age}) is seeking support for a chronic condition: ${issue}`
+  },
+  {
+    value: 'disability',
+    label: 'Disability Assistance',
+    icon: '♿',
+    color: '#607d8b',
+    aliases: [],
+    minimumUrgency: 'Low',
+    summary: (age, issue) => `Patient (age ${age}) is requesting disability assistance: ${issue}`
+  },
+  {
+    value: 'medication',
+    label: 'Medication / Treatment Guidance',
+    icon: '💊',
+    color: '#00bcd4',
+    aliases: [],
+    minimumUrgency: 'Low',
+    summary: (age, issue) => `Patient (age ${age}) needs help with medication or treatment: ${issue}`
+  },
+  {
+    value: 'financial',
+    label: 'Financial / Aid Assistance',
+    icon: '💰',
+    color: '#43a047',
+    aliases: [],
+    minimumUrgency: 'Low',
+    summary: (age, issue) => `Patient (age ${age}) is requesting financial or aid assistance: ${issue}`,
+    chatbot: {
+      question: 'What documents are required?',
+      answer: 'For financial or aid assistance, please prepare any relevant ID, proof of income, and medical documents. Our volunteers will let you know exactly what is needed after reviewing your case.',
+      guidance: 'For Financial/Aid Assistance, please keep required documents ready. Our volunteers will guide you through the process.'
+    }
+  },
+  {
+    value: 'other',
+    label: 'Other / Not Sure',
+    icon: '❓',
+    color: '#bdbdbd',
+    aliases: ['Other'],
+    minimumUrgency: 'Low',
+    summary: (age, issue) => `Patient (age ${age}) has submitted a support request: ${issue}`
+  }
+];
+
+/**
+ * Category used when a value is not recognised
+ */
+const FALLBACK_CATEGORY = CATEGORIES.find(category => category.value === 'other');
+
+/**
+ * Finds a category by its value or one of its aliases
+ * 
+ * @param {string} value - Category value, e.g. "mental_health" or "Mental Health"
+ * @returns {Object|null} The category, or null if unknown
+ */
+const getCategory = (value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  return CATEGORIES.find(category =>
+    category.value === value || category.aliases.includes(value)
+  ) || null;
+};
+
+/**
+ * Returns the category for a value, falling back to "Other"
+ * 
+ * @param {string} value - Category value or alias
+ * @returns {Object} The category
+ */
+const getCategoryOrFallback = (value) => getCategory(value) || FALLBACK_CATEGORY;
+
+/**
+ * Returns a category's label and chatbot texts in a language
+ * 
+ * Anything the language does not translate stays in English.
+ * 
+ * @param {Object} category - Category from the registry
+ * @param {string} language - Language code, e.g. "hi"
+ * @returns {Object} { label, chatbot }
+ */
+const localizeCategory = (category, language) => {
+  const translations = getTranslations(language);
+  const translated = (translations && translations.categories[category.value]) || {};
+  return {
+    label: translated.label || category.label,
+    chatbot: category.chatbot && { ...category.chatbot, ...translated.chatbot }
+  };
+};
+
+/**
+ * Builds the public view of a category for the API
+ * (functions such as the summary template are left out)
+ * 
+ * @param {Object} category - Category from the registry
+ * @param {string} language - Optional language for the label and chatbot texts
+ * @returns {Object} Serializable category
+ */
+const toPublicCategory = (category, language) => {
+  const { label, chatbot } = localizeCategory(category, language);
+  return {
+    value: category.value,
+    label,
+    icon: category.icon,
+    color: category.color,
+    minimumUrgency: category.minimumUrgency,
+    ...(chatbot && { chatbot })
+  };
+};
+
+module.exports = {
+  CATEGORIES,
+  getCategory,
+  getCategoryOrFallback,
+  localizeCategory,
+  toPublicCategory
+};
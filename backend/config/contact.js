@@ -0,0 +1,35 @@
+/**
+ * Contact Preferences - How and when a patient wants to be contacted
+ *
+ * Collected on the support form (and the phone number in the chatbot)
+ * and shown to the volunteer assigned to the request. The patient's
+ * preferred language is the request's language (config/languages.js).
+ *
+ * Values are stored with the request; labels are for staff and error
+ * messages. The patient-facing labels are in the frontend i18n bundles.
+ */
+
+const CONTACT_CHANNELS = [
+  { value: 'call', label: 'Phone call' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'whatsapp', label: 'WhatsApp' },
+  { value: 'email', label: 'Email' }
+];
+
+const CONTACT_TIMES = [
+  { value: 'any', label: 'Any time' },
+  { value: 'morning', label: 'Morning (9am-12pm)' },
+  { value: 'afternoon', label: 'Afternoon (12pm-5pm)' },
+  { value: 'evening', label: 'Evening (5pm-8pm)' }
+];
+
+// Used when the patient does not choose (e.g. requests made in the chatbot)
+const DEFAULT_CONTACT_CHANNEL = 'call';
+const DEFAULT_CONTACT_TIME = 'any';
+
+module.exports = {
+  CONTACT_CHANNELS,
+  CONTACT_TIMES,
+  DEFAULT_CONTACT_CHANNEL,
+  DEFAULT_CONTACT_TIME
+};
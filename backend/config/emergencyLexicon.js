@@ -0,0 +1,134 @@
+/**
+ * Emergency Lexicon - Phrases that signal a possible medical emergency
+ *
+ * PURPOSE:
+ * Single list used by both the chatbot's emergency reply and urgency
+ * classification (aiService), so a patient describing an emergency is
+ * recognised the same way wherever they write it.
+ *
+ * Patients write in English, in Hindi (Devanagari) and in Hindi typed
+ * with Latin letters ("saans nahi aa rahi"), so every signal lists terms
+ * in all three:
+ * - en      English
+ * - hi      Hindi in Devanagari
+ * - hiLatn  Romanized Hindi
+ *
+ * MATCHING (see utils/textMatcher.js):
+ * - Terms match whole words after normalization, which ignores case,
+ *   punctuation, nukta and chandrabindu, and common romanized spelling
+ *   differences (saans/sans, seene/sine, nahin/nahi, zeher/jeher)
+ * - A trailing * matches any word ending ("behosh*" also matches
+ *   "behoshi"), for inflected forms
+ * - Negated mentions ("no chest pain", "seene me dard nahi hai") are
+ *   not emergencies
+ *
+ * ADDING TERMS:
+ * Add the phrase under the matching signal and a sentence using it to
+ * eval/emergencyCorpus.json, then run `npm run eval:emergency`.
+ */
+
+const EMERGENCY_SIGNALS = [
+  {
+    id: 'general_emergency',
+    label: 'Emergency mentioned',
+    terms: {
+      en: ['emergency', 'dying', 'critical condition'],
+      hi: ['इमरजेंसी', 'आपातकाल', 'आपात स्थिति', 'मर रहा', 'मर रही'],
+      hiLatn: ['emergency', 'aapatkal', 'mar raha', 'mar rahi']
+    }
+  },
+  {
+    id: 'breathing',
+    label: 'Difficulty breathing',
+    terms: {
+      en: ['cant breathe', 'cannot breathe', 'not breathing', 'unable to breathe', 'not able to breathe', 'difficulty breathing', 'choking'],
+      hi: ['सांस नहीं', 'सांस लेने में तकलीफ', 'सांस लेने में दिक्कत', 'सांस लेने में बहुत तकलीफ', 'सांस लेने में बहुत दिक्कत', 'सांस फूल*', 'सांस रुक*', 'दम घुट*'],
+      hiLatn: ['saans nahi', 'saans lene me taklif', 'saans lene me dikkat', 'saans lene me bahut taklif', 'saans lene me bahut dikkat', 'saans phool*', 'saans ruk*', 'dam ghut*']
+    }
+  },
+  {
+    id: 'cardiac',
+    label: 'Chest pain or heart attack',
+    terms: {
+      en: ['chest pain', 'heart attack', 'cardiac arrest'],
+      hi: ['सीने में दर्द', 'छाती में दर्द', 'दिल का दौरा'],
+      hiLatn: ['seene me dard', 'chhati me dard', 'chaati me dard', 'dil ka daura']
+    }
+  },
+  {
+    id: 'stroke',
+    label: 'Signs of stroke or paralysis',
+    terms: {
+      en: ['stroke', 'paralysis', 'paralysed', 'paralyzed', 'face drooping', 'face is drooping', 'drooping face', 'slurred speech', 'speech is slurred'],
+      hi: ['लकवा', 'पक्षाघात', 'मुंह टेढ़ा'],
+      hiLatn: ['lakwa', 'lakva', 'muh tedha', 'munh tedha']
+    }
+  },
+  {
+    id: 'unconscious',
+    label: 'Unconscious or unresponsive',
+    terms: {
+      en: ['unconscious', 'unresponsive', 'collapse*', 'passed out'],
+      hi: ['बेहोश*', 'होश नहीं'],
+      hiLatn: ['behosh*', 'hosh nahi']
+    }
+  },
+  {
+    id: 'seizure',
+    label: 'Seizure or fits',
+    terms: {
+      en: ['seizure*', 'convulsion*'],
+      hi: ['दौरा पड़*', 'दौरे पड़*', 'मिर्गी', 'झटके आ*'],
+      hiLatn: ['daura pad*', 'daure pad*', 'mirgi', 'jhatke aa*']
+    }
+  },
+  {
+    id: 'severe_bleeding',
+    label: 'Heavy bleeding',
+    terms: {
+      en: ['bleeding heavily', 'heavy bleeding', 'wont stop bleeding', 'losing a lot of blood', 'a lot of blood', 'blood everywhere'],
+      hi: ['बहुत खून', 'खून बह*', 'खून नहीं रुक*'],
+      hiLatn: ['bahut khoon', 'khoon beh*', 'khoon bah*', 'khoon nahi ruk*']
+    }
+  },
+  {
+    id: 'self_harm',
+    label: 'Risk of suicide or self-harm',
+    terms: {
+      en: ['suicid*', 'kill myself', 'end my life', 'ending my life', 'want to die', 'dont want to live', 'do not want to live', 'no reason to live', 'better off dead', 'self harm'],
+      hi: ['आत्महत्या', 'खुदकुशी', 'मरना चाहता', 'मरना चाहती', 'जान दे दू*', 'जीना नहीं चाहता', 'जीना नहीं चाहती', 'जीना नहीं है'],
+      hiLatn: ['aatmahatya', 'atmhatya', 'khudkushi', 'marna chahta', 'marna chahti', 'jaan de dun*', 'jeena nahi chahta', 'jeena nahi chahti', 'jeena nahi hai']
+    }
+  },
+  {
+    id: 'poisoning',
+    label: 'Poisoning or overdose',
+    terms: {
+      en: ['poison*', 'overdose'],
+      hi: ['ज़हर', 'विषाक्त*', 'ओवरडोज़'],
+      hiLatn: ['zeher', 'zahar', 'zehar', 'overdose']
+    }
+  },
+  {
+    id: 'injury',
+    label: 'Serious accident or injury',
+    terms: {
+      en: ['accident', 'severe burn*', 'head injury'],
+      hi: ['दुर्घटना', 'एक्सीडेंट', 'हादसा', 'बुरी तरह जल*', 'सिर में चोट'],
+      hiLatn: ['durghatna', 'accident', 'hadsa', 'sir me chot']
+    }
+  },
+  {
+    id: 'severe_pain',
+    label: 'Severe pain',
+    terms: {
+      en: ['severe pain', 'unbearable pain'],
+      hi: ['असहनीय दर्द', 'बहुत तेज़ दर्द'],
+      hiLatn: ['asahniya dard', 'bahut tez dard']
+    }
+  }
+];
+
+module.exports = {
+  EMERGENCY_SIGNALS
+};
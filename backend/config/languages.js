@@ -0,0 +1,83 @@
+/**
+ * Language Registry - Languages the patient-facing app supports
+ *
+ * English text lives next to the code that uses it (e.g. FAQ_INTENTS in
+ * chatbotService). Every other language has a translation bundle in
+ * locales/, keyed the same way, and falls back to English for anything
+ * it does not translate.
+ *
+ * ADDING A LANGUAGE:
+ * Add an entry below, a bundle in locales/ (copy locales/hi.js), and
+ * the matching frontend bundle in frontend/src/i18n.
+ *
+ * The language code is stored with each support request so the
+ * assignment engine can prefer volunteers who speak it.
+ */
+
+const LANGUAGES = [
+  { code: 'en', label: 'English', nativeLabel: 'English', translations: null },
+  { code: 'hi', label: 'Hindi', nativeLabel: 'हिन्दी', translations: require('../locales/hi') }
+];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Any Devanagari character (Hindi, Marathi, Nepali...)
+const DEVANAGARI_PATTERN = /[ऀ-ॿ]/;
+
+/**
+ * Looks up a supported language by code (case-insensitive)
+ *
+ * @param {string} code - Language code, e.g. "hi"
+ * @returns {Object|null} The language entry or null if not supported
+ */
+const getLanguage = (code) => {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const normalized = code.trim().toLowerCase();
+  return LANGUAGES.find(language => language.code === normalized) || null;
+};
+
+/**
+ * Returns a supported language code, or the default for anything else
+ *
+ * @param {string} code - Requested language code
+ * @returns {string} Supported language code
+ */
+const resolveLanguage = (code) => {
+  const language = getLanguage(code);
+  return language ? language.code : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Guesses the language of a message from its script
+ *
+ * Only used when the patient has not chosen a language: a message
+ * written in Devanagari gets Hindi replies.
+ *
+ * @param {string} text - Message text
+ * @returns {string} Language code
+ */
+const detectLanguage = (text) => {
+  return DEVANAGARI_PATTERN.test(text || '') ? 'hi' : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Returns the translation bundle for a language
+ *
+ * @param {string} code - Language code
+ * @returns {Object|null} The bundle, or null for English / unknown languages
+ */
+const getTranslations = (code) => {
+  const language = getLanguage(code);
+  return language ? language.translations : null;
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLanguage,
+  resolveLanguage,
+  detectLanguage,
+  getTranslations
+};
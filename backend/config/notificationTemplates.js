@@ -0,0 +1,112 @@
+/**
+ * Notification Templates - Messages sent to patients and staff
+ *
+ * Patients are told when their request is received, when a volunteer
+ * takes it on and when its status changes. Volunteers are told about
+ * new cases, and the on-call coordinator is paged for urgent ones.
+ *
+ * The "received" message repeats the acknowledgement shown on the
+ * result screen for the request's urgency (acknowledgement.* in the
+ * frontend bundles), so the patient reads the same promise twice.
+ *
+ * Patient messages are translated in locales/<code>.js under
+ * notifications, with the same keys; staff get English.
+ *
+ * Messages never contain the patient's details or the tracking code:
+ * they may be read on a shared phone, and are stored until delivered.
+ */
+
+const ACKNOWLEDGEMENTS = {
+  High: 'A volunteer will contact you as soon as possible due to high urgency. Please ensure your contact information is accessible.',
+  Medium: 'Your request is under review. You can expect a response within 24–48 hours. We appreciate your patience.',
+  Low: 'Your request has been queued and will be reviewed shortly. Our team will reach out within 3-5 business days.'
+};
+
+/**
+ * Patient messages by event
+ *
+ * Each template receives { ticketId, acknowledgement, volunteerFirstName }
+ * and returns { subject, text }; the subject is only used for email.
+ */
+const PATIENT_TEMPLATES = {
+  request_created: ({ ticketId, acknowledgement }) => ({
+    subject: `We received your request ${ticketId}`,
+    text: `Jarurat Care: we received your support request ${ticketId}. ${acknowledgement} Use "Track my request" with your ticket ID and tracking code to follow it.`
+  }),
+  assigned: ({ ticketId, volunteerFirstName }) => ({
+    subject: `A volunteer is taking care of ${ticketId}`,
+    text: `Jarurat Care: ${volunteerFirstName || 'a volunteer'} will be helping you with request ${ticketId} and will contact you soon.`
+  }),
+  in_progress: ({ ticketId }) => ({
+    subject: `Your request ${ticketId} is in progress`,
+    text: `Jarurat Care: a volunteer is now working on your request ${ticketId}.`
+  }),
+  resolved: ({ ticketId }) => ({
+    subject: `Your request ${ticketId} is resolved`,
+    text: `Jarurat Care: your request ${ticketId} has been marked as resolved. If you still need help, contact us and quote your ticket ID.`
+  }),
+  closed: ({ ticketId }) => ({
+    subject: `Your request ${ticketId} is closed`,
+    text: `Jarurat Care: your request ${ticketId} has been closed. If you still need help, please submit a new request.`
+  })
+};
+
+/**
+ * Volunteer messages by event
+ *
+ * Each template receives { ticketId, urgency, category } (category label).
+ */
+const VOLUNTEER_TEMPLATES = {
+  assigned: ({ ticketId, urgency, category }) => ({
+    subject: `New case: ${ticketId} (${urgency})`,
+    text: `Jarurat Care: request ${ticketId} (${urgency} urgency, ${category}) has been assigned to you. Open the staff dashboard for the details and the patient's contact preferences.`
+  })
+};
+
+/**
+ * Coordinator messages by event
+ *
+ * on_call_page receives { ticketId, urgency, category, acknowledgeMinutes }.
+ * The SLA events (see slaService) receive { ticketId, category } and:
+ * - sla_at_risk { urgency, minutesLeft }
+ * - sla_escalated { from, to, responseHours }
+ * - sla_breached { urgency }
+ */
+const COORDINATOR_TEMPLATES = {
+  on_call_page: ({ ticketId, urgency, category, acknowledgeMinutes }) => ({
+    subject: `URGENT: ${ticketId} (${urgency}) needs the on-call coordinator`,
+    text: `Jarurat Care URGENT: request ${ticketId} (${urgency} urgency, ${category}) needs a coordinator now. Acknowledge it in the staff dashboard within ${acknowledgeMinutes} minutes, or it is escalated.`
+  }),
+  sla_at_risk: ({ ticketId, urgency, category, minutesLeft }) => ({
+    subject: `SLA at risk: ${ticketId} (${urgency})`,
+    text: `Jarurat Care: request ${ticketId} (${urgency} urgency, ${category}) has had no response yet and is due within ${minutesLeft} minutes. Please make sure a volunteer picks it up.`
+  }),
+  sla_escalated: ({ ticketId, from, to, category, responseHours }) => ({
+    subject: `SLA missed: ${ticketId} escalated to ${to}`,
+    text: `Jarurat Care: request ${ticketId} (${category}) missed its ${from} urgency response time and is now ${to} urgency. It must be responded to within ${responseHours} hours.`
+  }),
+  sla_breached: ({ ticketId, urgency, category }) => ({
+    subject: `SLA breached: ${ticketId} (${urgency})`,
+    text: `Jarurat Care: request ${ticketId} (${urgency} urgency, ${category}) has missed its response time and nobody has responded yet. Please act on it now.`
+  })
+};
+
+/**
+ * Patient contact channel → notification channel
+ *
+ * Patients who prefer a phone call get SMS updates on the same number.
+ */
+const PATIENT_CHANNEL_BY_CONTACT = {
+  call: 'sms',
+  sms: 'sms',
+  whatsapp: 'whatsapp',
+  email: 'email'
+};
+
+module.exports = {
+  ACKNOWLEDGEMENTS,
+  PATIENT_TEMPLATES,
+  VOLUNTEER_TEMPLATES,
+  COORDINATOR_TEMPLATES,
+  PATIENT_CHANNEL_BY_CONTACT
+};
@@ -0,0 +1,33 @@
+/**
+ * On-Call Alerting - Which requests page a coordinator, and how fast
+ *
+ * A request is urgent enough to page the on-call coordinator when its
+ * triage urgency is High or the patient chose the Emergency category -
+ * the same requests that show the patient the EmergencyAction shortcut.
+ *
+ * The page must be acknowledged within ONCALL_ACK_MINUTES (default 10).
+ * If it is not, the next level in ESCALATION_LEVELS is paged with a
+ * fresh window. After the last level the alert stays unacknowledged
+ * and is flagged on the request.
+ */
+
+const ALERT_URGENCIES = ['High'];
+const ALERT_CATEGORIES = ['emergency'];
+
+const DEFAULT_ACK_MINUTES = 10;
+
+/**
+ * Who is paged, in order:
+ * - primary: the coordinator on call for the current shift
+ * - backup: the shift's backup coordinator
+ * - coordinators: every active coordinator (also used when no shift
+ *   covers the current time)
+ */
+const ESCALATION_LEVELS = ['primary', 'backup', 'coordinators'];
+
+module.exports = {
+  ALERT_URGENCIES,
+  ALERT_CATEGORIES,
+  DEFAULT_ACK_MINUTES,
+  ESCALATION_LEVELS
+};
@@ -0,0 +1,105 @@
+/**
+ * PII Patterns - Personal details masked before text leaves the server
+ *
+ * PURPOSE:
+ * Patients often write their phone number, Aadhaar number or address
+ * into the description. utils/piiRedactor.js replaces these with
+ * placeholders such as [PHONE_1] before the text is sent to an AI model.
+ *
+ * Each pattern has:
+ * - category     Name used in placeholders and logs
+ * - label        Readable name, used in summaries instead of the value
+ * - pattern      Regular expression (global); order matters - longer
+ *                numbers (Aadhaar) are matched before shorter ones (phone,
+ *                pincode) so they are not split up
+ * - restore      true if the original value is put back into the summary;
+ *                identifiers stay masked there ("[phone number]"), staff
+ *                can read them in the patient's own description
+ *
+ * Names are not a fixed pattern: the patient's name from the form and
+ * names introduced in the text (NAME_INTRODUCTIONS) are masked.
+ */
+
+// Words directly before a pincode: "pin 110001", "Lucknow - 226001"
+const PINCODE_LABELS = [
+  'pin', 'pincode', 'pin\\s?code', 'postal\\s?code', 'zip',
+  'delhi', 'mumbai', 'kolkata', 'chennai', 'bengaluru', 'bangalore', 'hyderabad', 'pune',
+  'ahmedabad', 'jaipur', 'lucknow', 'patna', 'bhopal', 'noida', 'gurgaon', 'gurugram'
+];
+
+// Parts of an address a pincode ends: "12 MG Road, Sitapur 261001"
+const ADDRESS_WORDS = [
+  'address', 'pata', 'road', 'rd', 'marg', 'street', 'lane', 'gali', 'nagar', 'colony',
+  'sector', 'mohalla', 'village', 'gaon', 'post', 'tehsil', 'district', 'dist'
+];
+
+const PII_PATTERNS = [
+  {
+    category: 'email',
+    label: 'email address',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    restore: false
+  },
+  {
+    // 12 digits, never starting with 0 or 1, often written 1234 5678 9012
+    category: 'aadhaar',
+    label: 'Aadhaar number',
+    pattern: /(?<!\d)[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}(?!\d)/g,
+    restore: false
+  },
+  {
+    // ABCDE1234F
+    category: 'pan',
+    label: 'PAN',
+    pattern: /\b[A-Za-z]{5}\d{4}[A-Za-z]\b/g,
+    restore: false
+  },
+  {
+    // Mobile numbers with an optional +91 / 0 prefix, and landlines with an STD code
+    category: 'phone',
+    label: 'phone number',
+    pattern: /(?<![\d+])(?:(?:\+|00)?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)|(?<!\d)0\d{2,4}[\s-]\d{6,8}(?!\d)/g,
+    restore: false
+  },
+  {
+    // House, flat or plot numbers: "House No. 12/B", "flat 304", "H.No 5-2-19"
+    category: 'address',
+    label: 'house number',
+    pattern: /\b(?:house|flat|plot|door|h\.?\s?no\.?)\s*(?:no\.?|number|#)?\s*\d[\w/-]*/gi,
+    restore: false
+  },
+  {
+    // Six digits, first one 1-9 ("110001", "110 001"), only after "pin",
+    // a city or part of an address (PINCODE_LABELS, ADDRESS_WORDS): lab
+    // readings such as "platelets 150000" must reach the model
+    category: 'pincode',
+    label: 'pincode',
+    pattern: new RegExp(
+      `(?:(?<=\\b(?:${PINCODE_LABELS.join('|')})\\b[\\s:#,-]*(?:is\\s*|no\\.?\\s*)?)|(?<=\\b(?:${ADDRESS_WORDS.join('|')})\\b[^.!?\\n]{0,30}?))` +
+      '(?<!\\d)[1-9]\\d{2}\\s?\\d{3}(?!\\d)',
+      'gi'
+    ),
+    restore: false
+  }
+];
+
+// Phrases followed by a name: "my name is Sunita Devi", "mera naam Ravi hai"
+const NAME_INTRODUCTIONS = [
+  /\b(?:[Mm]y name is|[Mm]y name's|[Nn]ame:)\s+((?:[A-Z][a-z]+\s?){1,3})/g,
+  /\b(?:mera naam|mera nam)\s+((?:[A-Za-z]+\s?){1,3}?)(?=\s+(?:hai|h)\b)/gi,
+  /(?:मेरा नाम)\s+((?:[ऀ-ॿ]+\s?){1,3}?)(?=\s+है)/g,
+  /\b(?:Mr|Mrs|Ms|Dr|Shri|Smt)\.?\s+((?:[A-Z][a-z]+\s?){1,2})/g
+];
+
+// Name category settings; names go back into the summary so staff know who it is about
+const NAME_CATEGORY = {
+  category: 'name',
+  label: 'name',
+  restore: true
+};
+
+module.exports = {
+  PII_PATTERNS,
+  NAME_INTRODUCTIONS,
+  NAME_CATEGORY
+};
@@ -0,0 +1,45 @@
+/**
+ * SLA Definitions - How quickly each urgency level must get a response
+ * 
+ * These match the response times promised to patients on the result
+ * screen (see getAcknowledgementMessage and ResponseTimeEstimate in the
+ * frontend), using the upper end of each promised range:
+ * - High: "1-2 hours"
+ * - Medium: "24-48 hours"
+ * - Low: "3-5 business days" (counted as 5 calendar days)
+ * 
+ * A request has been responded to once a volunteer starts working on it
+ * (in_progress) or it is resolved/closed.
+ */
+
+const SLA_BY_URGENCY = {
+  High: { responseHours: 2 },
+  Medium: { responseHours: 48 },
+  Low: { responseHours: 120 }
+};
+
+/**
+ * Share of the SLA window after which a request counts as "at risk"
+ */
+const AT_RISK_RATIO = 0.75;
+
+/**
+ * Statuses that stop the SLA clock
+ */
+const RESPONDED_STATUSES = ['in_progress', 'resolved', 'closed'];
+
+/**
+ * Urgency a breached request is escalated to
+ */
+const ESCALATION_PATH = {
+  Low: 'Medium',
+  Medium: 'High',
+  High: 'High'
+};
+
+module.exports = {
+  SLA_BY_URGENCY,
+  AT_RISK_RATIO,
+  RESPONDED_STATUSES,
+  ESCALATION_PATH
+};
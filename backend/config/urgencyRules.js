@@ -0,0 +1,250 @@
+/**
+ * Urgency Rules - Phrases and thresholds for rule-based urgency classification
+ *
+ * Used by services/urgencyRulesService.js (the rule-based "mock AI").
+ * Emergencies themselves come from config/emergencyLexicon.js; the rules
+ * below cover everything short of an emergency.
+ *
+ * Like the emergency lexicon, every rule lists phrases in English (en),
+ * Hindi (hi) and romanized Hindi (hiLatn). Phrases match whole words and
+ * negated mentions are ignored ("not urgent", "bukhar nahi hai") - see
+ * utils/textMatcher.js.
+ *
+ * RULE TYPES:
+ * - urgent      The patient asks for immediate help → High
+ * - symptom     A symptom → its level (usually Medium); raised to High by
+ *               a severity phrase, lowered to Low by a mild phrase in the
+ *               same clause
+ * - severity    "severe", "bahut tez", "अचानक"... (only with a symptom)
+ * - mild        "mild", "thoda", "हल्का"...
+ * - persistent  Symptoms that keep coming back → at least Medium
+ * - routine     Checkups and general questions → Low
+ */
+
+const URGENCY_RULES = [
+  {
+    id: 'urgent_request',
+    type: 'urgent',
+    label: 'Asks for urgent help',
+    level: 'High',
+    terms: {
+      en: ['urgent', 'urgently', 'immediately', 'asap', 'critical'],
+      hi: ['तुरंत', 'फौरन', 'जल्द से जल्द'],
+      hiLatn: ['turant', 'fauran', 'jald se jald', 'jaldi se jaldi']
+    }
+  },
+  {
+    id: 'serious_symptom',
+    type: 'symptom',
+    label: 'Blood in vomit, cough or stool',
+    level: 'High',
+    terms: {
+      en: ['vomiting blood', 'coughing blood', 'coughing up blood', 'blood in stool', 'blood in urine', 'black stool*'],
+      hi: ['खून की उल्टी', 'खांसी में खून', 'पेशाब में खून'],
+      hiLatn: ['khoon ki ulti', 'khansi me khoon', 'peshab me khoon']
+    }
+  },
+  {
+    id: 'fever',
+    type: 'symptom',
+    label: 'Fever',
+    level: 'Medium',
+    terms: {
+      en: ['fever', 'fevers', 'feverish', 'high temperature'],
+      hi: ['बुखार', 'ज्वर'],
+      hiLatn: ['bukhar', 'bukhaar', 'jwar']
+    }
+  },
+  {
+    id: 'pain',
+    type: 'symptom',
+    label: 'Pain',
+    level: 'Medium',
+    terms: {
+      en: ['pain', 'pains', 'painful', 'ache', 'aches', 'aching', 'headache', 'headaches', 'stomach ache', 'toothache'],
+      hi: ['दर्द', 'पीड़ा'],
+      hiLatn: ['dard', 'peeda']
+    }
+  },
+  {
+    id: 'infection',
+    type: 'symptom',
+    label: 'Infection or wound',
+    level: 'Medium',
+    terms: {
+      en: ['infection', 'infections', 'infected', 'pus', 'wound', 'wounds', 'swelling', 'swollen'],
+      hi: ['संक्रमण', 'मवाद', 'घाव', 'सूजन'],
+      hiLatn: ['infection', 'sankraman', 'mavad', 'ghaav', 'soojan', 'sujan']
+    }
+  },
+  {
+    id: 'respiratory',
+    type: 'symptom',
+    label: 'Cough or breathlessness',
+    level: 'Medium',
+    terms: {
+      en: ['cough', 'coughs', 'coughing', 'breathless', 'wheezing', 'shortness of breath'],
+      hi: ['खांसी', 'सांस फूलना'],
+      hiLatn: ['khansi', 'khaansi']
+    }
+  },
+  {
+    id: 'digestive',
+    type: 'symptom',
+    label: 'Vomiting or diarrhoea',
+    level: 'Medium',
+    terms: {
+      en: ['vomiting', 'vomit', 'nausea', 'diarrhea', 'diarrhoea', 'loose motion*'],
+      hi: ['उल्टी', 'दस्त', 'जी मिचला*'],
+      hiLatn: ['ulti', 'dast', 'loose motion*', 'ji michla*']
+    }
+  },
+  {
+    id: 'weakness',
+    type: 'symptom',
+    label: 'Dizziness or weakness',
+    level: 'Medium',
+    terms: {
+      en: ['dizzy', 'dizziness', 'weak', 'weakness', 'fatigue', 'tired all the time', 'fainting'],
+      hi: ['चक्कर', 'कमज़ोरी', 'थकान'],
+      hiLatn: ['chakkar', 'kamzori', 'thakan']
+    }
+  },
+  {
+    id: 'mental_health',
+    type: 'symptom',
+    label: 'Mental health concern',
+    level: 'Medium',
+    terms: {
+      en: ['anxiety', 'anxious', 'depression', 'depressed', 'panic', 'panic attacks', 'stress', 'stressed', 'trouble sleeping', 'cant sleep', 'insomnia'],
+      hi: ['तनाव', 'चिंता', 'घबराहट', 'डिप्रेशन', 'नींद नहीं'],
+      hiLatn: ['tanav', 'chinta', 'ghabrahat', 'depression', 'neend nahi']
+    }
+  },
+  {
+    id: 'appetite',
+    type: 'symptom',
+    label: 'Not eating or losing weight',
+    level: 'Medium',
+    terms: {
+      en: ['loss of appetite', 'not eating', 'weight loss', 'losing weight'],
+      hi: ['भूख नहीं', 'वजन कम'],
+      hiLatn: ['bhookh nahi', 'bhook nahi', 'vajan kam', 'wazan kam']
+    }
+  },
+  {
+    id: 'severity',
+    type: 'severity',
+    label: 'Described as severe or worsening',
+    level: 'High',
+    terms: {
+      en: ['severe', 'severely', 'extreme', 'unbearable', 'intense', 'very bad', 'worst', 'worsening', 'getting worse', 'sudden', 'suddenly', 'high fever'],
+      hi: ['बहुत तेज़', 'तेज़', 'असहनीय', 'अचानक', 'बढ़ता जा रहा', 'बढ़ती जा रही'],
+      hiLatn: ['bahut tez', 'tez', 'bahut zyada', 'achanak', 'badhta ja raha', 'badhti ja rahi']
+    }
+  },
+  {
+    id: 'mild',
+    type: 'mild',
+    label: 'Described as mild',
+    level: 'Low',
+    terms: {
+      en: ['mild', 'slight', 'slightly', 'minor', 'a little', 'occasional'],
+      hi: ['हल्का', 'हल्की', 'थोड़ा', 'थोड़ी'],
+      hiLatn: ['halka', 'halki', 'thoda', 'thodi']
+    }
+  },
+  {
+    id: 'persistent',
+    type: 'persistent',
+    label: 'Persistent or recurring',
+    level: 'Medium',
+    terms: {
+      en: ['persistent', 'persisting', 'chronic', 'recurring', 'constant', 'constantly', 'keeps coming back', 'not improving', 'not getting better'],
+      hi: ['बार बार', 'लगातार', 'ठीक नहीं हो रहा', 'ठीक नहीं हो रही'],
+      hiLatn: ['baar baar', 'lagatar', 'theek nahi ho raha', 'theek nahi ho rahi']
+    }
+  },
+  {
+    id: 'routine',
+    type: 'routine',
+    label: 'Routine checkup or general question',
+    level: 'Low',
+    terms: {
+      en: ['routine', 'checkup', 'checkups', 'check up', 'general inquiry', 'general question', 'follow up', 'no rush'],
+      hi: ['सामान्य जांच', 'जानकारी चाहिए'],
+      hiLatn: ['checkup', 'jankari chahiye', 'jaankari chahiye']
+    }
+  }
+];
+
+/**
+ * Duration phrases ("for 3 weeks", "2 din se", "पिछले 3 महीने से")
+ * Unit words map to their length in days.
+ */
+const DURATION_UNITS = {
+  hour: 1 / 24, hours: 1 / 24, hr: 1 / 24, hrs: 1 / 24, ghanta: 1 / 24, ghante: 1 / 24, 'घंटा': 1 / 24, 'घंटे': 1 / 24,
+  day: 1, days: 1, din: 1, 'दिन': 1,
+  week: 7, weeks: 7, hafta: 7, hafte: 7, 'हफ्ता': 7, 'हफ्ते': 7, 'सप्ताह': 7,
+  month: 30, months: 30, mahina: 30, mahine: 30, 'महीना': 30, 'महीने': 30,
+  year: 365, years: 365, saal: 365, 'साल': 365, 'वर्ष': 365
+};
+
+const DURATION_NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  couple: 2, few: 3, several: 3,
+  ek: 1, do: 2, teen: 3, char: 4, paanch: 5,
+  'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5
+};
+
+// Phrases without a number, in days
+const DURATION_PHRASES = [
+  { days: 0.5, terms: ['since this morning', 'since last night', 'since today', 'aaj subah se', 'kal raat se', 'आज सुबह से', 'कल रात से'] },
+  { days: 1, terms: ['since yesterday', 'kal se', 'कल से'] },
+  { days: 30, terms: ['for a long time', 'for ages', 'kaafi samay se', 'bahut dino se', 'काफी समय से', 'बहुत दिनों से'] }
+];
+
+// Symptoms lasting at least this long are at least Medium
+const PERSISTENT_DAYS = 14;
+
+/**
+ * Age bands
+ * - raise:   a symptom moves up one level (Low → Medium → High)
+ * - minimum: a symptom is at least Medium
+ * Both only apply when a symptom or emergency is mentioned.
+ */
+const AGE_BANDS = [
+  { id: 'infant', label: 'Infant (under 1 year)', maxAge: 1, effect: 'raise' },
+  { id: 'young_child', label: 'Young child (1-4 years)', maxAge: 5, effect: 'minimum' },
+  { id: 'adult', label: 'Adult', maxAge: 65, effect: null },
+  { id: 'older_adult', label: 'Older adult (65-79 years)', maxAge: 80, effect: 'minimum' },
+  { id: 'elderly', label: 'Elderly (80+ years)', maxAge: Infinity, effect: 'raise' }
+];
+
+/**
+ * Rule confidence (0-1)
+ * How sure the rule engine is of its urgency: emergencies are near
+ * certain; otherwise every matched rule that agrees with the result adds
+ * to the score and every rule pointing to another level takes away.
+ * Nothing matched at all means the engine is guessing.
+ */
+const RULE_CONFIDENCE = {
+  emergency: 0.95,
+  noSignals: 0.4,
+  base: 0.5,
+  perAgreeingSignal: 0.15,
+  maxAgreeingSignals: 3,
+  perConflictingSignal: 0.1,
+  min: 0.3,
+  max: 0.9
+};
+
+module.exports = {
+  URGENCY_RULES,
+  DURATION_UNITS,
+  DURATION_NUMBER_WORDS,
+  DURATION_PHRASES,
+  PERSISTENT_DAYS,
+  AGE_BANDS,
+  RULE_CONFIDENCE
+};
@@ -0,0 +1,170 @@
+/**
+ * Auth Controller - Login and staff account management
+ * 
+ * Handles staff login, returns the current user, and lets
+ * admins create and manage volunteer/coordinator accounts.
+ */
+
+const authService = require('../services/authService');
+const userRepository = require('../repositories/userRepository');
+const { sendError } = require('../utils/errorHandler');
+
+/**
+ * Logs a user in with email and password
+ * 
+ * @param {Object} req - Express request with { email, password } body
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with { token, user }
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const session = await authService.login(email, password);
+
+    return res.status(200).json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to log in');
+  }
+};
+
+/**
+ * Returns the logged-in user's account
+ * 
+ * @param {Object} req - Express request (req.user set by authenticate)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the user
+ */
+const getCurrentUser = async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: authService.toPublicUser(user)
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to load your account');
+  }
+};
+
+/**
+ * Lists all user accounts (admin only)
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the list of users
+ */
+const listUsers = async (req, res) => {
+  try {
+    const users = await userRepository.findAll();
+
+    return res.status(200).json({
+      success: true,
+      data: users.map(authService.toPublicUser)
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to load users');
+  }
+};
+
+/**
+ * Creates a new user account (admin only)
+ * 
+ * @param {Object} req - Express request with { name, email, password, role } body
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new user
+ */
+const createUser = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+    const user = await authService.registerUser({ name, email, password, role });
+
+    return res.status(201).json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to create user');
+  }
+};
+
+/**
+ * Changes a user's role or deactivates/reactivates the account (admin only)
+ * 
+ * @param {Object} req - Express request with id param and { role?, active? } body
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated user
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { role, active } = req.body;
+    const changes = {};
+
+    if (role !== undefined) {
+      if (!authService.ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Role must be one of: ${authService.ROLES.join(', ')}`
+        });
+      }
+      changes.role = role;
+    }
+
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'Active must be true or false'
+        });
+      }
+      changes.active = active;
+    }
+
+    // Prevent admins from locking themselves out
+    if (req.params.id === req.user.id && (changes.active === false || (changes.role && changes.role !== 'admin'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate or demote your own account'
+      });
+    }
+
+    const user = await userRepository.update(req.params.id, changes);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: authService.toPublicUser(user)
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to update user');
+  }
+};
+
+module.exports = {
+  login,
+  getCurrentUser,
+  listUsers,
+  createUser,
+  updateUser
+};
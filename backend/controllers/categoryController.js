@@ -0,0 +1,32 @@
+/**
+ * Category Controller - Serves the issue category registry
+ * 
+ * The frontend loads categories from here instead of keeping its own
+ * copy, so the form, chips and chatbot always match what the backend accepts.
+ */
+
+const { CATEGORIES, toPublicCategory } = require('../config/categories');
+const { resolveLanguage } = require('../config/languages');
+
+/**
+ * Returns all issue categories
+ * 
+ * Labels and chatbot texts are translated when a supported ?language=
+ * is given; unknown languages get English.
+ * 
+ * @param {Object} req - Express request object with optional language query
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the category list
+ */
+const listCategories = (req, res) => {
+  const language = resolveLanguage(req.query.language);
+
+  return res.status(200).json({
+    success: true,
+    data: CATEGORIES.map(category => toPublicCategory(category, language))
+  });
+};
+
+module.exports = {
+  listCategories
+};
@@ -10,17 +10,19 @@
  */
 
 const chatbotService = require('../services/chatbotService');
+const { getCategory } = require('../config/categories');
+const { LANGUAGES, getLanguage } = require('../config/languages');
 
 /**
  * Handles incoming chat messages
  * 
- * @param {Object} req - Express request with message in body
+ * @param {Object} req - Express request with { message, sessionId?, category?, language? } body
  * @param {Object} res - Express response
  * @returns {Object} JSON response with bot reply
  */
 const handleChatMessage = async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, sessionId, category, language } = req.body;
 
     // Validate message presence
     if (!message) {
@@ -46,13 +48,47 @@ const handleChatMessage = async (req, res) => {
       });
     }
 
+    // Validate optional category context
+    if (category !== undefined && category !== null && !getCategory(category)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown issue category'
+      });
+    }
+
+    // Validate optional language chosen in the app
+    if (language !== undefined && language !== null && !getLanguage(language)) {
+      return res.status(400).json({
+        success: false,
+        error: `Language must be one of: ${LANGUAGES.map(entry => entry.code).join(', ')}`
+      });
+    }
+
+    // Validate optional session ID
+    if (sessionId !== undefined && sessionId !== null && typeof sessionId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Session ID must be a string'
+      });
+    }
+
     // Process message through chatbot service
-    const response = await chatbotService.processMessage(message);
+    const response = await chatbotService.processMessage(message, {
+      sessionId,
+      category,
+      language: language && getLanguage(language).code
+    });
 
     // Return successful response
     return res.status(200).json({
       success: true,
-      reply: response.reply
+      reply: response.reply,
+      intent: response.intent,
+      disclaimer: response.disclaimer,
+      sessionId: response.sessionId,
+      sessionRestarted: response.sessionRestarted,
+      intake: response.intake,
+      ...(response.request && { request: response.request })
     });
 
   } catch (error) {
@@ -67,6 +103,42 @@ const handleChatMessage = async (req, res) => {
   }
 };
 
+/**
+ * Returns the conversation so far for an active chat session
+ * 
+ * Lets the chat widget restore the conversation after a page reload.
+ * 
+ * @param {Object} req - Express request with :sessionId param
+ * @param {Object} res - Express response
+ * @returns {Object} JSON response with { sessionId, category, intake, history }
+ */
+const getChatSession = async (req, res) => {
+  try {
+    const conversation = chatbotService.getConversation(req.params.sessionId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found or expired'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: conversation
+    });
+
+  } catch (error) {
+    console.error('Chatbot error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to load the conversation. Please try again.'
+    });
+  }
+};
+
 module.exports = {
-  handleChatMessage
+  handleChatMessage,
+  getChatSession
 };
@@ -0,0 +1,100 @@
+/**
+ * On-Call Controller - The coordinator on-call rota
+ *
+ * Coordinators see who is on call now and next, and add or remove
+ * shifts. The on-call coordinator is paged for High urgency and
+ * Emergency requests (see alertService).
+ */
+
+const onCallService = require('../services/onCallService');
+const { getAcknowledgeMinutes } = require('../services/alertService');
+const { sendError } = require('../utils/errorHandler');
+
+/**
+ * Returns the rota
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with { current, shifts, coordinators,
+ *   acknowledgeMinutes }: the shift on call now (or null), the current
+ *   and upcoming shifts, and the coordinators who can be put on the rota
+ */
+const getRota = async (req, res) => {
+  try {
+    const now = new Date();
+    const [current, shifts, coordinators] = await Promise.all([
+      onCallService.getShiftAt(now),
+      onCallService.getUpcomingShifts(now),
+      onCallService.getCoordinators()
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        current,
+        shifts,
+        coordinators,
+        acknowledgeMinutes: getAcknowledgeMinutes()
+      }
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to load the on-call rota');
+  }
+};
+
+/**
+ * Adds a shift to the rota
+ *
+ * Request Body:
+ * {
+ *   startsAt: string,                        // ISO 8601
+ *   endsAt: string,
+ *   primary: { userId: string, phone?: string },
+ *   backup?: { userId: string, phone?: string }
+ * }
+ *
+ * @param {Object} req - Express request with the shift and logged-in user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new shift
+ */
+const createShift = async (req, res) => {
+  try {
+    const shift = await onCallService.createShift(req.body || {}, req.user);
+
+    return res.status(201).json({
+      success: true,
+      data: shift
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to add the shift');
+  }
+};
+
+/**
+ * Removes a shift from the rota
+ *
+ * @param {Object} req - Express request with id param
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the removal
+ */
+const deleteShift = async (req, res) => {
+  try {
+    await onCallService.deleteShift(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { id: req.params.id }
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to remove the shift');
+  }
+};
+
+module.exports = {
+  getRota,
+  createShift,
+  deleteShift
+};
@@ -0,0 +1,99 @@
+/**
+ * Report Controller - Oversight reports for coordinators
+ * 
+ * SLA breach report: which requests missed their response-time
+ * promise, at which urgency, and whether they are still waiting.
+ * 
+ * AI provider report: how often the models answered, and why the
+ * rule-based fallback was used when they did not.
+ */
+
+const slaService = require('../services/slaService');
+const aiService = require('../services/aiService');
+const { sendError } = require('../utils/errorHandler');
+
+/**
+ * Parses an optional date query parameter
+ * 
+ * @returns {Date|null|undefined} The date, null if missing, undefined if invalid
+ */
+const parseDateParam = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Returns the SLA breach report
+ * 
+ * Query Parameters (optional):
+ * - from: Only breaches on or after this date (ISO 8601)
+ * - to: Only breaches on or before this date (ISO 8601)
+ * 
+ * @param {Object} req - Express request with optional from/to query
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with { summary, requests }
+ */
+const getSlaBreaches = async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates, e.g. 2026-02-01'
+      });
+    }
+
+    const report = await slaService.getBreachReport({ from, to });
+
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to build the SLA report');
+  }
+};
+
+/**
+ * Returns the AI provider report
+ * 
+ * Query Parameters (optional):
+ * - from: Only requests created on or after this date (ISO 8601)
+ * - to: Only requests created on or before this date (ISO 8601)
+ * 
+ * @param {Object} req - Express request with optional from/to query
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with { summary, providers }
+ */
+const getAIProviderReport = async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates, e.g. 2026-02-01'
+      });
+    }
+
+    const report = await aiService.getProviderReport({ from, to });
+
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to build the AI provider report');
+  }
+};
+
+module.exports = {
+  getSlaBreaches,
+  getAIProviderReport
+};
@@ -0,0 +1,452 @@
+/**
+ * Request Controller - Staff-facing access to stored support requests
+ * 
+ * Powers the volunteer/coordinator triage dashboard:
+ * - A queue of requests sorted so the most urgent, oldest cases come first
+ * - Filtering by category, urgency and status
+ * - Full request details including description and AI summary
+ * - Volunteer suggestions and (re)assignment for coordinators
+ * - Human review of low-confidence triage, and urgency overrides
+ * - Staff notes, optionally shown to the patient
+ * - The activity log: who did what to the request, and when
+ * - Delivery status of the notifications sent about the request
+ * - Acknowledging the on-call alert of an urgent request
+ */
+
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const volunteerRepository = require('../repositories/volunteerRepository');
+const assignmentService = require('../services/assignmentService');
+const triageReviewService = require('../services/triageReviewService');
+const requestNoteService = require('../services/requestNoteService');
+const activityService = require('../services/activityService');
+const notificationService = require('../services/notificationService');
+const alertService = require('../services/alertService');
+const { toSlaView } = require('../services/slaService');
+const { STATUSES, FINAL_STATUSES, toStatusView } = require('../services/statusService');
+const { COORDINATOR_ROLES } = require('../services/authService');
+const { isAssignedToUser } = require('../services/volunteerService');
+const { getCategory } = require('../config/categories');
+const { sendError } = require('../utils/errorHandler');
+
+/**
+ * Sort rank for each urgency level (lower comes first)
+ */
+const URGENCY_RANK = {
+  High: 0,
+  Medium: 1,
+  Low: 2
+};
+
+/**
+ * Orders requests by urgency (High first), then by age (oldest first)
+ * 
+ * WHY OLDEST FIRST:
+ * Within the same urgency, the patient who has waited longest
+ * should be helped next.
+ */
+const compareByUrgencyAndAge = (a, b) => {
+  const urgencyDiff = (URGENCY_RANK[a.urgency] ?? 1) - (URGENCY_RANK[b.urgency] ?? 1);
+  if (urgencyDiff !== 0) return urgencyDiff;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+/**
+ * Returns the registry value for a category filter; legacy aliases such
+ * as "Medical" are accepted like on the form
+ */
+const normalizeCategory = (issueCategory) => {
+  const category = getCategory(issueCategory);
+  return category ? category.value : issueCategory;
+};
+
+/**
+ * Builds the compact list view of a request for the queue
+ */
+const toListItem = (request) => ({
+  ticketId: request.ticketId,
+  patientName: request.name,
+  age: request.age,
+  category: request.issueCategory,
+  urgency: request.urgency,
+  confidence: request.confidence,
+  reviewPending: triageReviewService.isReviewPending(request),
+  status: request.status,
+  assignedVolunteer: request.assignedVolunteer || null,
+  sla: toSlaView(request),
+  // 'open' while the on-call coordinator is being paged (see alertService)
+  alertStatus: request.alert ? request.alert.status : null,
+  summary: request.summary,
+  createdAt: request.createdAt,
+  updatedAt: request.updatedAt
+});
+
+/**
+ * Lists support requests for the triage queue
+ * 
+ * Query Parameters (all optional):
+ * - category: Only requests in this issue category
+ * - urgency: 'Low' | 'Medium' | 'High'
+ * - status: A lifecycle status, 'open' (default) for all unresolved
+ *           requests, or 'all' for everything
+ * - assignee: A volunteer ID, 'me' for requests assigned to the
+ *             logged-in volunteer, or 'unassigned'
+ * 
+ * @param {Object} req - Express request with filter query parameters
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the sorted request list
+ */
+const listRequests = async (req, res) => {
+  try {
+    const { category, urgency, status = 'open', assignee } = req.query;
+
+    if (status !== 'open' && status !== 'all' && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status filter must be one of: open, all, ${STATUSES.join(', ')}`
+      });
+    }
+
+    const matchesStatus = (request) => {
+      if (status === 'all') return true;
+      if (status === 'open') return !FINAL_STATUSES.includes(request.status);
+      return request.status === status;
+    };
+
+    // 'me' maps to the volunteer profile linked to the logged-in account
+    let assigneeId = assignee;
+    if (assignee === 'me') {
+      const profile = await volunteerRepository.findByUserId(req.user.id);
+      assigneeId = profile ? profile.id : null;
+    }
+
+    const matchesAssignee = (request) => {
+      if (!assignee) return true;
+      if (assignee === 'unassigned') return !request.assignedVolunteer;
+      return Boolean(assigneeId) && request.assignedVolunteer?.id === assigneeId;
+    };
+
+    const requests = await supportRequestRepository.findAll(request =>
+      matchesStatus(request) &&
+      matchesAssignee(request) &&
+      (!category || request.issueCategory === normalizeCategory(category)) &&
+      (!urgency || request.urgency === urgency)
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: requests.sort(compareByUrgencyAndAge).map(toListItem)
+    });
+
+  } catch (error) {
+    console.error('Error listing support requests:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load support requests. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Checks whether a staff member may see the patient's contact details
+ * 
+ * Coordinators need them to arrange help; volunteers only for the
+ * requests assigned to them.
+ */
+const canSeeContact = async (user, request) => {
+  return COORDINATOR_ROLES.includes(user.role) || isAssignedToUser(user, request);
+};
+
+/**
+ * Returns the full details of a single support request
+ * 
+ * The patient's contact details are included for coordinators and the
+ * assigned volunteer only; for other volunteers contact is null and
+ * contactHidden is true, and the patient's address is left out of the
+ * notifications sent to them. The same people may change the status
+ * (canUpdateStatus).
+ * 
+ * @param {Object} req - Express request with ticketId param
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the complete request
+ */
+const getRequestDetail = async (req, res) => {
+  try {
+    const request = await supportRequestRepository.findByTicketId(req.params.ticketId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'No support request found with this ticket ID'
+      });
+    }
+
+    const isResponsible = await canSeeContact(req.user, request);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...toListItem(request),
+        description: request.description,
+        contact: isResponsible ? request.contact : null,
+        contactHidden: !isResponsible,
+        reasoning: request.reasoning,
+        humanReview: request.humanReview,
+        language: request.language,
+        statusHistory: request.statusHistory || [],
+        allowedTransitions: toStatusView(request).allowedTransitions,
+        canUpdateStatus: isResponsible,
+        assignedBy: request.assignedBy || null,
+        assignedAt: request.assignedAt || null,
+        activity: await activityService.getActivity(request),
+        alert: request.alert || null,
+        notifications: await notificationService.getRequestNotifications(request.ticketId, {
+          showPatientAddress: isResponsible
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching support request:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load the support request. Please try again later.'
+    });
+  }
+};
+
+/**
+ * Suggests the best volunteers for a request
+ * 
+ * @param {Object} req - Express request with ticketId param
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with ranked suggestions
+ */
+const getAssignmentSuggestions = async (req, res) => {
+  try {
+    const suggestions = await assignmentService.suggestVolunteers(req.params.ticketId);
+
+    return res.status(200).json({
+      success: true,
+      data: suggestions.map(({ volunteer, activeCases, score, reasons }) => ({
+        volunteerId: volunteer.id,
+        name: volunteer.name,
+        languages: volunteer.languages,
+        specialties: volunteer.specialties,
+        maxActiveCases: volunteer.maxActiveCases,
+        activeCases,
+        score,
+        reasons
+      }))
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to load volunteer suggestions');
+  }
+};
+
+/**
+ * Assigns or reassigns a request to a volunteer
+ * 
+ * Request Body:
+ * {
+ *   volunteerId: string,
+ *   override: boolean  // assign even if unavailable or at capacity
+ * }
+ * 
+ * @param {Object} req - Express request with ticketId param
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the assignment and new status
+ */
+const assignRequest = async (req, res) => {
+  try {
+    const { volunteerId, override = false } = req.body || {};
+
+    if (!volunteerId || typeof volunteerId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'volunteerId is required'
+      });
+    }
+
+    const updatedRequest = await assignmentService.assignVolunteer(req.params.ticketId, volunteerId, {
+      assignedBy: req.user,
+      override: override === true
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ticketId: updatedRequest.ticketId,
+        status: updatedRequest.status,
+        assignedVolunteer: updatedRequest.assignedVolunteer,
+        assignedBy: updatedRequest.assignedBy,
+        assignedAt: updatedRequest.assignedAt
+      }
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to assign the request');
+  }
+};
+
+/**
+ * Confirms or corrects the urgency of a request waiting for human review
+ * 
+ * Body: { urgency: 'Low' | 'Medium' | 'High', reason? }
+ * 
+ * @param {Object} req - Express request with ticketId param and logged-in user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the reviewed urgency
+ */
+const reviewTriage = async (req, res) => {
+  try {
+    const { urgency, reason } = req.body || {};
+
+    const updatedRequest = await triageReviewService.completeReview(req.params.ticketId, {
+      urgency,
+      reason,
+      reviewer: req.user
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ticketId: updatedRequest.ticketId,
+        urgency: updatedRequest.urgency,
+        sla: toSlaView(updatedRequest),
+        humanReview: updatedRequest.humanReview
+      }
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to save the triage review');
+  }
+};
+
+/**
+ * Overrides the urgency of an open request
+ * 
+ * Body: { urgency: 'Low' | 'Medium' | 'High', reason }
+ * The SLA window restarts at the new urgency.
+ * 
+ * @param {Object} req - Express request with ticketId param and logged-in user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new urgency
+ */
+const overrideUrgency = async (req, res) => {
+  try {
+    const { urgency, reason } = req.body || {};
+
+    const updatedRequest = await triageReviewService.overrideUrgency(req.params.ticketId, {
+      urgency,
+      reason,
+      user: req.user
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ticketId: updatedRequest.ticketId,
+        urgency: updatedRequest.urgency,
+        sla: toSlaView(updatedRequest)
+      }
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to change the urgency');
+  }
+};
+
+/**
+ * Adds a note to a request
+ * 
+ * Body: { text, patientVisible? }
+ * patientVisible notes are shown on the patient's "Track my request" page.
+ * 
+ * @param {Object} req - Express request with ticketId param and logged-in user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new activity entry
+ */
+const addNote = async (req, res) => {
+  try {
+    const { text, patientVisible } = req.body || {};
+
+    const note = await requestNoteService.addNote(req.params.ticketId, {
+      text,
+      patientVisible,
+      author: req.user
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: note
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to save the note');
+  }
+};
+
+/**
+ * Returns the activity log of a request, oldest first
+ * 
+ * @param {Object} req - Express request with ticketId param
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the activity entries
+ */
+const getActivity = async (req, res) => {
+  try {
+    const request = await supportRequestRepository.findByTicketId(req.params.ticketId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'No support request found with this ticket ID'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await activityService.getActivity(request)
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to load the activity log');
+  }
+};
+
+/**
+ * Acknowledges the on-call alert of an urgent request
+ * 
+ * Stops the escalation to the backup coordinator.
+ * 
+ * @param {Object} req - Express request with ticketId param and logged-in user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the acknowledged alert
+ */
+const acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await alertService.acknowledgeAlert(req.params.ticketId, req.user);
+
+    return res.status(200).json({
+      success: true,
+      data: alert
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to acknowledge the alert');
+  }
+};
+
+module.exports = {
+  listRequests,
+  getRequestDetail,
+  getAssignmentSuggestions,
+  assignRequest,
+  reviewTriage,
+  overrideUrgency,
+  addNote,
+  getActivity,
+  acknowledgeAlert
+};
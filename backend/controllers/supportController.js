@@ -1,62 +1,177 @@
 /**
  * Support Controller - Handles patient support request processing
  * 
- * This controller receives validated patient data, delegates
- * AI processing to the service layer, and formats the response.
+ * This controller receives patient data, delegates validation,
+ * AI processing and storage to supportRequestService, and
+ * formats the response.
  */
 
-const aiService = require('../services/aiService');
-const { validateSupportRequest } = require('../utils/validators');
+const statusService = require('../services/statusService');
+const supportRequestService = require('../services/supportRequestService');
+const trackingService = require('../services/trackingService');
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const { COORDINATOR_ROLES } = require('../services/authService');
+const { isAssignedToUser } = require('../services/volunteerService');
+const { sendError } = require('../utils/errorHandler');
 
 /**
  * Handles incoming support requests from patients
  * 
  * @param {Object} req - Express request object containing patient data
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with summary and urgency level
+ * @returns {Object} JSON response with ticket ID, summary and urgency level
  */
 const handleSupportRequest = async (req, res) => {
   try {
-    const { name, age, issueCategory, description } = req.body;
+    const {
+      name, age, issueCategory, description, phone, email, contactChannel, contactTime, language
+    } = req.body;
 
-    // Validate incoming request data
-    const validationError = validateSupportRequest({ name, age, issueCategory, description });
-    if (validationError) {
-      return res.status(400).json({
+    // Validates, analyses, stores and queues the request
+    const data = await supportRequestService.createSupportRequest({
+      name,
+      age,
+      issueCategory,
+      description,
+      phone,
+      email,
+      contactChannel,
+      contactTime,
+      language
+    });
+
+    // Return successful response with AI analysis and ticket reference
+    return res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to process your request');
+  }
+};
+
+/**
+ * Returns the current status and status history of a request
+ * 
+ * Only lifecycle information is returned, never patient details,
+ * so knowing a ticket ID does not expose any personal data.
+ * 
+ * @param {Object} req - Express request with ticketId param
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with status data
+ */
+const getRequestStatus = async (req, res) => {
+  try {
+    const request = await supportRequestRepository.findByTicketId(req.params.ticketId);
+    if (!request) {
+      return res.status(404).json({
         success: false,
-        error: validationError
+        error: 'No support request found with this ticket ID'
       });
     }
 
-    // Process the patient's issue using AI service
-    const aiResponse = await aiService.processPatientIssue({
-      name,
-      age,
-      issueCategory,
-      description
+    return res.status(200).json({
+      success: true,
+      data: statusService.toStatusView(request)
     });
 
-    // Return successful response with AI analysis
+  } catch (error) {
+    return sendError(res, error, 'Failed to fetch request status');
+  }
+};
+
+/**
+ * Looks up a request for the patient ("Track my request")
+ * 
+ * The tracking code is sent in the body, not the URL, so it does not
+ * end up in server or proxy logs.
+ * 
+ * Request Body:
+ * {
+ *   trackingCode: string  // 6-digit code given on submission
+ * }
+ * 
+ * @param {Object} req - Express request with ticketId param
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the patient's view of the request
+ */
+const trackRequest = async (req, res) => {
+  try {
+    const { trackingCode } = req.body || {};
+    const data = await trackingService.lookupRequest(req.params.ticketId, trackingCode);
+
     return res.status(200).json({
       success: true,
-      data: {
-        patientName: name,
-        category: issueCategory,
-        summary: aiResponse.summary,
-        urgency: aiResponse.urgency
-      }
+      data
     });
 
   } catch (error) {
-    console.error('Error processing support request:', error.message);
-    
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to process your request. Please try again later.'
+    return sendError(res, error, 'Failed to look up your request');
+  }
+};
+
+/**
+ * Moves a request to a new status
+ * 
+ * The status service enforces the allowed transitions and
+ * responds with 409 Conflict for any transition that is not allowed.
+ * Volunteers can only move requests assigned to them (403 otherwise).
+ * 
+ * @param {Object} req - Express request with ticketId param and { status } body
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated status data
+ */
+const updateRequestStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!status || typeof status !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Status is required'
+      });
+    }
+
+    // "assigned" always needs a volunteer, so it goes through the assignment endpoint
+    if (status === 'assigned') {
+      return res.status(400).json({
+        success: false,
+        error: 'Assign a volunteer with POST /api/support-requests/:ticketId/assignment'
+      });
+    }
+
+    const request = await supportRequestRepository.findByTicketId(req.params.ticketId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Support request not found'
+      });
+    }
+
+    // Volunteers may only move the requests assigned to them
+    if (!COORDINATOR_ROLES.includes(req.user.role) && !await isAssignedToUser(req.user, request)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the assigned volunteer or a coordinator can change the status of this request'
+      });
+    }
+
+    const updatedRequest = await statusService.transitionStatus(request.ticketId, status, {}, req.user);
+
+    return res.status(200).json({
+      success: true,
+      data: statusService.toStatusView(updatedRequest)
     });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to update request status');
   }
 };
 
 module.exports = {
-  handleSupportRequest
+  handleSupportRequest,
+  getRequestStatus,
+  trackRequest,
+  updateRequestStatus
 };
@@ -0,0 +1,79 @@
+/**
+ * Volunteer Controller - Volunteer profile management
+ * 
+ * Lets coordinators see every volunteer with their current workload
+ * and create or update profiles (languages, specialties, capacity,
+ * availability) used by the assignment engine.
+ */
+
+const volunteerService = require('../services/volunteerService');
+const { sendError } = require('../utils/errorHandler');
+
+/**
+ * Lists all volunteers with their active case count
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the volunteer list
+ */
+const listVolunteers = async (req, res) => {
+  try {
+    const volunteers = await volunteerService.listVolunteers();
+
+    return res.status(200).json({
+      success: true,
+      data: volunteers
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to load volunteers');
+  }
+};
+
+/**
+ * Creates a volunteer profile
+ * 
+ * @param {Object} req - Express request with profile fields in the body
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new profile
+ */
+const createVolunteer = async (req, res) => {
+  try {
+    const volunteer = await volunteerService.createVolunteer(req.body || {});
+
+    return res.status(201).json({
+      success: true,
+      data: volunteer
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to create volunteer');
+  }
+};
+
+/**
+ * Updates a volunteer profile (e.g. availability or capacity)
+ * 
+ * @param {Object} req - Express request with id param and changed fields in the body
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated profile
+ */
+const updateVolunteer = async (req, res) => {
+  try {
+    const volunteer = await volunteerService.updateVolunteer(req.params.id, req.body || {});
+
+    return res.status(200).json({
+      success: true,
+      data: volunteer
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Failed to update volunteer');
+  }
+};
+
+module.exports = {
+  listVolunteers,
+  createVolunteer,
+  updateVolunteer
+};
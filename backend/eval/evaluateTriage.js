@@ -0,0 +1,350 @@
+/**
+ * Triage Evaluation - Urgency and chatbot intent accuracy on a labelled corpus
+ *
+ * USAGE:
+ *   npm run eval:triage
+ *   npm run eval:triage -- --update-baseline
+ *
+ * triageCorpus.json holds labelled cases:
+ * - requests: patient descriptions with the expected urgency, and
+ *   optionally words the summary must mention (summaryMentions) and
+ *   tags ("emergency", "self-harm")
+ * - chat: chatbot messages with the expected intent, optionally after
+ *   a previous message in the same session (follow-up questions)
+ * - injection: texts with whether the prompt injection check
+ *   (utils/abuseDetector.js) must flag them - clinical text such as
+ *   "heart rate high" must not be
+ * - spam: texts with whether the spam check must flag them - patients
+ *   writing "I work from home" or "we cannot make money for the rent"
+ *   must not be
+ * - redaction: texts with whether the PII redactor
+ *   (utils/piiRedactor.js) must mask something - a pincode must be,
+ *   lab readings such as "platelets 150000" must not
+ *
+ * Every request runs through the rule engine and through each model
+ * provider configured in .env (AI_PROVIDERS, see aiProviders/) - each
+ * on its own, without fallback. Every chat message runs through the
+ * chatbot in a new session. For each engine this prints the accuracy
+ * per language, a confusion matrix and every mismatch.
+ *
+ * REGRESSIONS:
+ * Rule engine and chatbot results are compared with triageBaseline.json.
+ * A case that was right in the baseline and is wrong now is a regression,
+ * and the command exits with code 1 - so keyword changes can be made
+ * safely. After an intended change, --update-baseline saves the current
+ * results. Model providers are reported only: their answers vary.
+ *
+ * SAFETY:
+ * A request tagged "emergency" or "self-harm" must be High for every
+ * engine, rule engine and models alike. Anything lower fails the
+ * command whatever the baseline says, and such results are never saved
+ * as the baseline.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+// Nothing written to disk
+process.env.STORAGE_DRIVER = 'memory';
+
+const { getProviders } = require('../aiProviders');
+const { createRulesProvider } = require('../aiProviders/rulesProvider');
+const chatbotService = require('../services/chatbotService');
+const { detectInjection, detectSpam } = require('../utils/abuseDetector');
+const { redactPII } = require('../utils/piiRedactor');
+
+const CORPUS_PATH = path.join(__dirname, 'triageCorpus.json');
+const BASELINE_PATH = path.join(__dirname, 'triageBaseline.json');
+const URGENCY_LEVELS = ['High', 'Medium', 'Low'];
+const SAFETY_TAGS = ['emergency', 'self-harm'];
+
+// Chat sessions for romanized Hindi use the Hindi locale, as in the app
+const SESSION_LANGUAGES = { hi: 'hi', hiLatn: 'hi' };
+
+/**
+ * Runs every request through one provider
+ *
+ * @returns {Promise<Object>} Results by case id: { urgency, summaryProblems }
+ *   urgency is "error" if the provider failed
+ */
+const runProvider = async (provider, requests) => {
+  const results = {};
+
+  for (const { id, description, category, age, summaryMentions = [] } of requests) {
+    try {
+      const { urgency, summary } = await provider.analyze({
+        name: 'Corpus Patient',
+        age,
+        issueCategory: category,
+        description
+      });
+      const lowerSummary = (summary || '').toLowerCase();
+      const summaryProblems = lowerSummary.length === 0
+        ? ['summary is empty']
+        : summaryMentions
+          .filter(word => !lowerSummary.includes(word.toLowerCase()))
+          .map(word => `summary does not mention "${word}"`);
+
+      results[id] = { urgency, summaryProblems };
+    } catch (error) {
+      results[id] = { urgency: 'error', summaryProblems: [error.message] };
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Runs every chat message through the chatbot, each in a new session
+ * (after its previousMessage, if any)
+ *
+ * @returns {Promise<Object>} Intent by case id
+ */
+const runChatbot = async (chat) => {
+  const results = {};
+
+  for (const { id, message, previousMessage, language, category } of chat) {
+    const options = { language: SESSION_LANGUAGES[language], category };
+    if (previousMessage) {
+      const { sessionId } = await chatbotService.processMessage(previousMessage, options);
+      options.sessionId = sessionId;
+    }
+    const { intent } = await chatbotService.processMessage(message, options);
+    results[id] = intent;
+  }
+
+  return results;
+};
+
+/**
+ * Accuracy overall and per language
+ *
+ * @param {Object[]} cases - Corpus entries with id, language and expected
+ * @param {Function} isCorrect - (entry) => boolean
+ */
+const printAccuracy = (cases, isCorrect) => {
+  const byLanguage = {};
+  cases.forEach(entry => {
+    const stats = byLanguage[entry.language] || (byLanguage[entry.language] = { correct: 0, total: 0 });
+    stats.total += 1;
+    if (isCorrect(entry)) stats.correct += 1;
+  });
+
+  const correct = cases.filter(isCorrect).length;
+  console.log(`Accuracy ${correct}/${cases.length} (${Math.round((correct / cases.length) * 100)}%)`);
+  Object.entries(byLanguage).forEach(([language, stats]) => {
+    console.log(`  ${language.padEnd(8)} ${stats.correct}/${stats.total}`);
+  });
+};
+
+/**
+ * Urgency confusion matrix: rows are the expected level, columns the result
+ */
+const printConfusionMatrix = (requests, results) => {
+  const columns = [...URGENCY_LEVELS];
+  if (requests.some(({ id }) => results[id].urgency === 'error')) columns.push('error');
+
+  console.log(`\n  ${'expected \\ got'.padEnd(16)}${columns.map(column => column.padStart(8)).join('')}`);
+  URGENCY_LEVELS.forEach(expected => {
+    const counts = columns.map(column =>
+      requests.filter(({ id, expectedUrgency }) => expectedUrgency === expected && results[id].urgency === column).length
+    );
+    console.log(`  ${expected.padEnd(16)}${counts.map(count => String(count).padStart(8)).join('')}`);
+  });
+};
+
+/**
+ * Prints one engine's urgency report
+ */
+const reportRequests = (title, requests, results) => {
+  console.log(`\n${title}`);
+  console.log('-'.repeat(title.length));
+  printAccuracy(requests, ({ id, expectedUrgency }) => results[id].urgency === expectedUrgency);
+
+  const summaryChecks = requests.filter(({ id }) => results[id].summaryProblems.length === 0).length;
+  console.log(`Summary checks ${summaryChecks}/${requests.length}`);
+
+  printConfusionMatrix(requests, results);
+
+  const mismatches = requests.filter(({ id, expectedUrgency }) =>
+    results[id].urgency !== expectedUrgency || results[id].summaryProblems.length > 0
+  );
+  if (mismatches.length > 0) {
+    console.log(`\n  ${mismatches.length} mismatch(es):`);
+    mismatches.forEach(({ id, expectedUrgency }) => {
+      const { urgency, summaryProblems } = results[id];
+      const problems = [
+        ...(urgency !== expectedUrgency ? [`expected ${expectedUrgency}, got ${urgency}`] : []),
+        ...summaryProblems
+      ];
+      console.log(`    ${id}: ${problems.join('; ')}`);
+    });
+  }
+};
+
+/**
+ * Prints the chatbot's intent report
+ */
+const reportChat = (chat, results) => {
+  const title = 'Chatbot intents';
+  console.log(`\n${title}`);
+  console.log('-'.repeat(title.length));
+  printAccuracy(chat, ({ id, expectedIntent }) => results[id] === expectedIntent);
+
+  const mismatches = chat.filter(({ id, expectedIntent }) => results[id] !== expectedIntent);
+  if (mismatches.length > 0) {
+    console.log(`\n  ${mismatches.length} mismatch(es):`);
+    mismatches.forEach(({ id, expectedIntent }) => {
+      console.log(`    ${id}: expected ${expectedIntent}, got ${results[id]}`);
+    });
+  }
+};
+
+/**
+ * Safety cases (SAFETY_TAGS) that one engine scored below High
+ *
+ * @returns {string[]} One line per failure
+ */
+const findSafetyFailures = (engine, requests, results) => {
+  return requests
+    .filter(({ tags = [] }) => tags.some(tag => SAFETY_TAGS.includes(tag)))
+    .filter(({ id }) => results[id].urgency !== 'High')
+    .map(({ id, tags }) => `${engine} ${id} (${tags.join(', ')}): ${results[id].urgency}, must be High`);
+};
+
+/**
+ * Prints the report of one text check (prompt injection, spam or PII)
+ *
+ * These checks are plain patterns, so every case must pass - they are
+ * not compared with the baseline.
+ *
+ * @param {string} title - Report heading
+ * @param {string} name - Check name in the failure lines
+ * @param {Object[]} cases - Corpus entries with id, language and text
+ * @param {Function} detect - (text) => what was found, [{ id }]
+ * @param {Function} isExpected - (entry) => whether the check must flag it
+ * @returns {string[]} One line per wrong case
+ */
+const reportTextCheck = (title, name, cases, detect, isExpected) => {
+  console.log(`\n${title}`);
+  console.log('-'.repeat(title.length));
+
+  const flagged = Object.fromEntries(cases.map(({ id, text }) => [id, detect(text)]));
+  const isCorrect = (entry) => (flagged[entry.id].length > 0) === isExpected(entry);
+  printAccuracy(cases, isCorrect);
+
+  return cases.filter(entry => !isCorrect(entry)).map(entry => (isExpected(entry)
+    ? `${name} ${entry.id}: not flagged`
+    : `${name} ${entry.id}: flagged (${flagged[entry.id].map(signal => signal.id).join(', ')})`));
+};
+
+/**
+ * Cases that were right in the baseline and are wrong now
+ *
+ * @returns {string[]} One line per regression
+ */
+const findRegressions = (corpus, baseline, rules, chat) => {
+  const regressions = [];
+
+  corpus.requests.forEach(({ id, expectedUrgency }) => {
+    const before = baseline.rules[id];
+    if (!before) return;
+    if (before.urgency === expectedUrgency && rules[id].urgency !== expectedUrgency) {
+      regressions.push(`rules ${id}: was ${before.urgency}, now ${rules[id].urgency}`);
+    }
+    if (before.summaryOk && rules[id].summaryProblems.length > 0) {
+      regressions.push(`rules ${id}: ${rules[id].summaryProblems.join('; ')}`);
+    }
+  });
+
+  corpus.chat.forEach(({ id, expectedIntent }) => {
+    const before = baseline.chat[id];
+    if (before === expectedIntent && chat[id] !== expectedIntent) {
+      regressions.push(`chatbot ${id}: was ${before}, now ${chat[id]}`);
+    }
+  });
+
+  return regressions;
+};
+
+const run = async () => {
+  const corpus = JSON.parse(fs.readFileSync(CORPUS_PATH, 'utf8'));
+  const updateBaseline = process.argv.includes('--update-baseline');
+
+  const rules = await runProvider(createRulesProvider(), corpus.requests);
+  reportRequests('Rule engine urgency', corpus.requests, rules);
+  const safetyFailures = findSafetyFailures('rules', corpus.requests, rules);
+
+  const modelProviders = getProviders().filter(provider => provider.name !== 'rules');
+  for (const provider of modelProviders) {
+    const results = await runProvider(provider, corpus.requests);
+    reportRequests(`${provider.name} (${provider.model}) urgency`, corpus.requests, results);
+    safetyFailures.push(...findSafetyFailures(provider.name, corpus.requests, results));
+  }
+  if (modelProviders.length === 0) {
+    console.log('\nNo model providers configured (AI_PROVIDERS) - only the rule engine was evaluated.');
+  }
+
+  const chat = await runChatbot(corpus.chat);
+  reportChat(corpus.chat, chat);
+
+  const textCheckFailures = [
+    ...reportTextCheck('Prompt injection check', 'injection', corpus.injection, detectInjection,
+      ({ expectedInjection }) => expectedInjection),
+    ...reportTextCheck('Spam check', 'spam', corpus.spam, text => detectSpam({ description: text }),
+      ({ expectedSpam }) => expectedSpam),
+    ...reportTextCheck('PII redaction', 'redaction', corpus.redaction,
+      text => Object.keys(redactPII(text).categories).map(id => ({ id })),
+      ({ expectedMasked }) => expectedMasked)
+  ];
+  if (textCheckFailures.length > 0) {
+    console.log(`\n${textCheckFailures.length} prompt injection, spam or redaction case(s) wrong:`);
+    textCheckFailures.forEach(failure => console.log(`  ${failure}`));
+    process.exitCode = 1;
+  }
+
+  if (safetyFailures.length > 0) {
+    console.log(`\n${safetyFailures.length} emergency or self-harm case(s) below High:`);
+    safetyFailures.forEach(failure => console.log(`  ${failure}`));
+    process.exitCode = 1;
+  }
+
+  const current = {
+    rules: Object.fromEntries(Object.entries(rules).map(([id, { urgency, summaryProblems }]) =>
+      [id, { urgency, summaryOk: summaryProblems.length === 0 }]
+    )),
+    chat
+  };
+
+  if (updateBaseline && safetyFailures.length > 0) {
+    console.log('\nBaseline not saved - fix the emergency or self-harm cases first.');
+    return;
+  }
+
+  if (updateBaseline) {
+    fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(current, null, 2)}\n`);
+    console.log(`\nBaseline saved to ${path.relative(process.cwd(), BASELINE_PATH)}.`);
+    return;
+  }
+
+  if (!fs.existsSync(BASELINE_PATH)) {
+    console.log('\nNo baseline yet - run with --update-baseline to save one.');
+    return;
+  }
+
+  const regressions = findRegressions(corpus, JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')), rules, chat);
+  if (regressions.length > 0) {
+    console.log(`\n${regressions.length} regression(s) against the baseline:`);
+    regressions.forEach(regression => console.log(`  ${regression}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\nNo regressions against the baseline.');
+};
+
+run().catch(error => {
+  console.error('Triage evaluation failed to run:', error);
+  process.exitCode = 1;
+});
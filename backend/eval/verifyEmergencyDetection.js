@@ -0,0 +1,106 @@
+/**
+ * Emergency Detection Check - Runs the emergency corpus through every path
+ *
+ * USAGE:
+ *   npm run eval:emergency
+ *
+ * Every sentence in emergencyCorpus.json is labelled with the emergency
+ * signal it should trigger (or null). For each one this checks that:
+ * 1. The emergency detector finds the expected signal (and nothing for null)
+ * 2. The chatbot answers with its emergency reply (and only then)
+ * 3. Urgency classification (rule-based aiService) rates emergencies High
+ *
+ * Prints detection per language and every mismatch; exits with code 1 if
+ * anything does not match, so it can run in CI.
+ */
+
+// Rule-based classification only, and nothing written to disk
+process.env.OPENAI_API_KEY = '';
+process.env.AI_PROVIDERS = 'rules';
+process.env.STORAGE_DRIVER = 'memory';
+
+const path = require('path');
+const fs = require('fs');
+const { detectEmergency } = require('../utils/emergencyDetector');
+const chatbotService = require('../services/chatbotService');
+const aiService = require('../services/aiService');
+
+const CORPUS_PATH = path.join(__dirname, 'emergencyCorpus.json');
+
+/**
+ * Checks one corpus entry and returns a list of problems (empty if it passes)
+ */
+const checkCase = async ({ text, expected }) => {
+  const problems = [];
+  const isEmergency = expected !== null;
+
+  const { signals } = detectEmergency(text);
+  const signalIds = signals.map(signal => signal.id);
+  if (isEmergency && !signalIds.includes(expected)) {
+    problems.push(`detector: expected "${expected}", got [${signalIds.join(', ')}]`);
+  }
+  if (!isEmergency && signalIds.length > 0) {
+    problems.push(`detector: expected no signal, got [${signalIds.join(', ')}]`);
+  }
+
+  // No language is passed: emergencies must be caught in any session
+  const { intent } = await chatbotService.processMessage(text);
+  if ((intent === 'emergency') !== isEmergency) {
+    problems.push(`chatbot: intent "${intent}"`);
+  }
+
+  // Severity words may raise other requests to High, so only emergencies are checked
+  if (isEmergency) {
+    const { urgency } = await aiService.processPatientIssue({
+      name: 'Corpus Patient',
+      age: 30,
+      issueCategory: 'general',
+      description: text
+    });
+    if (urgency !== 'High') {
+      problems.push(`aiService: urgency "${urgency}"`);
+    }
+  }
+
+  return problems;
+};
+
+const run = async () => {
+  const corpus = JSON.parse(fs.readFileSync(CORPUS_PATH, 'utf8'));
+  const byLanguage = {};
+  const failures = [];
+
+  for (const entry of corpus) {
+    const problems = await checkCase(entry);
+    const stats = byLanguage[entry.language] || (byLanguage[entry.language] = { passed: 0, total: 0 });
+    stats.total += 1;
+    if (problems.length === 0) {
+      stats.passed += 1;
+    } else {
+      failures.push({ entry, problems });
+    }
+  }
+
+  console.log('Emergency detection corpus');
+  console.log('--------------------------');
+  Object.entries(byLanguage).forEach(([language, { passed, total }]) => {
+    console.log(`${language.padEnd(8)} ${passed}/${total} passed`);
+  });
+
+  if (failures.length > 0) {
+    console.log(`\n${failures.length} mismatch(es):`);
+    failures.forEach(({ entry, problems }) => {
+      console.log(`\n  "${entry.text}" (${entry.language}, expected ${entry.expected})`);
+      problems.forEach(problem => console.log(`    - ${problem}`));
+    });
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`\nAll ${corpus.length} cases passed.`);
+};
+
+run().catch(error => {
+  console.error('Emergency detection check failed to run:', error);
+  process.exitCode = 1;
+});
@@ -11,15 +11,46 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const supportRoutes = require('./routes/supportRoutes');
+const requestRoutes = require('./routes/requestRoutes');
 const chatbotRoutes = require('./routes/chatbotRoutes');
+const authRoutes = require('./routes/authRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const volunteerRoutes = require('./routes/volunteerRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const onCallRoutes = require('./routes/onCallRoutes');
+const { ensureAdminUser, getTokenSecret } = require('./services/authService');
+const { startSlaMonitor } = require('./services/slaService');
+const { startNotificationRetryWorker } = require('./services/notificationService');
+const { startAlertMonitor } = require('./services/alertService');
+const { getProviders } = require('./aiProviders');
+const { CHANNELS, getChannel } = require('./notifications');
 const { errorHandler, notFoundHandler } = require('./utils/errorHandler');
 
+// Fail fast on a misconfigured AI_PROVIDERS instead of on the first request
+const aiProviders = getProviders();
+console.log(`AI providers: ${aiProviders.map(provider => provider.name).join(' → ')}`);
+
+// Same for the notification drivers (NOTIFY_*_DRIVER)
+const notificationChannels = CHANNELS.map(getChannel);
+console.log(`Notifications: ${notificationChannels.map(channel => `${channel.channel} → ${channel.driver}`).join(', ')}`);
+
+// And on a missing or example AUTH_SECRET in production
+getTokenSecret();
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware Configuration
-// Enable CORS for all origins (safe for public API, adjust as needed)
-app.use(cors({ origin: '*', methods: ['GET', 'POST'] }));
+// CORS_ORIGIN limits which sites may call the API (comma-separated list).
+// Defaults to all origins; set it to the frontend URL in production.
+const corsOrigin = process.env.CORS_ORIGIN
+  ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim())
+  : '*';
+app.use(cors({
+  origin: corsOrigin,
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization']
+}));
 app.use(express.json());
 
 // Health check endpoint for deployment verification
@@ -29,7 +60,13 @@ app.get('/api/health', (req, res) => {
 
 // API Routes
 app.use('/api', supportRoutes);
+app.use('/api/support-requests', requestRoutes);
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/volunteers', volunteerRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/on-call', onCallRoutes);
 
 // Error Handling
 app.use(notFoundHandler);
@@ -39,3 +76,17 @@ app.use(errorHandler);
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// Flag and escalate requests that are missing their response-time SLA
+startSlaMonitor();
+
+// Retry notifications that could not be delivered
+startNotificationRetryWorker();
+
+// Escalate on-call pages that nobody acknowledged
+startAlertMonitor();
+
+// Create the first admin account if configured
+ensureAdminUser().catch(error => {
+  console.error('Failed to create admin account:', error.message);
+});
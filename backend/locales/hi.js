@@ -0,0 +1,344 @@
+/**
+ * Hindi (हिन्दी) translations for the backend
+ *
+ * Keys mirror the English text in the code that uses it:
+ * - chatbot: FAQ_INTENTS (by intent id) and the other replies in chatbotService
+ * - categories: labels and chatbot texts from config/categories.js (by value)
+ * - intake: the questions asked by chatIntakeService
+ * - urgency: urgency level names shown to patients
+ * - notifications: PATIENT_TEMPLATES and ACKNOWLEDGEMENTS from
+ *   config/notificationTemplates.js
+ *
+ * Keywords are matched in addition to the English ones, so patients can
+ * mix Hindi, Romanized Hindi ("dawai") and English. followUps are
+ * matched by position with the English followUps of the same intent.
+ * Emergency phrases are not listed here: they are in the shared
+ * emergency lexicon (config/emergencyLexicon.js).
+ */
+
+module.exports = {
+  chatbot: {
+    intents: {
+      greeting: {
+        keywords: ['नमस्ते', 'नमस्कार', 'प्रणाम', 'namaskar', 'pranam'],
+        response: 'नमस्ते! जरूरत केयर में आपका स्वागत है। मैं हमारी स्वास्थ्य सहायता सेवाओं के बारे में आपके सवालों का जवाब देने के लिए यहाँ हूँ। मैं आपकी क्या मदद कर सकता हूँ?'
+      },
+      services: {
+        keywords: ['क्या सेवा', 'कौन सी सेवा', 'क्या मदद', 'सेवाएं', 'सेवाएँ', 'kya madad', 'kya seva'],
+        response: `जरूरत केयर ये स्वास्थ्य सहायता सेवाएं देता है:
+
+• चिकित्सा सहायता समन्वय - आपको सही स्वास्थ्य संसाधनों से जोड़ना
+• मानसिक स्वास्थ्य सहायता के लिए रेफ़रल
+• आपातकालीन सहायता मार्गदर्शन
+• फॉलो-अप देखभाल समन्वय
+
+ध्यान दें: हम एक सहायता सेवा हैं, चिकित्सा प्रदाता नहीं।`
+      },
+      response_time: {
+        keywords: ['कितना समय', 'कितने दिन', 'कब तक', 'कब जवाब', 'kitna samay', 'kab tak'],
+        response: `जवाब का समय आपके अनुरोध की प्राथमिकता पर निर्भर करता है:
+
+• उच्च प्राथमिकता: जितनी जल्दी हो सके (आमतौर पर कुछ घंटों में)
+• मध्यम प्राथमिकता: 24-48 घंटों में
+• निम्न प्राथमिकता: 3-5 कार्य दिवसों में
+
+एक स्वयंसेवक आपके अनुरोध की समीक्षा करके प्राथमिकता के अनुसार आपसे संपर्क करेगा।`
+      },
+      medical_service: {
+        keywords: ['डॉक्टर', 'इलाज', 'दवा', 'दवाई', 'जांच', 'doctor sahab', 'ilaj', 'dawai', 'dawa'],
+        response: `ज़रूरी: जरूरत केयर एक सहायता समन्वय सेवा है, चिकित्सा प्रदाता नहीं।
+
+हम ये नहीं कर सकते:
+• बीमारी का निदान
+• दवा लिखना
+• इलाज करना
+
+हम आपको आपके क्षेत्र के योग्य डॉक्टरों और स्वास्थ्य सेवाओं से जोड़ सकते हैं। स्वास्थ्य संबंधी चिंता के लिए कृपया किसी लाइसेंस प्राप्त डॉक्टर से सलाह लें।`,
+        followUps: [
+          {
+            keywords: ['कितना समय', 'कब', 'इंतज़ार', 'कितनी जल्दी', 'kab', 'kitna samay'],
+            response: 'आपके अनुरोध की समीक्षा के बाद स्वयंसेवक आपको डॉक्टर से जोड़ेंगे - ज़रूरी होने पर कुछ घंटों में, मध्यम प्राथमिकता पर 24-48 घंटों में और निम्न प्राथमिकता पर 3-5 कार्य दिवसों में। आज ही डॉक्टर चाहिए तो नज़दीकी सरकारी अस्पताल जाएं या 104 पर कॉल करें।'
+          }
+        ]
+      },
+      emergency: {
+        response: `⚠️ ज़रूरी: अगर यह मेडिकल इमरजेंसी है, तो तुरंत आपातकालीन सेवाओं को कॉल करें।
+
+• आपातकालीन नंबर: 112
+• एम्बुलेंस: 102
+• स्वास्थ्य हेल्पलाइन: 104
+
+यह चैटबॉट आपातकालीन चिकित्सा सहायता नहीं दे सकता। कृपया इंतज़ार न करें - अभी कॉल करें।
+
+अगर यह इमरजेंसी नहीं है, तो एक स्वयंसेवक आपके अनुरोध की समीक्षा करके आपसे संपर्क करेगा।`,
+        followUps: [
+          {
+            keywords: ['कितना समय', 'कब', 'कितनी जल्दी', 'इंतज़ार', 'kab', 'kitni jaldi'],
+            response: 'इमरजेंसी अनुरोधों को सबसे ऊँची प्राथमिकता मिलती है - स्वयंसेवक 2 घंटे के भीतर जवाब देने की कोशिश करते हैं। लेकिन हमारा इंतज़ार न करें: अभी 112 या 102 पर कॉल करें।'
+          }
+        ]
+      },
+      data_safety: {
+        keywords: ['गोपनीय', 'सुरक्षित', 'निजता', 'प्राइवेसी', 'मेरी जानकारी', 'surakshit', 'gopniya'],
+        response: `आपकी निजता हमारे लिए महत्वपूर्ण है:
+
+• आपकी जानकारी केवल आपके सहायता अनुरोध के लिए उपयोग होती है
+• प्रशिक्षित स्वयंसेवक पूरी गोपनीयता के साथ आपका मामला संभालते हैं
+• आपकी सहमति के बिना हम आपकी स्वास्थ्य जानकारी किसी तीसरे पक्ष को नहीं देते
+
+अधिक जानकारी के लिए हमारी सहायता टीम से संपर्क करें।`,
+        followUps: [
+          {
+            keywords: ['कौन', 'स्वयंसेवक', 'देख', 'kaun'],
+            response: 'आपकी जानकारी केवल आपके अनुरोध पर काम करने वाला स्वयंसेवक और हमारे एनजीओ समन्वयक देख सकते हैं। वे इसका उपयोग केवल आपकी मदद के लिए करते हैं।'
+          }
+        ]
+      },
+      volunteer: {
+        keywords: ['स्वयंसेवक', 'वालंटियर', 'कौन मदद', 'टीम', 'volunteer banna'],
+        response: `हमारे स्वयंसेवक प्रशिक्षित लोग हैं जो मरीज़ों को सही स्वास्थ्य सेवाओं तक पहुँचने में मदद करते हैं।
+
+वे आपके अनुरोध की समीक्षा करके आपको उपयुक्त संसाधनों से जोड़ने में मदद करेंगे।`
+      },
+      how_to_submit: {
+        keywords: ['अनुरोध कैसे', 'कैसे भेजें', 'फॉर्म', 'आवेदन', 'kaise bheje', 'form'],
+        response: `सहायता अनुरोध भेजने के लिए:
+
+1. हमारे पोर्टल पर मरीज़ सहायता फॉर्म भरें
+2. अपना नाम, उम्र और समस्या की श्रेणी बताएं
+3. अपनी स्वास्थ्य समस्या का विवरण लिखें
+4. "अनुरोध भेजें" पर क्लिक करें
+
+आप "अनुरोध शुरू करें" लिखकर यहीं चैट में भी अनुरोध भेज सकते हैं।`,
+        followUps: [
+          {
+            keywords: ['जानकारी', 'विवरण', 'क्या चाहिए', 'दस्तावेज़', 'kya chahiye'],
+            response: 'आपको केवल अपना नाम, उम्र, समस्या की श्रेणी और अपनी चिंता का छोटा सा विवरण देना है। आप चाहें तो मेरे साथ यहीं चैट में अनुरोध भर सकते हैं।'
+          }
+        ]
+      },
+      process: {
+        keywords: ['भेजने के बाद', 'आगे क्या', 'इसके बाद', 'aage kya'],
+        response: 'अनुरोध भेजने के बाद हमारी टीम विवरण की समीक्षा करती है और प्राथमिकता व श्रेणी के अनुसार एक स्वयंसेवक नियुक्त करती है। अगले कदमों के लिए जल्द से जल्द आपसे संपर्क किया जाएगा।'
+      },
+      category_support: {
+        keywords: ['मेरी श्रेणी', 'meri shreni']
+      },
+      cost: {
+        keywords: ['खर्च', 'शुल्क', 'फीस', 'पैसा', 'पैसे', 'मुफ्त', 'मुफ़्त', 'कितना लगेगा', 'kharcha', 'paisa', 'paise', 'kitna lagega', 'muft', 'fees'],
+        response: `जरूरत केयर एक एनजीओ है जो स्वास्थ्य सहायता समन्वय सेवाएं मुफ़्त देता है।
+
+हम इनके लिए कोई शुल्क नहीं लेते:
+• आपके सहायता अनुरोध की समीक्षा
+• आपको संसाधनों से जोड़ना
+• फॉलो-अप समन्वय
+
+ध्यान दें: अस्पताल या डॉक्टर की सेवाओं का अपना खर्च हो सकता है। हम आपको जोड़ने में मदद करते हैं, पर इलाज का खर्च नहीं उठा सकते।`,
+        followUps: [
+          {
+            keywords: ['दवा', 'दवाई', 'दवाइयाँ', 'दवाइयां', 'दवाइयों', 'दवाओं', 'गोली', 'dawai', 'dawa'],
+            response: 'दवाइयाँ ढूँढने में हमारी मदद मुफ़्त है, लेकिन दवाइयों का भुगतान फ़ार्मेसी को करना होता है। स्वयंसेवक आपको जन औषधि केंद्र जैसे सस्ते विकल्प और सरकारी योजनाएं बता सकते हैं।'
+          },
+          {
+            keywords: ['अस्पताल', 'डॉक्टर', 'जांच', 'इलाज', 'ऑपरेशन', 'aspatal', 'hospital'],
+            response: 'हम अस्पताल या डॉक्टर की फीस नहीं देते, लेकिन स्वयंसेवक सरकारी अस्पताल, मुफ़्त स्वास्थ्य शिविर और आयुष्मान भारत (PM-JAY) जैसी योजनाएं ढूँढने में मदद कर सकते हैं।'
+          },
+          {
+            keywords: ['एम्बुलेंस', 'ambulance'],
+            response: 'ज़्यादातर राज्यों में सरकारी एम्बुलेंस सेवाएं (102 / 108) मुफ़्त हैं। देखभाल की व्यवस्था में मदद के लिए हम कोई शुल्क नहीं लेते।'
+          },
+          {
+            keywords: ['कितना समय', 'कब', 'इंतज़ार', 'कितनी जल्दी', 'kab', 'kitna samay'],
+            response: 'खर्च में मदद स्वयंसेवक के आपके अनुरोध की समीक्षा करते ही शुरू होती है - ज़रूरी होने पर कुछ घंटों में, मध्यम प्राथमिकता पर 24-48 घंटों में और निम्न प्राथमिकता पर 3-5 कार्य दिवसों में। यह मदद पूरी तरह मुफ़्त रहती है।'
+          }
+        ]
+      },
+      mental_health: {
+        keywords: ['मानसिक', 'तनाव', 'चिंता', 'उदास', 'डिप्रेशन', 'अकेला', 'अकेलापन', 'tension', 'udaas', 'pareshan'],
+        response: `मानसिक स्वास्थ्य भी शारीरिक स्वास्थ्य जितना ही ज़रूरी है। जरूरत केयर आपको इनसे जोड़ सकता है:
+
+• मानसिक स्वास्थ्य सहायता संसाधन
+• काउंसलिंग सेवाओं के लिए रेफ़रल
+• संकट हेल्पलाइन की जानकारी
+
+आप अकेले नहीं हैं। "मानसिक स्वास्थ्य और भावनात्मक सहायता" श्रेणी में अनुरोध भेजें, एक स्वयंसेवक आपसे संपर्क करेगा।
+
+तुरंत बात करने के लिए:
+• iCall: 9152987821
+• वंद्रेवाला फ़ाउंडेशन: 1860-2662-345`,
+        followUps: [
+          {
+            keywords: ['कितना समय', 'कब', 'इंतज़ार', 'कितनी जल्दी', 'kab'],
+            response: 'मानसिक स्वास्थ्य के अनुरोधों को हमेशा कम से कम मध्यम प्राथमिकता मिलती है, इसलिए 24-48 घंटों में स्वयंसेवक संपर्क करेंगे। अभी किसी से बात करनी हो तो iCall: 9152987821 पर कॉल करें।'
+          },
+          {
+            keywords: ['खर्च', 'मुफ्त', 'मुफ़्त', 'फीस', 'पैसे', 'muft'],
+            response: 'हमारी सहायता और रेफ़रल मुफ़्त हैं, और जो हेल्पलाइन हम बताते हैं उन पर कॉल करना भी मुफ़्त है। निजी काउंसलिंग की फीस हो सकती है; स्वयंसेवक मुफ़्त या सस्ते विकल्प ढूँढने में मदद कर सकते हैं।'
+          }
+        ]
+      },
+      thanks: {
+        keywords: ['धन्यवाद', 'शुक्रिया', 'dhanyavad', 'shukriya'],
+        response: 'आपका स्वागत है! हम मदद के लिए यहाँ हैं। कोई और सवाल हो तो बेझिझक पूछें। अपना ख्याल रखें! 💚'
+      },
+      bye: {
+        keywords: ['अलविदा', 'फिर मिलेंगे', 'alvida'],
+        response: 'अपना ख्याल रखें! जब भी सहायता चाहिए, हम यहाँ हैं। आपके अच्छे स्वास्थ्य की कामना करते हैं! 💚'
+      }
+    },
+
+    // Messages that refer back to the previous topic ("और दवाइयों का क्या?")
+    followUpPatterns: [
+      /^(और|तो|लेकिन|पर)\s/,
+      /(का|के|की) क्या\s*\??$/,
+      /(इस|उस|इसके|उसके|इसका|उसका|इसमें|उसमें)\s/
+    ],
+
+    defaultResponse: `मैं समझता हूँ कि आपका एक सवाल है। मेरे पास इसका सटीक जवाब शायद न हो, लेकिन मैं इनमें मदद कर सकता हूँ:
+
+• हमारी सहायता सेवाओं की जानकारी
+• अनुरोध कैसे भेजें
+• जवाब मिलने का समय
+• डेटा की गोपनीयता
+• मानसिक स्वास्थ्य संसाधन
+
+अपनी स्वास्थ्य समस्या के लिए फॉर्म से सहायता अनुरोध भेजें - या "अनुरोध शुरू करें" लिखकर यहीं चैट में भेजें - एक स्वयंसेवक आपके मामले को खुद देखेगा।
+
+क्या मैं किसी और चीज़ में मदद कर सकता हूँ?`,
+
+    disclaimer: 'यह चैटबॉट केवल सामान्य मार्गदर्शन देता है। यह चिकित्सा सलाह, निदान या इलाज नहीं देता। स्वास्थ्य संबंधी चिंता के लिए कृपया किसी डॉक्टर से सलाह लें।',
+
+    categorySupport: {
+      none: 'अधिक सटीक मार्गदर्शन के लिए कृपया सहायता फॉर्म में एक श्रेणी चुनें।',
+      selected: (label) => `आपने यह श्रेणी चुनी है: ${label}। हमारे स्वयंसेवक इस क्षेत्र के लिए मार्गदर्शन और संसाधन देने के लिए प्रशिक्षित हैं। कोई और विवरण या सवाल हो तो बताएं!`
+    },
+
+    categoryGuidance: (label) => `यह ${label} से जुड़ा है, इसलिए हमारी टीम आपके अनुरोध की समीक्षा करके जल्द ही सामान्य मार्गदर्शन देगी।`,
+
+    // "कितना समय लगेगा?" after a category question, by the category's minimum urgency
+    categoryResponseTimes: {
+      High: (label) => `${label} के अनुरोधों को हमेशा सबसे ऊँची प्राथमिकता मिलती है - स्वयंसेवक 2 घंटे के भीतर जवाब देने की कोशिश करते हैं। अगर किसी की जान को खतरा है तो अभी 112 पर कॉल करें।`,
+      Medium: (label) => `${label} के अनुरोधों को हमेशा कम से कम मध्यम प्राथमिकता मिलती है, इसलिए 24-48 घंटों में स्वयंसेवक संपर्क करेंगे - ज़रूरी होने पर इससे पहले।`,
+      Low: (label) => `${label} के अनुरोधों का जवाब प्राथमिकता के अनुसार मिलता है - ज़रूरी होने पर कुछ घंटों में, मध्यम प्राथमिकता पर 24-48 घंटों में और निम्न प्राथमिकता पर 3-5 कार्य दिवसों में।`
+    }
+  },
+
+  categories: {
+    general: { label: 'सामान्य चिकित्सा' },
+    emergency: {
+      label: 'आपातकालीन / गंभीर देखभाल',
+      chatbot: {
+        question: 'मुझे तुरंत क्या करना चाहिए?',
+        answer: 'अगर आप तत्काल खतरे में हैं या मेडिकल इमरजेंसी है, तो अभी 112 पर कॉल करें। हमारी टीम भी आपके अनुरोध को प्राथमिकता देगी, लेकिन जवाब का इंतज़ार न करें।',
+        guidance: 'यह इमरजेंसी लगती है। कृपया तुरंत आपातकालीन सेवाओं को कॉल करें। हमारी टीम आपके अनुरोध को प्राथमिकता देगी, लेकिन अगर आप खतरे में हैं तो इंतज़ार न करें।'
+      }
+    },
+    mental_health: {
+      label: 'मानसिक स्वास्थ्य और भावनात्मक सहायता',
+      chatbot: {
+        question: 'मानसिक स्वास्थ्य के लिए क्या सहायता उपलब्ध है?',
+        answer: 'हम भावनात्मक सहायता और तनाव से निपटने के तरीकों की जानकारी देते हैं, और आपको मानसिक स्वास्थ्य विशेषज्ञों या हेल्पलाइन से जोड़ सकते हैं। सारी बातचीत गोपनीय रहती है।',
+        guidance: 'यह मानसिक स्वास्थ्य से जुड़ा है, इसलिए कुछ सामान्य कदम:\n• किसी भरोसेमंद व्यक्ति या काउंसलर से बात करें।\n• अपना ख्याल रखें और सुरक्षित माहौल में रहें।\n• अगर आप असुरक्षित महसूस करें, तो हेल्पलाइन या आपातकालीन सेवाओं से संपर्क करें।'
+      }
+    },
+    womens_health: { label: 'महिला स्वास्थ्य' },
+    child_elderly: { label: 'बच्चों और बुज़ुर्गों की देखभाल' },
+    chronic: { label: 'लंबी बीमारी में सहायता' },
+    disability: { label: 'दिव्यांगता सहायता' },
+    medication: { label: 'दवा / इलाज संबंधी मार्गदर्शन' },
+    financial: {
+      label: 'आर्थिक सहायता',
+      chatbot: {
+        question: 'कौन से दस्तावेज़ चाहिए?',
+        answer: 'आर्थिक सहायता के लिए आमतौर पर पहचान पत्र, आय प्रमाण और डॉक्टर के पर्चे या अस्पताल के बिल चाहिए होते हैं। स्वयंसेवक आपको बताएंगे कि आपके मामले में क्या ज़रूरी है।',
+        guidance: 'यह आर्थिक सहायता से जुड़ा है। हमारी टीम आपको उपलब्ध योजनाओं और ज़रूरी दस्तावेज़ों की जानकारी देगी।'
+      }
+    },
+    other: { label: 'अन्य / पता नहीं' }
+  },
+
+  intake: {
+    start: 'मैं यहीं आपके लिए सहायता अनुरोध बना सकता हूँ। मुझे बस कुछ जानकारी चाहिए - आप कभी भी "रद्द" लिख सकते हैं।',
+    formCategory: (label) => `मैं फॉर्म में चुनी गई श्रेणी का उपयोग करूँगा: ${label}।`,
+    questions: {
+      name: 'मरीज़ का पूरा नाम क्या है?',
+      age: 'मरीज़ की उम्र कितनी है? (वर्षों में)',
+      phone: 'स्वयंसेवक आपको किस मोबाइल नंबर पर कॉल कर सकते हैं?',
+      issueCategory: (menu) => `अनुरोध किस बारे में है? एक नंबर लिखें:\n\n${menu}`,
+      description: 'कृपया कुछ वाक्यों में समस्या बताएं - क्या हो रहा है, कब से, और आपको क्या मदद चाहिए।'
+    },
+    invalid: {
+      name: 'नाम कम से कम 2 अक्षरों का होना चाहिए।',
+      age: 'उम्र 0 से 150 के बीच की संख्या होनी चाहिए।',
+      phone: 'कृपया 10 अंकों का सही भारतीय मोबाइल नंबर लिखें, जैसे 98765 43210।',
+      issueCategory: 'कृपया सूची में से एक नंबर लिखें।',
+      description: 'विवरण कम से कम 10 अक्षरों का होना चाहिए।'
+    },
+    confirmation: ({ name, age, phone, category, description }) => `कृपया यह जानकारी जांच लें:
+
+• नाम: ${name}
+• उम्र: ${age}
+• फ़ोन: ${phone}
+• श्रेणी: ${category}
+• विवरण: ${description}
+
+क्या मैं यह अनुरोध भेज दूँ? भेजने के लिए "हाँ" या रोकने के लिए "रद्द" लिखें।`,
+    notUnderstood: 'माफ़ कीजिए, मैं समझ नहीं पाया।',
+    cancelled: 'ठीक है, मैंने कुछ नहीं भेजा है। अगर आप बाद में चाहें, तो बस "अनुरोध शुरू करें" लिखें।',
+    created: ({ ticketId, trackingCode, urgency, responseHours }) => `✅ आपका सहायता अनुरोध भेज दिया गया है।
+
+टिकट आईडी: ${ticketId}
+ट्रैकिंग कोड: ${trackingCode}
+प्राथमिकता: ${urgency}
+
+टिकट आईडी और ट्रैकिंग कोड संभाल कर रखें - "मेरा अनुरोध देखें" पर अपने अनुरोध की जानकारी के लिए दोनों ज़रूरी हैं। एक स्वयंसेवक ${responseHours} घंटों के भीतर आपसे संपर्क करने की कोशिश करेगा।`,
+    submitFailed: 'माफ़ कीजिए, अभी आपका अनुरोध नहीं भेजा जा सका। दोबारा कोशिश के लिए "हाँ" लिखें, या सहायता फॉर्म का उपयोग करें।',
+    submitRejected: (reason) => `माफ़ कीजिए, यह अनुरोध स्वीकार नहीं किया जा सका: ${reason}
+
+कुछ भी नहीं भेजा गया है। दूसरी जानकारी के साथ फिर से कोशिश करने के लिए "अनुरोध शुरू करें" लिखें, या सहायता फॉर्म का उपयोग करें।`,
+    options: {
+      confirm: ['हाँ, भेजें', 'रद्द करें'],
+      cancel: 'रद्द करें'
+    },
+    startPhrases: ['अनुरोध शुरू', 'अनुरोध बनाएं', 'अनुरोध भेजें', 'यहीं भेजें', 'chat me request'],
+    yesPattern: /^(हाँ|हां|जी|ठीक है|भेजें)|^(haan|ha|ji)\b/,
+    noPattern: /^(नहीं|ना)|^(nahi|na)\b/,
+    cancelPattern: /^(रद्द|रुको|बंद)|^(radd|ruko)\b/
+  },
+
+  urgency: {
+    High: 'उच्च',
+    Medium: 'मध्यम',
+    Low: 'निम्न'
+  },
+
+  notifications: {
+    acknowledgement: {
+      High: 'ज़्यादा ज़रूरी होने के कारण एक स्वयंसेवक जल्द से जल्द आपसे संपर्क करेगा। कृपया अपना फ़ोन पास रखें।',
+      Medium: 'आपके अनुरोध की समीक्षा की जा रही है। 24–48 घंटों में आपसे संपर्क किया जाएगा। धैर्य रखने के लिए धन्यवाद।',
+      Low: 'आपका अनुरोध कतार में जोड़ दिया गया है और जल्द ही इसकी समीक्षा होगी। हमारी टीम 3-5 कार्यदिवसों में आपसे संपर्क करेगी।'
+    },
+    templates: {
+      request_created: ({ ticketId, acknowledgement }) => ({
+        subject: `आपका अनुरोध ${ticketId} मिल गया है`,
+        text: `जरूरत केयर: आपका सहायता अनुरोध ${ticketId} हमें मिल गया है। ${acknowledgement} अपने अनुरोध की जानकारी के लिए टिकट आईडी और ट्रैकिंग कोड के साथ "मेरा अनुरोध देखें" का उपयोग करें।`
+      }),
+      assigned: ({ ticketId, volunteerFirstName }) => ({
+        subject: `एक स्वयंसेवक ${ticketId} पर काम करेगा`,
+        text: `जरूरत केयर: ${volunteerFirstName || 'एक स्वयंसेवक'} अनुरोध ${ticketId} में आपकी मदद करेंगे और जल्द ही आपसे संपर्क करेंगे।`
+      }),
+      in_progress: ({ ticketId }) => ({
+        subject: `आपके अनुरोध ${ticketId} पर काम चल रहा है`,
+        text: `जरूरत केयर: एक स्वयंसेवक अब आपके अनुरोध ${ticketId} पर काम कर रहा है।`
+      }),
+      resolved: ({ ticketId }) => ({
+        subject: `आपका अनुरोध ${ticketId} हल हो गया है`,
+        text: `जरूरत केयर: आपके अनुरोध ${ticketId} को हल के रूप में चिह्नित किया गया है। अगर आपको अब भी मदद चाहिए, तो अपनी टिकट आईडी बताकर हमसे संपर्क करें।`
+      }),
+      closed: ({ ticketId }) => ({
+        subject: `आपका अनुरोध ${ticketId} बंद कर दिया गया है`,
+        text: `जरूरत केयर: आपका अनुरोध ${ticketId} बंद कर दिया गया है। अगर आपको अब भी मदद चाहिए, तो कृपया नया अनुरोध भेजें।`
+      })
+    }
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Console Channel - Records notifications in the server log
+ *
+ * The default driver for every channel: nothing leaves the server, so
+ * it is safe for development and demos. Server logs are kept and read
+ * widely, so only the channel, a masked recipient and the delivery id
+ * are printed - never the phone number, email address or message text.
+ * Notifications handled by this driver are stored as "logged", not
+ * "sent" (see notifications/index.js).
+ */
+
+const crypto = require('crypto');
+
+// Characters of the recipient left visible
+const VISIBLE_PHONE_DIGITS = 4;
+
+/**
+ * Masks a phone number or email address for the log
+ *
+ * "+919876543210" → "********3210", "asha@example.org" → "a***@example.org"
+ */
+const maskRecipient = (to = '') => {
+  const [local, domain] = String(to).split('@');
+  if (domain !== undefined) {
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+  const digits = local.replace(/\D/g, '');
+  return `${'*'.repeat(Math.max(digits.length - VISIBLE_PHONE_DIGITS, 0))}${digits.slice(-VISIBLE_PHONE_DIGITS)}`;
+};
+
+/**
+ * Creates a console driver
+ *
+ * @param {Object} options
+ * @param {string} options.channel - 'email' | 'sms' | 'whatsapp'
+ * @returns {Object} Channel driver
+ */
+const createConsoleChannel = ({ channel }) => ({
+  channel,
+  driver: 'console',
+
+  send: async ({ to }) => {
+    const providerMessageId = `console-${crypto.randomUUID()}`;
+    console.log(`[Notification] ${channel} to ${maskRecipient(to)} logged as ${providerMessageId} (not sent - console driver)`);
+    return { providerMessageId };
+  }
+});
+
+module.exports = {
+  createConsoleChannel
+};
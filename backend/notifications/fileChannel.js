@@ -0,0 +1,47 @@
+/**
+ * File Channel - Writes notifications to a local outbox file
+ *
+ * A stand-in for a real provider when testing: each message is
+ * appended as one JSON line to <outboxDir>/<channel>.log, where it
+ * can be read or checked by a script. Nothing is sent.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Creates a file driver
+ *
+ * @param {Object} options
+ * @param {string} options.channel - 'email' | 'sms' | 'whatsapp'
+ * @param {string} options.outboxDir - Directory for the outbox files
+ * @returns {Object} Channel driver
+ */
+const createFileChannel = ({ channel, outboxDir }) => {
+  const filePath = path.join(outboxDir, `${channel}.log`);
+
+  return {
+    channel,
+    driver: 'file',
+
+    send: async ({ to, subject, text }) => {
+      const providerMessageId = `file-${crypto.randomUUID()}`;
+      const line = JSON.stringify({
+        id: providerMessageId,
+        at: new Date().toISOString(),
+        to,
+        subject: subject || null,
+        text
+      });
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.appendFile(filePath, `${line}\n`, 'utf8');
+      return { providerMessageId };
+    }
+  };
+};
+
+module.exports = {
+  createFileChannel
+};
@@ -0,0 +1,163 @@
+/**
+ * Notification Channels - Selects the configured driver for each channel
+ *
+ * notificationService never talks to a provider directly; it calls
+ * getChannel(name) and receives whichever driver is configured:
+ *
+ * - email     NOTIFY_EMAIL_DRIVER    "smtp" (SMTP_HOST, SMTP_PORT, SMTP_USER,
+ *                                    SMTP_PASS, SMTP_FROM)
+ * - sms       NOTIFY_SMS_DRIVER      "twilio" (TWILIO_ACCOUNT_SID,
+ *                                    TWILIO_AUTH_TOKEN, TWILIO_SMS_FROM)
+ * - whatsapp  NOTIFY_WHATSAPP_DRIVER "whatsapp-cloud" (WHATSAPP_ACCESS_TOKEN,
+ *                                    WHATSAPP_PHONE_NUMBER_ID)
+ *
+ * Every channel also accepts two stand-ins for development and testing,
+ * so nothing is sent to real people:
+ * - console  (default) notes the delivery in the server log, with the
+ *            recipient masked and without the message
+ * - file     appends the message to <DATA_DIR>/outbox/<channel>.log
+ * Nothing was delivered, so their notifications are stored as "logged"
+ * rather than "sent" (STAND_IN_DRIVERS).
+ *
+ * Every driver exposes the same interface:
+ *   { channel, driver, send({ to, subject, text }) → { providerMessageId } }
+ * send() throws when the message could not be handed to the provider.
+ * Adding a provider only requires a module with that interface.
+ */
+
+const path = require('path');
+const { createConsoleChannel } = require('./consoleChannel');
+const { createFileChannel } = require('./fileChannel');
+const { createSmtpChannel } = require('./smtpChannel');
+const { createTwilioSmsChannel } = require('./twilioSmsChannel');
+const { createWhatsAppCloudChannel } = require('./whatsappCloudChannel');
+
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+
+const DRIVER_VARIABLES = {
+  email: 'NOTIFY_EMAIL_DRIVER',
+  sms: 'NOTIFY_SMS_DRIVER',
+  whatsapp: 'NOTIFY_WHATSAPP_DRIVER'
+};
+
+// Real providers available for each channel
+const PROVIDER_DRIVERS = {
+  email: ['smtp'],
+  sms: ['twilio'],
+  whatsapp: ['whatsapp-cloud']
+};
+
+const DEFAULT_DRIVER = 'console';
+
+// Drivers that only record the message; nobody receives it
+const STAND_IN_DRIVERS = ['console', 'file'];
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'data', 'outbox');
+
+// One shared driver per channel for the whole process
+const channels = new Map();
+
+/**
+ * Reads a whole number from the environment, falling back to a default
+ */
+const readInteger = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Throws unless all the named settings are present
+ */
+const requireSettings = (driver, names) => {
+  const missing = names.filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Notification driver "${driver}" needs ${missing.join(', ')}.`);
+  }
+};
+
+/**
+ * Builds the driver for a channel
+ *
+ * @param {string} channel - 'email' | 'sms' | 'whatsapp'
+ * @param {string} driver - Driver name
+ * @returns {Object} Channel driver
+ * @throws {Error} For unknown drivers or missing settings
+ */
+const createChannel = (channel, driver) => {
+  switch (driver) {
+    case 'console':
+      return createConsoleChannel({ channel });
+    case 'file':
+      return createFileChannel({
+        channel,
+        outboxDir: process.env.DATA_DIR ? path.join(process.env.DATA_DIR, 'outbox') : DEFAULT_OUTBOX_DIR
+      });
+    case 'smtp': {
+      requireSettings(driver, ['SMTP_HOST', 'SMTP_FROM']);
+      const port = readInteger('SMTP_PORT', 587);
+      return createSmtpChannel({
+        host: process.env.SMTP_HOST,
+        port,
+        // Port 465 uses TLS from the start; other ports upgrade with STARTTLS
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.SMTP_FROM
+      });
+    }
+    case 'twilio':
+      requireSettings(driver, ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_SMS_FROM']);
+      return createTwilioSmsChannel({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_SMS_FROM,
+        timeoutMs: readInteger('NOTIFY_TIMEOUT_MS', 10000)
+      });
+    case 'whatsapp-cloud':
+      requireSettings(driver, ['WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID']);
+      return createWhatsAppCloudChannel({
+        accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+        phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+        timeoutMs: readInteger('NOTIFY_TIMEOUT_MS', 10000)
+      });
+    default:
+      throw new Error(
+        `Unknown ${channel} notification driver "${driver}". ` +
+        `Use ${[...PROVIDER_DRIVERS[channel], 'console', 'file'].map(name => `"${name}"`).join(', ')}.`
+      );
+  }
+};
+
+/**
+ * Reads the configured driver name for a channel
+ *
+ * @param {string} channel - 'email' | 'sms' | 'whatsapp'
+ * @returns {string} Driver name
+ */
+const getDriverName = (channel) => {
+  const configured = process.env[DRIVER_VARIABLES[channel]];
+  return configured ? configured.trim().toLowerCase() : DEFAULT_DRIVER;
+};
+
+/**
+ * Returns the shared driver for a channel, creating it on first use
+ *
+ * @param {string} channel - 'email' | 'sms' | 'whatsapp'
+ * @returns {Object} Channel driver
+ * @throws {Error} For unknown channels, unknown drivers or missing settings
+ */
+const getChannel = (channel) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification channel "${channel}".`);
+  }
+  if (!channels.has(channel)) {
+    channels.set(channel, createChannel(channel, getDriverName(channel)));
+  }
+  return channels.get(channel);
+};
+
+module.exports = {
+  CHANNELS,
+  STAND_IN_DRIVERS,
+  getChannel
+};
@@ -0,0 +1,43 @@
+/**
+ * SMTP Channel - Sends email through any SMTP server
+ *
+ * Works with the NGO's own mail server or a relay such as Amazon SES,
+ * SendGrid or Gmail (with an app password). Messages are plain text.
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Creates an SMTP driver
+ *
+ * @param {Object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - TLS from the start (port 465)
+ * @param {string} options.user - Login (optional for open relays)
+ * @param {string} options.pass - Password
+ * @param {string} options.from - Sender, e.g. "Jarurat Care <care@example.org>"
+ * @returns {Object} Channel driver
+ */
+const createSmtpChannel = ({ host, port, secure, user, pass, from }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    channel: 'email',
+    driver: 'smtp',
+
+    send: async ({ to, subject, text }) => {
+      const info = await transport.sendMail({ from, to, subject, text });
+      return { providerMessageId: info.messageId };
+    }
+  };
+};
+
+module.exports = {
+  createSmtpChannel
+};
@@ -0,0 +1,51 @@
+/**
+ * Twilio SMS Channel - Sends text messages through Twilio
+ *
+ * Uses the Messages REST API directly, so no SDK is needed.
+ * TWILIO_SMS_FROM is a Twilio number or an approved sender ID; Indian
+ * numbers also need DLT registration of the sender and templates.
+ */
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+
+/**
+ * Creates a Twilio SMS driver
+ *
+ * @param {Object} options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.from - Sender number or ID
+ * @param {number} options.timeoutMs - Time limit for the API call
+ * @returns {Object} Channel driver
+ */
+const createTwilioSmsChannel = ({ accountSid, authToken, from, timeoutMs }) => {
+  const url = `${TWILIO_API_URL}/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    channel: 'sms',
+    driver: 'twilio',
+
+    send: async ({ to, text }) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: authorization,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ From: from, To: to, Body: text }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Twilio returned ${response.status}: ${body.message || response.statusText}`);
+      }
+      return { providerMessageId: body.sid };
+    }
+  };
+};
+
+module.exports = {
+  createTwilioSmsChannel
+};
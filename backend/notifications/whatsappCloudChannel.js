@@ -0,0 +1,58 @@
+/**
+ * WhatsApp Cloud Channel - Sends WhatsApp messages through Meta's Cloud API
+ *
+ * Sends plain text messages from the business number set by
+ * WHATSAPP_PHONE_NUMBER_ID. WhatsApp only delivers free-form text
+ * within 24 hours of the patient's last message to that number;
+ * outside that window Meta rejects the message, it is marked failed
+ * after its retries, and staff see it in the delivery list.
+ */
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
+
+/**
+ * Creates a WhatsApp Cloud API driver
+ *
+ * @param {Object} options
+ * @param {string} options.accessToken - Permanent access token of the app
+ * @param {string} options.phoneNumberId - ID of the sending business number
+ * @param {number} options.timeoutMs - Time limit for the API call
+ * @returns {Object} Channel driver
+ */
+const createWhatsAppCloudChannel = ({ accessToken, phoneNumberId, timeoutMs }) => {
+  const url = `${GRAPH_API_URL}/${encodeURIComponent(phoneNumberId)}/messages`;
+
+  return {
+    channel: 'whatsapp',
+    driver: 'whatsapp-cloud',
+
+    send: async ({ to, text }) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          messaging_product: 'whatsapp',
+          // The API expects the number without the leading +
+          to: to.replace(/^\+/, ''),
+          type: 'text',
+          text: { body: text }
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const message = body.error ? body.error.message : response.statusText;
+        throw new Error(`WhatsApp returned ${response.status}: ${message}`);
+      }
+      return { providerMessageId: body.messages && body.messages[0] ? body.messages[0].id : null };
+    }
+  };
+};
+
+module.exports = {
+  createWhatsAppCloudChannel
+};
@@ -0,0 +1,42 @@
+/**
+ * Activity Repository - Persistence for the per-request activity log
+ *
+ * The activity log is an audit trail, so entries can only be added and
+ * read - there is deliberately no update or remove:
+ *   { id, ticketId, type, actor: { id, name }, details, createdAt }
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+
+const COLLECTION = 'requestActivity';
+
+/**
+ * Saves a new activity entry
+ *
+ * @param {Object} data - Entry fields (see activityService)
+ * @returns {Promise<Object>} The stored entry
+ */
+const create = async (data) => {
+  const record = {
+    ...data,
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString()
+  };
+  return getStore().insert(COLLECTION, record);
+};
+
+/**
+ * Returns the activity entries of one request
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @returns {Promise<Array>} The request's entries
+ */
+const findByTicketId = async (ticketId) => {
+  return getStore().find(COLLECTION, entry => entry.ticketId === ticketId);
+};
+
+module.exports = {
+  create,
+  findByTicketId
+};
@@ -0,0 +1,74 @@
+/**
+ * Notification Repository - Persistence for outbound notifications
+ *
+ * Every message sent to a patient, volunteer or coordinator is stored
+ * with its delivery status, so failed deliveries can be retried and
+ * staff can see what a patient was told:
+ *   { id, ticketId, event, recipient: 'patient' | 'volunteer' | 'coordinator', channel,
+ *     to, subject, text, status: 'pending' | 'sent' | 'logged' | 'failed', attempts,
+ *     lastError, nextAttemptAt, driver, providerMessageId, sentAt,
+ *     createdAt, updatedAt }
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+
+const COLLECTION = 'notifications';
+
+/**
+ * Saves a new notification
+ *
+ * @param {Object} data - Notification fields (see notificationService)
+ * @returns {Promise<Object>} The stored notification
+ */
+const create = async (data) => {
+  const now = new Date().toISOString();
+  const record = {
+    ...data,
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now
+  };
+  return getStore().insert(COLLECTION, record);
+};
+
+/**
+ * Returns all notifications matching an optional predicate
+ *
+ * @param {Function} predicate - Optional filter function
+ * @returns {Promise<Array>} Matching notifications
+ */
+const findAll = async (predicate) => {
+  return getStore().find(COLLECTION, predicate);
+};
+
+/**
+ * Returns the notifications of one request
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @returns {Promise<Array>} The request's notifications
+ */
+const findByTicketId = async (ticketId) => {
+  return getStore().find(COLLECTION, notification => notification.ticketId === ticketId);
+};
+
+/**
+ * Applies changes to an existing notification
+ *
+ * @param {string} id - Notification ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} Updated notification or null if not found
+ */
+const update = async (id, changes) => {
+  return getStore().update(COLLECTION, id, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  create,
+  findAll,
+  findByTicketId,
+  update
+};
@@ -0,0 +1,67 @@
+/**
+ * On-Call Shift Repository - Persistence for the coordinator on-call rota
+ *
+ * A shift names the coordinator who is paged for urgent requests
+ * between startsAt and endsAt, and an optional backup:
+ *   { id, startsAt, endsAt, primary: { userId, name, phone },
+ *     backup: { userId, name, phone } | null, createdBy, createdAt, updatedAt }
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+
+const COLLECTION = 'onCallShifts';
+
+/**
+ * Saves a new shift
+ *
+ * @param {Object} data - Shift fields (see onCallService.createShift)
+ * @returns {Promise<Object>} The stored shift
+ */
+const create = async (data) => {
+  const now = new Date().toISOString();
+  const record = {
+    ...data,
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now
+  };
+  return getStore().insert(COLLECTION, record);
+};
+
+/**
+ * Finds a shift by ID
+ *
+ * @param {string} id - Shift ID
+ * @returns {Promise<Object|null>} The shift or null
+ */
+const findById = async (id) => {
+  return getStore().findOne(COLLECTION, shift => shift.id === id);
+};
+
+/**
+ * Returns all shifts matching an optional predicate
+ *
+ * @param {Function} predicate - Optional filter function
+ * @returns {Promise<Array>} Matching shifts
+ */
+const findAll = async (predicate) => {
+  return getStore().find(COLLECTION, predicate);
+};
+
+/**
+ * Deletes a shift
+ *
+ * @param {string} id - Shift ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+const remove = async (id) => {
+  return getStore().remove(COLLECTION, id);
+};
+
+module.exports = {
+  create,
+  findById,
+  findAll,
+  remove
+};
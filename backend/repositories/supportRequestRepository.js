@@ -0,0 +1,107 @@
+/**
+ * Support Request Repository - Persistence for patient support requests
+ *
+ * This is the only module that knows how support requests are stored.
+ * Controllers and services call these functions and never touch the
+ * storage driver directly, so the backing store can be swapped
+ * (file, memory, or a future database) without changing business logic.
+ *
+ * TICKET IDS:
+ * Every request receives a human-friendly ticket ID such as
+ * "JC-20260208-7KQ4M2" that patients can quote when contacting the NGO.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+
+const COLLECTION = 'supportRequests';
+
+// Characters used for the random part of ticket IDs.
+// Ambiguous characters (0/O, 1/I/L) are left out so IDs are easy to read aloud.
+const TICKET_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const TICKET_RANDOM_LENGTH = 6;
+
+/**
+ * Generates a new ticket ID in the format JC-YYYYMMDD-XXXXXX
+ *
+ * @param {Date} date - Creation date used for the date segment
+ * @returns {string} Ticket ID
+ */
+const generateTicketId = (date = new Date()) => {
+  const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const bytes = crypto.randomBytes(TICKET_RANDOM_LENGTH);
+  const randomPart = Array.from(bytes, byte => TICKET_ALPHABET[byte % TICKET_ALPHABET.length]).join('');
+  return `JC-${datePart}-${randomPart}`;
+};
+
+/**
+ * Saves a new support request
+ *
+ * @param {Object} data - Patient data plus AI analysis
+ * @returns {Promise<Object>} The stored request including ticketId and timestamps
+ */
+const create = async (data) => {
+  const store = getStore();
+  const now = new Date();
+
+  // Regenerate in the (very unlikely) case of a collision
+  let ticketId = generateTicketId(now);
+  while (await store.findOne(COLLECTION, record => record.id === ticketId)) {
+    ticketId = generateTicketId(now);
+  }
+
+  const record = {
+    ...data,
+    id: ticketId,
+    ticketId,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+
+  return store.insert(COLLECTION, record);
+};
+
+/**
+ * Finds a support request by its ticket ID
+ *
+ * @param {string} ticketId - Ticket ID (case-insensitive)
+ * @returns {Promise<Object|null>} The request or null if not found
+ */
+const findByTicketId = async (ticketId) => {
+  if (!ticketId || typeof ticketId !== 'string') {
+    return null;
+  }
+  const normalizedId = ticketId.trim().toUpperCase();
+  return getStore().findOne(COLLECTION, record => record.id === normalizedId);
+};
+
+/**
+ * Returns all requests matching an optional predicate
+ *
+ * @param {Function} predicate - Optional filter function
+ * @returns {Promise<Array>} Matching requests
+ */
+const findAll = async (predicate) => {
+  return getStore().find(COLLECTION, predicate);
+};
+
+/**
+ * Applies changes to an existing request and refreshes updatedAt
+ *
+ * @param {string} ticketId - Ticket ID of the request to update
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} Updated request or null if not found
+ */
+const update = async (ticketId, changes) => {
+  return getStore().update(COLLECTION, ticketId, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  create,
+  findByTicketId,
+  findAll,
+  update
+};
@@ -0,0 +1,89 @@
+/**
+ * User Repository - Persistence for staff and patient accounts
+ *
+ * Stores user accounts (volunteers, coordinators, admins and patients).
+ * Password hashes are stored here but are never returned to API callers;
+ * see authService.toPublicUser for the safe representation.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+
+const COLLECTION = 'users';
+
+/**
+ * Normalizes an email so lookups are case-insensitive
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Saves a new user
+ *
+ * @param {Object} data - { name, email, role, passwordHash }
+ * @returns {Promise<Object>} The stored user
+ */
+const create = async (data) => {
+  const now = new Date().toISOString();
+  const record = {
+    ...data,
+    id: crypto.randomUUID(),
+    email: normalizeEmail(data.email),
+    active: true,
+    createdAt: now,
+    updatedAt: now
+  };
+  return getStore().insert(COLLECTION, record);
+};
+
+/**
+ * Finds a user by email address
+ *
+ * @param {string} email - Email address (case-insensitive)
+ * @returns {Promise<Object|null>} The user or null
+ */
+const findByEmail = async (email) => {
+  const normalizedEmail = normalizeEmail(email);
+  return getStore().findOne(COLLECTION, user => user.email === normalizedEmail);
+};
+
+/**
+ * Finds a user by ID
+ *
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} The user or null
+ */
+const findById = async (id) => {
+  return getStore().findOne(COLLECTION, user => user.id === id);
+};
+
+/**
+ * Returns all users matching an optional predicate
+ *
+ * @param {Function} predicate - Optional filter function
+ * @returns {Promise<Array>} Matching users
+ */
+const findAll = async (predicate) => {
+  return getStore().find(COLLECTION, predicate);
+};
+
+/**
+ * Applies changes to an existing user
+ *
+ * @param {string} id - User ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+const update = async (id, changes) => {
+  return getStore().update(COLLECTION, id, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  create,
+  findByEmail,
+  findById,
+  findAll,
+  update
+};
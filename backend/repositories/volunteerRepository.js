@@ -0,0 +1,82 @@
+/**
+ * Volunteer Repository - Persistence for volunteer profiles
+ *
+ * A volunteer profile describes who can take on support requests:
+ * languages spoken, specialties (issue categories), how many active
+ * cases they can handle and whether they are currently available.
+ * A profile may be linked to a staff login through userId.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+
+const COLLECTION = 'volunteers';
+
+/**
+ * Saves a new volunteer profile
+ *
+ * @param {Object} data - Profile fields (see volunteerService.validateVolunteer)
+ * @returns {Promise<Object>} The stored profile
+ */
+const create = async (data) => {
+  const now = new Date().toISOString();
+  const record = {
+    ...data,
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now
+  };
+  return getStore().insert(COLLECTION, record);
+};
+
+/**
+ * Finds a volunteer profile by ID
+ *
+ * @param {string} id - Volunteer ID
+ * @returns {Promise<Object|null>} The profile or null
+ */
+const findById = async (id) => {
+  return getStore().findOne(COLLECTION, volunteer => volunteer.id === id);
+};
+
+/**
+ * Finds the volunteer profile linked to a staff account
+ *
+ * @param {string} userId - User ID of the staff account
+ * @returns {Promise<Object|null>} The profile or null
+ */
+const findByUserId = async (userId) => {
+  return getStore().findOne(COLLECTION, volunteer => volunteer.userId === userId);
+};
+
+/**
+ * Returns all volunteer profiles matching an optional predicate
+ *
+ * @param {Function} predicate - Optional filter function
+ * @returns {Promise<Array>} Matching profiles
+ */
+const findAll = async (predicate) => {
+  return getStore().find(COLLECTION, predicate);
+};
+
+/**
+ * Applies changes to an existing volunteer profile
+ *
+ * @param {string} id - Volunteer ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} Updated profile or null if not found
+ */
+const update = async (id, changes) => {
+  return getStore().update(COLLECTION, id, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  create,
+  findById,
+  findByUserId,
+  findAll,
+  update
+};
@@ -0,0 +1,58 @@
+/**
+ * Auth Routes - Login and staff account management
+ * 
+ * Login is public; everything else requires a valid token.
+ * Account management is restricted to admins.
+ */
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate, requireRole } = require('../utils/authMiddleware');
+
+/**
+ * POST /api/auth/login
+ * 
+ * Request Body:
+ * {
+ *   email: string,
+ *   password: string
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: { token: string, user: { id, name, email, role } }
+ * }
+ */
+router.post('/login', authController.login);
+
+/**
+ * GET /api/auth/me
+ * 
+ * Returns the account of the logged-in user.
+ */
+router.get('/me', authenticate, authController.getCurrentUser);
+
+/**
+ * GET /api/auth/users (admin)
+ * 
+ * Lists all accounts.
+ */
+router.get('/users', authenticate, requireRole('admin'), authController.listUsers);
+
+/**
+ * POST /api/auth/users (admin)
+ * 
+ * Creates an account. Body: { name, email, password, role }
+ */
+router.post('/users', authenticate, requireRole('admin'), authController.createUser);
+
+/**
+ * PATCH /api/auth/users/:id (admin)
+ * 
+ * Changes an account's role or active flag. Body: { role?, active? }
+ */
+router.patch('/users/:id', authenticate, requireRole('admin'), authController.updateUser);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Category Routes - Public endpoint for the issue category registry
+ */
+
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+
+/**
+ * GET /api/categories?language=hi
+ * 
+ * language is optional (default "en"): translates labels and chatbot texts.
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: [{ value, label, icon, color, minimumUrgency, chatbot? }]
+ * }
+ */
+router.get('/', categoryController.listCategories);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 /**
  * Chatbot Routes - API endpoints for the chatbot feature
  * 
- * Provides a simple message endpoint for the FAQ/guidance chatbot.
+ * Provides a message endpoint for the FAQ/guidance chatbot and a way
+ * to reload an ongoing conversation.
  * This chatbot is a SUPPORT TOOL, not a medical advisor.
  */
 
@@ -17,14 +18,33 @@ const chatbotController = require('../controllers/chatbotController');
  * Request Body:
  * {
  *   message: string - The user's question or message
+ *   sessionId: string - Optional, continues an existing conversation
+ *   category: string - Optional issue category selected on the support form
+ *   language: string - Optional language chosen in the app ('en' | 'hi')
  * }
  * 
  * Response:
  * {
  *   success: boolean,
  *   reply: string - The chatbot's response
+ *   intent: string - Matched intent, e.g. 'response_time' or 'default'
+ *   disclaimer: string - Safety disclaimer to show with the reply
+ *   sessionId: string - Session to send with the next message
+ *   sessionRestarted: boolean - True if the given session had expired
+ *   intake: { step, options } | null - Support request being collected in
+ *     the chat (start with "start request"), with suggested quick replies
+ *   request: { ticketId, urgency, status } - Only when the message
+ *     submitted a support request
  * }
  */
 router.post('/message', chatbotController.handleChatMessage);
 
+/**
+ * GET /api/chatbot/sessions/:sessionId
+ * 
+ * Returns the conversation history of an active session, or 404 if the
+ * session is unknown or has expired.
+ */
+router.get('/sessions/:sessionId', chatbotController.getChatSession);
+
 module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * On-Call Routes - Coordinator on-call rota
+ *
+ * All routes require a coordinator or admin login.
+ */
+
+const express = require('express');
+const router = express.Router();
+const onCallController = require('../controllers/onCallController');
+const { authenticate, requireRole } = require('../utils/authMiddleware');
+const { COORDINATOR_ROLES } = require('../services/authService');
+
+router.use(authenticate, requireRole(...COORDINATOR_ROLES));
+
+/**
+ * GET /api/on-call
+ *
+ * Returns the shift on call now, the upcoming shifts and the
+ * coordinators who can be put on the rota.
+ */
+router.get('/', onCallController.getRota);
+
+/**
+ * POST /api/on-call/shifts
+ *
+ * Adds a shift. Body: { startsAt, endsAt, primary: { userId, phone? },
+ * backup?: { userId, phone? } }
+ */
+router.post('/shifts', onCallController.createShift);
+
+/**
+ * DELETE /api/on-call/shifts/:id
+ *
+ * Removes a shift.
+ */
+router.delete('/shifts/:id', onCallController.deleteShift);
+
+module.exports = router;
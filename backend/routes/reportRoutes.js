@@ -0,0 +1,29 @@
+/**
+ * Report Routes - Coordinator reports
+ * 
+ * All routes require a coordinator or admin login.
+ */
+
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { authenticate, requireRole } = require('../utils/authMiddleware');
+const { COORDINATOR_ROLES } = require('../services/authService');
+
+router.use(authenticate, requireRole(...COORDINATOR_ROLES));
+
+/**
+ * GET /api/reports/sla-breaches?from=&to=
+ * 
+ * Lists requests that missed their SLA, with totals per urgency.
+ */
+router.get('/sla-breaches', reportController.getSlaBreaches);
+
+/**
+ * GET /api/reports/ai-providers?from=&to=
+ * 
+ * How often each AI provider answered, was repaired or fell back, and why.
+ */
+router.get('/ai-providers', reportController.getAIProviderReport);
+
+module.exports = router;
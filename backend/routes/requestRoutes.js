@@ -0,0 +1,111 @@
+/**
+ * Request Routes - Staff API endpoints for the triage dashboard
+ * 
+ * Lets volunteers and coordinators browse the request queue
+ * and open individual requests. All routes require a staff login.
+ */
+
+const express = require('express');
+const router = express.Router();
+const requestController = require('../controllers/requestController');
+const { authenticate, requireRole } = require('../utils/authMiddleware');
+const { STAFF_ROLES, COORDINATOR_ROLES } = require('../services/authService');
+
+// Every route in this file is staff-only
+router.use(authenticate, requireRole(...STAFF_ROLES));
+
+/**
+ * GET /api/support-requests
+ * 
+ * Lists requests sorted by urgency (High first) and age (oldest first).
+ * 
+ * Query Parameters:
+ * - category: Filter by issue category
+ * - urgency: Filter by 'Low' | 'Medium' | 'High'
+ * - status: Lifecycle status, 'open' (default) or 'all'
+ * - assignee: Volunteer ID, 'me' or 'unassigned'
+ */
+router.get('/', requestController.listRequests);
+
+/**
+ * GET /api/support-requests/:ticketId
+ * 
+ * Returns the full request: description, AI summary and status history.
+ */
+router.get('/:ticketId', requestController.getRequestDetail);
+
+/**
+ * GET /api/support-requests/:ticketId/assignment-suggestions (coordinator)
+ * 
+ * Returns the best available volunteers for the request, with the
+ * reasons for each match.
+ */
+router.get(
+  '/:ticketId/assignment-suggestions',
+  requireRole(...COORDINATOR_ROLES),
+  requestController.getAssignmentSuggestions
+);
+
+/**
+ * POST /api/support-requests/:ticketId/assignment (coordinator)
+ * 
+ * Assigns or reassigns the request. Body: { volunteerId, override? }
+ */
+router.post(
+  '/:ticketId/assignment',
+  requireRole(...COORDINATOR_ROLES),
+  requestController.assignRequest
+);
+
+/**
+ * POST /api/support-requests/:ticketId/triage-review
+ * 
+ * Confirms or corrects the urgency of a low-confidence request so it
+ * can be assigned. Body: { urgency, reason? }
+ */
+router.post('/:ticketId/triage-review', requestController.reviewTriage);
+
+/**
+ * POST /api/support-requests/:ticketId/urgency (coordinator)
+ * 
+ * Overrides the urgency of an open request after triage.
+ * Body: { urgency, reason } - the reason is required and kept in the
+ * activity log.
+ */
+router.post(
+  '/:ticketId/urgency',
+  requireRole(...COORDINATOR_ROLES),
+  requestController.overrideUrgency
+);
+
+/**
+ * GET /api/support-requests/:ticketId/activity
+ * 
+ * Returns the append-only activity log, oldest first: submission,
+ * notes, status changes, assignments and urgency changes, each with
+ * who made it and when.
+ */
+router.get('/:ticketId/activity', requestController.getActivity);
+
+/**
+ * POST /api/support-requests/:ticketId/notes
+ * 
+ * Adds a staff note. Body: { text, patientVisible? }
+ * Notes with patientVisible: true are shown to the patient when they
+ * track their request.
+ */
+router.post('/:ticketId/notes', requestController.addNote);
+
+/**
+ * POST /api/support-requests/:ticketId/alert/acknowledge (coordinator)
+ * 
+ * Acknowledges the on-call page for a High urgency or Emergency
+ * request, so it is not escalated to the backup coordinator.
+ */
+router.post(
+  '/:ticketId/alert/acknowledge',
+  requireRole(...COORDINATOR_ROLES),
+  requestController.acknowledgeAlert
+);
+
+module.exports = router;
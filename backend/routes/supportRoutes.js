@@ -8,9 +8,11 @@
 const express = require('express');
 const router = express.Router();
 const supportController = require('../controllers/supportController');
+const { authenticate, requireRole } = require('../utils/authMiddleware');
+const { STAFF_ROLES } = require('../services/authService');
 
 /**
- * POST /api/support-request
+ * POST /api/support-request (public)
  * 
  * Receives patient support form data and returns:
  * - AI-generated summary of the issue
@@ -18,4 +20,45 @@ const supportController = require('../controllers/supportController');
  */
 router.post('/support-request', supportController.handleSupportRequest);
 
+/**
+ * GET /api/support-request/:ticketId/status (public)
+ * 
+ * Returns the current status of a request and the timestamp
+ * of every status it has passed through.
+ */
+router.get('/support-request/:ticketId/status', supportController.getRequestStatus);
+
+/**
+ * POST /api/support-request/:ticketId/track (public)
+ * 
+ * "Track my request" for patients. Returns the status, status history,
+ * the assigned volunteer's first name and patient-visible notes.
+ * Wrong codes are limited (see trackingService).
+ * 
+ * Request Body:
+ * {
+ *   trackingCode: string  // 6-digit code given on submission
+ * }
+ */
+router.post('/support-request/:ticketId/track', supportController.trackRequest);
+
+/**
+ * PATCH /api/support-request/:ticketId/status (staff)
+ * 
+ * Moves a request to a new status. Requires a staff login; volunteers
+ * can only move requests assigned to them.
+ * Only transitions allowed by the status lifecycle are accepted.
+ * 
+ * Request Body:
+ * {
+ *   status: 'review' | 'assigned' | 'in_progress' | 'resolved' | 'closed'
+ * }
+ */
+router.patch(
+  '/support-request/:ticketId/status',
+  authenticate,
+  requireRole(...STAFF_ROLES),
+  supportController.updateRequestStatus
+);
+
 module.exports = router;
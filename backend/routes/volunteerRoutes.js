@@ -0,0 +1,37 @@
+/**
+ * Volunteer Routes - Coordinator endpoints for volunteer profiles
+ * 
+ * All routes require a coordinator or admin login.
+ */
+
+const express = require('express');
+const router = express.Router();
+const volunteerController = require('../controllers/volunteerController');
+const { authenticate, requireRole } = require('../utils/authMiddleware');
+const { COORDINATOR_ROLES } = require('../services/authService');
+
+router.use(authenticate, requireRole(...COORDINATOR_ROLES));
+
+/**
+ * GET /api/volunteers
+ * 
+ * Lists all volunteer profiles with their current activeCases.
+ */
+router.get('/', volunteerController.listVolunteers);
+
+/**
+ * POST /api/volunteers
+ * 
+ * Creates a profile.
+ * Body: { name, email?, phone?, languages?, specialties?, maxActiveCases?, available?, userId? }
+ */
+router.post('/', volunteerController.createVolunteer);
+
+/**
+ * PATCH /api/volunteers/:id
+ * 
+ * Updates any of the profile fields, e.g. { available: false }.
+ */
+router.patch('/:id', volunteerController.updateVolunteer);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Activity Service - Append-only activity log per support request
+ *
+ * Everything that happens to a request is recorded with who did it and
+ * when, so staff can follow a case and coordinators can audit it:
+ * - created: the patient submitted the request
+ * - note: a staff note (see requestNoteService)
+ * - status_change: the request moved through its lifecycle
+ * - assignment: a volunteer was assigned or the request was reassigned
+ * - urgency_change: the urgency was confirmed or corrected in a triage
+ *   review, overridden by a coordinator, or raised by the SLA monitor -
+ *   always with a reason
+ * - sla_alert: the request is at risk of missing, or has missed, its
+ *   response-time SLA (see slaService)
+ *
+ * ENTRY (stored in activityRepository):
+ *   { id, ticketId, type, actor: { id, name }, details, createdAt }
+ *
+ * Automatic changes are attributed to a system actor (SYSTEM_ACTOR or a
+ * named one such as the SLA monitor); the submission to PATIENT_ACTOR.
+ */
+
+const activityRepository = require('../repositories/activityRepository');
+
+const ACTIVITY_TYPES = ['created', 'note', 'status_change', 'assignment', 'urgency_change', 'sla_alert'];
+
+const SYSTEM_ACTOR = { id: 'system', name: 'System' };
+const PATIENT_ACTOR = { id: 'patient', name: 'Patient' };
+
+/**
+ * Appends an entry to a request's activity log
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {string} type - One of ACTIVITY_TYPES
+ * @param {Object} actor - { id, name } of whoever did it
+ * @param {Object} details - Type-specific fields
+ * @returns {Promise<Object>} The stored entry
+ */
+const recordActivity = async (ticketId, type, actor, details = {}) => {
+  if (!ACTIVITY_TYPES.includes(type)) {
+    throw new Error(`Unknown activity type: ${type}`);
+  }
+
+  return activityRepository.create({
+    ticketId,
+    type,
+    actor: { id: actor.id, name: actor.name },
+    details
+  });
+};
+
+/**
+ * Returns a request's activity log, oldest first
+ *
+ * @param {Object} request - Stored support request
+ * @returns {Promise<Object[]>} Activity entries
+ */
+const getActivity = async (request) => {
+  const entries = await activityRepository.findByTicketId(request.ticketId);
+  return entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+module.exports = {
+  ACTIVITY_TYPES,
+  SYSTEM_ACTOR,
+  PATIENT_ACTOR,
+  recordActivity,
+  getActivity
+};
@@ -0,0 +1,384 @@
+/**
+ * Alert Service - Pages the on-call coordinator for urgent requests
+ *
+ * When a High urgency or Emergency request arrives - or a request
+ * becomes High later, in a triage review, a priority override or an SLA
+ * escalation - the coordinator on call (see onCallService) is paged
+ * straight away. A request is only ever paged for once. Someone must
+ * acknowledge the alert within the acknowledgement window:
+ * - with the "Acknowledge" button on the request, or
+ * - by assigning a volunteer or moving the request on (in progress,
+ *   resolved, closed) - a person has clearly picked it up
+ *
+ * Otherwise the alert monitor pages the next level (backup, then all
+ * coordinators; config/onCall.js). After the last level the alert is
+ * marked unacknowledged, which stays visible on the request.
+ *
+ * Paging takes a while and staff may acknowledge the alert meanwhile,
+ * so every change is saved on top of the alert as it is stored then
+ * (updateAlert), never on top of an earlier copy.
+ *
+ * The alert is saved on the request:
+ *   alert: { reason, status: 'open' | 'acknowledged' | 'unacknowledged',
+ *            level, acknowledgeBy, pages: [{ level, at, recipients }],
+ *            acknowledgedBy, acknowledgedAt, acknowledgedVia, raisedAt }
+ */
+
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const userRepository = require('../repositories/userRepository');
+const notificationService = require('./notificationService');
+const onCallService = require('./onCallService');
+const { getCategoryOrFallback } = require('../config/categories');
+const { RESPONDED_STATUSES } = require('../config/sla');
+const { COORDINATOR_TEMPLATES } = require('../config/notificationTemplates');
+const {
+  ALERT_URGENCIES,
+  ALERT_CATEGORIES,
+  DEFAULT_ACK_MINUTES,
+  ESCALATION_LEVELS
+} = require('../config/onCall');
+const { createHttpError } = require('../utils/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 1;
+
+/**
+ * Minutes each level has to acknowledge (ONCALL_ACK_MINUTES)
+ */
+const getAcknowledgeMinutes = () => {
+  return Number(process.env.ONCALL_ACK_MINUTES) || DEFAULT_ACK_MINUTES;
+};
+
+/**
+ * Why a request needs the on-call coordinator
+ *
+ * @param {Object} request - Stored support request
+ * @returns {string|null} 'emergency_category', 'high_urgency' or null
+ */
+const getAlertReason = (request) => {
+  if (ALERT_CATEGORIES.includes(request.issueCategory)) return 'emergency_category';
+  if (ALERT_URGENCIES.includes(request.urgency)) return 'high_urgency';
+  return null;
+};
+
+/**
+ * Works out who is paged at a level
+ *
+ * Levels without anyone to page (no shift, or no backup) are skipped.
+ *
+ * @param {number} fromLevel - Index in ESCALATION_LEVELS to start at
+ * @param {Date} now - Time of the page
+ * @returns {Promise<Object|null>} { level, members: [{ userId, name, phone }] },
+ *   or null when every level has been used
+ */
+const findNextLevel = async (fromLevel, now) => {
+  const shift = await onCallService.getShiftAt(now);
+
+  for (let level = fromLevel; level < ESCALATION_LEVELS.length; level += 1) {
+    const name = ESCALATION_LEVELS[level];
+    if (name === 'coordinators') {
+      const coordinators = await onCallService.getCoordinators();
+      if (coordinators.length > 0) {
+        return { level, members: coordinators.map(user => ({ userId: user.id, name: user.name, phone: null })) };
+      }
+    } else if (shift && shift[name]) {
+      return { level, members: [shift[name]] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Pages one coordinator: SMS to the shift's phone number, else email
+ *
+ * @returns {Promise<Object|null>} The notification, or null if the
+ *   account no longer exists
+ */
+const pageMember = async (request, member) => {
+  const user = await userRepository.findById(member.userId);
+  if (!user) {
+    return null;
+  }
+
+  return notificationService.sendMessage({
+    ticketId: request.ticketId,
+    event: 'on_call_page',
+    recipient: 'coordinator',
+    ...(member.phone ? { channel: 'sms', to: member.phone } : { channel: 'email', to: user.email }),
+    ...COORDINATOR_TEMPLATES.on_call_page({
+      ticketId: request.ticketId,
+      urgency: request.urgency,
+      category: getCategoryOrFallback(request.issueCategory).label,
+      acknowledgeMinutes: getAcknowledgeMinutes()
+    })
+  });
+};
+
+/**
+ * Pages the next level and returns the alert fields to save
+ *
+ * @param {Object} request - Stored support request
+ * @param {Object} next - From findNextLevel
+ * @param {Date} now - Time of the page
+ * @returns {Promise<Object>} { level, acknowledgeBy, page }
+ */
+const pageLevel = async (request, next, now) => {
+  const notifications = await Promise.all(next.members.map(member => pageMember(request, member)));
+  const failed = notifications.filter(notification => notification && ['pending', 'failed'].includes(notification.status)).length;
+  if (failed > 0) {
+    console.warn(`[On-call] ${failed} page(s) for ${request.ticketId} were not delivered yet - retrying`);
+  }
+  const logged = notifications.filter(notification => notification && notification.status === 'logged').length;
+  if (logged > 0) {
+    console.warn(`[On-call] ${logged} page(s) for ${request.ticketId} were only logged - configure a notification provider to reach coordinators`);
+  }
+
+  return {
+    level: ESCALATION_LEVELS[next.level],
+    acknowledgeBy: new Date(now.getTime() + getAcknowledgeMinutes() * MINUTE_MS).toISOString(),
+    page: {
+      level: ESCALATION_LEVELS[next.level],
+      at: now.toISOString(),
+      recipients: next.members.map(member => ({ userId: member.userId, name: member.name }))
+    }
+  };
+};
+
+/**
+ * Builds a new alert before anyone is paged
+ */
+const createAlert = (reason, now) => ({
+  reason,
+  status: 'open',
+  level: null,
+  acknowledgeBy: null,
+  pages: [],
+  acknowledgedBy: null,
+  acknowledgedAt: null,
+  acknowledgedVia: null,
+  raisedAt: now.toISOString()
+});
+
+/**
+ * Saves changes to a request's alert on top of the stored alert
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {Function} getChanges - (storedAlert) => fields to change, or
+ *   null to leave the alert as it is
+ * @returns {Promise<Object|null>} The updated request, or null if
+ *   nothing was saved
+ */
+const updateAlert = async (ticketId, getChanges) => {
+  const request = await supportRequestRepository.findByTicketId(ticketId);
+  const changes = request && request.alert && getChanges(request.alert);
+  if (!changes) {
+    return null;
+  }
+
+  return supportRequestRepository.update(ticketId, {
+    alert: { ...request.alert, ...changes }
+  });
+};
+
+/**
+ * Raises an alert for a request if it is urgent enough
+ *
+ * Called when a request is created and whenever its urgency goes up;
+ * a request that already has an alert is not paged again.
+ *
+ * @param {Object} request - Stored support request
+ * @param {Date} now - Time of the alert
+ * @returns {Promise<Object|null>} The updated request, or null if no
+ *   alert was needed
+ */
+const raiseAlert = async (request, now = new Date()) => {
+  const reason = getAlertReason(request);
+  if (!reason) {
+    return null;
+  }
+
+  // Save the alert before paging, so a second call finds it and stops
+  const current = await supportRequestRepository.findByTicketId(request.ticketId);
+  if (!current || current.alert) {
+    return null;
+  }
+  await supportRequestRepository.update(request.ticketId, { alert: createAlert(reason, now) });
+
+  const next = await findNextLevel(0, now);
+  if (!next) {
+    console.error(`[On-call] ${request.ticketId} needs a coordinator but there is no coordinator account to page`);
+    return updateAlert(request.ticketId, alert => alert.status === 'open' && { status: 'unacknowledged' });
+  }
+
+  const { level, acknowledgeBy, page } = await pageLevel(current, next, now);
+  console.warn(`[On-call] Paged ${page.recipients.map(recipient => recipient.name).join(', ')} (${level}) for ${request.ticketId}`);
+
+  return updateAlert(request.ticketId, alert => ({ level, acknowledgeBy, pages: [...alert.pages, page] }));
+};
+
+/**
+ * Raises the alert without holding up the caller
+ *
+ * @param {Object} request - Stored support request
+ */
+const raiseAlertInBackground = (request) => {
+  raiseAlert(request).catch(error => {
+    console.error(`On-call alert for ${request.ticketId} failed:`, error.message);
+  });
+};
+
+/**
+ * Acknowledges an open alert
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {Object} user - { id, name } of the coordinator
+ * @returns {Promise<Object>} The updated alert
+ * @throws {Error} 404 if not found, 409 if there is no alert to acknowledge
+ */
+const acknowledgeAlert = async (ticketId, user) => {
+  const request = await supportRequestRepository.findByTicketId(ticketId);
+  if (!request) {
+    throw createHttpError(404, 'Support request not found');
+  }
+  if (!request.alert || request.alert.status === 'acknowledged') {
+    throw createHttpError(409, 'This request has no alert waiting for acknowledgement');
+  }
+
+  const updatedRequest = await supportRequestRepository.update(request.ticketId, {
+    alert: {
+      ...request.alert,
+      status: 'acknowledged',
+      acknowledgedBy: { id: user.id, name: user.name },
+      acknowledgedAt: new Date().toISOString(),
+      acknowledgedVia: 'acknowledge'
+    }
+  });
+  return updatedRequest.alert;
+};
+
+/**
+ * Finds whether staff already picked up the request since the alert
+ *
+ * @returns {Object|null} { acknowledgedBy, acknowledgedVia } or null
+ */
+const getImplicitAcknowledgement = (request) => {
+  const raisedAt = new Date(request.alert.raisedAt);
+
+  // Auto-assignment does not count - nobody has looked at the request
+  if (request.assignedBy && request.assignedBy.id !== 'system' && new Date(request.assignedAt) >= raisedAt) {
+    return { acknowledgedBy: request.assignedBy, acknowledgedVia: 'assignment' };
+  }
+  if (RESPONDED_STATUSES.includes(request.status)) {
+    return { acknowledgedBy: null, acknowledgedVia: 'status' };
+  }
+  return null;
+};
+
+/**
+ * Checks one open alert and escalates it when its window has passed
+ *
+ * @param {string} ticketId - Ticket ID of a request with an open alert
+ * @param {Date} now - Time of the check
+ * @returns {Promise<string|null>} 'acknowledged', 'escalated',
+ *   'unacknowledged' or null
+ */
+const checkAlert = async (ticketId, now) => {
+  // Read again: earlier alerts in this check may have taken a while
+  const request = await supportRequestRepository.findByTicketId(ticketId);
+  const alert = request && request.alert;
+
+  // Acknowledged meanwhile, or the first page is still being sent
+  if (!alert || alert.status !== 'open' || !alert.acknowledgeBy) {
+    return null;
+  }
+
+  const implicit = getImplicitAcknowledgement(request);
+  if (implicit) {
+    await updateAlert(request.ticketId, stored => stored.status === 'open' &&
+      { status: 'acknowledged', acknowledgedAt: now.toISOString(), ...implicit });
+    return 'acknowledged';
+  }
+
+  if (new Date(alert.acknowledgeBy) > now) {
+    return null;
+  }
+
+  const next = await findNextLevel(ESCALATION_LEVELS.indexOf(alert.level) + 1, now);
+  if (!next) {
+    const updated = await updateAlert(request.ticketId, stored => stored.status === 'open' && { status: 'unacknowledged' });
+    if (!updated) {
+      return null;
+    }
+    console.error(`[On-call] Nobody acknowledged the alert for ${request.ticketId} (${request.urgency})`);
+    return 'unacknowledged';
+  }
+
+  const { level, acknowledgeBy, page } = await pageLevel(request, next, now);
+  // Acknowledged while paging: the page is recorded, the acknowledgement kept
+  await updateAlert(request.ticketId, stored => ({ level, acknowledgeBy, pages: [...stored.pages, page] }));
+  console.warn(`[On-call] ${request.ticketId} not acknowledged - escalated to ${level}`);
+  return 'escalated';
+};
+
+/**
+ * Checks every open alert
+ *
+ * @param {Date} now - Time of the check (defaults to the current time)
+ * @returns {Promise<Object>} Counts: { checked, acknowledged, escalated, unacknowledged }
+ */
+const runAlertCheck = async (now = new Date()) => {
+  const requests = await supportRequestRepository.findAll(request =>
+    request.alert && request.alert.status === 'open'
+  );
+
+  const result = { checked: requests.length, acknowledged: 0, escalated: 0, unacknowledged: 0 };
+  for (const request of requests) {
+    const outcome = await checkAlert(request.ticketId, now);
+    if (outcome) {
+      result[outcome] += 1;
+    }
+  }
+  return result;
+};
+
+/**
+ * Starts the periodic alert check
+ *
+ * The interval is set by ONCALL_CHECK_INTERVAL_MINUTES (default 1).
+ * The timer does not keep the process alive on its own.
+ *
+ * @returns {Function} Stops the monitor
+ */
+const startAlertMonitor = () => {
+  const intervalMinutes = Number(process.env.ONCALL_CHECK_INTERVAL_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES;
+  let isRunning = false;
+
+  const tick = async () => {
+    // Skip if the previous check is still running
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      await runAlertCheck();
+    } catch (error) {
+      console.error('On-call alert check failed:', error.message);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMinutes * MINUTE_MS);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  getAcknowledgeMinutes,
+  getAlertReason,
+  raiseAlert,
+  raiseAlertInBackground,
+  acknowledgeAlert,
+  runAlertCheck,
+  startAlertMonitor
+};
@@ -0,0 +1,215 @@
+/**
+ * Assignment Service - Matches support requests to volunteers
+ *
+ * SCORING (higher is better):
+ * - Specialty: +40 if the volunteer specialises in the request's category,
+ *   +10 if they are a general medical volunteer
+ * - Language: +20 if the volunteer speaks the patient's language
+ * - Workload: up to +30 for volunteers with the most free capacity.
+ *   For High urgency requests this weight is doubled, because getting
+ *   someone who can start now matters more than the perfect match.
+ *
+ * Only available volunteers below their maxActiveCases are suggested.
+ * Coordinators can still assign anyone with override: true
+ * (manual override), e.g. when a volunteer agrees to take an extra case.
+ *
+ * Every assignment is recorded in the request's activity log, with the
+ * previous volunteer for a reassignment (see activityService).
+ *
+ * AUTO-ASSIGNMENT:
+ * With AUTO_ASSIGN=true, new requests are assigned to the top
+ * suggestion as soon as they enter the review queue.
+ *
+ * Requests waiting for a human triage review (low AI confidence, see
+ * triageReviewService) cannot be assigned - automatically or manually -
+ * until a staff member has confirmed their urgency.
+ */
+
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const volunteerRepository = require('../repositories/volunteerRepository');
+const statusService = require('./statusService');
+const notificationService = require('./notificationService');
+const activityService = require('./activityService');
+const { isReviewPending } = require('./triageReviewService');
+const { getActiveCaseCounts, hasCapacity } = require('./volunteerService');
+const { getCategoryOrFallback } = require('../config/categories');
+const { createHttpError } = require('../utils/errorHandler');
+
+const SCORE_WEIGHTS = {
+  specialty: 40,
+  generalist: 10,
+  language: 20,
+  workload: 30
+};
+
+const DEFAULT_SUGGESTION_LIMIT = 3;
+
+/**
+ * Who is recorded as assigning a request when it is auto-assigned
+ */
+const SYSTEM_ASSIGNER = { id: 'system', name: 'Auto-assignment' };
+
+/**
+ * Scores how well a volunteer fits a request
+ *
+ * @param {Object} volunteer - Volunteer profile
+ * @param {Object} request - Stored support request
+ * @param {number} activeCases - Volunteer's current active case count
+ * @returns {Object} { score, reasons } where reasons explain the score
+ */
+const scoreVolunteer = (volunteer, request, activeCases) => {
+  let score = 0;
+  const reasons = [];
+  const specialties = volunteer.specialties || [];
+
+  if (specialties.includes(request.issueCategory)) {
+    score += SCORE_WEIGHTS.specialty;
+    reasons.push(`Specialises in ${getCategoryOrFallback(request.issueCategory).label}`);
+  } else if (specialties.includes('general')) {
+    score += SCORE_WEIGHTS.generalist;
+    reasons.push('General medical volunteer');
+  }
+
+  if (request.language && (volunteer.languages || []).includes(request.language)) {
+    score += SCORE_WEIGHTS.language;
+    reasons.push(`Speaks the patient's language (${request.language})`);
+  }
+
+  const freeShare = Math.max(0, 1 - activeCases / volunteer.maxActiveCases);
+  const workloadWeight = request.urgency === 'High' ? SCORE_WEIGHTS.workload * 2 : SCORE_WEIGHTS.workload;
+  score += Math.round(freeShare * workloadWeight);
+  reasons.push(`${activeCases} of ${volunteer.maxActiveCases} active cases`);
+
+  return { score, reasons };
+};
+
+/**
+ * Loads a request, or throws 404
+ */
+const getRequestOrThrow = async (ticketId) => {
+  const request = await supportRequestRepository.findByTicketId(ticketId);
+  if (!request) {
+    throw createHttpError(404, 'Support request not found');
+  }
+  return request;
+};
+
+/**
+ * Returns the best volunteers for a request, best match first
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Promise<Array>} [{ volunteer, activeCases, score, reasons }]
+ * @throws {Error} 404 if the request does not exist
+ */
+const suggestVolunteers = async (ticketId, limit = DEFAULT_SUGGESTION_LIMIT) => {
+  const request = await getRequestOrThrow(ticketId);
+  const [volunteers, counts] = await Promise.all([
+    volunteerRepository.findAll(),
+    getActiveCaseCounts()
+  ]);
+
+  return volunteers
+    .filter(volunteer => volunteer.id !== request.assignedVolunteer?.id)
+    .map(volunteer => {
+      const activeCases = counts.get(volunteer.id) || 0;
+      return { volunteer, activeCases, ...scoreVolunteer(volunteer, request, activeCases) };
+    })
+    .filter(({ volunteer, activeCases }) => hasCapacity(volunteer, activeCases))
+    .sort((a, b) => b.score - a.score || a.activeCases - b.activeCases)
+    .slice(0, limit);
+};
+
+/**
+ * Assigns (or reassigns) a request to a volunteer
+ *
+ * A request waiting in review moves to "assigned". A request that is
+ * already assigned or in progress keeps its status and only changes hands.
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {string} volunteerId - Volunteer to assign
+ * @param {Object} options
+ * @param {Object} options.assignedBy - { id, name } of the staff member assigning
+ * @param {boolean} options.override - Assign even if unavailable or at capacity
+ * @returns {Promise<Object>} The updated request
+ * @throws {Error} 404 if request/volunteer not found, 409 if not assignable
+ *   (including while its triage review is pending)
+ */
+const assignVolunteer = async (ticketId, volunteerId, { assignedBy, override = false }) => {
+  const request = await getRequestOrThrow(ticketId);
+
+  if (isReviewPending(request)) {
+    throw createHttpError(409, 'Confirm this request\'s urgency in the triage review before assigning it');
+  }
+
+  const volunteer = await volunteerRepository.findById(volunteerId);
+  if (!volunteer) {
+    throw createHttpError(404, 'Volunteer not found');
+  }
+
+  if (statusService.FINAL_STATUSES.includes(request.status)) {
+    throw createHttpError(409, `Cannot assign a request that is "${request.status}"`);
+  }
+
+  if (!override) {
+    const activeCases = (await getActiveCaseCounts()).get(volunteer.id) || 0;
+    if (!hasCapacity(volunteer, activeCases)) {
+      throw createHttpError(409, volunteer.available
+        ? `${volunteer.name} already has ${activeCases} of ${volunteer.maxActiveCases} active cases. Use override to assign anyway.`
+        : `${volunteer.name} is currently unavailable. Use override to assign anyway.`);
+    }
+  }
+
+  const assignment = {
+    assignedVolunteer: { id: volunteer.id, name: volunteer.name },
+    assignedBy: { id: assignedBy.id, name: assignedBy.name },
+    assignedAt: new Date().toISOString()
+  };
+
+  const updatedRequest = statusService.canTransition(request.status, 'assigned')
+    ? await statusService.transitionStatus(request.ticketId, 'assigned', assignment, assignedBy)
+    : await supportRequestRepository.update(request.ticketId, assignment);
+
+  await activityService.recordActivity(request.ticketId, 'assignment', assignedBy, {
+    volunteer: assignment.assignedVolunteer,
+    previousVolunteer: request.assignedVolunteer || null,
+    override
+  });
+
+  // The patient and the (new) volunteer are told who is taking the case
+  notificationService.notifyInBackground(updatedRequest, 'assigned');
+  return updatedRequest;
+};
+
+/**
+ * Assigns a new request to the best available volunteer,
+ * if AUTO_ASSIGN is enabled and no triage review is pending
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @returns {Promise<Object|null>} The updated request, or null if not assigned
+ */
+const autoAssign = async (ticketId) => {
+  if (process.env.AUTO_ASSIGN !== 'true') {
+    return null;
+  }
+
+  // Low-confidence triage waits for a person first
+  const request = await getRequestOrThrow(ticketId);
+  if (isReviewPending(request)) {
+    return null;
+  }
+
+  const [best] = await suggestVolunteers(ticketId, 1);
+  if (!best) {
+    return null;
+  }
+
+  return assignVolunteer(ticketId, best.volunteer.id, { assignedBy: SYSTEM_ASSIGNER });
+};
+
+module.exports = {
+  scoreVolunteer,
+  suggestVolunteers,
+  assignVolunteer,
+  autoAssign
+};
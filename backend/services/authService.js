@@ -0,0 +1,343 @@
+/**
+ * Auth Service - Passwords, signed tokens and staff accounts
+ *
+ * SECURITY DESIGN:
+ * - Passwords are hashed with scrypt and a per-user random salt.
+ *   Plain-text passwords are never stored or logged.
+ * - Sessions use stateless signed tokens (HMAC-SHA256). The token
+ *   carries the user ID, role and expiry; the signature stops anyone
+ *   from changing their role or extending the expiry.
+ * - Only Node's built-in crypto module is used, so this works
+ *   offline with no extra dependencies.
+ * - After MAX_FAILED_LOGINS wrong passwords for an email address, logins
+ *   to it are refused for LOGIN_LOCK_MINUTES, so passwords cannot be
+ *   guessed. Unknown emails are counted too, so the lock does not reveal
+ *   which emails have accounts.
+ * - The placeholder values from .env.example are never accepted as the
+ *   token secret or the first admin's password.
+ *
+ * ROLES:
+ * - patient: Can submit and follow their own requests (public routes)
+ * - volunteer: Can work the triage queue and update request status
+ * - coordinator: Everything a volunteer can, plus managing volunteer
+ *   profiles and assigning requests to volunteers
+ * - admin: Full access, including creating staff accounts
+ */
+
+const crypto = require('crypto');
+const userRepository = require('../repositories/userRepository');
+const { createHttpError } = require('../utils/errorHandler');
+
+/**
+ * All supported roles, from least to most privileged
+ */
+const ROLES = ['patient', 'volunteer', 'coordinator', 'admin'];
+
+/**
+ * Role groups used when protecting routes
+ */
+const STAFF_ROLES = ['volunteer', 'coordinator', 'admin'];
+const COORDINATOR_ROLES = ['coordinator', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+const DEFAULT_TOKEN_TTL_HOURS = 12;
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCK_MINUTES = 15;
+
+/**
+ * Example values from .env.example, which are public
+ */
+const PLACEHOLDER_SECRETS = ['change_me_to_a_long_random_string', 'long_random_string'];
+const PLACEHOLDER_PASSWORDS = ['change_me_please'];
+
+/**
+ * Failed logins per email address: email -> { failures, lockedUntil }
+ *
+ * Kept in memory, so a restart clears it - an attacker still cannot
+ * make more than a handful of guesses per lock window.
+ */
+const failedLogins = new Map();
+
+/**
+ * Secret used to sign tokens
+ *
+ * In production AUTH_SECRET must be set to something other than the
+ * example value. In development a random secret is generated per
+ * process, which means tokens stop working after a restart - fine for
+ * local testing.
+ */
+const getTokenSecret = (() => {
+  let developmentSecret = null;
+
+  return () => {
+    const secret = process.env.AUTH_SECRET;
+    if (secret && !PLACEHOLDER_SECRETS.includes(secret)) {
+      return secret;
+    }
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('AUTH_SECRET must be set to a long random string in production');
+    }
+    if (!developmentSecret) {
+      developmentSecret = crypto.randomBytes(32).toString('hex');
+      console.warn(secret
+        ? 'AUTH_SECRET is the example value from .env.example - using a temporary secret instead.'
+        : 'AUTH_SECRET is not set - using a temporary secret. Staff will need to log in again after a restart.');
+    }
+    return developmentSecret;
+  };
+})();
+
+/**
+ * Hashes a password with scrypt and a random salt
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Hash in the format "scrypt$<salt>$<hash>"
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+};
+
+/**
+ * Checks a password against a stored hash (constant-time comparison)
+ *
+ * @param {string} password - Plain-text password to check
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+const verifyPassword = (password, storedHash) => {
+  const [scheme, salt, hash] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+};
+
+/**
+ * Signs a payload with the token secret
+ */
+const sign = (encodedPayload) => {
+  return crypto.createHmac('sha256', getTokenSecret()).update(encodedPayload).digest('base64url');
+};
+
+/**
+ * Creates a signed access token for a user
+ *
+ * @param {Object} user - Stored user
+ * @returns {string} Token in the format "<payload>.<signature>"
+ */
+const createToken = (user) => {
+  const ttlHours = Number(process.env.AUTH_TOKEN_TTL_HOURS) || DEFAULT_TOKEN_TTL_HOURS;
+  const payload = {
+    sub: user.id,
+    role: user.role,
+    name: user.name,
+    exp: Date.now() + ttlHours * 60 * 60 * 1000
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+};
+
+/**
+ * Verifies a token's signature and expiry
+ *
+ * @param {string} token - Token produced by createToken
+ * @returns {Object|null} The token payload, or null if invalid/expired
+ */
+const verifyToken = (token) => {
+  const [encodedPayload, signature] = String(token || '').split('.');
+  if (!encodedPayload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    return payload.exp > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Returns a user without sensitive fields
+ *
+ * @param {Object} user - Stored user
+ * @returns {Object} { id, name, email, role, active, createdAt }
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  active: user.active,
+  createdAt: user.createdAt
+});
+
+/**
+ * Validates data for a new account
+ *
+ * @returns {string|null} Error message or null if valid
+ */
+const validateNewUser = ({ name, email, password, role }) => {
+  if (!name || typeof name !== 'string' || name.trim().length < 2) {
+    return 'Name is required and must be at least 2 characters';
+  }
+  if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    return 'A valid email address is required';
+  }
+  if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Creates a new user account with a hashed password
+ *
+ * @param {Object} data - { name, email, password, role }
+ * @returns {Promise<Object>} The public view of the new user
+ * @throws {Error} 400 for invalid data, 409 if the email is taken
+ */
+const registerUser = async ({ name, email, password, role }) => {
+  const validationError = validateNewUser({ name, email, password, role });
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+
+  if (await userRepository.findByEmail(email)) {
+    throw createHttpError(409, 'An account with this email already exists');
+  }
+
+  const user = await userRepository.create({
+    name: name.trim(),
+    email,
+    role,
+    passwordHash: await hashPassword(password)
+  });
+
+  return toPublicUser(user);
+};
+
+/**
+ * Records a failed login and locks the email after too many
+ */
+const recordFailedLogin = (key, now) => {
+  // Forget expired locks so the map does not keep growing
+  for (const [entryKey, entry] of failedLogins) {
+    if (entry.lockedUntil && entry.lockedUntil <= now) {
+      failedLogins.delete(entryKey);
+    }
+  }
+
+  const failures = (failedLogins.get(key)?.failures || 0) + 1;
+  const locked = failures >= MAX_FAILED_LOGINS;
+  failedLogins.set(key, {
+    failures: locked ? 0 : failures,
+    lockedUntil: locked ? now + LOGIN_LOCK_MINUTES * 60 * 1000 : null
+  });
+};
+
+/**
+ * Checks login credentials and issues a token
+ *
+ * The same error is returned for an unknown email and a wrong password
+ * so attackers cannot discover which emails have accounts.
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object>} { token, user }
+ * @throws {Error} 401 if the credentials are invalid, 429 while the
+ *   email is locked after too many failed logins
+ */
+const login = async (email, password) => {
+  const key = email.trim().toLowerCase();
+  const now = Date.now();
+  const attempts = failedLogins.get(key);
+
+  if (attempts && attempts.lockedUntil > now) {
+    throw createHttpError(429, `Too many failed logins. Please try again in ${LOGIN_LOCK_MINUTES} minutes.`);
+  }
+
+  const user = await userRepository.findByEmail(email);
+  const isValid = user && user.active && await verifyPassword(password, user.passwordHash);
+
+  if (!isValid) {
+    recordFailedLogin(key, now);
+    throw createHttpError(401, 'Invalid email or password');
+  }
+
+  failedLogins.delete(key);
+
+  return {
+    token: createToken(user),
+    user: toPublicUser(user)
+  };
+};
+
+/**
+ * Creates the first admin account from environment variables
+ *
+ * Runs at startup. Does nothing if ADMIN_EMAIL / ADMIN_PASSWORD are
+ * not set or the account already exists, and refuses the example
+ * password from .env.example.
+ */
+const ensureAdminUser = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    return;
+  }
+
+  if (PLACEHOLDER_PASSWORDS.includes(ADMIN_PASSWORD)) {
+    console.warn('ADMIN_PASSWORD is the example value from .env.example - the admin account was not created. Set a password of your own.');
+    return;
+  }
+
+  if (await userRepository.findByEmail(ADMIN_EMAIL)) {
+    return;
+  }
+
+  await registerUser({
+    name: ADMIN_NAME || 'Administrator',
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    role: 'admin'
+  });
+  console.log(`Created admin account for ${ADMIN_EMAIL}`);
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  COORDINATOR_ROLES,
+  getTokenSecret,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  toPublicUser,
+  registerUser,
+  login,
+  ensureAdminUser
+};
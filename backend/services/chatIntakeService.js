@@ -0,0 +1,393 @@
+/**
+ * Chat Intake Service - Collects a support request inside the chatbot
+ *
+ * PURPOSE:
+ * Many chatbot replies point patients to the support form. Instead of
+ * making them leave the chat and retype everything, the chatbot can ask
+ * for the same details one at a time and submit the request itself.
+ *
+ * FLOW:
+ * name → age → phone → category → description → confirm → request created
+ * - Every answer is checked with the same validators as the form, and
+ *   the question is asked again with the error if it is not valid
+ * - A category already selected on the form is used without asking
+ * - The patient will be contacted by phone call; other channels can be
+ *   chosen on the form
+ * - "cancel" stops at any point; nothing is submitted before "yes"
+ * - The request is created through supportRequestService, exactly like
+ *   a form submission, and the ticket ID and urgency are shown in the chat
+ * - If the request is rejected (spam, invalid details) the patient is told
+ *   why and the intake starts over; only a server or storage failure
+ *   offers to try the same details again
+ *
+ * The progress is kept in the chat session (context.intake), so it
+ * survives a page reload like the rest of the conversation. Questions
+ * are asked in the session's language (see locales/, under "intake"),
+ * and the request is stored with that language.
+ */
+
+const supportRequestService = require('./supportRequestService');
+const {
+  validateName,
+  validateAge,
+  validatePhone,
+  validateIssueCategory,
+  validateDescription
+} = require('../utils/validators');
+const { CATEGORIES, getCategory, localizeCategory } = require('../config/categories');
+const { LANGUAGES, getTranslations } = require('../config/languages');
+const { SLA_BY_URGENCY } = require('../config/sla');
+const { compileTerm, findMatches } = require('../utils/textMatcher');
+
+/**
+ * English text; other languages override it in their locale bundle
+ */
+const TEXT = {
+  start: 'I can create a support request for you right here. I just need a few details - you can type "cancel" at any time.',
+  formCategory: (label) => `I'll use the category you selected on the form: ${label}.`,
+  questions: {
+    name: 'What is the patient\'s full name?',
+    age: 'How old is the patient? (in years)',
+    phone: 'What mobile number can a volunteer call you on?',
+    issueCategory: (menu) => `What is the request about? Reply with a number:\n\n${menu}`,
+    description: 'Please describe the problem in a few sentences - what is happening, since when, and what help you need.'
+  },
+  // null: use the validator's own message
+  invalid: {
+    name: null,
+    age: null,
+    phone: null,
+    // The registry values in the form's error message mean nothing in a chat
+    issueCategory: 'Please reply with one of the numbers from the list.',
+    description: null
+  },
+  confirmation: ({ name, age, phone, category, description }) => `Please check these details:
+
+• Name: ${name}
+• Age: ${age}
+• Phone: ${phone}
+• Category: ${category}
+• Description: ${description}
+
+Shall I submit this request? Reply "yes" to submit or "cancel" to stop.`,
+  notUnderstood: 'Sorry, I didn\'t catch that.',
+  cancelled: 'Okay, I have not submitted anything. If you change your mind, just type "start request".',
+  created: ({ ticketId, trackingCode, urgency, responseHours }) => `✅ Your support request has been submitted.
+
+Ticket ID: ${ticketId}
+Tracking code: ${trackingCode}
+Priority: ${urgency}
+
+Please keep your ticket ID and tracking code - you need both to check on your request under "Track my request". A volunteer aims to contact you within ${responseHours} hours.`,
+  submitFailed: 'Sorry, I couldn\'t submit your request just now. Reply "yes" to try again, or use the support form.',
+  submitRejected: (reason) => `Sorry, this request could not be submitted: ${reason}
+
+Nothing was sent. Type "start request" to try again with different details, or use the support form.`,
+  options: {
+    confirm: ['Yes, submit', 'Cancel'],
+    cancel: 'Cancel'
+  }
+};
+
+/**
+ * Phrases that start the intake from any point in the conversation
+ * Matched as whole phrases, so they must ask for a request on their own
+ */
+const START_PHRASES = [
+  'start request', 'start a request', 'submit here', 'submit a request here',
+  'submit for me', 'help me submit', 'help me fill', 'create a request',
+  'create request', 'file a request', 'submit in the chat', 'request in the chat'
+];
+
+const CANCEL_PATTERN = /^(cancel|stop|quit|exit|never ?mind)\b/;
+const YES_PATTERN = /^(yes|y|yeah|yep|ok|okay|sure|submit|confirm)\b/;
+const NO_PATTERN = /^(no|n|nope)\b/;
+
+/**
+ * Returns the intake translations for a language, or null for English
+ */
+const getIntakeTranslations = (language) => {
+  const translations = getTranslations(language);
+  return translations ? translations.intake : null;
+};
+
+/**
+ * Returns the intake text for a language, falling back to English
+ */
+const getText = (language) => {
+  const translated = getIntakeTranslations(language) || {};
+  return {
+    ...TEXT,
+    ...translated,
+    questions: { ...TEXT.questions, ...translated.questions },
+    invalid: { ...TEXT.invalid, ...translated.invalid },
+    options: { ...TEXT.options, ...translated.options }
+  };
+};
+
+/**
+ * Checks an answer against the English and the session language's pattern
+ */
+const matches = (lowerMessage, pattern, translatedPattern) => {
+  return pattern.test(lowerMessage) || Boolean(translatedPattern && translatedPattern.test(lowerMessage));
+};
+
+/**
+ * Lists the categories as a numbered menu, e.g. "1. General Medical"
+ */
+const formatCategoryMenu = (language) => {
+  return CATEGORIES
+    .map((category, index) => `${index + 1}. ${localizeCategory(category, language).label}`)
+    .join('\n');
+};
+
+/**
+ * Reads a category from a menu number, registry value, alias or label
+ *
+ * @param {string} text - The patient's answer
+ * @param {string} language - Language code (its labels are accepted too)
+ * @returns {string} Category value, or the original text if nothing matches
+ */
+const parseCategory = (text, language) => {
+  const trimmed = text.trim();
+  const menuIndex = Number(trimmed);
+  if (Number.isInteger(menuIndex) && CATEGORIES[menuIndex - 1]) {
+    return CATEGORIES[menuIndex - 1].value;
+  }
+
+  const lowerText = trimmed.toLowerCase();
+  const byLabel = CATEGORIES.find(category =>
+    category.label.toLowerCase() === lowerText
+    || localizeCategory(category, language).label.toLowerCase() === lowerText
+  );
+  if (byLabel) {
+    return byLabel.value;
+  }
+
+  const category = getCategory(trimmed) || getCategory(lowerText.replace(/\s+/g, '_'));
+  return category ? category.value : trimmed;
+};
+
+/**
+ * Questions asked in order; each reads and validates one request field
+ */
+const STEPS = [
+  {
+    field: 'name',
+    parse: text => text.trim(),
+    validate: validateName
+  },
+  {
+    field: 'age',
+    // Accept answers like "45" or "I am 45 years old"
+    parse: text => {
+      const match = text.match(/\d+(\.\d+)?/);
+      return match ? match[0] : text.trim();
+    },
+    validate: validateAge
+  },
+  {
+    field: 'phone',
+    parse: text => text.trim(),
+    validate: validatePhone
+  },
+  {
+    field: 'issueCategory',
+    parse: parseCategory,
+    validate: validateIssueCategory
+  },
+  {
+    field: 'description',
+    parse: text => text.trim(),
+    validate: validateDescription
+  }
+];
+
+/**
+ * Returns the first step whose field has not been collected yet
+ */
+const findNextStep = (data) => STEPS.find(step => data[step.field] === undefined) || null;
+
+/**
+ * Builds the reply asking the current step's question
+ */
+const promptFor = (intake, language, prefix = '') => {
+  const text = getText(language);
+  let question;
+  if (intake.step === 'issueCategory') {
+    question = text.questions.issueCategory(formatCategoryMenu(language));
+  } else if (intake.step === 'confirm') {
+    question = text.confirmation({
+      ...intake.data,
+      category: localizeCategory(getCategory(intake.data.issueCategory), language).label
+    });
+  } else {
+    question = text.questions[intake.step];
+  }
+
+  return {
+    reply: prefix ? `${prefix}\n\n${question}` : question,
+    intent: 'intake'
+  };
+};
+
+/**
+ * Public view of the intake progress for API responses; the chat
+ * widget offers the options as quick replies
+ *
+ * @param {Object|null} intake - The session's intake state
+ * @param {string} language - Language code for the options
+ * @returns {Object|null} { step, options } or null when no intake is running
+ */
+const toIntakeView = (intake, language) => {
+  if (!intake) {
+    return null;
+  }
+  const text = getText(language);
+  const options = {
+    issueCategory: CATEGORIES.map(category => localizeCategory(category, language).label),
+    confirm: text.options.confirm
+  };
+  return {
+    step: intake.step,
+    options: options[intake.step] || [text.options.cancel]
+  };
+};
+
+// Start phrases of every language, compiled once: [{ pattern }]
+const START_ENTRIES = [
+  START_PHRASES,
+  ...LANGUAGES
+    .filter(language => language.translations)
+    .map(language => language.translations.intake.startPhrases)
+].flat().map(phrase => ({ pattern: compileTerm(phrase) }));
+
+/**
+ * Checks whether a message asks to create a request in the chat
+ *
+ * Start phrases of every language are recognised as whole phrases
+ * (see utils/textMatcher.js); a negated one ("I don't want to start a
+ * request yet") does not count.
+ *
+ * @param {string} message - User message
+ * @returns {boolean}
+ */
+const isStartRequest = (message) => findMatches(message, START_ENTRIES).some(match => !match.negated);
+
+/**
+ * Starts collecting a support request
+ *
+ * @param {Object} context - The session context; its category is reused
+ *   if set, and its language is used for the questions and the request
+ * @returns {Object} { reply, intent, contextChanges }
+ */
+const startIntake = (context) => {
+  const text = getText(context.language);
+  const data = context.language ? { language: context.language } : {};
+  let prefix = text.start;
+
+  const formCategory = getCategory(context.category);
+  if (formCategory) {
+    data.issueCategory = formCategory.value;
+    prefix += `\n\n${text.formCategory(localizeCategory(formCategory, context.language).label)}`;
+  }
+
+  const intake = { step: findNextStep(data).field, data };
+  return { ...promptFor(intake, context.language, prefix), contextChanges: { intake } };
+};
+
+/**
+ * Handles the patient's answer to the current intake question
+ *
+ * @param {Object} intake - The session's intake state { step, data }
+ * @param {string} message - The patient's answer
+ * @param {string} language - Session language code
+ * @returns {Promise<Object>} { reply, intent, contextChanges, request? }
+ */
+const continueIntake = async (intake, message, language) => {
+  const lowerMessage = message.toLowerCase();
+  const text = getText(language);
+  const translations = getIntakeTranslations(language) || {};
+
+  const isCancel = matches(lowerMessage, CANCEL_PATTERN, translations.cancelPattern);
+  const isNo = intake.step === 'confirm' && matches(lowerMessage, NO_PATTERN, translations.noPattern);
+  if (isCancel || isNo) {
+    return {
+      reply: text.cancelled,
+      intent: 'intake_cancelled',
+      contextChanges: { intake: null }
+    };
+  }
+
+  if (intake.step === 'confirm') {
+    if (!matches(lowerMessage, YES_PATTERN, translations.yesPattern)) {
+      return { ...promptFor(intake, language, text.notUnderstood), contextChanges: {} };
+    }
+    return submitIntake(intake, language);
+  }
+
+  const step = STEPS.find(candidate => candidate.field === intake.step);
+  const value = step.parse(message, language);
+  const error = step.validate(value);
+  if (error) {
+    return { ...promptFor(intake, language, text.invalid[step.field] || `${error}.`), contextChanges: {} };
+  }
+
+  const data = { ...intake.data, [step.field]: value };
+  const nextStep = findNextStep(data);
+  const nextIntake = { step: nextStep ? nextStep.field : 'confirm', data };
+  return { ...promptFor(nextIntake, language), contextChanges: { intake: nextIntake } };
+};
+
+/**
+ * Creates the support request from the collected details
+ *
+ * If the server or storage fails, the details are kept so the patient
+ * can simply say "yes" again instead of starting over. A rejection
+ * (4xx: spam, invalid details) would fail the same way every time, so
+ * the patient is told why and the intake is reset.
+ */
+const submitIntake = async (intake, language) => {
+  const text = getText(language);
+  try {
+    const request = await supportRequestService.createSupportRequest(intake.data);
+    const translations = getTranslations(language);
+
+    return {
+      reply: text.created({
+        ticketId: request.ticketId,
+        trackingCode: request.trackingCode,
+        urgency: (translations && translations.urgency[request.urgency]) || request.urgency,
+        responseHours: SLA_BY_URGENCY[request.urgency].responseHours
+      }),
+      intent: 'request_created',
+      contextChanges: { intake: null },
+      request: {
+        ticketId: request.ticketId,
+        urgency: request.urgency,
+        status: request.status
+      }
+    };
+  } catch (error) {
+    if (error.statusCode >= 400 && error.statusCode < 500) {
+      return {
+        reply: text.submitRejected(error.message),
+        intent: 'intake_rejected',
+        contextChanges: { intake: null }
+      };
+    }
+
+    console.error('Chat intake submission failed:', error.message);
+    return {
+      ...promptFor(intake, language, text.submitFailed),
+      contextChanges: {}
+    };
+  }
+};
+
+module.exports = {
+  isStartRequest,
+  startIntake,
+  continueIntake,
+  toIntakeView
+};
@@ -0,0 +1,134 @@
+/**
+ * Chat Session Service - Server-side chatbot conversations
+ *
+ * Each chat gets a session ID. The session keeps the conversation
+ * history and context (current topic, selected category, language) so the
+ * chatbot can understand follow-up questions like "and how long for that?".
+ *
+ * STORAGE:
+ * Sessions live in memory only. Chats are short-lived and contain
+ * no data we need to keep, so they are not written to disk and are
+ * lost on restart - the chatbot simply starts a new session.
+ *
+ * EXPIRY:
+ * A session expires after CHAT_SESSION_TTL_MINUTES (default 30) without
+ * messages. Expired sessions are removed by a periodic cleanup, and the
+ * number of sessions is capped so memory use stays bounded.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MINUTES = 30;
+const MAX_SESSIONS = 5000;
+const MAX_HISTORY_ENTRIES = 50;
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Active sessions by ID. A Map keeps insertion order, and sessions are
+ * re-inserted on every use, so the first entry is always the least
+ * recently used one.
+ */
+const sessions = new Map();
+
+const getTtlMs = () => (Number(process.env.CHAT_SESSION_TTL_MINUTES) || DEFAULT_TTL_MINUTES) * 60 * 1000;
+
+const isExpired = (session, now = Date.now()) => now - session.lastActiveAt > getTtlMs();
+
+/**
+ * Starts a new session
+ *
+ * @param {Object} context - Initial context, e.g. { category }
+ * @returns {Object} The session
+ */
+const createSession = (context = {}) => {
+  // Drop the least recently used session if at capacity
+  if (sessions.size >= MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    lastActiveAt: now,
+    context: { lastIntent: null, category: null, language: null, ...context },
+    history: []
+  };
+  sessions.set(session.id, session);
+  return session;
+};
+
+/**
+ * Returns an active session and marks it as used
+ *
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} The session, or null if unknown or expired
+ */
+const getSession = (sessionId) => {
+  const session = sessionId ? sessions.get(sessionId) : null;
+  if (!session) {
+    return null;
+  }
+  if (isExpired(session)) {
+    sessions.delete(sessionId);
+    return null;
+  }
+
+  session.lastActiveAt = Date.now();
+  sessions.delete(sessionId);
+  sessions.set(sessionId, session);
+  return session;
+};
+
+/**
+ * Adds a message to a session's history
+ *
+ * Only the most recent MAX_HISTORY_ENTRIES messages are kept.
+ *
+ * @param {Object} session - The session
+ * @param {Object} entry - { role: 'user' | 'bot', text, intent? }
+ */
+const appendHistory = (session, entry) => {
+  session.history.push({ ...entry, at: new Date().toISOString() });
+  if (session.history.length > MAX_HISTORY_ENTRIES) {
+    session.history.splice(0, session.history.length - MAX_HISTORY_ENTRIES);
+  }
+};
+
+/**
+ * Updates a session's context
+ *
+ * @param {Object} session - The session
+ * @param {Object} changes - Context fields to overwrite
+ */
+const updateContext = (session, changes) => {
+  session.context = { ...session.context, ...changes };
+};
+
+/**
+ * Removes expired sessions
+ *
+ * @returns {number} How many sessions were removed
+ */
+const removeExpiredSessions = () => {
+  const now = Date.now();
+  let removed = 0;
+  for (const [id, session] of sessions) {
+    if (isExpired(session, now)) {
+      sessions.delete(id);
+      removed += 1;
+    }
+  }
+  return removed;
+};
+
+// Periodic cleanup; the timer does not keep the process alive on its own
+setInterval(removeExpiredSessions, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+  createSession,
+  getSession,
+  appendHistory,
+  updateContext,
+  removeExpiredSessions
+};
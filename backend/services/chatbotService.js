@@ -9,7 +9,8 @@
  * - This chatbot NEVER provides medical diagnoses
  * - This chatbot NEVER suggests specific treatments or medications
  * - This chatbot ALWAYS recommends consulting healthcare professionals
- * - Emergency keywords trigger immediate safety disclaimers
+ * - Emergency keywords trigger immediate safety disclaimers (in English,
+ *   Hindi or romanized Hindi - see config/emergencyLexicon.js)
  * 
  * WHY RULE-BASED APPROACH:
  * - Predictable, safe responses
@@ -17,29 +18,41 @@
  * - Easy to audit and maintain
  * - Fully compliant with healthcare communication guidelines
  * 
+ * LANGUAGES:
+ * The text below is English. Translations live in locales/<code>.js
+ * (under "chatbot", keyed by intent id) and are used for sessions in
+ * that language; their keywords are matched in addition to the English
+ * ones. A session's language is the one the patient picked in the app,
+ * or Hindi if they write in Devanagari.
+ * 
+ * SINGLE SOURCE OF TRUTH:
+ * The React ChatBot sends every message here, together with the
+ * category the patient selected on the form (if any). Category-specific
+ * questions and guidance come from config/categories.js, so the
+ * frontend no longer keeps its own copy of the rules.
+ * 
  * FUTURE ENHANCEMENT:
  * In production, this could be enhanced with OpenAI using a strict
  * system prompt that prevents medical advice while allowing more
  * natural conversation flow.
  */
 
-/**
- * Emergency keywords that require immediate safety disclaimer
- * These words indicate potentially life-threatening situations
- */
-const EMERGENCY_KEYWORDS = [
-  'emergency', 'dying', 'suicide', 'suicidal', 'kill myself',
-  'heart attack', 'stroke', 'overdose', 'bleeding heavily',
-  'can\'t breathe', 'cannot breathe', 'unconscious', 'seizure',
-  'chest pain', 'severe pain', 'accident', 'poisoning'
-];
+const { CATEGORIES, getCategory, localizeCategory } = require('../config/categories');
+const { DEFAULT_LANGUAGE, detectLanguage, getTranslations } = require('../config/languages');
+const { containsEmergency } = require('../utils/emergencyDetector');
+const chatSessionService = require('./chatSessionService');
+const chatIntakeService = require('./chatIntakeService');
 
 /**
  * FAQ Intents - Predefined questions and responses
  * 
  * Each intent contains:
- * - keywords: Words that trigger this response
+ * - keywords: Words that trigger this response, matched as whole words -
+ *   list plurals and other forms separately
  * - response: The safe, informative reply
+ * - followUps (optional): Answers to follow-up questions asked while
+ *   this intent is the topic of the conversation, e.g. "what about
+ *   medicines?" right after asking about costs
  * 
  * All responses are designed to:
  * - Be calm and reassuring
@@ -78,7 +91,7 @@ A volunteer will review your request and reach out based on the priority level a
   },
   {
     id: 'medical_service',
-    keywords: ['medical service', 'doctor', 'diagnose', 'diagnosis', 'prescribe', 'medicine', 'treatment', 'medical advice'],
+    keywords: ['medical service', 'doctor', 'doctors', 'diagnose', 'diagnosis', 'prescribe', 'medicine', 'medicines', 'treatment', 'medical advice'],
     response: `Important: Jarurat Care is a support coordination service, NOT a medical provider.
 
 We cannot:
@@ -86,11 +99,18 @@ We cannot:
 • Prescribe medications
 • Provide medical treatment
 
-We CAN help connect you with qualified healthcare professionals in your area. For medical concerns, please consult a licensed healthcare provider.`
+We CAN help connect you with qualified healthcare professionals in your area. For medical concerns, please consult a licensed healthcare provider.`,
+    followUps: [
+      {
+        keywords: ['how long', 'when', 'how fast', 'how soon', 'wait'],
+        response: `A volunteer connects you with a doctor once they have reviewed your request - within hours if it is urgent, 24-48 hours for Medium and 3-5 business days for Low priority. If you need a doctor today, please visit your nearest government hospital or call 104.`
+      }
+    ]
   },
   {
     id: 'emergency',
-    keywords: EMERGENCY_KEYWORDS,
+    // Detected with the emergency lexicon, before any intent is matched
+    keywords: [],
     response: `⚠️ IMPORTANT: If you are experiencing a medical emergency, please contact emergency services IMMEDIATELY.
 
 • India Emergency: 112
@@ -99,7 +119,13 @@ We CAN help connect you with qualified healthcare professionals in your area. Fo
 
 This chatbot cannot provide emergency medical assistance. Please do not wait - call emergency services right away.
 
-If this is not an emergency, a volunteer will review your support request and reach out to you.`
+If this is not an emergency, a volunteer will review your support request and reach out to you.`,
+    followUps: [
+      {
+        keywords: ['how long', 'when', 'how fast', 'how soon', 'wait'],
+        response: `Emergency requests get our highest priority - a volunteer aims to respond within 2 hours. But please do not wait for us: call 112 or 102 now.`
+      }
+    ]
   },
   {
     id: 'data_safety',
@@ -111,11 +137,17 @@ If this is not an emergency, a volunteer will review your support request and re
 • We do not share personal health information with third parties without consent
 • Data is stored securely and accessed only by authorized personnel
 
-For detailed privacy information, please contact our support team.`
+For detailed privacy information, please contact our support team.`,
+    followUps: [
+      {
+        keywords: ['who', 'volunteer', 'see', 'access'],
+        response: `Only the volunteer assigned to your request and our NGO coordinators can see your details. They use them only to help you with your request.`
+      }
+    ]
   },
   {
     id: 'volunteer',
-    keywords: ['volunteer', 'who helps', 'who responds', 'staff', 'team'],
+    keywords: ['volunteer', 'volunteers', 'who helps', 'who responds', 'staff', 'team'],
     response: `Our support is provided by trained volunteers who:
 
 • Understand healthcare coordination
@@ -135,11 +167,30 @@ They will review your request and help connect you with appropriate resources.`
 3. Describe your healthcare concern in detail
 4. Click "Submit Request"
 
-Our AI system will analyze your request, assign a priority level, and a volunteer will follow up based on urgency.`
+Our AI system will analyze your request, assign a priority level, and a volunteer will follow up based on urgency.
+
+You can also type "start request" and I'll take your details right here in the chat.`,
+    followUps: [
+      {
+        keywords: ['information', 'details', 'need', 'documents'],
+        response: `You only need your name, age, the type of issue (category) and a short description of your concern. You can also ask me to fill in the request with you right here in the chat.`
+      }
+    ]
+  },
+  {
+    id: 'process',
+    keywords: ['what happens after', 'after submission', 'after i submit', 'next steps', 'what happens next'],
+    response: `After you submit your request, our team reviews the details and assigns a volunteer based on urgency and category. You will be contacted as soon as possible with next steps.`
+  },
+  {
+    id: 'category_support',
+    keywords: ['support related to my category', 'my category'],
+    // Reply depends on the patient's category - see getCategorySupportReply
+    response: null
   },
   {
     id: 'cost',
-    keywords: ['cost', 'fee', 'charge', 'price', 'payment', 'free', 'money'],
+    keywords: ['cost', 'costs', 'fee', 'fees', 'charge', 'charges', 'price', 'payment', 'free', 'money'],
     response: `Jarurat Care is an NGO providing FREE healthcare support coordination services.
 
 We do not charge for:
@@ -147,22 +198,50 @@ We do not charge for:
 • Connecting you with resources
 • Follow-up coordination
 
-Note: Actual medical services from healthcare providers may have their own costs. We help connect you but cannot cover medical expenses.`
+Note: Actual medical services from healthcare providers may have their own costs. We help connect you but cannot cover medical expenses.`,
+    followUps: [
+      {
+        keywords: ['medicine', 'medicines', 'medication', 'tablets', 'drugs'],
+        response: `Our help finding medicines is free, but the medicines themselves are paid to the pharmacy. Volunteers can point you to low-cost options such as Jan Aushadhi generic medicine stores and government schemes you may qualify for.`
+      },
+      {
+        keywords: ['hospital', 'doctor', 'consultation', 'test', 'tests', 'treatment', 'surgery'],
+        response: `We do not pay hospital or doctor fees, but volunteers can help you find government hospitals, free health camps and schemes such as Ayushman Bharat (PM-JAY) if you are eligible.`
+      },
+      {
+        keywords: ['ambulance'],
+        response: `Government ambulance services (102 / 108) are free in most states. We do not charge anything for helping you arrange care.`
+      },
+      {
+        keywords: ['how long', 'when', 'how fast', 'how soon', 'wait'],
+        response: `Help with costs starts once a volunteer has reviewed your request - within hours if it is urgent, 24-48 hours for Medium and 3-5 business days for Low priority. It stays free the whole time.`
+      }
+    ]
   },
   {
     id: 'mental_health',
-    keywords: ['mental health', 'anxiety', 'depression', 'stress', 'counseling', 'therapy', 'sad', 'worried'],
+    keywords: ['mental health', 'anxiety', 'anxious', 'depression', 'depressed', 'stress', 'stressed', 'counseling', 'counselling', 'therapy', 'sad', 'worried'],
     response: `Mental health is just as important as physical health. Jarurat Care can help connect you with:
 
 • Mental health support resources
 • Counseling service referrals
 • Crisis helpline information
 
-If you're struggling, you're not alone. Please submit a support request under "Mental Health" category, and a volunteer will reach out.
+If you're struggling, you're not alone. Please submit a support request under the "Mental Health & Emotional Support" category, and a volunteer will reach out.
 
 For immediate crisis support:
 • iCall: 9152987821
-• Vandrevala Foundation: 1860-2662-345`
+• Vandrevala Foundation: 1860-2662-345`,
+    followUps: [
+      {
+        keywords: ['how long', 'when', 'wait', 'how soon'],
+        response: `Mental health requests are always at least Medium priority, so a volunteer will reach out within 24-48 hours - sooner if your request is urgent. If you need to talk to someone now, please call iCall: 9152987821.`
+      },
+      {
+        keywords: ['cost', 'free', 'pay', 'fee', 'fees', 'charge'],
+        response: `Our support and referrals are free, and the helplines we share are free to call. Private counselling may have a fee; volunteers can help you find free or low-cost options.`
+      }
+    ]
   },
   {
     id: 'thanks',
@@ -176,6 +255,174 @@ For immediate crisis support:
   }
 ];
 
+/**
+ * Returns the chatbot translations for a language, or null for English
+ */
+const getChatbotTranslations = (language) => {
+  const translations = getTranslations(language);
+  return translations ? translations.chatbot : null;
+};
+
+/**
+ * Returns an intent's keywords, reply and follow-ups in a language
+ * 
+ * Keywords include the English ones, so English questions are still
+ * understood in a Hindi conversation. Untranslated text stays English.
+ * 
+ * @param {Object} intent - Intent from FAQ_INTENTS
+ * @param {string} language - Language code
+ * @returns {Object} { id, keywords, response, followUps }
+ */
+const localizeIntent = (intent, language) => {
+  const translations = getChatbotTranslations(language);
+  const translated = (translations && translations.intents[intent.id]) || {};
+  const translatedFollowUps = translated.followUps || [];
+
+  return {
+    id: intent.id,
+    keywords: [...intent.keywords, ...(translated.keywords || [])],
+    response: translated.response || intent.response,
+    followUps: (intent.followUps || []).map((followUp, index) => {
+      const translatedFollowUp = translatedFollowUps[index] || {};
+      return {
+        keywords: [...followUp.keywords, ...(translatedFollowUp.keywords || [])],
+        response: translatedFollowUp.response || followUp.response
+      };
+    })
+  };
+};
+
+/**
+ * Returns the emergency reply in a language
+ */
+const getEmergencyReply = (language) => {
+  return localizeIntent(FAQ_INTENTS.find(intent => intent.id === 'emergency'), language).response;
+};
+
+/**
+ * Reply for "support related to my category"
+ * 
+ * @param {Object|null} category - Category from the registry
+ * @param {string} language - Language code
+ * @returns {string} Reply text
+ */
+const getCategorySupportReply = (category, language) => {
+  const translations = getChatbotTranslations(language);
+  if (!category) {
+    return translations
+      ? translations.categorySupport.none
+      : 'Please select a category in the support form to get more specific guidance.';
+  }
+  const { label } = localizeCategory(category, language);
+  return translations
+    ? translations.categorySupport.selected(label)
+    : `You selected the category: ${label}. Our volunteers are trained to provide guidance and resources specific to this area. If you have more details or questions, please share them!`;
+};
+
+/**
+ * Finds a category-specific quick question (e.g. "What documents are required?")
+ * 
+ * The question is recognised in English and in the session's language.
+ * 
+ * @param {string} lowerMessage - Lowercased user message
+ * @param {string} language - Language code
+ * @returns {Object|null} The category whose question was asked
+ */
+const findCategoryQuestion = (lowerMessage, language) => {
+  const asks = (question) => lowerMessage.includes(question.toLowerCase().replace('?', ''));
+  return CATEGORIES.find(category =>
+    category.chatbot && (
+      asks(category.chatbot.question) || asks(localizeCategory(category, language).chatbot.question)
+    )
+  ) || null;
+};
+
+/**
+ * Phrases that show a message refers back to the previous topic,
+ * e.g. "and how long for that?", "what about medicines?"
+ */
+const FOLLOW_UP_PATTERNS = [
+  /^(and|also|but|so)\b/,
+  /^(what|how) about\b/,
+  /\b(that|this|it|those|them)\b/
+];
+
+/**
+ * Intents that do not start a topic, so they never replace the current one
+ */
+const NON_TOPIC_INTENTS = [
+  'default', 'greeting', 'thanks', 'bye',
+  'intake', 'intake_cancelled', 'intake_rejected', 'request_created'
+];
+
+const isFollowUpPhrase = (lowerMessage, language) => {
+  const translations = getChatbotTranslations(language);
+  const patterns = [...FOLLOW_UP_PATTERNS, ...((translations && translations.followUpPatterns) || [])];
+  return patterns.some(pattern => pattern.test(lowerMessage));
+};
+
+/**
+ * Checks a keyword as a whole word or phrase ("when" must not match "whenever")
+ * 
+ * \b only knows ASCII letters, so word edges are checked with Unicode
+ * letter/mark classes to work for Devanagari too.
+ */
+const containsWord = (lowerMessage, keyword) => {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(lowerMessage);
+};
+
+/**
+ * "How long" answers for a category topic, by the category's minimum urgency
+ */
+const CATEGORY_RESPONSE_TIMES = {
+  High: (label) => `${label} requests always get our highest priority - a volunteer aims to respond within 2 hours. If someone is in danger, please call 112 now.`,
+  Medium: (label) => `${label} requests are always at least Medium priority, so a volunteer will reach out within 24-48 hours - sooner if your request is urgent.`,
+  Low: (label) => `${label} requests are answered by priority - within hours if your request is urgent, 24-48 hours for Medium and 3-5 business days for Low priority.`
+};
+
+/**
+ * Follow-up for a category topic, e.g. "and how long for that?" after
+ * "What documents are required?"
+ * 
+ * Categories have no follow-ups of their own; a response time question
+ * is answered for the category instead of with the general timeline.
+ */
+const findCategoryFollowUp = (lowerMessage, category, language) => {
+  const responseTime = localizeIntent(FAQ_INTENTS.find(intent => intent.id === 'response_time'), language);
+  if (!responseTime.keywords.some(keyword => containsWord(lowerMessage, keyword.toLowerCase()))) {
+    return null;
+  }
+  const translations = getChatbotTranslations(language);
+  const responseTimes = translations ? translations.categoryResponseTimes : CATEGORY_RESPONSE_TIMES;
+  return {
+    keywords: responseTime.keywords,
+    response: responseTimes[category.minimumUrgency](localizeCategory(category, language).label)
+  };
+};
+
+/**
+ * Finds a follow-up answer for the current conversation topic
+ * 
+ * @param {string} lowerMessage - Lowercased user message
+ * @param {string|null} topicIntentId - Intent or category the conversation is about
+ * @param {string} language - Language code
+ * @returns {Object|null} Matching follow-up { keywords, response }
+ */
+const findFollowUp = (lowerMessage, topicIntentId, language) => {
+  const topic = FAQ_INTENTS.find(intent => intent.id === topicIntentId);
+  const topicCategory = !topic && topicIntentId ? getCategory(topicIntentId) : null;
+  if (topicCategory) {
+    return findCategoryFollowUp(lowerMessage, topicCategory, language);
+  }
+  if (!topic || !topic.followUps) {
+    return null;
+  }
+  return localizeIntent(topic, language).followUps.find(followUp =>
+    followUp.keywords.some(keyword => containsWord(lowerMessage, keyword))
+  ) || null;
+};
+
 /**
  * Default response when no intent matches
  * This ensures we never leave the user without a response
@@ -188,15 +435,15 @@ const DEFAULT_RESPONSE = `I understand you have a question. While I may not have
 • Data privacy questions
 • Mental health resources
 
-For specific healthcare concerns, please submit a support request through our form, and a volunteer will review your case personally.
+For specific healthcare concerns, please submit a support request through our form - or type "start request" to submit one right here in the chat - and a volunteer will review your case personally.
 
 Is there something else I can help you with?`;
 
 /**
- * Safety disclaimer shown with all responses
+ * Safety disclaimer returned with all responses
  * This ensures responsible healthcare communication
  */
-const SAFETY_DISCLAIMER = `\n\n---\n_Disclaimer: This chatbot provides general guidance only. It does not provide medical advice, diagnosis, or treatment. For medical concerns, please consult a healthcare professional._`;
+const SAFETY_DISCLAIMER = 'This chatbot provides general guidance only. It does not provide medical advice, diagnosis, or treatment. For medical concerns, please consult a healthcare professional.';
 
 /**
  * Checks if message contains emergency keywords
@@ -205,15 +452,13 @@ const SAFETY_DISCLAIMER = `\n\n---\n_Disclaimer: This chatbot provides general g
  * When emergencies are detected, we immediately direct users
  * to professional emergency services.
  * 
+ * The lexicon covers every supported language, so a patient chatting
+ * in English who describes an emergency in Hindi is still recognised.
+ * 
  * @param {string} message - User's message
  * @returns {boolean} True if emergency keywords found
  */
-const containsEmergencyKeywords = (message) => {
-  const lowerMessage = message.toLowerCase();
-  return EMERGENCY_KEYWORDS.some(keyword => 
-    lowerMessage.includes(keyword.toLowerCase())
-  );
-};
+const containsEmergencyKeywords = (message) => containsEmergency(message);
 
 /**
  * Finds the best matching intent for a user message
@@ -223,27 +468,28 @@ const containsEmergencyKeywords = (message) => {
  * inappropriate medical advice.
  * 
  * @param {string} message - User's message
- * @returns {Object|null} Matching intent or null
+ * @param {string} language - Language code
+ * @returns {Object|null} Matching intent (localized) or null
  */
-const findMatchingIntent = (message) => {
+const findMatchingIntent = (message, language) => {
   const lowerMessage = message.toLowerCase();
   
   // Check for emergency first - highest priority
   if (containsEmergencyKeywords(message)) {
-    return FAQ_INTENTS.find(intent => intent.id === 'emergency');
+    return localizeIntent(FAQ_INTENTS.find(intent => intent.id === 'emergency'), language);
   }
   
   // Find best matching intent by keyword count
   let bestMatch = null;
   let bestScore = 0;
   
-  for (const intent of FAQ_INTENTS) {
+  for (const intent of FAQ_INTENTS.map(entry => localizeIntent(entry, language))) {
     // Skip emergency intent (already checked above)
     if (intent.id === 'emergency') continue;
     
-    // Count matching keywords
+    // Count keywords found as whole words ("hi" must not match "nahi")
     const matchCount = intent.keywords.filter(keyword =>
-      lowerMessage.includes(keyword.toLowerCase())
+      containsWord(lowerMessage, keyword.toLowerCase())
     ).length;
     
     if (matchCount > bestScore) {
@@ -255,50 +501,195 @@ const findMatchingIntent = (message) => {
   return bestMatch;
 };
 
+/**
+ * Works out the reply to a single message
+ * 
+ * MATCHING ORDER:
+ * 1. Emergency keywords (always first - patient safety)
+ * 2. Category-specific quick questions from the category registry
+ * 3. Follow-ups on the current topic - when the message refers back
+ *    ("what about medicines?", "and how long for that?") even if it also
+ *    matches another intent, or when no other intent matches
+ * 4. FAQ intents
+ * 5. Category-aware guidance, if the patient selected a category
+ * 6. Default response
+ * 
+ * @param {string} trimmedMessage - The user's message
+ * @param {Object} context - { category, lastIntent, language } from the session
+ * @returns {Object} { reply, intent }
+ */
+const getReply = (trimmedMessage, { category: categoryValue, lastIntent, language }) => {
+  const category = getCategory(categoryValue);
+  const lowerMessage = trimmedMessage.toLowerCase();
+  const translations = getChatbotTranslations(language);
+
+  // Emergencies always win
+  if (containsEmergencyKeywords(trimmedMessage)) {
+    return { reply: getEmergencyReply(language), intent: 'emergency' };
+  }
+
+  const questionCategory = findCategoryQuestion(lowerMessage, language);
+  if (questionCategory) {
+    return { reply: localizeCategory(questionCategory, language).chatbot.answer, intent: questionCategory.value };
+  }
+
+  // Find matching intent
+  const matchedIntent = findMatchingIntent(trimmedMessage, language);
+
+  // Stay on the current topic for follow-up questions
+  const followUp = findFollowUp(lowerMessage, lastIntent, language);
+  if (followUp && (isFollowUpPhrase(lowerMessage, language) || !matchedIntent)) {
+    return { reply: followUp.response, intent: lastIntent };
+  }
+
+  if (matchedIntent && matchedIntent.id === 'category_support') {
+    return { reply: getCategorySupportReply(category, language), intent: matchedIntent.id };
+  }
+  if (matchedIntent) {
+    return { reply: matchedIntent.response, intent: matchedIntent.id };
+  }
+
+  // Category-aware guidance when nothing else matched
+  if (category) {
+    const { label, chatbot } = localizeCategory(category, language);
+    if (chatbot) {
+      return { reply: chatbot.guidance, intent: category.value };
+    }
+    return {
+      reply: translations
+        ? translations.categoryGuidance(label)
+        : `Since this is related to ${label}, our team will review your request and provide general guidance soon.`,
+      intent: 'default'
+    };
+  }
+
+  return { reply: translations ? translations.defaultResponse : DEFAULT_RESPONSE, intent: 'default' };
+};
+
+/**
+ * Routes a message to the request intake or to the FAQ replies
+ * 
+ * While a request is being collected, every message is an answer to the
+ * current intake question - but emergency numbers are still shown first
+ * if the message mentions an emergency.
+ * 
+ * @param {string} trimmedMessage - The user's message
+ * @param {Object} session - The chat session (its context is updated)
+ * @returns {Promise<Object>} { reply, intent, request? }
+ */
+const getIntakeOrReply = async (trimmedMessage, session) => {
+  const { context } = session;
+  const isEmergency = containsEmergencyKeywords(trimmedMessage);
+
+  let result;
+  if (context.intake) {
+    result = await chatIntakeService.continueIntake(context.intake, trimmedMessage, context.language);
+    if (isEmergency) {
+      result = { ...result, reply: `${getEmergencyReply(context.language)}\n\n${result.reply}`, intent: 'emergency' };
+    }
+  } else if (!isEmergency && chatIntakeService.isStartRequest(trimmedMessage)) {
+    result = chatIntakeService.startIntake(context);
+  } else {
+    return getReply(trimmedMessage, context);
+  }
+
+  chatSessionService.updateContext(session, result.contextChanges);
+  return result;
+};
+
 /**
  * Processes a user message and returns appropriate response
  * 
- * This is the main entry point for chatbot logic.
+ * This is the main entry point for chatbot logic. Messages belong to a
+ * chat session (see chatSessionService): the session remembers the
+ * conversation history, the selected category and the current topic.
+ * An unknown or expired session ID starts a new session. Patients can
+ * also create a support request without leaving the chat (see
+ * chatIntakeService).
  * 
  * HEALTHCARE RESPONSIBILITY:
  * - Every response is carefully crafted to be safe
  * - We never provide medical diagnoses or treatment advice
  * - We always encourage consulting healthcare professionals
- * - A safety disclaimer is appended to all responses
+ * - A safety disclaimer is returned with all responses
  * 
  * @param {string} userMessage - The message from the user
- * @returns {Object} Response object with reply text
+ * @param {Object} options - Optional { sessionId, category, language }
+ * @returns {Object} { reply, intent, disclaimer, sessionId, sessionRestarted, intake, request? }
  */
-const processMessage = async (userMessage) => {
-  // Validate input
-  if (!userMessage || typeof userMessage !== 'string') {
+const processMessage = async (userMessage, { sessionId, category, language } = {}) => {
+  const existingSession = chatSessionService.getSession(sessionId);
+  const session = existingSession || chatSessionService.createSession();
+
+  if (language) {
+    chatSessionService.updateContext(session, { language });
+  }
+
+  const respond = (reply, intent, extra = {}) => {
+    const translations = getChatbotTranslations(session.context.language);
     return {
-      reply: `I didn't receive a message. How can I help you today?${SAFETY_DISCLAIMER}`
+      reply,
+      intent,
+      disclaimer: translations ? translations.disclaimer : SAFETY_DISCLAIMER,
+      sessionId: session.id,
+      sessionRestarted: Boolean(sessionId) && !existingSession,
+      intake: chatIntakeService.toIntakeView(session.context.intake, session.context.language),
+      ...extra
     };
+  };
+
+  // Validate input
+  if (!userMessage || typeof userMessage !== 'string') {
+    return respond("I didn't receive a message. How can I help you today?", 'default');
   }
   
   const trimmedMessage = userMessage.trim();
   
   // Handle empty messages
   if (trimmedMessage.length === 0) {
-    return {
-      reply: `Please type a message so I can assist you.${SAFETY_DISCLAIMER}`
-    };
+    return respond('Please type a message so I can assist you.', 'default');
+  }
+
+  if (category) {
+    chatSessionService.updateContext(session, { category });
+  }
+
+  // No language chosen in the app - switch to Hindi once the patient writes in Devanagari
+  if (!session.context.language && detectLanguage(trimmedMessage) !== DEFAULT_LANGUAGE) {
+    chatSessionService.updateContext(session, { language: detectLanguage(trimmedMessage) });
+  }
+
+  const { reply, intent, request } = await getIntakeOrReply(trimmedMessage, session);
+
+  chatSessionService.appendHistory(session, { role: 'user', text: trimmedMessage });
+  chatSessionService.appendHistory(session, { role: 'bot', text: reply, intent });
+  if (!NON_TOPIC_INTENTS.includes(intent)) {
+    chatSessionService.updateContext(session, { lastIntent: intent });
+  }
+
+  return respond(reply, intent, request ? { request } : {});
+};
+
+/**
+ * Returns the history of an active chat session
+ * 
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} { sessionId, category, intake, history } or null if unknown/expired
+ */
+const getConversation = (sessionId) => {
+  const session = chatSessionService.getSession(sessionId);
+  if (!session) {
+    return null;
   }
-  
-  // Find matching intent
-  const matchedIntent = findMatchingIntent(trimmedMessage);
-  
-  // Return matched response or default
-  const response = matchedIntent 
-    ? matchedIntent.response 
-    : DEFAULT_RESPONSE;
-  
   return {
-    reply: `${response}${SAFETY_DISCLAIMER}`
+    sessionId: session.id,
+    category: session.context.category,
+    intake: chatIntakeService.toIntakeView(session.context.intake, session.context.language),
+    history: session.history
   };
 };
 
 module.exports = {
-  processMessage
+  processMessage,
+  getConversation
 };
@@ -0,0 +1,377 @@
+/**
+ * Notification Service - Tells patients and volunteers what is happening
+ *
+ * EVENTS:
+ * - request_created  The patient gets the acknowledgement for its urgency
+ * - assigned         The patient learns who will help; the volunteer is
+ *                    told about the new case (no patient details)
+ * - in_progress, resolved, closed
+ *                    The patient is told about the status change
+ * - sla_at_risk, sla_escalated, sla_breached
+ *                    Every active coordinator is told that a request is
+ *                    missing its response time (see slaService)
+ *
+ * The patient is messaged on the channel matching their contact
+ * preference (see PATIENT_CHANNEL_BY_CONTACT), in the request's
+ * language. Volunteers get email, or SMS when they have no email.
+ *
+ * DELIVERY:
+ * Each message is stored first (notificationRepository), then handed
+ * to the channel's driver (notifications/). A failed send is retried
+ * after 1, 5 and 15 minutes by the retry worker; after the last
+ * attempt it stays "failed" and staff can see it on the request. A
+ * message handled by a stand-in driver (console, file) is "logged":
+ * nobody received it, and staff must not read it as sent.
+ *
+ * Callers do not wait for delivery and must never fail because of it.
+ */
+
+const notificationRepository = require('../repositories/notificationRepository');
+const volunteerRepository = require('../repositories/volunteerRepository');
+const onCallService = require('./onCallService');
+const { getChannel, STAND_IN_DRIVERS } = require('../notifications');
+const { getVolunteerFirstName } = require('./trackingService');
+const { getCategoryOrFallback } = require('../config/categories');
+const { getTranslations } = require('../config/languages');
+const { normalizeIndianPhone } = require('../utils/phoneNumber');
+const {
+  ACKNOWLEDGEMENTS,
+  PATIENT_TEMPLATES,
+  VOLUNTEER_TEMPLATES,
+  COORDINATOR_TEMPLATES,
+  PATIENT_CHANNEL_BY_CONTACT
+} = require('../config/notificationTemplates');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes to wait before each retry; one attempt more than retries
+ */
+const RETRY_DELAYS_MINUTES = [1, 5, 15];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+const DEFAULT_RETRY_INTERVAL_MINUTES = 1;
+
+/**
+ * Events the patient is notified about
+ */
+const PATIENT_EVENTS = Object.keys(PATIENT_TEMPLATES);
+
+/**
+ * Hands a stored notification to its channel and records the outcome
+ *
+ * A driver that cannot be created (e.g. missing settings) counts as a
+ * failed attempt, so the problem shows up on the request.
+ *
+ * @param {Object} notification - Stored notification
+ * @param {Date} now - Time of the attempt
+ * @returns {Promise<Object>} The updated notification
+ */
+const deliver = async (notification, now = new Date()) => {
+  const attempts = notification.attempts + 1;
+
+  try {
+    const channel = getChannel(notification.channel);
+    const { providerMessageId } = await channel.send({
+      to: notification.to,
+      subject: notification.subject,
+      text: notification.text
+    });
+
+    const isStandIn = STAND_IN_DRIVERS.includes(channel.driver);
+
+    return notificationRepository.update(notification.id, {
+      status: isStandIn ? 'logged' : 'sent',
+      attempts,
+      driver: channel.driver,
+      providerMessageId: providerMessageId || null,
+      sentAt: isStandIn ? null : now.toISOString(),
+      nextAttemptAt: null
+    });
+  } catch (error) {
+    const retryDelay = RETRY_DELAYS_MINUTES[attempts - 1];
+    const willRetry = attempts < MAX_ATTEMPTS;
+    console.error(`Notification ${notification.id} (${notification.channel}) failed, attempt ${attempts} of ${MAX_ATTEMPTS}:`, error.message);
+
+    return notificationRepository.update(notification.id, {
+      status: willRetry ? 'pending' : 'failed',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: willRetry ? new Date(now.getTime() + retryDelay * MINUTE_MS).toISOString() : null
+    });
+  }
+};
+
+/**
+ * Stores a message and makes the first delivery attempt
+ *
+ * Also used by alertService to page the on-call coordinator.
+ *
+ * @param {Object} message - { ticketId, event, recipient, channel, to, subject, text }
+ *   recipient is 'patient', 'volunteer' or 'coordinator'
+ * @returns {Promise<Object>} The notification after the first attempt
+ */
+const sendMessage = async (message) => {
+  const notification = await notificationRepository.create({
+    ...message,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: null,
+    driver: null,
+    providerMessageId: null,
+    sentAt: null
+  });
+  return deliver(notification);
+};
+
+/**
+ * Works out where to reach the patient
+ *
+ * @param {Object} contact - Stored contact details
+ * @returns {Object|null} { channel, to }, or null without contact details
+ *   (requests made before they were collected)
+ */
+const getPatientAddress = (contact) => {
+  if (!contact || !contact.phone) {
+    return null;
+  }
+  const channel = PATIENT_CHANNEL_BY_CONTACT[contact.channel] || 'sms';
+  if (channel === 'email' && contact.email) {
+    return { channel, to: contact.email };
+  }
+  return { channel: channel === 'email' ? 'sms' : channel, to: contact.phone };
+};
+
+/**
+ * Renders the patient message for an event in the request's language
+ *
+ * @param {Object} request - Stored support request
+ * @param {string} event - One of PATIENT_EVENTS
+ * @returns {Object} { subject, text }
+ */
+const renderPatientMessage = (request, event) => {
+  const translations = getTranslations(request.language);
+  const translated = (translations && translations.notifications) || { acknowledgement: {}, templates: {} };
+
+  const urgency = ACKNOWLEDGEMENTS[request.urgency] ? request.urgency : 'Medium';
+  const template = translated.templates[event] || PATIENT_TEMPLATES[event];
+
+  return template({
+    ticketId: request.ticketId,
+    acknowledgement: translated.acknowledgement[urgency] || ACKNOWLEDGEMENTS[urgency],
+    volunteerFirstName: getVolunteerFirstName(request)
+  });
+};
+
+/**
+ * Messages the patient about an event
+ *
+ * @returns {Promise<Object|null>} The notification, or null if the
+ *   patient left no contact details
+ */
+const notifyPatient = async (request, event) => {
+  const address = getPatientAddress(request.contact);
+  if (!address) {
+    return null;
+  }
+
+  return sendMessage({
+    ticketId: request.ticketId,
+    event,
+    recipient: 'patient',
+    ...address,
+    ...renderPatientMessage(request, event)
+  });
+};
+
+/**
+ * Tells the assigned volunteer about their new case
+ *
+ * @returns {Promise<Object|null>} The notification, or null if the
+ *   volunteer has no email or mobile number on their profile
+ */
+const notifyVolunteer = async (request) => {
+  const volunteer = request.assignedVolunteer && await volunteerRepository.findById(request.assignedVolunteer.id);
+  if (!volunteer) {
+    return null;
+  }
+
+  const phone = normalizeIndianPhone(volunteer.phone);
+  const address = volunteer.email
+    ? { channel: 'email', to: volunteer.email }
+    : phone && { channel: 'sms', to: phone };
+  if (!address) {
+    return null;
+  }
+
+  return sendMessage({
+    ticketId: request.ticketId,
+    event: 'assigned',
+    recipient: 'volunteer',
+    ...address,
+    ...VOLUNTEER_TEMPLATES.assigned({
+      ticketId: request.ticketId,
+      urgency: request.urgency,
+      category: getCategoryOrFallback(request.issueCategory).label
+    })
+  });
+};
+
+/**
+ * Emails every active coordinator about a request
+ *
+ * @param {Object} request - Stored support request
+ * @param {string} event - A COORDINATOR_TEMPLATES event, e.g. 'sla_breached'
+ * @param {Object} details - Template fields besides ticketId and category
+ * @returns {Promise<Object[]>} The notifications that were created
+ */
+const notifyCoordinators = async (request, event, details = {}) => {
+  const coordinators = (await onCallService.getCoordinators()).filter(coordinator => coordinator.email);
+  const message = COORDINATOR_TEMPLATES[event]({
+    ticketId: request.ticketId,
+    category: getCategoryOrFallback(request.issueCategory).label,
+    ...details
+  });
+
+  const notifications = [];
+  for (const coordinator of coordinators) {
+    notifications.push(await sendMessage({
+      ticketId: request.ticketId,
+      event,
+      recipient: 'coordinator',
+      channel: 'email',
+      to: coordinator.email,
+      ...message
+    }));
+  }
+  return notifications;
+};
+
+/**
+ * Sends every message for a request event
+ *
+ * Events without a template (e.g. "review") are ignored.
+ *
+ * @param {Object} request - The request after the event
+ * @param {string} event - 'request_created', 'assigned' or a status
+ * @returns {Promise<Object[]>} The notifications that were created
+ */
+const notifyRequestEvent = async (request, event) => {
+  if (!PATIENT_EVENTS.includes(event)) {
+    return [];
+  }
+
+  const notifications = [await notifyPatient(request, event)];
+  if (event === 'assigned') {
+    notifications.push(await notifyVolunteer(request));
+  }
+  return notifications.filter(Boolean);
+};
+
+/**
+ * Sends the messages for an event without holding up the caller
+ *
+ * @param {Object} request - The request after the event
+ * @param {string} event - See notifyRequestEvent
+ */
+const notifyInBackground = (request, event) => {
+  notifyRequestEvent(request, event).catch(error => {
+    console.error(`Notifications for ${request.ticketId} (${event}) failed:`, error.message);
+  });
+};
+
+/**
+ * Retries every notification whose next attempt is due
+ *
+ * @param {Date} now - Time of the check (defaults to the current time)
+ * @returns {Promise<Object>} Counts: { retried, sent, logged, failed }
+ */
+const retryDueNotifications = async (now = new Date()) => {
+  const due = await notificationRepository.findAll(notification =>
+    notification.status === 'pending' &&
+    notification.nextAttemptAt &&
+    new Date(notification.nextAttemptAt) <= now
+  );
+
+  const result = { retried: due.length, sent: 0, logged: 0, failed: 0 };
+  for (const notification of due) {
+    const updated = await deliver(notification, now);
+    if (updated.status === 'sent') result.sent += 1;
+    if (updated.status === 'logged') result.logged += 1;
+    if (updated.status === 'failed') result.failed += 1;
+  }
+  return result;
+};
+
+/**
+ * Starts the periodic retry of failed deliveries
+ *
+ * The interval is set by NOTIFY_RETRY_INTERVAL_MINUTES (default 1).
+ * The timer does not keep the process alive on its own.
+ *
+ * @returns {Function} Stops the worker
+ */
+const startNotificationRetryWorker = () => {
+  const intervalMinutes = Number(process.env.NOTIFY_RETRY_INTERVAL_MINUTES) || DEFAULT_RETRY_INTERVAL_MINUTES;
+  let isRunning = false;
+
+  const tick = async () => {
+    // Skip if the previous run is still going
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      await retryDueNotifications();
+    } catch (error) {
+      console.error('Notification retry failed:', error.message);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMinutes * MINUTE_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * Builds the staff view of a request's notifications, oldest first
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {Object} options
+ * @param {boolean} options.showPatientAddress - False hides the patient's
+ *   phone number or email (staff who may not see their contact details)
+ * @returns {Promise<Array>} [{ id, event, recipient, channel, to, status,
+ *   attempts, lastError, nextAttemptAt, sentAt, createdAt }]
+ */
+const getRequestNotifications = async (ticketId, { showPatientAddress }) => {
+  const notifications = await notificationRepository.findByTicketId(ticketId);
+
+  return notifications
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(notification => ({
+      id: notification.id,
+      event: notification.event,
+      recipient: notification.recipient,
+      channel: notification.channel,
+      to: notification.recipient === 'patient' && !showPatientAddress ? null : notification.to,
+      status: notification.status,
+      attempts: notification.attempts,
+      lastError: notification.lastError,
+      nextAttemptAt: notification.nextAttemptAt,
+      sentAt: notification.sentAt,
+      createdAt: notification.createdAt
+    }));
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  sendMessage,
+  notifyCoordinators,
+  notifyRequestEvent,
+  notifyInBackground,
+  retryDueNotifications,
+  startNotificationRetryWorker,
+  getRequestNotifications
+};
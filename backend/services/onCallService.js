@@ -0,0 +1,167 @@
+/**
+ * On-Call Service - The coordinator on-call rota
+ *
+ * Coordinators plan shifts in advance: who is paged for urgent
+ * requests during each shift, and who backs them up (see alertService).
+ * Shifts may not overlap, so at any moment at most one shift is on call.
+ *
+ * A shift member is paged by SMS when the shift has their mobile
+ * number, otherwise by email to their account address.
+ */
+
+const onCallShiftRepository = require('../repositories/onCallShiftRepository');
+const userRepository = require('../repositories/userRepository');
+const { COORDINATOR_ROLES } = require('./authService');
+const { normalizeIndianPhone } = require('../utils/phoneNumber');
+const { createHttpError } = require('../utils/errorHandler');
+
+// Longest shift that can be entered at once
+const MAX_SHIFT_HOURS = 7 * 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const isActiveCoordinator = (user) => Boolean(user) && user.active !== false && COORDINATOR_ROLES.includes(user.role);
+
+/**
+ * Returns every active coordinator account
+ *
+ * @returns {Promise<Array>} [{ id, name, email }]
+ */
+const getCoordinators = async () => {
+  const users = await userRepository.findAll(isActiveCoordinator);
+  return users.map(user => ({ id: user.id, name: user.name, email: user.email }));
+};
+
+/**
+ * Validates the times of a new shift
+ *
+ * @returns {string|null} Error message or null if valid
+ */
+const validateShiftTimes = (startsAt, endsAt) => {
+  if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) {
+    return 'startsAt and endsAt must be valid dates, e.g. 2026-02-01T09:00:00+05:30';
+  }
+  if (endsAt <= startsAt) {
+    return 'endsAt must be after startsAt';
+  }
+  if (endsAt - startsAt > MAX_SHIFT_HOURS * HOUR_MS) {
+    return `A shift can be at most ${MAX_SHIFT_HOURS} hours long`;
+  }
+  if (endsAt <= new Date()) {
+    return 'The shift has already ended';
+  }
+  return null;
+};
+
+/**
+ * Checks a shift member and returns them as stored
+ *
+ * @param {Object} member - { userId, phone? }
+ * @param {string} role - 'primary' | 'backup' (for error messages)
+ * @returns {Promise<Object>} { userId, name, phone }
+ * @throws {Error} 400 if the member is invalid
+ */
+const toShiftMember = async (member, role) => {
+  if (!member || typeof member.userId !== 'string') {
+    throw createHttpError(400, `${role}.userId is required`);
+  }
+
+  const user = await userRepository.findById(member.userId);
+  if (!isActiveCoordinator(user)) {
+    throw createHttpError(400, `The ${role} must be an active coordinator account`);
+  }
+
+  let phone = null;
+  if (member.phone) {
+    phone = normalizeIndianPhone(member.phone);
+    if (!phone) {
+      throw createHttpError(400, `${role}.phone must be a valid Indian mobile number`);
+    }
+  }
+
+  return { userId: user.id, name: user.name, phone };
+};
+
+/**
+ * Adds a shift to the rota
+ *
+ * @param {Object} data - { startsAt, endsAt, primary: { userId, phone? },
+ *   backup?: { userId, phone? } }
+ * @param {Object} createdBy - { id, name } of the coordinator
+ * @returns {Promise<Object>} The stored shift
+ * @throws {Error} 400 for invalid data, 409 if it overlaps another shift
+ */
+const createShift = async ({ startsAt, endsAt, primary, backup }, createdBy) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  const timeError = validateShiftTimes(start, end);
+  if (timeError) {
+    throw createHttpError(400, timeError);
+  }
+
+  const primaryMember = await toShiftMember(primary, 'primary');
+  const backupMember = backup ? await toShiftMember(backup, 'backup') : null;
+  if (backupMember && backupMember.userId === primaryMember.userId) {
+    throw createHttpError(400, 'The backup must be a different coordinator');
+  }
+
+  const [overlap] = await onCallShiftRepository.findAll(shift =>
+    new Date(shift.startsAt) < end && new Date(shift.endsAt) > start
+  );
+  if (overlap) {
+    throw createHttpError(409, `This overlaps the shift of ${overlap.primary.name} (${overlap.startsAt} - ${overlap.endsAt})`);
+  }
+
+  return onCallShiftRepository.create({
+    startsAt: start.toISOString(),
+    endsAt: end.toISOString(),
+    primary: primaryMember,
+    backup: backupMember,
+    createdBy: { id: createdBy.id, name: createdBy.name }
+  });
+};
+
+/**
+ * Removes a shift from the rota
+ *
+ * @param {string} id - Shift ID
+ * @throws {Error} 404 if not found
+ */
+const deleteShift = async (id) => {
+  const removed = await onCallShiftRepository.remove(id);
+  if (!removed) {
+    throw createHttpError(404, 'Shift not found');
+  }
+};
+
+/**
+ * Returns the current and upcoming shifts, earliest first
+ *
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} Shifts that have not ended yet
+ */
+const getUpcomingShifts = async (now = new Date()) => {
+  const shifts = await onCallShiftRepository.findAll(shift => new Date(shift.endsAt) > now);
+  return shifts.sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+};
+
+/**
+ * Returns the shift that is on call at a given time
+ *
+ * @param {Date} now - Time to look up
+ * @returns {Promise<Object|null>} The shift or null if nobody is on call
+ */
+const getShiftAt = async (now = new Date()) => {
+  const [shift] = await onCallShiftRepository.findAll(shift =>
+    new Date(shift.startsAt) <= now && new Date(shift.endsAt) > now
+  );
+  return shift || null;
+};
+
+module.exports = {
+  getCoordinators,
+  createShift,
+  deleteShift,
+  getUpcomingShifts,
+  getShiftAt
+};
@@ -0,0 +1,80 @@
+/**
+ * Request Note Service - Staff notes on a support request
+ *
+ * Volunteers and coordinators add short notes to a request ("Called,
+ * no answer", "Referred to the district hospital"). A note marked
+ * patientVisible is also shown to the patient on the "Track my
+ * request" page (see trackingService); all other notes stay internal.
+ *
+ * Notes are entries in the request's append-only activity log
+ * (see activityService): type 'note', details { text, patientVisible }.
+ */
+
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const activityService = require('./activityService');
+const { createHttpError } = require('../utils/errorHandler');
+
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Validates a new note
+ *
+ * @returns {string|null} Error message or null if valid
+ */
+const validateNote = ({ text, patientVisible }) => {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    return 'Note text is required';
+  }
+  if (text.trim().length > MAX_NOTE_LENGTH) {
+    return `Note must be at most ${MAX_NOTE_LENGTH} characters`;
+  }
+  if (patientVisible !== undefined && typeof patientVisible !== 'boolean') {
+    return 'patientVisible must be true or false';
+  }
+  return null;
+};
+
+/**
+ * Adds a note to a request
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {Object} note
+ * @param {string} note.text - Note text
+ * @param {boolean} [note.patientVisible] - Show the note to the patient (default false)
+ * @param {Object} note.author - Logged-in staff user { id, name }
+ * @returns {Promise<Object>} The new activity entry
+ * @throws {Error} 400 for invalid data, 404 if the request does not exist
+ */
+const addNote = async (ticketId, { text, patientVisible = false, author }) => {
+  const validationError = validateNote({ text, patientVisible });
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+
+  const request = await supportRequestRepository.findByTicketId(ticketId);
+  if (!request) {
+    throw createHttpError(404, 'Support request not found');
+  }
+
+  return activityService.recordActivity(request.ticketId, 'note', author, {
+    text: text.trim(),
+    patientVisible
+  });
+};
+
+/**
+ * Notes the patient may see, without the author's details
+ *
+ * @param {Object} request - Stored support request
+ * @returns {Promise<Object[]>} [{ id, text, createdAt }], oldest first
+ */
+const getPatientVisibleNotes = async (request) => {
+  return (await activityService.getActivity(request))
+    .filter(entry => entry.type === 'note' && entry.details.patientVisible)
+    .map(({ id, details, createdAt }) => ({ id, text: details.text, createdAt }));
+};
+
+module.exports = {
+  addNote,
+  getPatientVisibleNotes
+};
@@ -0,0 +1,356 @@
+/**
+ * SLA Service - Tracks response-time promises for every request
+ *
+ * Each request gets an SLA when it is created: a due time based on
+ * its urgency (see config/sla.js). A background check runs every few
+ * minutes and:
+ * - Flags requests that have used most of their window as "at_risk"
+ * - Escalates requests that miss their due time: urgency goes up one
+ *   level (Low → Medium → High) with a fresh, shorter window and the
+ *   breach is recorded in the SLA; reaching High pages the on-call
+ *   coordinator (see alertService)
+ * - Flags High urgency requests that miss their due time as "breached"
+ * - Marks the SLA "met" (or "breached") once a volunteer responds
+ *
+ * The at-risk, escalation and breach events are recorded in the
+ * request's activity log (see activityService), where coordinators see
+ * them in the request's timeline: an escalation as an urgency_change,
+ * the others as an sla_alert { event, urgency, dueAt }. Every active
+ * coordinator is also emailed about them (notificationService, events
+ * sla_at_risk, sla_escalated and sla_breached).
+ *
+ * SLA STATES:
+ *   on_track → at_risk → breached, or "met" once responded in time
+ *
+ * The check only reads and writes through the repository, so it works
+ * the same with every storage driver.
+ */
+
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const activityService = require('./activityService');
+const notificationService = require('./notificationService');
+const alertService = require('./alertService');
+const { SLA_BY_URGENCY, AT_RISK_RATIO, RESPONDED_STATUSES, ESCALATION_PATH } = require('../config/sla');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 5;
+
+/**
+ * Who is recorded in the activity log for an escalation
+ */
+const SLA_MONITOR = { id: 'system', name: 'SLA monitor' };
+
+/**
+ * Length of the SLA window for an urgency level, in milliseconds
+ */
+const getWindowMs = (urgency) => {
+  return (SLA_BY_URGENCY[urgency] || SLA_BY_URGENCY.Medium).responseHours * HOUR_MS;
+};
+
+/**
+ * Creates the SLA for a request starting at the given time
+ *
+ * @param {string} urgency - 'Low' | 'Medium' | 'High'
+ * @param {Date} startedAt - When the clock starts (request creation)
+ * @returns {Object} { urgency, startedAt, dueAt, state, respondedAt, breaches, escalations }
+ */
+const createSla = (urgency, startedAt = new Date()) => ({
+  urgency,
+  startedAt: startedAt.toISOString(),
+  dueAt: new Date(startedAt.getTime() + getWindowMs(urgency)).toISOString(),
+  state: 'on_track',
+  respondedAt: null,
+  breaches: [],
+  escalations: []
+});
+
+/**
+ * Returns when a volunteer first responded to the request, if they have
+ *
+ * @param {Object} request - Stored support request
+ * @returns {string|null} ISO timestamp or null
+ */
+const getRespondedAt = (request) => {
+  const entry = (request.statusHistory || []).find(item => RESPONDED_STATUSES.includes(item.status));
+  return entry ? entry.at : null;
+};
+
+/**
+ * Works out the SLA state at a point in time
+ *
+ * @param {Object} sla - The request's SLA
+ * @param {string|null} respondedAt - When the request was responded to
+ * @param {Date} now - Point in time to evaluate
+ * @returns {string} 'on_track' | 'at_risk' | 'breached' | 'met'
+ */
+const getSlaState = (sla, respondedAt, now = new Date()) => {
+  const dueAt = new Date(sla.dueAt).getTime();
+
+  if (respondedAt) {
+    return new Date(respondedAt).getTime() <= dueAt && sla.state !== 'breached' ? 'met' : 'breached';
+  }
+  if (now.getTime() >= dueAt) {
+    return 'breached';
+  }
+
+  const startedAt = new Date(sla.startedAt).getTime();
+  const atRiskAt = startedAt + (dueAt - startedAt) * AT_RISK_RATIO;
+  return now.getTime() >= atRiskAt ? 'at_risk' : 'on_track';
+};
+
+/**
+ * Fields of the coordinator message for an SLA event
+ */
+const getMessageDetails = (event, request, sla, nextUrgency, now) => {
+  switch (event) {
+    case 'at_risk':
+      return {
+        urgency: request.urgency,
+        minutesLeft: Math.max(Math.round((new Date(sla.dueAt).getTime() - now.getTime()) / MINUTE_MS), 0)
+      };
+    case 'escalated':
+      return { from: request.urgency, to: nextUrgency, responseHours: SLA_BY_URGENCY[nextUrgency].responseHours };
+    default:
+      return { urgency: request.urgency };
+  }
+};
+
+/**
+ * Records an SLA event in the request's activity log and emails the
+ * coordinators about it
+ *
+ * A failed notification is logged; it never stops the check.
+ *
+ * @param {string} event - 'at_risk' | 'escalated' | 'breached'
+ * @param {Object} request - The request as it was before the check
+ * @param {Object} sla - Its SLA before the check
+ * @param {Date} now - Time of the check
+ * @param {string} [nextUrgency] - New urgency of an escalated request
+ */
+const reportSlaEvent = async (event, request, sla, now, nextUrgency) => {
+  console.warn(`[SLA] ${event.toUpperCase()}: ${request.ticketId} (${request.urgency}) due ${sla.dueAt}`);
+
+  if (event === 'escalated') {
+    await activityService.recordActivity(request.ticketId, 'urgency_change', SLA_MONITOR, {
+      from: request.urgency,
+      to: nextUrgency,
+      reason: `Missed its response-time SLA (due ${sla.dueAt})`,
+      source: 'sla_escalation'
+    });
+  } else {
+    await activityService.recordActivity(request.ticketId, 'sla_alert', SLA_MONITOR, {
+      event,
+      urgency: request.urgency,
+      dueAt: sla.dueAt
+    });
+  }
+
+  try {
+    await notificationService.notifyCoordinators(request, `sla_${event}`, getMessageDetails(event, request, sla, nextUrgency, now));
+  } catch (error) {
+    console.error(`SLA notifications for ${request.ticketId} (${event}) failed:`, error.message);
+  }
+};
+
+/**
+ * Checks one request and applies flags or escalation
+ *
+ * @param {Object} request - Stored support request
+ * @param {Date} now - Time of the check
+ * @returns {Promise<string|null>} What happened: 'at_risk', 'escalated',
+ *                                 'breached', 'responded' or null
+ */
+const checkRequest = async (request, now) => {
+  const sla = request.sla || createSla(request.urgency, new Date(request.createdAt));
+  const respondedAt = getRespondedAt(request);
+  const state = getSlaState(sla, respondedAt, now);
+
+  // Clock stopped - record the outcome once
+  if (respondedAt) {
+    await supportRequestRepository.update(request.ticketId, {
+      sla: { ...sla, state, respondedAt }
+    });
+    return 'responded';
+  }
+
+  if (state === 'breached') {
+    if (sla.state === 'breached') {
+      return null;
+    }
+
+    const breach = { at: now.toISOString(), urgency: request.urgency, dueAt: sla.dueAt };
+    const nextUrgency = ESCALATION_PATH[request.urgency] || 'High';
+
+    // Escalate: higher urgency and a fresh window at that urgency
+    if (nextUrgency !== request.urgency) {
+      const escalatedRequest = await supportRequestRepository.update(request.ticketId, {
+        urgency: nextUrgency,
+        sla: {
+          ...createSla(nextUrgency, now),
+          breaches: [...sla.breaches, breach],
+          escalations: [...sla.escalations, { at: now.toISOString(), from: request.urgency, to: nextUrgency }]
+        }
+      });
+      await reportSlaEvent('escalated', request, sla, now, nextUrgency);
+      alertService.raiseAlertInBackground(escalatedRequest);
+      return 'escalated';
+    }
+
+    // Already at the highest urgency - flag it
+    await supportRequestRepository.update(request.ticketId, {
+      sla: { ...sla, state, breaches: [...sla.breaches, breach] }
+    });
+    await reportSlaEvent('breached', request, sla, now);
+    return 'breached';
+  }
+
+  if (state !== sla.state || !request.sla) {
+    await supportRequestRepository.update(request.ticketId, { sla: { ...sla, state } });
+    if (state === 'at_risk') {
+      await reportSlaEvent('at_risk', request, sla, now);
+      return 'at_risk';
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks every request whose SLA clock is still running
+ *
+ * @param {Date} now - Time of the check (defaults to the current time)
+ * @returns {Promise<Object>} Counts: { checked, atRisk, escalated, breached, responded }
+ */
+const runSlaCheck = async (now = new Date()) => {
+  const requests = await supportRequestRepository.findAll(request =>
+    !request.sla || !request.sla.respondedAt
+  );
+
+  const result = { checked: requests.length, atRisk: 0, escalated: 0, breached: 0, responded: 0 };
+  const counters = { at_risk: 'atRisk', escalated: 'escalated', breached: 'breached', responded: 'responded' };
+
+  for (const request of requests) {
+    const outcome = await checkRequest(request, now);
+    if (outcome) {
+      result[counters[outcome]] += 1;
+    }
+  }
+  return result;
+};
+
+/**
+ * Starts the periodic SLA check
+ *
+ * The interval is set by SLA_CHECK_INTERVAL_MINUTES (default 5).
+ * The timer does not keep the process alive on its own.
+ *
+ * @returns {Function} Stops the monitor
+ */
+const startSlaMonitor = () => {
+  const intervalMinutes = Number(process.env.SLA_CHECK_INTERVAL_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES;
+  let isRunning = false;
+
+  const tick = async () => {
+    // Skip if the previous check is still running
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      await runSlaCheck();
+    } catch (error) {
+      console.error('SLA check failed:', error.message);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMinutes * MINUTE_MS);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * Builds the SLA view shown to staff
+ *
+ * The state is evaluated live, so it is accurate between checks.
+ *
+ * @param {Object} request - Stored support request
+ * @param {Date} now - Point in time to evaluate
+ * @returns {Object|null} { dueAt, state, minutesRemaining, breaches, escalated }
+ */
+const toSlaView = (request, now = new Date()) => {
+  if (!request.sla) {
+    return null;
+  }
+
+  const respondedAt = getRespondedAt(request);
+  return {
+    dueAt: request.sla.dueAt,
+    state: getSlaState(request.sla, respondedAt, now),
+    minutesRemaining: respondedAt
+      ? null
+      : Math.round((new Date(request.sla.dueAt).getTime() - now.getTime()) / MINUTE_MS),
+    breaches: request.sla.breaches.length,
+    escalated: request.sla.escalations.length > 0
+  };
+};
+
+/**
+ * Builds the SLA breach report
+ *
+ * @param {Object} range - Optional { from, to } Dates; only breaches in this range count
+ * @returns {Promise<Object>} { summary, requests }
+ */
+const getBreachReport = async ({ from, to } = {}) => {
+  const inRange = (breach) => {
+    const at = new Date(breach.at);
+    return (!from || at >= from) && (!to || at <= to);
+  };
+
+  const breachedRequests = await supportRequestRepository.findAll(request =>
+    request.sla && request.sla.breaches.some(inRange)
+  );
+
+  const byUrgency = { High: 0, Medium: 0, Low: 0 };
+  const requests = breachedRequests.map(request => {
+    const breaches = request.sla.breaches.filter(inRange);
+    breaches.forEach(breach => {
+      byUrgency[breach.urgency] = (byUrgency[breach.urgency] || 0) + 1;
+    });
+
+    return {
+      ticketId: request.ticketId,
+      category: request.issueCategory,
+      urgency: request.urgency,
+      status: request.status,
+      assignedVolunteer: request.assignedVolunteer || null,
+      createdAt: request.createdAt,
+      breaches,
+      escalations: request.sla.escalations,
+      sla: toSlaView(request)
+    };
+  });
+
+  // Most recent breaches first
+  requests.sort((a, b) => new Date(b.breaches[b.breaches.length - 1].at) - new Date(a.breaches[a.breaches.length - 1].at));
+
+  return {
+    summary: {
+      requests: requests.length,
+      breaches: requests.reduce((total, request) => total + request.breaches.length, 0),
+      byUrgency,
+      stillWaiting: requests.filter(request => request.sla.minutesRemaining !== null).length
+    },
+    requests
+  };
+};
+
+module.exports = {
+  createSla,
+  getSlaState,
+  runSlaCheck,
+  startSlaMonitor,
+  toSlaView,
+  getBreachReport
+};
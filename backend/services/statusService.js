@@ -0,0 +1,158 @@
+/**
+ * Status Service - Support request lifecycle (state machine)
+ *
+ * Every support request moves through a fixed set of statuses.
+ * Only the transitions listed below are allowed, so a request can
+ * never jump backwards by accident or skip straight to "resolved".
+ *
+ * LIFECYCLE:
+ *   submitted → review → assigned → in_progress → resolved → closed
+ *
+ * Additional allowed moves:
+ * - Any open request can be closed (duplicates, withdrawn requests)
+ * - assigned → review (volunteer unassigned, back to the queue;
+ *   the assigned volunteer is cleared)
+ * - resolved → in_progress (patient needs further help, case reopened)
+ *
+ * Each transition is appended to the request's statusHistory with a
+ * timestamp, which powers the patient-facing StatusTracker, and to its
+ * activity log together with who made it (see activityService).
+ * The patient is notified when work starts and when the request is
+ * resolved or closed (see notificationService).
+ */
+
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const notificationService = require('./notificationService');
+const activityService = require('./activityService');
+const { createHttpError } = require('../utils/errorHandler');
+
+/**
+ * All statuses in lifecycle order
+ */
+const STATUSES = ['submitted', 'review', 'assigned', 'in_progress', 'resolved', 'closed'];
+
+/**
+ * Allowed transitions: current status -> statuses it may move to
+ */
+const TRANSITIONS = {
+  submitted: ['review', 'closed'],
+  review: ['assigned', 'closed'],
+  assigned: ['in_progress', 'review', 'closed'],
+  in_progress: ['resolved', 'closed'],
+  resolved: ['closed', 'in_progress'],
+  closed: []
+};
+
+/**
+ * Statuses that mean the request no longer needs attention
+ */
+const FINAL_STATUSES = ['resolved', 'closed'];
+
+/**
+ * Statuses the patient is notified about here. "assigned" is notified
+ * by assignmentService, which also tells the volunteer.
+ */
+const NOTIFIED_STATUSES = ['in_progress', 'resolved', 'closed'];
+
+/**
+ * Checks whether a request may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Builds the fields for a brand new request's status
+ *
+ * @param {Date} date - When the request was received
+ * @returns {Object} { status, statusHistory }
+ */
+const getInitialStatus = (date = new Date()) => ({
+  status: 'submitted',
+  statusHistory: [{ status: 'submitted', at: date.toISOString() }]
+});
+
+/**
+ * Moves a request to a new status, enforcing allowed transitions
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {string} nextStatus - Target status
+ * @param {Object} changes - Optional fields saved together with the new status
+ *                           (e.g. the assigned volunteer)
+ * @param {Object} actor - { id, name } of who made the change
+ *                         (defaults to the system, for automatic moves)
+ * @returns {Promise<Object>} The updated request
+ * @throws {Error} 400 for unknown status, 404 if not found, 409 if not allowed
+ */
+const transitionStatus = async (ticketId, nextStatus, changes = {}, actor = activityService.SYSTEM_ACTOR) => {
+  if (!STATUSES.includes(nextStatus)) {
+    throw createHttpError(400, `Status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const request = await supportRequestRepository.findByTicketId(ticketId);
+  if (!request) {
+    throw createHttpError(404, 'Support request not found');
+  }
+
+  if (!canTransition(request.status, nextStatus)) {
+    throw createHttpError(409, `Cannot change status from "${request.status}" to "${nextStatus}"`);
+  }
+
+  // Sending a request back to the review queue releases its volunteer
+  const release = nextStatus === 'review'
+    ? { assignedVolunteer: null, assignedBy: null, assignedAt: null }
+    : {};
+
+  const updatedRequest = await supportRequestRepository.update(request.ticketId, {
+    ...release,
+    ...changes,
+    status: nextStatus,
+    statusHistory: [
+      ...(request.statusHistory || []),
+      { status: nextStatus, at: new Date().toISOString() }
+    ]
+  });
+
+  await activityService.recordActivity(request.ticketId, 'status_change', actor, {
+    from: request.status,
+    to: nextStatus,
+    // Who was taken off the request when it went back to the queue
+    releasedVolunteer: nextStatus === 'review' ? request.assignedVolunteer || null : null
+  });
+
+  if (NOTIFIED_STATUSES.includes(nextStatus)) {
+    notificationService.notifyInBackground(updatedRequest, nextStatus);
+  }
+  return updatedRequest;
+};
+
+/**
+ * Builds the public status view of a request
+ *
+ * Only lifecycle information is exposed here - no patient details.
+ *
+ * @param {Object} request - Stored support request
+ * @returns {Object} { ticketId, status, urgency, history, updatedAt }
+ */
+const toStatusView = (request) => ({
+  ticketId: request.ticketId,
+  status: request.status,
+  urgency: request.urgency,
+  history: request.statusHistory || [],
+  allowedTransitions: TRANSITIONS[request.status] || [],
+  updatedAt: request.updatedAt
+});
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  FINAL_STATUSES,
+  canTransition,
+  getInitialStatus,
+  transitionStatus,
+  toStatusView
+};
@@ -0,0 +1,176 @@
+/**
+ * Support Request Service - Creates new patient support requests
+ *
+ * PURPOSE:
+ * One place for everything that happens when a patient asks for help,
+ * whether they used the support form or the chatbot:
+ * 1. Validate the request and check it for spam or abuse
+ * 2. Summarize it and classify its urgency (aiService)
+ * 3. Store it with a ticket ID, a tracking code for the patient, its
+ *    status history and its SLA, and start its activity log
+ * 4. Move it into the review queue and acknowledge it to the patient
+ *    (notificationService); page the on-call coordinator if it is
+ *    urgent (alertService)
+ * 5. Optionally auto-assign a volunteer - unless a person must review
+ *    the urgency first (suspected spam, low confidence, prompt injection,
+ *    or the model disagreeing with the rules; see triageReviewService)
+ */
+
+const aiService = require('./aiService');
+const statusService = require('./statusService');
+const assignmentService = require('./assignmentService');
+const slaService = require('./slaService');
+const triageReviewService = require('./triageReviewService');
+const trackingService = require('./trackingService');
+const notificationService = require('./notificationService');
+const alertService = require('./alertService');
+const activityService = require('./activityService');
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const { validateSupportRequest } = require('../utils/validators');
+const { detectSpam } = require('../utils/abuseDetector');
+const { classifyUrgency } = require('./urgencyRulesService');
+const { normalizeIndianPhone } = require('../utils/phoneNumber');
+const { getCategory } = require('../config/categories');
+const { DEFAULT_CONTACT_CHANNEL, DEFAULT_CONTACT_TIME } = require('../config/contact');
+const { resolveLanguage } = require('../config/languages');
+const { createHttpError } = require('../utils/errorHandler');
+
+/**
+ * Finds signs of spam or abuse that staff should look at
+ *
+ * Nothing is rejected: a genuine request may look like spam, so staff
+ * review it before anyone is assigned. Text that also mentions a
+ * symptom, an emergency or anything else the urgency rules recognise is
+ * not flagged: a patient in distress may swear, or paste a link to a
+ * report.
+ *
+ * @returns {Object[]} Spam signals { id, label }, empty if none
+ */
+const findSuspectedSpam = ({ name, age, issueCategory, description }) => {
+  const spamSignals = detectSpam({ name, description });
+  if (spamSignals.length === 0) return [];
+
+  const { signals } = classifyUrgency({ description, category: issueCategory, age });
+  if (signals.some(signal => !signal.negated)) return [];
+
+  console.warn(`Support request flagged as possible spam: ${spamSignals.map(signal => signal.id).join(', ')}`);
+  return spamSignals;
+};
+
+/**
+ * Contact details as stored on the request
+ *
+ * Shown only to coordinators and the assigned volunteer (see
+ * requestController), never to the AI model.
+ */
+const createContact = ({ phone, email, contactChannel, contactTime }) => ({
+  phone: normalizeIndianPhone(phone),
+  email: email ? email.trim() : null,
+  channel: contactChannel || DEFAULT_CONTACT_CHANNEL,
+  bestTime: contactTime || DEFAULT_CONTACT_TIME
+});
+
+/**
+ * Creates a support request
+ *
+ * @param {Object} data - { name, age, issueCategory, description, phone,
+ *   email?, contactChannel?, contactTime?, language? }
+ *   language is the language the patient prefers to be contacted in
+ *   (default "en")
+ * @returns {Promise<Object>} { ticketId, trackingCode, createdAt, patientName,
+ *   category, language, summary, urgency, reasoning, confidence, humanReview: { required },
+ *   status, statusHistory }
+ * @throws {Error} 400 if the data is invalid
+ */
+const createSupportRequest = async ({
+  name, age, issueCategory, description, phone, email, contactChannel, contactTime, language
+}) => {
+  const receivedAt = new Date();
+
+  const validationError = validateSupportRequest({
+    name, age, issueCategory, description, phone, email, contactChannel, contactTime, language
+  });
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+
+  const spamSignals = findSuspectedSpam({ name, age, issueCategory, description });
+
+  // Process the patient's issue using AI service
+  const aiResponse = await aiService.processPatientIssue({
+    name,
+    age,
+    issueCategory,
+    description
+  });
+
+  // The patient needs the code with the ticket ID to track the request
+  const { code: trackingCode, tracking } = await trackingService.createTracking();
+
+  // Store the request so it can be followed up and referenced later.
+  // Legacy category aliases (e.g. "Medical") are saved as the registry value.
+  const category = getCategory(issueCategory).value;
+  const savedRequest = await supportRequestRepository.create({
+    name: name.trim(),
+    age: Number(age),
+    issueCategory: category,
+    description: description.trim(),
+    contact: createContact({ phone, email, contactChannel, contactTime }),
+    // Lets the assignment engine prefer volunteers who speak it
+    language: resolveLanguage(language),
+    summary: aiResponse.summary,
+    urgency: aiResponse.urgency,
+    // Why the urgency was chosen and how sure the classifier is (see aiService)
+    reasoning: aiResponse.reasoning,
+    confidence: aiResponse.confidence,
+    // Uncertain triage or possible spam needs a person to confirm the urgency before assignment
+    humanReview: triageReviewService.createHumanReview(aiResponse.confidence, aiResponse.urgency, aiResponse.reasoning, spamSignals),
+    ...statusService.getInitialStatus(receivedAt),
+    sla: slaService.createSla(aiResponse.urgency, receivedAt),
+    tracking
+  });
+
+  // First entry of the request's activity log
+  await activityService.recordActivity(savedRequest.ticketId, 'created', activityService.PATIENT_ACTOR, {
+    category,
+    urgency: aiResponse.urgency
+  });
+
+  // AI analysis is done, so the request moves straight into the review queue
+  const reviewedRequest = await statusService.transitionStatus(savedRequest.ticketId, 'review');
+
+  // Acknowledge the request on the patient's preferred channel
+  notificationService.notifyInBackground(reviewedRequest, 'request_created');
+
+  // High urgency and Emergency requests page the on-call coordinator
+  alertService.raiseAlertInBackground(reviewedRequest);
+
+  // Optionally hand the request straight to the best-matching volunteer.
+  // A failure here must not fail the submission - it stays in the review queue.
+  const currentRequest = await assignmentService.autoAssign(savedRequest.ticketId)
+    .catch(error => {
+      console.error('Auto-assignment failed:', error.message);
+      return null;
+    }) || reviewedRequest;
+
+  return {
+    ticketId: savedRequest.ticketId,
+    // Only returned here - just its hash is stored
+    trackingCode,
+    createdAt: savedRequest.createdAt,
+    patientName: name,
+    category,
+    language: savedRequest.language,
+    summary: aiResponse.summary,
+    urgency: aiResponse.urgency,
+    reasoning: aiResponse.reasoning,
+    confidence: aiResponse.confidence,
+    humanReview: { required: savedRequest.humanReview.required },
+    status: currentRequest.status,
+    statusHistory: currentRequest.statusHistory
+  };
+};
+
+module.exports = {
+  createSupportRequest
+};
@@ -0,0 +1,138 @@
+/**
+ * Tracking Service - Lets patients look up their own request
+ *
+ * When a request is created the patient receives a 6-digit tracking
+ * code together with the ticket ID. Both are needed to open the
+ * "Track my request" page, so a ticket ID alone (which patients read
+ * out on the phone) never reveals anything about the request.
+ *
+ * SECURITY DESIGN:
+ * - Only a scrypt hash of the code is stored (see authService); the code
+ *   itself is shown to the patient once, on submission
+ * - After MAX_FAILED_ATTEMPTS wrong codes the ticket is locked for
+ *   LOCK_MINUTES, so codes cannot be guessed
+ * - An unknown ticket and a wrong code give the same error
+ *
+ * WHAT THE PATIENT SEES:
+ * Status and status history, the assigned volunteer's first name and
+ * the notes staff marked as visible to the patient. Never the triage
+ * reasoning, internal notes or the volunteer's contact details.
+ *
+ * TRACKING RECORD (saved on the request as tracking):
+ *   { codeHash, failedAttempts, lockedUntil }
+ */
+
+const crypto = require('crypto');
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const { hashPassword, verifyPassword } = require('./authService');
+const requestNoteService = require('./requestNoteService');
+const { createHttpError } = require('../utils/errorHandler');
+
+const CODE_LENGTH = 6;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const INVALID_CREDENTIALS_MESSAGE = 'The ticket ID or tracking code is incorrect';
+
+/**
+ * Creates a tracking code for a new request
+ *
+ * @returns {Promise<Object>} { code, tracking } - code is given to the
+ *   patient, tracking is saved on the request
+ */
+const createTracking = async () => {
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+
+  return {
+    code,
+    tracking: {
+      codeHash: await hashPassword(code),
+      failedAttempts: 0,
+      lockedUntil: null
+    }
+  };
+};
+
+/**
+ * First name of the assigned volunteer, or null
+ */
+const getVolunteerFirstName = (request) => {
+  const name = request.assignedVolunteer && request.assignedVolunteer.name;
+  return name ? name.trim().split(/\s+/)[0] : null;
+};
+
+/**
+ * Builds the patient's view of a request
+ */
+const toPatientView = (request, notes) => ({
+  ticketId: request.ticketId,
+  createdAt: request.createdAt,
+  category: request.issueCategory,
+  urgency: request.urgency,
+  status: request.status,
+  history: request.statusHistory || [],
+  volunteerFirstName: getVolunteerFirstName(request),
+  notes,
+  updatedAt: request.updatedAt
+});
+
+/**
+ * Records a wrong code and locks the ticket after too many
+ */
+const recordFailedAttempt = async (request) => {
+  const failedAttempts = (request.tracking.failedAttempts || 0) + 1;
+  const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+  await supportRequestRepository.update(request.ticketId, {
+    tracking: {
+      ...request.tracking,
+      failedAttempts: locked ? 0 : failedAttempts,
+      lockedUntil: locked ? new Date(Date.now() + LOCK_MINUTES * 60 * 1000).toISOString() : null
+    }
+  });
+};
+
+/**
+ * Looks up a request for the patient who submitted it
+ *
+ * @param {string} ticketId - Ticket ID (case-insensitive)
+ * @param {string} code - Tracking code from the submission
+ * @returns {Promise<Object>} Patient view: { ticketId, createdAt, category,
+ *   urgency, status, history, volunteerFirstName, notes, updatedAt }
+ * @throws {Error} 400 if either value is missing, 401 if they do not
+ *   match, 429 while the ticket is locked
+ */
+const lookupRequest = async (ticketId, code) => {
+  if (!ticketId || typeof ticketId !== 'string' || !code || typeof code !== 'string') {
+    throw createHttpError(400, 'Ticket ID and tracking code are required');
+  }
+
+  const request = await supportRequestRepository.findByTicketId(ticketId);
+
+  if (!request) {
+    throw createHttpError(401, INVALID_CREDENTIALS_MESSAGE);
+  }
+
+  if (request.tracking.lockedUntil && new Date(request.tracking.lockedUntil) > new Date()) {
+    throw createHttpError(429, `Too many incorrect codes. Please try again in ${LOCK_MINUTES} minutes.`);
+  }
+
+  if (!await verifyPassword(code.replace(/\s/g, ''), request.tracking.codeHash)) {
+    await recordFailedAttempt(request);
+    throw createHttpError(401, INVALID_CREDENTIALS_MESSAGE);
+  }
+
+  if (request.tracking.failedAttempts > 0) {
+    await supportRequestRepository.update(request.ticketId, {
+      tracking: { ...request.tracking, failedAttempts: 0, lockedUntil: null }
+    });
+  }
+
+  return toPatientView(request, await requestNoteService.getPatientVisibleNotes(request));
+};
+
+module.exports = {
+  createTracking,
+  getVolunteerFirstName,
+  lookupRequest
+};
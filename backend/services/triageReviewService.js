@@ -0,0 +1,265 @@
+/**
+ * Triage Review Service - Mandatory human review of uncertain triage
+ *
+ * Every request gets a confidence (0-1) from the classifier that set its
+ * urgency (see aiService). A request needs a review when:
+ * - suspected_spam: the text looks like spam or abuse (see
+ *   supportRequestService) - a genuine request may look like that, so
+ *   it is kept for a person to decide
+ * - prompt_injection: the description tries to instruct the AI model
+ * - model_rule_disagreement: the model and the rule engine are far
+ *   apart (Low vs High)
+ * - low_confidence: the confidence is below the review threshold
+ *
+ * Then:
+ * - The request is flagged for human review and is not auto-assigned
+ * - It cannot be assigned until a staff member confirms the urgency or
+ *   corrects it
+ * - A corrected urgency also resets the SLA window from when the request
+ *   was received, so the response-time promise matches the new level
+ *
+ * THRESHOLD:
+ *   HUMAN_REVIEW_THRESHOLD in the environment (0-1, default 0.6)
+ *
+ * URGENCY OVERRIDE:
+ * After triage, coordinators can still change the urgency of an open
+ * request (e.g. after talking to the patient). An override always needs
+ * a reason and resets the SLA window the same way.
+ *
+ * Reviews and overrides are recorded in the request's activity log as
+ * urgency_change entries: { from, to, reason, source } (see
+ * activityService). A request that becomes High urgency pages the
+ * on-call coordinator (see alertService).
+ *
+ * REVIEW RECORD (saved on the request as humanReview):
+ *   { required, reason, reasons, spamSignals, threshold, originalUrgency,
+ *     reviewedBy, reviewedAt }
+ *   reasons lists every cause in the order above; reason is the first
+ */
+
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const slaService = require('./slaService');
+const activityService = require('./activityService');
+const alertService = require('./alertService');
+const { FINAL_STATUSES } = require('./statusService');
+const { createHttpError } = require('../utils/errorHandler');
+
+const DEFAULT_REVIEW_THRESHOLD = 0.6;
+const URGENCY_LEVELS = ['Low', 'Medium', 'High'];
+const MIN_REASON_LENGTH = 5;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Confidence below which a request needs a human review
+ */
+const getReviewThreshold = () => {
+  const threshold = Number.parseFloat(process.env.HUMAN_REVIEW_THRESHOLD);
+  return Number.isFinite(threshold) && threshold >= 0 && threshold <= 1
+    ? threshold
+    : DEFAULT_REVIEW_THRESHOLD;
+};
+
+/**
+ * Builds the review record for a new request
+ *
+ * @param {number} confidence - Classifier confidence (0-1)
+ * @param {string} urgency - Urgency the classifier chose
+ * @param {Object} [reasoning] - Triage reasoning; model answers carry
+ *   injectionSignals and ruleCheck (see aiProviders/llmTriage.js)
+ * @param {Object[]} [spamSignals] - Signs of spam { id, label } (see
+ *   utils/abuseDetector.js)
+ * @returns {Object} Review record; required is false for confident triage
+ */
+const createHumanReview = (confidence, urgency, reasoning = {}, spamSignals = []) => {
+  const threshold = getReviewThreshold();
+  const reasons = [];
+
+  if (spamSignals.length > 0) {
+    reasons.push('suspected_spam');
+  }
+  if (reasoning.injectionSignals && reasoning.injectionSignals.length > 0) {
+    reasons.push('prompt_injection');
+  }
+  if (reasoning.ruleCheck && reasoning.ruleCheck.disagrees) {
+    reasons.push('model_rule_disagreement');
+  }
+  if (typeof confidence !== 'number' || confidence < threshold) {
+    reasons.push('low_confidence');
+  }
+
+  const required = reasons.length > 0;
+
+  return {
+    required,
+    reason: required ? reasons[0] : null,
+    reasons,
+    spamSignals,
+    threshold,
+    originalUrgency: urgency,
+    reviewedBy: null,
+    reviewedAt: null
+  };
+};
+
+/**
+ * Checks whether a request is still waiting for its human review
+ *
+ * @param {Object} request - Stored support request
+ * @returns {boolean}
+ */
+const isReviewPending = (request) => {
+  return Boolean(request.humanReview && request.humanReview.required && !request.humanReview.reviewedAt);
+};
+
+/**
+ * Validates an urgency and an optional or required reason
+ *
+ * @returns {string|null} Error message or null if valid
+ */
+const validateUrgencyChange = ({ urgency, reason }, reasonRequired) => {
+  if (!URGENCY_LEVELS.includes(urgency)) {
+    return `Urgency must be one of: ${URGENCY_LEVELS.join(', ')}`;
+  }
+  if (!reason && !reasonRequired) {
+    return null;
+  }
+  if (typeof reason !== 'string' || reason.trim().length < MIN_REASON_LENGTH) {
+    return `Please give a reason of at least ${MIN_REASON_LENGTH} characters`;
+  }
+  if (reason.trim().length > MAX_REASON_LENGTH) {
+    return `Reason must be at most ${MAX_REASON_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Loads a request, or throws 404
+ */
+const getRequestOrThrow = async (ticketId) => {
+  const request = await supportRequestRepository.findByTicketId(ticketId);
+  if (!request) {
+    throw createHttpError(404, 'Support request not found');
+  }
+  return request;
+};
+
+/**
+ * New urgency and an SLA window restarted from when the request was
+ * received, keeping its breach and escalation history
+ */
+const getUrgencyChanges = (request, urgency) => {
+  const previousSla = request.sla || {};
+  return {
+    urgency,
+    sla: {
+      ...slaService.createSla(urgency, new Date(previousSla.startedAt || request.createdAt)),
+      breaches: previousSla.breaches || [],
+      escalations: previousSla.escalations || []
+    }
+  };
+};
+
+/**
+ * Records a staff member's review of a request's urgency
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {Object} review
+ * @param {string} review.urgency - Confirmed or corrected urgency
+ * @param {string} [review.reason] - Why, e.g. what the patient said on the phone
+ * @param {Object} review.reviewer - Logged-in staff user { id, name }
+ * @returns {Promise<Object>} The updated request
+ * @throws {Error} 400 for an invalid urgency or reason, 404 if not found,
+ *   409 if the request has no pending review
+ */
+const completeReview = async (ticketId, { urgency, reason, reviewer }) => {
+  const validationError = validateUrgencyChange({ urgency, reason }, false);
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+
+  const request = await getRequestOrThrow(ticketId);
+
+  if (!isReviewPending(request)) {
+    throw createHttpError(409, 'This request has no pending triage review');
+  }
+
+  const changes = {
+    humanReview: {
+      ...request.humanReview,
+      reviewedBy: { id: reviewer.id, name: reviewer.name },
+      reviewedAt: new Date().toISOString()
+    },
+    ...(urgency !== request.urgency ? getUrgencyChanges(request, urgency) : {})
+  };
+
+  const updatedRequest = await supportRequestRepository.update(request.ticketId, changes);
+
+  await activityService.recordActivity(request.ticketId, 'urgency_change', reviewer, {
+    from: request.urgency,
+    to: urgency,
+    reason: reason ? reason.trim() : null,
+    source: 'triage_review'
+  });
+
+  alertService.raiseAlertInBackground(updatedRequest);
+
+  return updatedRequest;
+};
+
+/**
+ * Overrides the urgency of an open request
+ *
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {Object} override
+ * @param {string} override.urgency - New urgency
+ * @param {string} override.reason - Why the urgency is changed (required)
+ * @param {Object} override.user - Logged-in coordinator { id, name }
+ * @returns {Promise<Object>} The updated request
+ * @throws {Error} 400 for an invalid urgency or reason, or an unchanged
+ *   urgency, 404 if not found, 409 while a triage review is pending or
+ *   once the request is resolved or closed
+ */
+const overrideUrgency = async (ticketId, { urgency, reason, user }) => {
+  const validationError = validateUrgencyChange({ urgency, reason }, true);
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+
+  const request = await getRequestOrThrow(ticketId);
+
+  if (isReviewPending(request)) {
+    throw createHttpError(409, 'Confirm this request\'s urgency in the triage review instead');
+  }
+
+  if (FINAL_STATUSES.includes(request.status)) {
+    throw createHttpError(409, `Cannot change the urgency of a request that is "${request.status}"`);
+  }
+
+  if (urgency === request.urgency) {
+    throw createHttpError(400, `The urgency is already ${urgency}`);
+  }
+
+  const updatedRequest = await supportRequestRepository.update(
+    request.ticketId,
+    getUrgencyChanges(request, urgency)
+  );
+
+  await activityService.recordActivity(request.ticketId, 'urgency_change', user, {
+    from: request.urgency,
+    to: urgency,
+    reason: reason.trim(),
+    source: 'override'
+  });
+
+  alertService.raiseAlertInBackground(updatedRequest);
+
+  return updatedRequest;
+};
+
+module.exports = {
+  getReviewThreshold,
+  createHumanReview,
+  isReviewPending,
+  completeReview,
+  overrideUrgency
+};
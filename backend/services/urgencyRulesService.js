@@ -0,0 +1,332 @@
+/**
+ * Urgency Rules Service - Rule-based urgency classification
+ *
+ * Classifies a request as Low / Medium / High from its description, the
+ * patient's age and the category. This is the "mock AI" used when OpenAI
+ * is not configured (or fails).
+ *
+ * FLOW:
+ * 1. Emergencies (config/emergencyLexicon.js) → High
+ * 2. Phrases from config/urgencyRules.js, whole-word and negation-aware,
+ *    so "no chest pain, just a routine checkup" is Low and "not urgent"
+ *    does not count as urgent:
+ *    - "urgent", "turant", "तुरंत" → High
+ *    - Symptoms → Medium; High if described as severe or worsening,
+ *      Low if described as mild in the same clause
+ *    - Persistent / recurring → at least Medium
+ * 3. Duration ("for 3 weeks", "2 hafte se"): symptoms lasting 14+ days
+ *    are at least Medium
+ * 4. Age band: infants and 80+ move up one level, young children and
+ *    65-79 are at least Medium - only when a symptom is mentioned
+ * 5. Never below the category's minimumUrgency (config/categories.js)
+ *
+ * Every phrase or duration rule that fired is returned as a signal, so
+ * staff can see why a level was chosen:
+ *   { type, id, label, matched, level, negated }
+ * level is the urgency the signal pushed towards, or null when it did not
+ * change the result (e.g. a negated symptom). The age band and category
+ * floor are returned separately as ageFactor and categoryDefault, along
+ * with a confidence (0-1) based on how strongly the rules agree.
+ */
+
+const {
+  URGENCY_RULES,
+  DURATION_UNITS,
+  DURATION_NUMBER_WORDS,
+  DURATION_PHRASES,
+  PERSISTENT_DAYS,
+  AGE_BANDS,
+  RULE_CONFIDENCE
+} = require('../config/urgencyRules');
+const { getCategoryOrFallback } = require('../config/categories');
+const { detectEmergency } = require('../utils/emergencyDetector');
+const { normalizeText, splitClauses, compileTerm, findMatches } = require('../utils/textMatcher');
+
+const URGENCY_LEVELS = ['Low', 'Medium', 'High'];
+
+// Compiled once: [{ id, type, label, level, term, pattern }]
+// A trailing * (prefix match) is dropped from the term shown to staff
+const COMPILED_RULES = URGENCY_RULES.flatMap(rule =>
+  Object.values(rule.terms).flat().map(term => ({
+    id: rule.id,
+    type: rule.type,
+    label: rule.label,
+    level: rule.level,
+    term: term.replace(/\*$/, ''),
+    pattern: compileTerm(term)
+  }))
+);
+
+const COMPILED_DURATION_PHRASES = DURATION_PHRASES.flatMap(({ days, terms }) =>
+  terms.map(term => ({ days, term, pattern: compileTerm(term) }))
+);
+
+// Duration words are matched after normalization ("weeks" → "veeks")
+const normalizeKeys = (map) => Object.fromEntries(
+  Object.entries(map).map(([word, value]) => [normalizeText(word), value])
+);
+const UNIT_DAYS = normalizeKeys(DURATION_UNITS);
+const UNIT_NAMES = Object.fromEntries(Object.keys(DURATION_UNITS).map(unit => [normalizeText(unit), unit]));
+const NUMBER_WORDS = normalizeKeys(DURATION_NUMBER_WORDS);
+
+// "3 weeks", "a couple of weeks", "2 din" - but not "10 years old" or "5 saal ka"
+const DURATION_PATTERN = new RegExp(
+  `(?:^| )(\\d+|${Object.keys(NUMBER_WORDS).join('|')}) (?:of )?(${Object.keys(UNIT_DAYS).join('|')})(?= |$)(?! (?:old|ka|ki|ke|का|की|के))`,
+  'g'
+);
+
+/**
+ * Compares urgency levels
+ */
+const higherUrgency = (a, b) => {
+  return URGENCY_LEVELS.indexOf(a) >= URGENCY_LEVELS.indexOf(b) ? a : b;
+};
+
+const raiseUrgency = (urgency) => {
+  return URGENCY_LEVELS[Math.min(URGENCY_LEVELS.indexOf(urgency) + 1, URGENCY_LEVELS.length - 1)];
+};
+
+/**
+ * Describes a number of days for staff ("3 weeks", "2 days")
+ */
+const describeDays = (days) => {
+  if (days < 1) return 'Less than a day';
+  const [unit, length] = days >= 365 ? ['year', 365]
+    : days >= 30 ? ['month', 30]
+      : days >= 7 ? ['week', 7]
+        : ['day', 1];
+  const count = Math.round(days / length);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+/**
+ * Finds the longest duration mentioned in a text, in days
+ *
+ * @param {string} text - Request description
+ * @returns {Object|null} { days, matched } or null if none is mentioned
+ */
+const findDuration = (text) => {
+  const durations = [];
+
+  splitClauses(text).forEach(clause => {
+    DURATION_PATTERN.lastIndex = 0;
+    let match = DURATION_PATTERN.exec(clause);
+    while (match) {
+      const count = /^\d+$/.test(match[1]) ? Number(match[1]) : NUMBER_WORDS[match[1]];
+      durations.push({ days: count * UNIT_DAYS[match[2]], matched: `${count} ${UNIT_NAMES[match[2]]}` });
+      match = DURATION_PATTERN.exec(clause);
+    }
+  });
+  findMatches(text, COMPILED_DURATION_PHRASES).forEach(({ days, term }) => {
+    durations.push({ days, matched: term });
+  });
+
+  return durations.reduce((longest, duration) => (
+    !longest || duration.days > longest.days ? duration : longest
+  ), null);
+};
+
+/**
+ * Gets the age band for an age
+ *
+ * @param {number|string} age - Patient age in years
+ * @returns {Object|null} Band from config/urgencyRules.js, or null for an invalid age
+ */
+const getAgeBand = (age) => {
+  const years = Number(age);
+  if (age === undefined || age === null || age === '' || !Number.isFinite(years) || years < 0) {
+    return null;
+  }
+  return AGE_BANDS.find(band => years < band.maxAge);
+};
+
+/**
+ * Describes the patient's age band for the triage reasoning
+ *
+ * @param {number|string} age - Patient age in years
+ * @param {boolean} applied - Whether the band changed the urgency
+ * @returns {Object|null} { age, band, label, effect, applied }, or null for an invalid age
+ */
+const toAgeFactor = (age, applied = false) => {
+  const band = getAgeBand(age);
+  return band
+    ? { age: Number(age), band: band.id, label: band.label, effect: band.effect, applied }
+    : null;
+};
+
+/**
+ * Applies the patient's age band to an urgency
+ *
+ * Infants and 80+ move up one level, young children and 65-79 are at
+ * least Medium - only when a symptom or emergency was mentioned.
+ *
+ * @returns {Object} { urgency, ageFactor }
+ */
+const applyAgeBand = (urgency, age, hasSymptom) => {
+  const band = getAgeBand(age);
+  let adjusted = urgency;
+  if (band && band.effect && hasSymptom) {
+    adjusted = band.effect === 'raise' ? raiseUrgency(urgency) : higherUrgency(urgency, 'Medium');
+  }
+  return { urgency: adjusted, ageFactor: toAgeFactor(age, adjusted !== urgency) };
+};
+
+/**
+ * Raises an urgency to the category's minimumUrgency (config/categories.js)
+ *
+ * @param {string} urgency - "Low" | "Medium" | "High"
+ * @param {string} category - Category value or legacy alias
+ * @returns {Object} { urgency, categoryDefault } - categoryDefault is
+ *   { category, label, minimumUrgency, applied }
+ */
+const applyCategoryMinimum = (urgency, category) => {
+  const { value, label, minimumUrgency = 'Low' } = getCategoryOrFallback(category);
+  const adjusted = higherUrgency(urgency, minimumUrgency);
+  return {
+    urgency: adjusted,
+    categoryDefault: { category: value, label, minimumUrgency, applied: adjusted !== urgency }
+  };
+};
+
+/**
+ * Scores how strongly the matched rules support an urgency (0-1)
+ *
+ * See RULE_CONFIDENCE in config/urgencyRules.js. Only the description's
+ * rules count - the age band and category floor are fixed policy.
+ *
+ * @param {string} urgency - Urgency the description's rules produced
+ * @param {Object[]} signals - Signals from classifyUrgency
+ * @returns {number} Confidence rounded to two decimals
+ */
+const scoreConfidence = (urgency, signals) => {
+  const active = signals.filter(signal => !signal.negated && signal.level);
+  if (active.some(signal => signal.type === 'emergency')) {
+    return RULE_CONFIDENCE.emergency;
+  }
+  if (active.length === 0) {
+    return RULE_CONFIDENCE.noSignals;
+  }
+
+  const agreeing = active.filter(signal => signal.level === urgency).length;
+  const conflicting = active.length - agreeing;
+  const score = RULE_CONFIDENCE.base
+    + RULE_CONFIDENCE.perAgreeingSignal * Math.min(agreeing, RULE_CONFIDENCE.maxAgreeingSignals)
+    - RULE_CONFIDENCE.perConflictingSignal * conflicting;
+
+  const clamped = Math.min(RULE_CONFIDENCE.max, Math.max(RULE_CONFIDENCE.min, score));
+  return Math.round(clamped * 100) / 100;
+};
+
+/**
+ * Turns phrase matches into one signal per rule id
+ *
+ * A rule that matched both negated and not negated counts as matched.
+ */
+const collectRuleSignals = (matches) => {
+  const signals = [];
+  [...matches.filter(match => !match.negated), ...matches.filter(match => match.negated)]
+    .forEach(({ id, type, label, term, negated, clause }) => {
+      if (!signals.some(signal => signal.id === id)) {
+        signals.push({ type, id, label, matched: term, negated, clause });
+      }
+    });
+  return signals;
+};
+
+/**
+ * Classifies the urgency of a request
+ *
+ * @param {Object} request
+ * @param {string} request.description - What the patient wrote
+ * @param {string} [request.category] - Category value or legacy alias
+ * @param {number|string} [request.age] - Patient age in years
+ * @returns {Object} { urgency: "Low" | "Medium" | "High", confidence, signals,
+ *   ageFactor, categoryDefault } - see scoreConfidence, applyAgeBand and
+ *   applyCategoryMinimum
+ */
+const classifyUrgency = ({ description, category, age }) => {
+  const emergency = detectEmergency(description);
+  const matches = findMatches(description, COMPILED_RULES);
+  const levelsById = Object.fromEntries(URGENCY_RULES.map(rule => [rule.id, rule.level]));
+  const ruleSignals = collectRuleSignals(matches);
+  const active = (type) => matches.filter(match => match.type === type && !match.negated);
+
+  const symptoms = active('symptom');
+  const isSevere = active('severity').length > 0;
+  const mildClauses = new Set(active('mild').map(match => match.clause));
+  const hasSymptom = symptoms.length > 0 || emergency.isEmergency;
+
+  // A symptom's level: severity anywhere raises it, "mild" in its own clause lowers it
+  const symptomLevel = ({ id, clause }) => {
+    const level = levelsById[id];
+    if (level !== 'Medium') return level;
+    if (isSevere) return 'High';
+    return mildClauses.has(clause) ? 'Low' : level;
+  };
+
+  const signals = [
+    ...emergency.signals.map(({ id, label, term }) => ({
+      type: 'emergency', id, label, matched: term, level: 'High', negated: false
+    })),
+    ...emergency.negatedSignals.map(({ id, label, term }) => ({
+      type: 'emergency', id, label, matched: term, level: null, negated: true
+    }))
+  ];
+
+  ruleSignals.forEach(({ clause, ...signal }) => {
+    let level = null;
+    if (!signal.negated) {
+      if (signal.type === 'symptom') {
+        level = symptoms
+          .filter(match => match.id === signal.id)
+          .map(symptomLevel)
+          .reduce(higherUrgency);
+      } else if (signal.type === 'severity') {
+        level = symptoms.length > 0 ? 'High' : null;
+      } else if (signal.type === 'mild') {
+        level = !isSevere && symptoms.some(match => mildClauses.has(match.clause)) ? 'Low' : null;
+      } else {
+        level = levelsById[signal.id];
+      }
+    }
+    signals.push({ ...signal, level });
+  });
+
+  const duration = findDuration(description);
+  if (duration) {
+    signals.push({
+      type: 'duration',
+      id: 'duration',
+      label: `Duration: ${describeDays(duration.days)}`,
+      matched: duration.matched,
+      days: duration.days,
+      level: hasSymptom && duration.days >= PERSISTENT_DAYS ? 'Medium' : null,
+      negated: false
+    });
+  }
+
+  // Routine, mild and severity signals only explain the result
+  const urgency = signals
+    .filter(signal => signal.level && ['emergency', 'urgent', 'symptom', 'persistent', 'duration'].includes(signal.type))
+    .map(signal => signal.level)
+    .reduce(higherUrgency, 'Low');
+
+  const ageResult = applyAgeBand(urgency, age, hasSymptom);
+  const categoryResult = applyCategoryMinimum(ageResult.urgency, category);
+
+  return {
+    urgency: categoryResult.urgency,
+    confidence: scoreConfidence(urgency, signals),
+    signals,
+    ageFactor: ageResult.ageFactor,
+    categoryDefault: categoryResult.categoryDefault
+  };
+};
+
+module.exports = {
+  classifyUrgency,
+  applyCategoryMinimum,
+  toAgeFactor,
+  getAgeBand,
+  findDuration
+};
@@ -0,0 +1,223 @@
+/**
+ * Volunteer Service - Volunteer profiles and their current workload
+ *
+ * PROFILE FIELDS:
+ * - name, email, phone: Contact details
+ * - languages: Language codes spoken, e.g. ["en", "hi"]
+ * - specialties: Issue category values from config/categories.js
+ * - maxActiveCases: How many open requests the volunteer can handle at once
+ * - available: false while on leave or otherwise unavailable
+ * - userId: Optional link to the volunteer's staff login
+ *
+ * WORKLOAD:
+ * A volunteer's active cases are the open (not resolved/closed)
+ * requests currently assigned to them. This is computed from the
+ * requests themselves, so it can never drift out of sync.
+ */
+
+const volunteerRepository = require('../repositories/volunteerRepository');
+const supportRequestRepository = require('../repositories/supportRequestRepository');
+const userRepository = require('../repositories/userRepository');
+const { FINAL_STATUSES } = require('./statusService');
+const { getCategory } = require('../config/categories');
+const { createHttpError } = require('../utils/errorHandler');
+
+const DEFAULT_MAX_ACTIVE_CASES = 5;
+const MAX_ACTIVE_CASES_LIMIT = 50;
+
+/**
+ * Checks that a value is an array of non-empty strings
+ */
+const isStringList = (value) => {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+};
+
+/**
+ * Validates volunteer profile data
+ *
+ * @param {Object} data - Profile fields
+ * @param {Object} options - { partial: true } to validate only the fields present (updates)
+ * @returns {string|null} Error message or null if valid
+ */
+const validateVolunteer = (data, { partial = false } = {}) => {
+  const has = (field) => !partial || data[field] !== undefined;
+  const { name, email, phone, languages, specialties, maxActiveCases, available } = data;
+
+  if (has('name') && (!name || typeof name !== 'string' || name.trim().length < 2)) {
+    return 'Name is required and must be at least 2 characters';
+  }
+  if (email !== undefined && email !== '' &&
+      (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+    return 'Email must be a valid email address';
+  }
+  if (phone !== undefined && typeof phone !== 'string') {
+    return 'Phone must be a string';
+  }
+  if (languages !== undefined && !isStringList(languages)) {
+    return 'Languages must be a list of language codes, e.g. ["en", "hi"]';
+  }
+  if (specialties !== undefined) {
+    if (!Array.isArray(specialties) || !specialties.every(getCategory)) {
+      return 'Specialties must be a list of issue category values';
+    }
+  }
+  if (maxActiveCases !== undefined &&
+      (!Number.isInteger(maxActiveCases) || maxActiveCases < 1 || maxActiveCases > MAX_ACTIVE_CASES_LIMIT)) {
+    return `Max active cases must be a whole number between 1 and ${MAX_ACTIVE_CASES_LIMIT}`;
+  }
+  if (available !== undefined && typeof available !== 'boolean') {
+    return 'Available must be true or false';
+  }
+  return null;
+};
+
+/**
+ * Picks and normalizes the profile fields present in the input
+ */
+const toProfileFields = (data) => {
+  const fields = {};
+  if (data.name !== undefined) fields.name = data.name.trim();
+  if (data.email !== undefined) fields.email = data.email.trim().toLowerCase();
+  if (data.phone !== undefined) fields.phone = data.phone.trim();
+  if (data.languages !== undefined) fields.languages = data.languages.map(code => code.trim().toLowerCase());
+  if (data.specialties !== undefined) fields.specialties = data.specialties.map(value => getCategory(value).value);
+  if (data.maxActiveCases !== undefined) fields.maxActiveCases = data.maxActiveCases;
+  if (data.available !== undefined) fields.available = data.available;
+  if (data.userId !== undefined) fields.userId = data.userId || null;
+  return fields;
+};
+
+/**
+ * Ensures a linked user account exists and belongs to staff
+ *
+ * @throws {Error} 400 if the account does not exist
+ */
+const checkLinkedUser = async (userId) => {
+  if (!userId) return;
+  const user = await userRepository.findById(userId);
+  if (!user || user.role === 'patient') {
+    throw createHttpError(400, 'userId must refer to an existing staff account');
+  }
+};
+
+/**
+ * Counts the open requests assigned to each volunteer
+ *
+ * @returns {Promise<Map<string, number>>} Volunteer ID -> active case count
+ */
+const getActiveCaseCounts = async () => {
+  const openAssigned = await supportRequestRepository.findAll(request =>
+    request.assignedVolunteer && !FINAL_STATUSES.includes(request.status)
+  );
+
+  const counts = new Map();
+  openAssigned.forEach(request => {
+    const id = request.assignedVolunteer.id;
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Checks whether a volunteer can take on another case right now
+ *
+ * @param {Object} volunteer - Volunteer profile
+ * @param {number} activeCases - Current active case count
+ * @returns {boolean} True if available and below capacity
+ */
+const hasCapacity = (volunteer, activeCases) => {
+  return volunteer.available && activeCases < volunteer.maxActiveCases;
+};
+
+/**
+ * Checks whether a request is assigned to a staff user's volunteer profile
+ *
+ * @param {Object} user - Logged-in staff user { id }
+ * @param {Object} request - Stored support request
+ * @returns {Promise<boolean>} True if the user is the assigned volunteer
+ */
+const isAssignedToUser = async (user, request) => {
+  if (!request.assignedVolunteer) return false;
+
+  const profile = await volunteerRepository.findByUserId(user.id);
+  return Boolean(profile) && profile.id === request.assignedVolunteer.id;
+};
+
+/**
+ * Returns all volunteers with their current workload
+ *
+ * @returns {Promise<Array>} Profiles with activeCases, sorted by name
+ */
+const listVolunteers = async () => {
+  const [volunteers, counts] = await Promise.all([
+    volunteerRepository.findAll(),
+    getActiveCaseCounts()
+  ]);
+
+  return volunteers
+    .map(volunteer => ({ ...volunteer, activeCases: counts.get(volunteer.id) || 0 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Creates a volunteer profile
+ *
+ * @param {Object} data - Profile fields
+ * @returns {Promise<Object>} The stored profile
+ * @throws {Error} 400 for invalid data, 409 if the login already has a profile
+ */
+const createVolunteer = async (data) => {
+  const validationError = validateVolunteer(data);
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+
+  await checkLinkedUser(data.userId);
+  if (data.userId && await volunteerRepository.findByUserId(data.userId)) {
+    throw createHttpError(409, 'This staff account already has a volunteer profile');
+  }
+
+  return volunteerRepository.create({
+    email: '',
+    phone: '',
+    languages: ['en'],
+    specialties: [],
+    maxActiveCases: DEFAULT_MAX_ACTIVE_CASES,
+    available: true,
+    userId: null,
+    ...toProfileFields(data)
+  });
+};
+
+/**
+ * Updates a volunteer profile
+ *
+ * @param {string} id - Volunteer ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} The updated profile
+ * @throws {Error} 400 for invalid data, 404 if not found
+ */
+const updateVolunteer = async (id, data) => {
+  const validationError = validateVolunteer(data, { partial: true });
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+
+  await checkLinkedUser(data.userId);
+
+  const updated = await volunteerRepository.update(id, toProfileFields(data));
+  if (!updated) {
+    throw createHttpError(404, 'Volunteer not found');
+  }
+  return updated;
+};
+
+module.exports = {
+  validateVolunteer,
+  getActiveCaseCounts,
+  hasCapacity,
+  isAssignedToUser,
+  listVolunteers,
+  createVolunteer,
+  updateVolunteer
+};
@@ -0,0 +1,127 @@
+/**
+ * File Store - JSON file-backed storage driver
+ *
+ * Persists each collection as a JSON array in its own file under
+ * the configured data directory (e.g. data/supportRequests.json).
+ *
+ * WHY A FILE STORE:
+ * - Works fully offline with zero external services
+ * - Data survives server restarts
+ * - Files are human-readable, which makes audits and backups easy
+ *
+ * WRITE SAFETY:
+ * Writes go to a temporary file first and are then renamed over the
+ * original, so a crash mid-write never leaves a half-written file.
+ * Writes per collection are queued so they never interleave.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Creates a file-backed store rooted at the given directory
+ *
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory where collection files are kept
+ * @returns {Object} Store with insert/find/findOne/update/remove methods
+ */
+const createFileStore = ({ dataDir }) => {
+  // In-memory cache of each loaded collection (name -> array of records)
+  const cache = new Map();
+
+  // Pending write chain per collection (name -> Promise)
+  const writeQueues = new Map();
+
+  const getFilePath = (collection) => path.join(dataDir, `${collection}.json`);
+
+  /**
+   * Loads a collection from disk (once) and returns the cached array
+   */
+  const load = async (collection) => {
+    if (cache.has(collection)) {
+      return cache.get(collection);
+    }
+
+    let records = [];
+    try {
+      const raw = await fs.readFile(getFilePath(collection), 'utf8');
+      records = JSON.parse(raw);
+    } catch (error) {
+      // A missing file simply means the collection is empty
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // Another call may have loaded it while we were reading
+    if (!cache.has(collection)) {
+      cache.set(collection, records);
+    }
+    return cache.get(collection);
+  };
+
+  /**
+   * Writes the cached collection to disk atomically
+   */
+  const persist = (collection) => {
+    const previous = writeQueues.get(collection) || Promise.resolve();
+
+    const next = previous.then(async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      const filePath = getFilePath(collection);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(cache.get(collection), null, 2));
+      await fs.rename(tempPath, filePath);
+    });
+
+    // Keep the queue alive even if this write fails
+    writeQueues.set(collection, next.catch(() => {}));
+    return next;
+  };
+
+  return {
+    insert: async (collection, record) => {
+      const records = await load(collection);
+      records.push(structuredClone(record));
+      await persist(collection);
+      return structuredClone(record);
+    },
+
+    find: async (collection, predicate = () => true) => {
+      const records = await load(collection);
+      return records.filter(predicate).map(record => structuredClone(record));
+    },
+
+    findOne: async (collection, predicate) => {
+      const records = await load(collection);
+      const record = records.find(predicate);
+      return record ? structuredClone(record) : null;
+    },
+
+    update: async (collection, id, changes) => {
+      const records = await load(collection);
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) {
+        return null;
+      }
+      records[index] = { ...records[index], ...structuredClone(changes) };
+      await persist(collection);
+      return structuredClone(records[index]);
+    },
+
+    remove: async (collection, id) => {
+      const records = await load(collection);
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) {
+        return false;
+      }
+      records.splice(index, 1);
+      await persist(collection);
+      return true;
+    }
+  };
+};
+
+module.exports = {
+  createFileStore
+};
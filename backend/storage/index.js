@@ -0,0 +1,54 @@
+/**
+ * Storage - Selects the configured storage driver
+ *
+ * Repositories never talk to a driver directly; they call getStore()
+ * and receive whichever implementation is configured:
+ *
+ * - STORAGE_DRIVER=file   (default) JSON files under DATA_DIR
+ * - STORAGE_DRIVER=memory In-memory only, data is lost on restart
+ *
+ * Adding a new driver (e.g. SQLite or MongoDB) only requires a module
+ * exposing the same insert/find/findOne/update/remove interface.
+ */
+
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Single shared store instance for the whole process
+let store = null;
+
+/**
+ * Builds a store for the given driver name
+ *
+ * @param {string} driver - 'file' | 'memory'
+ * @returns {Object} Store instance
+ */
+const createStore = (driver) => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ dataDir: process.env.DATA_DIR || DEFAULT_DATA_DIR });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "file" or "memory".`);
+  }
+};
+
+/**
+ * Returns the shared store, creating it on first use
+ *
+ * @returns {Object} Store instance
+ */
+const getStore = () => {
+  if (!store) {
+    store = createStore(process.env.STORAGE_DRIVER || 'file');
+  }
+  return store;
+};
+
+module.exports = {
+  getStore
+};
@@ -0,0 +1,66 @@
+/**
+ * Memory Store - In-memory storage driver
+ *
+ * Keeps every collection in a plain JavaScript array.
+ * Data is lost when the server restarts, which makes this driver
+ * useful for demos, local experiments and throwaway environments.
+ *
+ * It exposes exactly the same interface as the file store so the
+ * two can be swapped through configuration alone.
+ */
+
+/**
+ * Creates an in-memory store
+ *
+ * @returns {Object} Store with insert/find/findOne/update/remove methods
+ */
+const createMemoryStore = () => {
+  const collections = new Map();
+
+  const getCollection = (collection) => {
+    if (!collections.has(collection)) {
+      collections.set(collection, []);
+    }
+    return collections.get(collection);
+  };
+
+  return {
+    insert: async (collection, record) => {
+      getCollection(collection).push(structuredClone(record));
+      return structuredClone(record);
+    },
+
+    find: async (collection, predicate = () => true) => {
+      return getCollection(collection).filter(predicate).map(record => structuredClone(record));
+    },
+
+    findOne: async (collection, predicate) => {
+      const record = getCollection(collection).find(predicate);
+      return record ? structuredClone(record) : null;
+    },
+
+    update: async (collection, id, changes) => {
+      const records = getCollection(collection);
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) {
+        return null;
+      }
+      records[index] = { ...records[index], ...structuredClone(changes) };
+      return structuredClone(records[index]);
+    },
+
+    remove: async (collection, id) => {
+      const records = getCollection(collection);
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) {
+        return false;
+      }
+      records.splice(index, 1);
+      return true;
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
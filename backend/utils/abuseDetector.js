@@ -0,0 +1,73 @@
+/**
+ * Abuse Detector - Finds prompt injection and spam in submissions
+ *
+ * Patterns and word lists are in config/abusePatterns.js.
+ *
+ * - detectInjection: instructions aimed at the AI model; the request is
+ *   still triaged, but staff must confirm its urgency
+ * - detectSpam: advertising, links, insults and keyboard mashing; the
+ *   caller decides whether staff must review it (see supportRequestService)
+ */
+
+const {
+  INJECTION_PATTERNS,
+  SPAM_TERMS,
+  ABUSIVE_TERMS,
+  MAX_LINKS,
+  MIN_LETTER_RATIO,
+  SPAM_CHECKS
+} = require('../config/abusePatterns');
+const { compileTerm, findMatches } = require('./textMatcher');
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const REPEATED_CHARACTER = /(.)\1{7,}/u;
+
+// Compiled once: [{ term, pattern }]
+const compileTerms = (terms) => Object.values(terms).flat().map(term => ({ term, pattern: compileTerm(term) }));
+const SPAM_ENTRIES = compileTerms(SPAM_TERMS);
+const ABUSIVE_ENTRIES = compileTerms(ABUSIVE_TERMS);
+
+/**
+ * Finds attempts to instruct the AI model
+ *
+ * @param {string} text - Request description
+ * @returns {Object[]} Matched patterns { id, label }, empty if none
+ */
+const detectInjection = (text) => {
+  return INJECTION_PATTERNS
+    .filter(({ pattern }) => pattern.test(text))
+    .map(({ id, label }) => ({ id, label }));
+};
+
+/**
+ * Share of letters among the non-space characters
+ */
+const getLetterRatio = (text) => {
+  const characters = text.replace(/\s/g, '');
+  if (characters.length === 0) return 0;
+  return (characters.match(/[\p{L}\p{M}]/gu) || []).length / characters.length;
+};
+
+/**
+ * Finds signs of spam or abuse
+ *
+ * @param {Object} submission - { name, description }
+ * @returns {Object[]} Spam signals { id, label }, empty if none
+ */
+const detectSpam = ({ name = '', description = '' }) => {
+  const text = `${name}\n${description}`;
+  const found = [];
+
+  if ((text.match(LINK_PATTERN) || []).length > MAX_LINKS) found.push('links');
+  if (findMatches(text, SPAM_ENTRIES).length > 0) found.push('advertising');
+  if (findMatches(text, ABUSIVE_ENTRIES).length > 0) found.push('abusive');
+  if (REPEATED_CHARACTER.test(description)) found.push('repeated');
+  if (getLetterRatio(description) < MIN_LETTER_RATIO) found.push('no_letters');
+
+  return found.map(id => ({ id, label: SPAM_CHECKS[id] }));
+};
+
+module.exports = {
+  detectInjection,
+  detectSpam
+};
@@ -0,0 +1,76 @@
+/**
+ * Auth Middleware - Protects staff-only routes
+ *
+ * Usage:
+ *   router.get('/', authenticate, requireRole('volunteer', 'coordinator', 'admin'), handler);
+ *
+ * - authenticate: Requires a valid "Authorization: Bearer <token>" header
+ *   and attaches the token payload to req.user
+ * - requireRole: Allows the request only for the listed roles
+ *
+ * Public patient routes (submitting a request, checking its status,
+ * the chatbot) do not use this middleware and stay open.
+ */
+
+const { verifyToken } = require('../services/authService');
+const userRepository = require('../repositories/userRepository');
+
+/**
+ * Verifies the bearer token and sets req.user = { id, role, name }
+ *
+ * The account is looked up on every request so that deactivated
+ * accounts and role changes take effect immediately, not only
+ * when the token expires.
+ *
+ * Responds with 401 Unauthorized if the token is missing, invalid or
+ * expired, or the account no longer exists or is inactive.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    const payload = scheme === 'Bearer' ? verifyToken(token) : null;
+    const user = payload ? await userRepository.findById(payload.sub) : null;
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Please log in to access this resource'
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      role: user.role,
+      name: user.name
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restricts a route to the given roles
+ *
+ * Must run after authenticate. Responds with 403 Forbidden
+ * if the logged-in user's role is not allowed.
+ *
+ * @param {...string} allowedRoles - Roles that may access the route
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...allowedRoles) => (req, res, next) => {
+  if (!req.user || !allowedRoles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireRole
+};
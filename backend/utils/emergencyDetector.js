@@ -0,0 +1,69 @@
+/**
+ * Emergency Detector - Finds emergency signals in free text
+ *
+ * Matches text against the emergency lexicon (config/emergencyLexicon.js)
+ * in English, Devanagari Hindi and romanized Hindi. Used by the chatbot's
+ * emergency reply and by urgency classification in aiService.
+ *
+ * Matching is whole-word and negation-aware (see utils/textMatcher.js):
+ * "saans nahi aa rahi" and "साँस नहीं आ रही" are both a breathing
+ * emergency, while "no chest pain" and "seene me dard nahi hai" are not.
+ */
+
+const { EMERGENCY_SIGNALS } = require('../config/emergencyLexicon');
+const { compileTerm, findMatches } = require('./textMatcher');
+
+// Compiled once: [{ id, label, term, language, pattern }]
+const COMPILED_TERMS = EMERGENCY_SIGNALS.flatMap(signal =>
+  Object.entries(signal.terms).flatMap(([language, terms]) =>
+    terms.map(term => ({
+      id: signal.id,
+      label: signal.label,
+      term,
+      language,
+      pattern: compileTerm(term)
+    }))
+  )
+);
+
+/**
+ * Finds the emergency signals in a text
+ *
+ * @param {string} text - Patient message or request description
+ * @returns {Object} { isEmergency, signals, negatedSignals } - each signal
+ *   is { id, label, term, language }, at most one per signal id, in the
+ *   order found. negatedSignals were only mentioned negated ("no chest pain").
+ */
+const detectEmergency = (text) => {
+  const signals = [];
+  const negatedSignals = [];
+  const toSignal = ({ id, label, term, language }) => ({ id, label, term, language });
+
+  const matches = findMatches(text, COMPILED_TERMS);
+  matches.filter(match => !match.negated).forEach(match => {
+    if (!signals.some(signal => signal.id === match.id)) {
+      signals.push(toSignal(match));
+    }
+  });
+  matches.filter(match => match.negated).forEach(match => {
+    const isKnown = [...signals, ...negatedSignals].some(signal => signal.id === match.id);
+    if (!isKnown) {
+      negatedSignals.push(toSignal(match));
+    }
+  });
+
+  return { isEmergency: signals.length > 0, signals, negatedSignals };
+};
+
+/**
+ * Checks whether a text mentions a possible emergency
+ *
+ * @param {string} text - Patient message or request description
+ * @returns {boolean}
+ */
+const containsEmergency = (text) => detectEmergency(text).isEmergency;
+
+module.exports = {
+  detectEmergency,
+  containsEmergency
+};
@@ -5,6 +5,49 @@
  * and handles both expected and unexpected errors gracefully.
  */
 
+/**
+ * Creates an Error carrying an HTTP status code
+ * 
+ * Services throw these for expected failures (not found, invalid
+ * state, etc.) so controllers can pass the status straight through.
+ * 
+ * @param {number} statusCode - HTTP status code to respond with
+ * @param {string} message - Safe, user-facing error message
+ * @returns {Error} Error with a statusCode property
+ */
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sends an error response from a controller's catch block
+ * 
+ * Expected service errors (created with createHttpError) keep their
+ * status code and message; anything else is logged and returned as
+ * a generic 500 so internal details never reach the client.
+ * 
+ * @param {Object} res - Express response object
+ * @param {Error} error - The caught error
+ * @param {string} fallbackMessage - Message for unexpected errors, e.g. "Failed to log in"
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error.message);
+
+  return res.status(500).json({
+    success: false,
+    error: `${fallbackMessage}. Please try again later.`
+  });
+};
+
 /**
  * Handles 404 Not Found errors for undefined routes
  */
@@ -37,6 +80,8 @@ const errorHandler = (err, req, res, next) => {
 };
 
 module.exports = {
+  createHttpError,
+  sendError,
   notFoundHandler,
   errorHandler
 };
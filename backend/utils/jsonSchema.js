@@ -0,0 +1,92 @@
+/**
+ * JSON Schema - Minimal validator for model output
+ *
+ * Supports the subset of JSON Schema the triage answer needs:
+ * type, properties, required, additionalProperties, enum,
+ * minLength/maxLength and minimum/maximum.
+ *
+ * Returns a list of problems ("urgency must be one of: Low, Medium, High"),
+ * empty when the value matches. The messages are also sent back to the
+ * model when asking it to repair its answer, so they are kept plain.
+ */
+
+/**
+ * JSON Schema type of a value ("integer" values are also "number")
+ */
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * Validates a value against a schema
+ *
+ * @param {Object} schema - JSON Schema (supported subset, see above)
+ * @param {*} value - Value to check
+ * @param {string} [path] - Name of the value in messages
+ * @returns {string[]} Problems found (empty if valid)
+ */
+const validateSchema = (schema, value, path = 'answer') => {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    return [`${path} must be ${types.join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (matchesType('object', value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${key} is required`));
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], propertyValue, key));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema
+};
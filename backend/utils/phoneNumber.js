@@ -0,0 +1,34 @@
+/**
+ * Phone Number - Indian mobile number parsing
+ *
+ * Patients write numbers in many ways: "98765 43210", "+91-98765-43210",
+ * "09876543210", "(+91) 9876543210". All of them are stored in one
+ * format, +91 followed by the 10 digits, so volunteers can dial or
+ * message them directly.
+ *
+ * Only mobile numbers (starting with 6-9) are accepted: SMS and
+ * WhatsApp need one, and almost every patient has one.
+ */
+
+// 10 digits after an optional +91, 91 or 0 prefix
+const INDIAN_MOBILE_PATTERN = /^(?:\+?91|0)?([6-9]\d{9})$/;
+
+/**
+ * Normalizes an Indian mobile number
+ *
+ * @param {*} phone - Number as typed by the patient
+ * @returns {string|null} "+91XXXXXXXXXX", or null if it is not a valid
+ *   Indian mobile number
+ */
+const normalizeIndianPhone = (phone) => {
+  if (typeof phone !== 'string') {
+    return null;
+  }
+  const compact = phone.replace(/[\s\-().]/g, '');
+  const match = compact.match(INDIAN_MOBILE_PATTERN);
+  return match ? `+91${match[1]}` : null;
+};
+
+module.exports = {
+  normalizeIndianPhone
+};
@@ -0,0 +1,116 @@
+/**
+ * PII Redactor - Masks personal details before text is sent to an AI model
+ *
+ * Replaces phone, Aadhaar, PAN, email, pincode, house numbers and names
+ * (config/piiPatterns.js) with numbered placeholders:
+ *
+ *   "Call Ravi on 98765 43210"  →  "Call [NAME_1] on [PHONE_1]"
+ *
+ * The same value always gets the same placeholder, so the model can
+ * still tell that two mentions are the same person. restorePII() turns
+ * the placeholders in the model's summary back into readable text.
+ *
+ * Values are never logged; only the categories and counts are.
+ */
+
+const { PII_PATTERNS, NAME_INTRODUCTIONS, NAME_CATEGORY } = require('../config/piiPatterns');
+
+const CATEGORIES = Object.fromEntries(
+  [...PII_PATTERNS, NAME_CATEGORY].map(entry => [entry.category, entry])
+);
+
+const PLACEHOLDER_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Names to mask: the patient's name from the form and names introduced
+ * in the text ("my name is ..."), longest first so full names are
+ * masked before their parts
+ */
+const collectNames = (text, names) => {
+  const introduced = NAME_INTRODUCTIONS.flatMap(pattern =>
+    [...text.matchAll(pattern)].map(match => match[1])
+  );
+
+  const fullNames = [...names, ...introduced]
+    .filter(name => typeof name === 'string')
+    .map(name => name.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+
+  // Patients often write only the first or last name
+  const parts = fullNames.flatMap(name => name.split(' ')).filter(part => part.length >= 3);
+
+  return [...new Set([...fullNames, ...parts])].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Masks personal details in a text
+ *
+ * @param {string} text - Text to redact, e.g. the request description
+ * @param {Object} [options]
+ * @param {string[]} [options.names] - Known names to mask (the patient's name)
+ * @returns {Object} { text, replacements, categories } - replacements are
+ *   { placeholder, category, value }; categories counts the masked
+ *   mentions per category, e.g. { phone: 1, name: 2 }
+ */
+const redactPII = (text, { names = [] } = {}) => {
+  const replacements = [];
+  const categories = {};
+
+  const mask = (category, value) => {
+    categories[category] = (categories[category] || 0) + 1;
+
+    const existing = replacements.find(replacement =>
+      replacement.category === category && replacement.value.toLowerCase() === value.toLowerCase()
+    );
+    if (existing) return existing.placeholder;
+
+    const number = replacements.filter(replacement => replacement.category === category).length + 1;
+    const placeholder = `[${category.toUpperCase()}_${number}]`;
+    replacements.push({ placeholder, category, value });
+    return placeholder;
+  };
+
+  // Identifiers first: an email address can contain the patient's name
+  let redacted = PII_PATTERNS.reduce(
+    (current, { category, pattern }) => current.replace(pattern, match => mask(category, match.trim())),
+    text
+  );
+
+  collectNames(text, names).forEach(name => {
+    // Whole words only, in any script: "Ravi" but not "Ravindra"
+    const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+    redacted = redacted.replace(pattern, match => mask(NAME_CATEGORY.category, match));
+  });
+
+  return { text: redacted, replacements, categories };
+};
+
+/**
+ * Replaces placeholders in model output
+ *
+ * Names go back in so staff know who the summary is about; identifiers
+ * become a readable label ("[phone number]") so they are not copied
+ * into summaries. Placeholders the model invented are left as they are.
+ *
+ * @param {string} text - Model output, e.g. the summary
+ * @param {Object[]} replacements - From redactPII
+ * @returns {string}
+ */
+const restorePII = (text, replacements) => {
+  if (typeof text !== 'string' || replacements.length === 0) return text;
+
+  return text.replace(PLACEHOLDER_PATTERN, placeholder => {
+    const replacement = replacements.find(entry => entry.placeholder === placeholder);
+    if (!replacement) return placeholder;
+
+    const { restore, label } = CATEGORIES[replacement.category];
+    return restore ? replacement.value : `[${label}]`;
+  });
+};
+
+module.exports = {
+  redactPII,
+  restorePII
+};
@@ -0,0 +1,212 @@
+/**
+ * Text Matcher - Whole-word, negation-aware phrase matching
+ *
+ * Shared by the emergency detector and the urgency rules, which both look
+ * for phrases in what patients write - in English, Hindi (Devanagari) or
+ * romanized Hindi.
+ *
+ * NORMALIZATION:
+ * Text and phrases are normalized the same way before matching:
+ * 1. Lowercase; accents, nukta (ज़ → ज) and chandrabindu (ँ → ं) removed
+ * 2. Punctuation (including the danda "।") becomes a space
+ * 3. Romanized words are spelled one way: doubled letters collapse
+ *    ("saans" → "sans"), ee → i, oo → u, z → j, q → k, w → v, ph → f,
+ *    plus a few common variants (nahin → nahi, mein → me)
+ * Phrases then match whole words only, so "dying" does not match
+ * "studying". A trailing * matches any word ending ("behosh*" matches
+ * "behoshi").
+ *
+ * NEGATION:
+ * Text is split into clauses at punctuation and at "but" / "lekin". A
+ * match is negated when, in the same clause:
+ * - a negation word comes up to 3 words before it ("no chest pain",
+ *   "not urgent", "bina bukhar ke")
+ * - a Hindi negation comes up to 2 words after it ("seene me dard nahi
+ *   hai"), unless the phrase itself contains it ("saans nahi")
+ * Uncertainty such as "not sure" or "pata nahi" is not a negation.
+ */
+
+/**
+ * Romanized spellings that phonetic normalization alone does not merge
+ * Keys and values are already normalized
+ */
+const TOKEN_VARIANTS = {
+  nahin: 'nahi',
+  nhi: 'nahi',
+  mein: 'me',
+  sas: 'sans',
+  svas: 'sans',
+  shvas: 'sans',
+  sene: 'sine',
+  jeher: 'jahar',
+  jehar: 'jahar'
+};
+
+const NUKTA = /\u093C/g;
+const CHANDRABINDU = /\u0901/g;
+const ANUSVARA = '\u0902';
+const COMBINING_ACCENTS = /[\u0300-\u036f]/g;
+
+// Clause boundaries: sentence punctuation, commas and "but"
+const CLAUSE_SEPARATOR = /[.,;:!?\n।|]+|\b(?:but|however|although|though|lekin|magar|kintu)\b|लेकिन|मगर|किंतु/i;
+
+/**
+ * Normalizes one romanized (Latin) word; other scripts are returned as-is
+ */
+const normalizeToken = (token) => {
+  if (!/^[a-z0-9]+$/.test(token)) {
+    return token;
+  }
+  const phonetic = token
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/ph/g, 'f')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/w/g, 'v');
+  return TOKEN_VARIANTS[phonetic] || phonetic;
+};
+
+/**
+ * Normalizes text for phrase matching
+ *
+ * @param {string} text - Any text
+ * @returns {string} Normalized words separated by single spaces
+ */
+const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(NUKTA, '')
+    .replace(COMBINING_ACCENTS, '')
+    .normalize('NFC')
+    .replace(CHANDRABINDU, ANUSVARA)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(normalizeToken)
+    .join(' ');
+};
+
+const toTokenSet = (words) => new Set(words.map(normalizeText));
+
+// Negation words before a phrase ("no fever", "bina dard ke")
+const NEGATION_BEFORE = toTokenSet([
+  'no', 'not', 'never', 'without', 'none', 'nor', 'denies', 'denied',
+  'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'hasnt', 'havent',
+  'bina', 'बिना', 'na', 'न'
+]);
+
+// Hindi negation after a phrase ("bukhar nahi hai")
+const NEGATION_AFTER = toTokenSet(['nahi', 'नहीं', 'na', 'न', 'none']);
+
+// Negation words that express uncertainty rather than absence
+const PSEUDO_NEGATIONS = toTokenSet([
+  'not sure', 'not certain', 'no idea', 'dont know', 'pata nahi', 'पता नहीं'
+]);
+
+const BEFORE_WINDOW = 3;
+const AFTER_WINDOW = 2;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles a phrase into a whole-word pattern over normalized text
+ *
+ * @param {string} term - Phrase; a trailing * matches any word ending
+ * @returns {RegExp}
+ */
+const compileTerm = (term) => {
+  const isPrefix = term.endsWith('*');
+  const normalized = normalizeText(isPrefix ? term.slice(0, -1) : term);
+  const ending = isPrefix ? '\\S*' : '';
+  return new RegExp(`(?:^| )(${escapeRegExp(normalized)}${ending})(?= |$)`, 'g');
+};
+
+/**
+ * Checks whether the negation word at an index is part of "not sure" etc.
+ */
+const isPseudoNegation = (tokens, index) => {
+  return PSEUDO_NEGATIONS.has(`${tokens[index]} ${tokens[index + 1]}`)
+    || PSEUDO_NEGATIONS.has(`${tokens[index - 1]} ${tokens[index]}`);
+};
+
+const hasNegation = (tokens, from, to, negationWords) => {
+  for (let index = Math.max(0, from); index < Math.min(tokens.length, to); index += 1) {
+    if (negationWords.has(tokens[index]) && !isPseudoNegation(tokens, index)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks whether the phrase at tokens[start..end) is negated in its clause
+ */
+const isNegated = (tokens, start, end) => {
+  const phraseTokens = tokens.slice(start, end);
+  const phraseHasNegation = phraseTokens.some(token => NEGATION_AFTER.has(token));
+
+  return hasNegation(tokens, start - BEFORE_WINDOW, start, NEGATION_BEFORE)
+    || (!phraseHasNegation && hasNegation(tokens, end, end + AFTER_WINDOW, NEGATION_AFTER));
+};
+
+/**
+ * Splits text into normalized clauses
+ *
+ * @param {string} text - Any text
+ * @returns {string[]} Normalized clauses (empty ones removed)
+ */
+const splitClauses = (text) => {
+  return String(text || '')
+    .split(CLAUSE_SEPARATOR)
+    .filter(Boolean)
+    .map(normalizeText)
+    .filter(Boolean);
+};
+
+/**
+ * Finds every occurrence of the given phrases in a text
+ *
+ * @param {string} text - Patient message or request description
+ * @param {Object[]} entries - Items with a compiled `pattern` (see compileTerm);
+ *   all other fields are copied to the matches
+ * @returns {Object[]} One match per occurrence: the entry's fields plus
+ *   { matched, negated, clause }
+ */
+const findMatches = (text, entries) => {
+  const matches = [];
+
+  splitClauses(text).forEach((clause, clauseIndex) => {
+    const tokens = clause.split(' ');
+
+    entries.forEach(({ pattern, ...entry }) => {
+      pattern.lastIndex = 0;
+      let match = pattern.exec(clause);
+      while (match) {
+        const matchStart = match.index + match[0].length - match[1].length;
+        const start = clause.slice(0, matchStart).split(' ').length - 1;
+        const end = start + match[1].split(' ').length;
+        matches.push({
+          ...entry,
+          matched: match[1],
+          negated: isNegated(tokens, start, end),
+          clause: clauseIndex
+        });
+        match = pattern.exec(clause);
+      }
+    });
+  });
+
+  return matches;
+};
+
+module.exports = {
+  normalizeText,
+  splitClauses,
+  compileTerm,
+  findMatches
+};
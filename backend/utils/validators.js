@@ -5,14 +5,26 @@
  * before processing. Returns null if valid, error message if invalid.
  */
 
+const { CATEGORIES, getCategory } = require('../config/categories');
+const { LANGUAGES, getLanguage } = require('../config/languages');
+const { CONTACT_CHANNELS, CONTACT_TIMES } = require('../config/contact');
+const { normalizeIndianPhone } = require('./phoneNumber');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 /**
- * Validates patient support request data
+ * Per-field validators
  * 
- * @param {Object} data - Form data from the request body
+ * Each one checks a single support request field and returns an error
+ * message, or null if the value is valid. The chatbot uses them to
+ * check every answer as it collects a request field by field.
+ */
+
+/**
+ * @param {*} name - Patient's name
  * @returns {string|null} Error message or null if valid
  */
-const validateSupportRequest = ({ name, age, issueCategory, description }) => {
-  // Validate name
+const validateName = (name) => {
   if (!name || typeof name !== 'string' || name.trim().length < 2) {
     return 'Name is required and must be at least 2 characters';
   }
@@ -21,8 +33,15 @@ const validateSupportRequest = ({ name, age, issueCategory, description }) => {
     return 'Name must be less than 100 characters';
   }
 
-  // Validate age
-  if (age === undefined || age === null) {
+  return null;
+};
+
+/**
+ * @param {*} age - Patient's age (number or numeric string)
+ * @returns {string|null} Error message or null if valid
+ */
+const validateAge = (age) => {
+  if (age === undefined || age === null || age === '') {
     return 'Age is required';
   }
 
@@ -31,13 +50,26 @@ const validateSupportRequest = ({ name, age, issueCategory, description }) => {
     return 'Age must be a valid number between 0 and 150';
   }
 
-  // Validate issue category
-  const validCategories = ['Medical', 'Mental Health', 'Emergency', 'Other'];
-  if (!issueCategory || !validCategories.includes(issueCategory)) {
-    return `Issue category must be one of: ${validCategories.join(', ')}`;
+  return null;
+};
+
+/**
+ * @param {*} issueCategory - Registry value or legacy alias
+ * @returns {string|null} Error message or null if valid
+ */
+const validateIssueCategory = (issueCategory) => {
+  if (!getCategory(issueCategory)) {
+    return `Issue category must be one of: ${CATEGORIES.map(category => category.value).join(', ')}`;
   }
 
-  // Validate description
+  return null;
+};
+
+/**
+ * @param {*} description - Description of the patient's issue
+ * @returns {string|null} Error message or null if valid
+ */
+const validateDescription = (description) => {
   if (!description || typeof description !== 'string' || description.trim().length < 10) {
     return 'Description is required and must be at least 10 characters';
   }
@@ -46,10 +78,101 @@ const validateSupportRequest = ({ name, age, issueCategory, description }) => {
     return 'Description must be less than 2000 characters';
   }
 
-  // All validations passed
   return null;
 };
 
+/**
+ * @param {*} language - Optional language code the patient used
+ * @returns {string|null} Error message or null if valid
+ */
+const validateLanguage = (language) => {
+  if (language !== undefined && language !== null && !getLanguage(language)) {
+    return `Language must be one of: ${LANGUAGES.map(entry => entry.code).join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * @param {*} phone - Patient's phone number
+ * @returns {string|null} Error message or null if valid
+ */
+const validatePhone = (phone) => {
+  if (!phone || typeof phone !== 'string' || phone.trim().length === 0) {
+    return 'Phone number is required';
+  }
+
+  if (!normalizeIndianPhone(phone)) {
+    return 'Phone must be a valid 10-digit Indian mobile number, e.g. 98765 43210';
+  }
+
+  return null;
+};
+
+/**
+ * @param {*} email - Optional email address
+ * @returns {string|null} Error message or null if valid
+ */
+const validateEmail = (email) => {
+  if (email === undefined || email === null || email === '') {
+    return null;
+  }
+
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()) || email.trim().length > 254) {
+    return 'Email must be a valid email address';
+  }
+
+  return null;
+};
+
+/**
+ * Checks the optional contact preferences
+ * 
+ * @param {Object} preferences - { contactChannel, contactTime, email }
+ * @returns {string|null} Error message or null if valid
+ */
+const validateContactPreferences = ({ contactChannel, contactTime, email }) => {
+  if (contactChannel !== undefined && !CONTACT_CHANNELS.some(channel => channel.value === contactChannel)) {
+    return `Preferred contact channel must be one of: ${CONTACT_CHANNELS.map(channel => channel.value).join(', ')}`;
+  }
+
+  if (contactChannel === 'email' && !email) {
+    return 'Email is required when the preferred contact channel is email';
+  }
+
+  if (contactTime !== undefined && !CONTACT_TIMES.some(time => time.value === contactTime)) {
+    return `Best time to contact must be one of: ${CONTACT_TIMES.map(time => time.value).join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validates patient support request data
+ * 
+ * @param {Object} data - Form data from the request body
+ * @returns {string|null} Error message for the first invalid field, or null if valid
+ */
+const validateSupportRequest = ({
+  name, age, issueCategory, description, language, phone, email, contactChannel, contactTime
+}) => {
+  return validateName(name)
+    || validateAge(age)
+    || validatePhone(phone)
+    || validateEmail(email)
+    || validateContactPreferences({ contactChannel, contactTime, email })
+    || validateIssueCategory(issueCategory)
+    || validateDescription(description)
+    || validateLanguage(language);
+};
+
 module.exports = {
+  validateName,
+  validateAge,
+  validateIssueCategory,
+  validateDescription,
+  validateLanguage,
+  validatePhone,
+  validateEmail,
   validateSupportRequest
 };
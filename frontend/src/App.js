@@ -9,6 +9,16 @@
  * - result: Stores the AI-processed result
  * - showResult: Controls which view is displayed (form vs result)
  * - toasts: Array of toast notification objects (v2.0)
+ * - view: Which screen is shown ('patient' portal, 'track' lookup or 'volunteer' dashboard)
+ * - staffSession: Logged-in staff member ({ token, user }) for the volunteer view
+ * 
+ * LANGUAGE:
+ * Patient-facing text comes from the i18n bundles (see src/i18n); the
+ * language is chosen in the Header. The volunteer dashboard is English-only.
+ * 
+ * ROUTING:
+ * Views are selected with simple hash routes (#/, #/track and #/volunteer)
+ * so no router dependency is needed and links can be bookmarked.
  * 
  * VERSION 2.0 ADDITIONS:
  * - Toast notification system for user feedback
@@ -16,12 +26,17 @@
  * - Enhanced visual hierarchy with card-based layout
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import Header from './components/Header';
 import PatientSupportForm from './components/PatientSupportForm';
 import ResultDisplay from './components/ResultDisplay';
 import ChatBot from './components/ChatBot';
+import TrackRequest from './components/TrackRequest';
+import VolunteerDashboard from './components/VolunteerDashboard';
+import StaffLogin from './components/StaffLogin';
+import { getStoredSession, clearStoredSession } from './services/api';
 import { ToastContainer } from './components/Toast';
+import { useTranslation } from './i18n';
 import './styles/App.css';
 
 /**
@@ -32,7 +47,12 @@ const INITIAL_FORM_DATA = {
   name: '',
   age: '',
   issueCategory: '',
-  description: ''
+  description: '',
+  phone: '',
+  email: '',
+  contactChannel: 'call',
+  contactTime: 'any',
+  language: ''
 };
 
 /**
@@ -42,8 +62,22 @@ const INITIAL_FORM_DATA = {
 let toastId = 0;
 const generateToastId = () => ++toastId;
 
+/**
+ * Hash routes for each view
+ * Anything unrecognised falls back to the patient portal.
+ * A query after the route (#/track?ticket=...) is left to the view.
+ */
+const VIEW_ROUTES = {
+  '#/track': 'track',
+  '#/volunteer': 'volunteer'
+};
+
+const getViewFromHash = () => VIEW_ROUTES[window.location.hash.split('?')[0]] || 'patient';
+
 function App() {
-  // State to store the submitted form data (for edit functionality)
+  const { t } = useTranslation();
+
+  // State to store the submitted form data (to pre-fill a follow-up request)
   const [formData, setFormData] = useState(INITIAL_FORM_DATA);
   
   // State to store the AI-processed result
@@ -56,6 +90,18 @@ function App() {
   // Stores array of currently visible toasts
   const [toasts, setToasts] = useState([]);
 
+  // Staff login session - restored from sessionStorage on page load
+  const [staffSession, setStaffSession] = useState(getStoredSession);
+
+  // Current view, kept in sync with the URL hash
+  const [view, setView] = useState(getViewFromHash);
+
+  useEffect(() => {
+    const handleHashChange = () => setView(getViewFromHash());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
   /**
    * Shows a toast notification
    * 
@@ -83,6 +129,21 @@ function App() {
     setToasts(prev => prev.filter(toast => toast.id !== id));
   }, []);
 
+  /**
+   * Ends the staff session (manual logout or expired token)
+   * Both handlers are memoized because the dashboard uses them
+   * as effect dependencies.
+   */
+  const handleStaffLogout = useCallback(() => {
+    clearStoredSession();
+    setStaffSession(null);
+  }, []);
+
+  const handleSessionExpired = useCallback(() => {
+    handleStaffLogout();
+    showToast({ message: 'Your session has expired. Please log in again.', type: 'warning' });
+  }, [handleStaffLogout, showToast]);
+
   /**
    * Handles the successful submission of a support request
    * Stores both the form data (for editing) and the AI result
@@ -98,26 +159,28 @@ function App() {
     
     // Show success toast
     showToast({
-      message: 'Request submitted successfully! Our team will review it shortly.',
+      message: t('app.submitted'),
       type: 'success'
     });
   };
 
   /**
-   * FEATURE 4: Edit Request Handler
+   * FEATURE 4: New Request With These Details Handler
    * 
-   * Takes user back to the form with pre-filled data.
-   * This preserves the entered information allowing for corrections
-   * without requiring the user to re-enter everything.
+   * Takes user back to the form pre-filled with the submitted data.
+   * Submitting it creates a second ticket - the first one is not changed
+   * or withdrawn - so the form tells the patient their first ticket
+   * still stands.
    * 
    * UX REASONING:
-   * - Users often notice typos or want to add details after submission
-   * - Pre-filling prevents data loss and increases user satisfaction
+   * - Patients sometimes want to add details or ask for someone else
+   * - Pre-filling prevents re-entering everything
    * - Maintains form state in React instead of relying on browser history
    */
-  const handleEditRequest = () => {
+  const handleRequestFromDetails = () => {
     setShowResult(false);
-    // formData is preserved, so the form will show with existing values
+    // formData and result are preserved, so the form shows the existing
+    // values and the first ticket ID
   };
 
   /**
@@ -142,46 +205,70 @@ function App() {
       {/* Toast Notifications - Fixed position overlay */}
       <ToastContainer toasts={toasts} removeToast={removeToast} />
       
-      <Header />
+      <Header currentView={view} />
       
       <main className="main-content">
-        <div className="container">
-          {/* Introduction Section */}
-          <section className="intro-section">
-            <h2>Patient Support Request</h2>
-            <p>
-              Welcome to Jarurat Care's support portal. Fill out the form below to 
-              submit your healthcare concern. Our AI-powered system will analyze your 
-              request and help prioritize your care needs.
-            </p>
-          </section>
-
-          {/* Form and Result Display */}
-          <div className="content-wrapper">
-            {!showResult ? (
-              <PatientSupportForm 
-                onSuccess={handleSubmissionSuccess}
-                initialData={formData}
-              />
-            ) : (
-              <ResultDisplay 
-                result={result}
-                onNewRequest={handleNewRequest}
-                onEditRequest={handleEditRequest}
-                onShowToast={showToast}
-              />
-            )}
+        {view === 'volunteer' ? (
+          <div className="container container--wide">
+            <div className="content-wrapper">
+              {staffSession ? (
+                <VolunteerDashboard
+                  currentUser={staffSession.user}
+                  onLogout={handleStaffLogout}
+                  onSessionExpired={handleSessionExpired}
+                  onShowToast={showToast}
+                />
+              ) : (
+                <StaffLogin onLogin={setStaffSession} />
+              )}
+            </div>
+          </div>
+        ) : view === 'track' ? (
+          <div className="container">
+            <section className="intro-section">
+              <h2>{t('track.title')}</h2>
+            </section>
+
+            <div className="content-wrapper">
+              <TrackRequest />
+            </div>
+          </div>
+        ) : (
+          <div className="container">
+            {/* Introduction Section */}
+            <section className="intro-section">
+              <h2>{t('app.introTitle')}</h2>
+              <p>{t('app.introText')}</p>
+            </section>
+
+            {/* Form and Result Display */}
+            <div className="content-wrapper">
+              {!showResult ? (
+                <PatientSupportForm 
+                  onSuccess={handleSubmissionSuccess}
+                  initialData={formData}
+                  previousTicketId={result ? result.ticketId : null}
+                />
+              ) : (
+                <ResultDisplay 
+                  result={result}
+                  onNewRequest={handleNewRequest}
+                  onRequestFromDetails={handleRequestFromDetails}
+                  onShowToast={showToast}
+                />
+              )}
+            </div>
           </div>
-        </div>
+        )}
       </main>
 
       <footer className="footer">
         <p>&copy; 2026 Jarurat Care NGO. All rights reserved.</p>
-        <p className="footer-tagline">Bringing healthcare support to those who need it most.</p>
+        <p className="footer-tagline">{t('app.footerTagline')}</p>
       </footer>
 
-      {/* FAQ Chatbot - Always visible as floating button */}
-      <ChatBot />
+      {/* FAQ Chatbot - Floating button on the patient portal */}
+      {view === 'patient' && <ChatBot submittedCategory={formData.issueCategory || undefined} />}
     </div>
   );
 }
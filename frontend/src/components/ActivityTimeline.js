@@ -0,0 +1,198 @@
+/**
+ * ActivityTimeline Component - Case notes and activity log of a request
+ *
+ * PURPOSE:
+ * Shows everything that happened to a request, newest first, with who
+ * did it and when: the submission, staff notes, status changes,
+ * (re)assignments, urgency changes with their reason and SLA alerts
+ * (at risk, missed) from the SLA monitor. The log is
+ * append-only - nothing in it can be edited or removed.
+ *
+ * Volunteers record what they did here ("Called, no answer", "Referred
+ * to the district hospital"). A note marked "Visible to patient" is
+ * also shown on the patient's "Track my request" page, so it must be
+ * written for the patient: no internal remarks, no other people's
+ * details. Everything else stays internal.
+ */
+
+import React, { useState } from 'react';
+import { addRequestNote } from '../services/api';
+import { STATUS_LABELS, formatTimeAgo } from '../utils/requestHelpers';
+import '../styles/ActivityTimeline.css';
+
+const MAX_NOTE_LENGTH = 1000;
+
+const TYPE_ICONS = {
+  created: '📥',
+  note: '🗒️',
+  status_change: '🔄',
+  assignment: '👤',
+  urgency_change: '⚡',
+  sla_alert: '⏰'
+};
+
+const URGENCY_SOURCE_LABELS = {
+  triage_review: 'Triage review',
+  override: 'Priority override',
+  sla_escalation: 'SLA escalation'
+};
+
+/**
+ * One-line summary of an activity entry
+ */
+const describeEntry = ({ type, details }) => {
+  switch (type) {
+    case 'created':
+      return <>Request submitted with <strong>{details.urgency}</strong> priority</>;
+    case 'note':
+      return 'Added a note';
+    case 'status_change':
+      return (
+        <>
+          Moved from {STATUS_LABELS[details.from] || details.from} to{' '}
+          <strong>{STATUS_LABELS[details.to] || details.to}</strong>
+          {details.releasedVolunteer && ` (${details.releasedVolunteer.name} unassigned)`}
+        </>
+      );
+    case 'assignment':
+      return (
+        <>
+          {details.previousVolunteer
+            ? <>Reassigned from {details.previousVolunteer.name} to <strong>{details.volunteer.name}</strong></>
+            : <>Assigned to <strong>{details.volunteer.name}</strong></>}
+          {details.override && ' (manual override)'}
+        </>
+      );
+    case 'urgency_change':
+      return (
+        <>
+          {URGENCY_SOURCE_LABELS[details.source] || 'Priority change'}:{' '}
+          {details.from === details.to
+            ? <><strong>{details.to}</strong> confirmed</>
+            : <>{details.from} → <strong>{details.to}</strong></>}
+        </>
+      );
+    case 'sla_alert':
+      return details.event === 'at_risk'
+        ? <>At risk of missing its response time (due {new Date(details.dueAt).toLocaleString('en-IN')})</>
+        : <><strong>Missed</strong> its response time ({details.urgency} priority, due {new Date(details.dueAt).toLocaleString('en-IN')})</>;
+    default:
+      return type;
+  }
+};
+
+/**
+ * Free text shown under the summary: the note itself or the reason
+ */
+const getEntryText = ({ type, details }) => {
+  if (type === 'note') return details.text;
+  if (type === 'urgency_change') return details.reason;
+  return null;
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.ticketId - Ticket ID of the request
+ * @param {Array} props.activity - Activity entries from the API, oldest first
+ * @param {function} props.onNoteAdded - Called after a note is saved
+ * @param {function} props.onSessionExpired - Called when the backend rejects the login
+ * @param {function} props.onShowToast - Shows a toast notification
+ */
+function ActivityTimeline({ ticketId, activity = [], onNoteAdded, onSessionExpired, onShowToast }) {
+  const [text, setText] = useState('');
+  const [patientVisible, setPatientVisible] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setIsSaving(true);
+    const response = await addRequestNote(ticketId, text.trim(), patientVisible);
+    setIsSaving(false);
+
+    if (response.unauthorized) {
+      onSessionExpired();
+      return;
+    }
+
+    if (onShowToast) {
+      onShowToast({
+        message: response.success
+          ? (patientVisible ? 'Note saved and shared with the patient' : 'Note saved')
+          : response.error || 'Failed to save the note',
+        type: response.success ? 'success' : 'error'
+      });
+    }
+
+    if (response.success) {
+      setText('');
+      setPatientVisible(false);
+      onNoteAdded();
+    }
+  };
+
+  return (
+    <section className="activity-timeline">
+      <h3>🗒️ Notes &amp; Activity</h3>
+
+      <form className="activity-timeline__form" onSubmit={handleSubmit}>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="What did you do? Calls made, referrals given, outcome…"
+          rows={3}
+          maxLength={MAX_NOTE_LENGTH}
+          disabled={isSaving}
+          aria-label="New note"
+        />
+        <div className="activity-timeline__form-row">
+          <label className="activity-timeline__visible">
+            <input
+              type="checkbox"
+              checked={patientVisible}
+              onChange={(e) => setPatientVisible(e.target.checked)}
+              disabled={isSaving}
+            />
+            Visible to patient (shown when they track their request)
+          </label>
+          <button type="submit" className="activity-timeline__save" disabled={isSaving || !text.trim()}>
+            {isSaving ? 'Saving…' : 'Add Note'}
+          </button>
+        </div>
+      </form>
+
+      {activity.length === 0 ? (
+        <p className="activity-timeline__empty">No activity yet.</p>
+      ) : (
+        <ol className="activity-timeline__list">
+          {[...activity].reverse().map(entry => {
+            const entryText = getEntryText(entry);
+            return (
+              <li key={entry.id} className={`activity-timeline__item activity-timeline__item--${entry.type}`}>
+                <span className="activity-timeline__icon" aria-hidden="true">
+                  {TYPE_ICONS[entry.type] || '•'}
+                </span>
+                <div className="activity-timeline__body">
+                  <div className="activity-timeline__meta">
+                    <strong>{entry.actor.name}</strong>
+                    <span title={new Date(entry.createdAt).toLocaleString('en-IN')}>
+                      {formatTimeAgo(entry.createdAt)}
+                    </span>
+                    {entry.type === 'note' && entry.details.patientVisible && (
+                      <span className="activity-timeline__badge">Visible to patient</span>
+                    )}
+                  </div>
+                  <p className="activity-timeline__summary">{describeEntry(entry)}</p>
+                  {entryText && <p className="activity-timeline__text">{entryText}</p>}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </section>
+  );
+}
+
+export default ActivityTimeline;
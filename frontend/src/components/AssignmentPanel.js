@@ -0,0 +1,162 @@
+/**
+ * AssignmentPanel Component - Volunteer assignment for coordinators
+ *
+ * PURPOSE:
+ * Shown in RequestDetail for coordinators and admins. Lists the best
+ * matching volunteers from the assignment engine (specialty, language
+ * and current workload) with the reasons for each suggestion.
+ *
+ * MANUAL OVERRIDE:
+ * Coordinators can pick any volunteer from the full list instead.
+ * If that volunteer is unavailable or already at capacity, the
+ * assignment needs an explicit "assign anyway" confirmation.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAssignmentSuggestions, getVolunteers, assignVolunteer } from '../services/api';
+import '../styles/AssignmentPanel.css';
+
+/**
+ * @param {Object} props
+ * @param {string} props.ticketId - Ticket ID of the request
+ * @param {Object|null} props.assignedVolunteer - Current assignment { id, name }
+ * @param {function} props.onAssigned - Called after a successful assignment
+ * @param {function} props.onSessionExpired - Called when the backend rejects the login
+ * @param {function} props.onShowToast - Shows a toast notification
+ */
+function AssignmentPanel({ ticketId, assignedVolunteer, onAssigned, onSessionExpired, onShowToast }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [volunteers, setVolunteers] = useState([]);
+  const [selectedVolunteerId, setSelectedVolunteerId] = useState('');
+  const [isAssigning, setIsAssigning] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads suggestions and the full volunteer list
+   */
+  const loadOptions = useCallback(async () => {
+    const [suggestionResponse, volunteerResponse] = await Promise.all([
+      getAssignmentSuggestions(ticketId),
+      getVolunteers()
+    ]);
+
+    if (suggestionResponse.unauthorized || volunteerResponse.unauthorized) {
+      onSessionExpired();
+      return;
+    }
+
+    if (suggestionResponse.success && volunteerResponse.success) {
+      setSuggestions(suggestionResponse.data);
+      setVolunteers(volunteerResponse.data);
+      setError(null);
+    } else {
+      setError(suggestionResponse.error || volunteerResponse.error || 'Failed to load volunteers');
+    }
+  }, [ticketId, onSessionExpired]);
+
+  useEffect(() => {
+    loadOptions();
+  }, [loadOptions]);
+
+  const selectedVolunteer = volunteers.find(volunteer => volunteer.id === selectedVolunteerId);
+  const needsOverride = Boolean(selectedVolunteer) &&
+    (!selectedVolunteer.available || selectedVolunteer.activeCases >= selectedVolunteer.maxActiveCases);
+
+  /**
+   * Assigns the request and refreshes the suggestions
+   */
+  const handleAssign = async (volunteerId, override = false) => {
+    setIsAssigning(true);
+    const response = await assignVolunteer(ticketId, volunteerId, override);
+    setIsAssigning(false);
+
+    if (response.unauthorized) {
+      onSessionExpired();
+      return;
+    }
+
+    if (onShowToast) {
+      onShowToast({
+        message: response.success
+          ? `Assigned to ${response.data.assignedVolunteer.name}`
+          : response.error || 'Failed to assign the request',
+        type: response.success ? 'success' : 'error'
+      });
+    }
+
+    if (response.success) {
+      setSelectedVolunteerId('');
+      loadOptions();
+      onAssigned();
+    }
+  };
+
+  return (
+    <section className="assignment-panel">
+      <h3>🙋 Volunteer Assignment</h3>
+
+      <p className="assignment-panel__current">
+        {assignedVolunteer
+          ? <>Currently assigned to <strong>{assignedVolunteer.name}</strong></>
+          : 'Not assigned yet'}
+      </p>
+
+      {error && <p className="assignment-panel__error">⚠️ {error}</p>}
+
+      {/* Suggestions from the assignment engine */}
+      {suggestions.length > 0 ? (
+        <ul className="assignment-suggestions">
+          {suggestions.map(suggestion => (
+            <li key={suggestion.volunteerId} className="assignment-suggestion">
+              <div>
+                <span className="assignment-suggestion__name">{suggestion.name}</span>
+                <span className="assignment-suggestion__reasons">
+                  {suggestion.reasons.join(' • ')}
+                </span>
+              </div>
+              <button
+                className="assignment-suggestion__assign"
+                onClick={() => handleAssign(suggestion.volunteerId)}
+                disabled={isAssigning}
+              >
+                {assignedVolunteer ? 'Reassign' : 'Assign'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !error && <p className="assignment-panel__empty">No available volunteers with free capacity.</p>
+      )}
+
+      {/* Manual override - any volunteer */}
+      {volunteers.length > 0 && (
+        <div className="assignment-override">
+          <select
+            value={selectedVolunteerId}
+            onChange={(e) => setSelectedVolunteerId(e.target.value)}
+            aria-label="Choose another volunteer"
+          >
+            <option value="">Choose another volunteer…</option>
+            {volunteers
+              .filter(volunteer => volunteer.id !== assignedVolunteer?.id)
+              .map(volunteer => (
+                <option key={volunteer.id} value={volunteer.id}>
+                  {volunteer.name} ({volunteer.activeCases}/{volunteer.maxActiveCases}
+                  {volunteer.available ? '' : ', unavailable'})
+                </option>
+              ))}
+          </select>
+          <button
+            className={`assignment-override__assign${needsOverride ? ' assignment-override__assign--warning' : ''}`}
+            onClick={() => handleAssign(selectedVolunteerId, needsOverride)}
+            disabled={!selectedVolunteerId || isAssigning}
+          >
+            {needsOverride ? 'Assign anyway' : 'Assign'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default AssignmentPanel;
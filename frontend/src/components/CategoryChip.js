@@ -1,11 +1,12 @@
 // CategoryChip component for visual category display on result screen
 // Shows icon, label, and accent color for instant context
 import React from 'react';
-import { getCategoryDetails } from '../utils/categoryConfig';
+import { getCategoryDetails, useCategories } from '../utils/categoryConfig';
 
 export default function CategoryChip({ value }) {
+  const categories = useCategories();
   if (!value) return null;
-  const { icon, label, color } = getCategoryDetails(value);
+  const { icon, label, color } = getCategoryDetails(value, categories);
   return (
     <span
       className="category-chip"
@@ -12,39 +12,59 @@
  * - Input field with send button
  * - Auto-scroll to latest message
  * - SMART SUGGESTIONS: Context-aware prompts that appear after responses
+ * - Replies come from the backend chatbot (POST /api/chatbot/message),
+ *   which also receives the category selected on the support form
+ * - Offline fallback: if the server cannot be reached, the bot says so,
+ *   repeats the emergency numbers and offers to retry
+ * - Conversations are sessions on the backend, so follow-up questions
+ *   ("what about medicines?") keep their context; the session ID is kept
+ *   in sessionStorage and the conversation is restored after a reload
+ * - Patients can submit a support request without leaving the chat:
+ *   the bot asks for each detail and replies with the ticket ID and
+ *   priority; while it is collecting, the quick options become the
+ *   suggested answers (category list, "Yes, submit", "Cancel")
+ * - Speaks the language chosen in the Header: the widget text comes from
+ *   the i18n bundles and the language is sent with every message, so the
+ *   backend replies (and creates requests) in it
  * 
  * IMPORTANT DISCLAIMER:
  * This chatbot provides general guidance only. It does not provide
  * medical advice, diagnosis, or treatment.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { sendChatMessage, getChatSession } from '../services/api';
 import ChatHeader from './ChatHeader';
 import ChatMessages from './ChatMessages';
 import ChatInput from './ChatInput';
 import QuickOptions from './QuickOptions';
-import { getCategoryDetails } from '../utils/categoryConfig';
+import { getCategoryDetails, useCategories } from '../utils/categoryConfig';
+import { useTranslation } from '../i18n';
 import '../styles/ChatBot.css';
 
 /**
  * Initial welcome message from the bot
- * Sets expectations about what the chatbot can help with
+ * Sets expectations about what the chatbot can help with. It is not
+ * kept in the message list, so it follows the language switcher.
  */
-const WELCOME_MESSAGE = {
+const createWelcomeMessage = (t) => ({
   type: 'bot',
-  text: `Hello! 👋 I'm Jarurat Care's support assistant. I can help you with:
-
-• Information about our services
-• How to submit a support request
-• Response time expectations
-• General questions about our NGO
+  text: t('chatbot.welcome'),
+  intent: 'greeting'
+});
 
-How can I help you today?
+// sessionStorage key for the current chat session ID
+const CHAT_SESSION_KEY = 'jaruratCare.chatSession';
 
-_Note: I provide general guidance only, not medical advice._`,
-  timestamp: new Date(),
-  intent: 'greeting'
-};
+/**
+ * Converts backend session history into chat messages
+ */
+const toMessages = (history) => history.map(entry => ({
+  type: entry.role,
+  text: entry.text,
+  timestamp: new Date(entry.at),
+  intent: entry.intent
+}));
 
 /**
  * Quick reply suggestions for common questions
@@ -129,167 +149,109 @@ const SMART_SUGGESTIONS = {
 // CATEGORY-AWARE, LARGE SIDE PANEL CHATBOT
 // Accepts submittedCategory prop for context-aware responses
 function ChatBot({ submittedCategory }) {
+  const { t, language } = useTranslation();
+
+  // Category-specific quick question comes from the category registry
+  const categories = useCategories();
+  const category = submittedCategory ? getCategoryDetails(submittedCategory, categories) : null;
   const [isOpen, setIsOpen] = useState(false);
-  const [messages, setMessages] = useState([WELCOME_MESSAGE]);
+  const [messages, setMessages] = useState([]);
   const [typing, setTyping] = useState(false);
 
-  // Rule-based safe response logic (can be expanded)
-  function getBotResponse(userMsg) {
-    const text = userMsg.toLowerCase();
-    // Emergency keyword detection
-    if (/emergency|urgent|critical|danger|help/.test(text)) {
-      return {
-        reply: 'This sounds like an emergency. Please contact your local emergency services immediately. Our support portal is not a substitute for emergency medical care.',
-        intent: 'emergency',
-      };
-    }
+  // Last message that could not be delivered, so the user can retry it
+  const [failedMessage, setFailedMessage] = useState(null);
 
-    // Quick Option: What happens after submission?
-    if (text.includes('what happens after submission')) {
-      return {
-        reply: 'After you submit your request, our team reviews the details and assigns a volunteer based on urgency and category. You will be contacted as soon as possible with next steps.',
-        intent: 'process',
-      };
-    }
-    // Quick Option: How long will it take to respond?
-    if (text.includes('how long will it take to respond')) {
-      return {
-        reply: 'Response times depend on urgency and current case load. Emergency cases are prioritized (1-2 hours), while other requests may take up to 48 hours. We appreciate your patience!',
-        intent: 'response_time',
-      };
-    }
-    // Quick Option: Is this an emergency?
-    if (text.includes('is this an emergency')) {
-      return {
-        reply: 'If you believe your situation is an emergency, please contact local emergency services immediately. Our portal is for general support and cannot replace urgent care.',
-        intent: 'emergency',
-      };
-    }
-    // Quick Option: Is my data safe?
-    if (text.includes('is my data safe')) {
-      return {
-        reply: 'Your privacy is important to us. All information you provide is kept confidential and used only to connect you with appropriate support. We do not share your data outside the NGO.',
-        intent: 'data_safety',
-      };
-    }
-    // Quick Option: Support related to my category
-    if (text.includes('support related to my category')) {
-      if (submittedCategory) {
-        const { label } = getCategoryDetails(submittedCategory);
-        return {
-          reply: `You selected the category: ${label}. Our volunteers are trained to provide guidance and resources specific to this area. If you have more details or questions, please share them!`,
-          intent: 'category_support',
-        };
-      } else {
-        return {
-          reply: 'Please select a category in the support form to get more specific guidance.',
-          intent: 'category_support',
-        };
-      }
-    }
-    // Category-specific quick options
-    if (text.includes('what mental health support is available')) {
-      return {
-        reply: 'We offer emotional support, information on coping strategies, and can connect you with mental health professionals or helplines. All conversations are confidential.',
-        intent: 'mental_health',
-      };
-    }
-    if (text.includes('what should i do immediately')) {
-      return {
-        reply: 'If you are in immediate danger or experiencing a medical emergency, call your local emergency number now. Our team will also prioritize your request, but do not wait for a response.',
-        intent: 'emergency',
-      };
-    }
-    if (text.includes('what documents are required')) {
-      return {
-        reply: 'For financial or aid assistance, please prepare any relevant ID, proof of income, and medical documents. Our volunteers will let you know exactly what is needed after reviewing your case.',
-        intent: 'financial',
-      };
-    }
+  // Support request being collected in the chat: { step, options } or null
+  const [intake, setIntake] = useState(null);
 
-    // Category-aware guidance (fallback)
-    if (submittedCategory) {
-      const { label } = getCategoryDetails(submittedCategory);
-      if (submittedCategory === 'mental_health') {
-        return {
-          reply: `Since this is related to Mental Health, here are some general steps: \n• Reach out to trusted contacts or a counselor.\n• Practice self-care and seek a safe environment.\n• If you feel unsafe, contact a helpline or emergency services.`,
-          intent: 'mental_health',
-        };
-      }
-      if (submittedCategory === 'emergency') {
-        return {
-          reply: `This appears to be an emergency. Please call emergency services immediately. Our team will prioritize your request, but do not wait for a response if you are in danger.`,
-          intent: 'emergency',
-        };
-      }
-      if (submittedCategory === 'financial') {
-        return {
-          reply: `For Financial/Aid Assistance, please keep required documents ready. Our volunteers will guide you through the process.`,
-          intent: 'financial',
-        };
+  // Restore an ongoing conversation after a page reload
+  useEffect(() => {
+    const sessionId = sessionStorage.getItem(CHAT_SESSION_KEY);
+    if (!sessionId) return;
+
+    getChatSession(sessionId).then(response => {
+      if (response.success) {
+        setMessages(toMessages(response.data.history));
+        setIntake(response.data.intake);
+      } else {
+        // Expired or unknown - the next message starts a new session
+        sessionStorage.removeItem(CHAT_SESSION_KEY);
       }
-      // Default category-aware
-      return {
-        reply: `Since this is related to ${label}, our team will review your request and provide general guidance soon.`,
-        intent: 'default',
-      };
-    }
-    // General fallback
-    return {
-      reply: 'I can provide general guidance about our NGO services, support process, and next steps. For medical emergencies, always contact professionals.',
-      intent: 'default',
-    };
-  }
+    });
+  }, []);
 
   // Quick options for initial and category-aware guidance
-  const baseOptions = [
-    'What happens after submission?',
-    'How long will it take to respond?',
-    'Is this an emergency?',
-    'Is my data safe?',
-    'Support related to my category'
-  ];
-  // Add category-specific options
-  let categoryOptions = [];
-  if (submittedCategory === 'mental_health') {
-    categoryOptions.push('What mental health support is available?');
-  } else if (submittedCategory === 'emergency') {
-    categoryOptions.push('What should I do immediately?');
-  } else if (submittedCategory === 'financial') {
-    categoryOptions.push('What documents are required?');
-  }
-  const quickOptions = [...baseOptions, ...categoryOptions];
+  const baseOptions = t('chatbot.quickOptions');
+  // Add the category-specific option, if the registry defines one
+  const categoryOptions = category && category.chatbot ? [category.chatbot.question] : [];
+  const quickOptions = intake ? intake.options : [...baseOptions, ...categoryOptions];
+
+  /**
+   * Gets the bot's reply from the backend
+   * Falls back to the offline message if the server cannot be reached
+   */
+  const requestReply = async (msg) => {
+    setTyping(true);
+    setFailedMessage(null);
+    try {
+      const data = await sendChatMessage(msg, {
+        sessionId: sessionStorage.getItem(CHAT_SESSION_KEY),
+        category: submittedCategory,
+        language
+      });
+      sessionStorage.setItem(CHAT_SESSION_KEY, data.sessionId);
+      setIntake(data.intake);
+      setMessages(prev => [...prev, { type: 'bot', text: data.reply, intent: data.intent }]);
+    } catch (error) {
+      // Emergency numbers are always included - safety must not depend on the network
+      setMessages(prev => [...prev, { type: 'bot error', text: t('chatbot.offline'), intent: 'offline' }]);
+      setFailedMessage(msg);
+    } finally {
+      setTyping(false);
+    }
+  };
 
   // Handle sending a message (from input or quick option)
   const handleSend = (msg) => {
-    if (!msg.trim()) return;
+    if (!msg.trim() || typing) return;
     setMessages(prev => [...prev, { type: 'user', text: msg }]);
-    setTyping(true);
-    setTimeout(() => {
-      const bot = getBotResponse(msg);
-      setMessages(prev => [...prev, { type: 'bot', text: bot.reply }]);
-      setTyping(false);
-    }, 900);
+    requestReply(msg);
+  };
+
+  // Retry the last message that failed to send
+  const handleRetry = () => {
+    if (failedMessage) {
+      requestReply(failedMessage);
+    }
   };
 
   return (
     <>
       {!isOpen && (
         <button className="chatbot-fab" onClick={() => setIsOpen(true)}>
-          💬 Chat with Support
+          {t('chatbot.open')}
         </button>
       )}
       {isOpen && (
         <aside className="chatbot-panel">
           <ChatHeader onClose={() => setIsOpen(false)} />
-          <ChatMessages messages={messages} typing={typing} submittedCategory={submittedCategory} />
+          <ChatMessages
+            messages={[createWelcomeMessage(t), ...messages]}
+            typing={typing}
+            submittedCategory={submittedCategory}
+          />
           {/* Show quick options at bottom, just above input, hide while typing */}
+          {!typing && failedMessage && (
+            <button className="chatbot-retry" onClick={handleRetry}>
+              {t('chatbot.retry')}
+            </button>
+          )}
           {!typing && (
             <QuickOptions options={quickOptions} onOptionClick={handleSend} disabled={typing} />
           )}
-          <ChatInput onSend={handleSend} />
+          <ChatInput onSend={handleSend} disabled={typing} />
           <div className="chatbot-disclaimer">
-            This chatbot provides guidance only and does not replace medical professionals.
+            {t('chatbot.disclaimer')}
           </div>
         </aside>
       )}
@@ -1,13 +1,15 @@
 import React from 'react';
+import { useTranslation } from '../i18n';
 
 export default function ChatHeader({ onClose }) {
+  const { t } = useTranslation();
   return (
     <header className="chatbot-header">
       <div>
-        <div className="chatbot-title">Healthcare Support Assistant</div>
-        <div className="chatbot-subtitle">NGO Guidance & FAQs</div>
+        <div className="chatbot-title">{t('chatbot.title')}</div>
+        <div className="chatbot-subtitle">{t('chatbot.subtitle')}</div>
       </div>
-      <button className="chatbot-close" onClick={onClose} aria-label="Close chat">✕</button>
+      <button className="chatbot-close" onClick={onClose} aria-label={t('chatbot.closeAriaLabel')}>✕</button>
     </header>
   );
 }
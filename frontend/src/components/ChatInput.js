@@ -1,17 +1,19 @@
 import React, { useState } from 'react';
+import { useTranslation } from '../i18n';
 
-export default function ChatInput({ onSend }) {
+export default function ChatInput({ onSend, disabled }) {
+  const { t } = useTranslation();
   const [value, setValue] = useState('');
   return (
-    <form className="chatbot-input" onSubmit={e => { e.preventDefault(); if (value.trim()) { onSend(value); setValue(''); } }}>
+    <form className="chatbot-input" onSubmit={e => { e.preventDefault(); if (value.trim() && !disabled) { onSend(value); setValue(''); } }}>
       <input
         type="text"
         value={value}
         onChange={e => setValue(e.target.value)}
-        placeholder="Type your question here…"
-        aria-label="Chat input"
+        placeholder={t('chatbot.inputPlaceholder')}
+        aria-label={t('chatbot.inputAriaLabel')}
       />
-      <button type="submit" disabled={!value.trim()}>Send</button>
+      <button type="submit" disabled={!value.trim() || disabled}>{t('chatbot.send')}</button>
     </form>
   );
 }
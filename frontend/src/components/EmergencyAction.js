@@ -1,26 +1,15 @@
 import React, { useState } from 'react';
+import { useTranslation } from '../i18n';
 import '../styles/EmergencyAction.css';
 
 /**
  * Emergency resources configuration
- * These would be localized in a production app
+ * Names and descriptions come from the i18n bundles (emergency.resources)
  */
 const EMERGENCY_RESOURCES = [
-  {
-    name: 'Emergency Services',
-    number: '112',
-    description: 'For life-threatening emergencies'
-  },
-  {
-    name: 'Ambulance',
-    number: '102',
-    description: 'Medical emergencies'
-  },
-  {
-    name: 'Mental Health Helpline',
-    number: '9152987821',
-    description: 'iCall - Psychosocial helpline'
-  }
+  { id: 'emergency', number: '112' },
+  { id: 'ambulance', number: '102' },
+  { id: 'mentalHealth', number: '9152987821' }
 ];
 
 /**
@@ -32,6 +21,8 @@ const EMERGENCY_RESOURCES = [
  * @param {string} props.urgency - Must be 'high' to render
  */
 function EmergencyAction({ urgency }) {
+  const { t } = useTranslation();
+
   // Only show for high urgency cases
   const isHighUrgency = urgency?.toLowerCase() === 'high';
   
@@ -70,9 +61,9 @@ function EmergencyAction({ urgency }) {
 
         {/* Message Content */}
         <div className="emergency-action__content">
-          <h4 className="emergency-action__title">High Priority Case Detected</h4>
+          <h4 className="emergency-action__title">{t('emergency.title')}</h4>
           <p className="emergency-action__text">
-            If this is a medical emergency, please seek immediate professional help.
+            {t('emergency.text')}
           </p>
         </div>
 
@@ -80,10 +71,10 @@ function EmergencyAction({ urgency }) {
         <button 
           className="emergency-action__button"
           onClick={handleEmergencyClick}
-          aria-label="View emergency resources"
+          aria-label={t('emergency.buttonAriaLabel')}
         >
           <span>🆘</span>
-          <span>Emergency Help</span>
+          <span>{t('emergency.button')}</span>
         </button>
       </div>
 
@@ -102,11 +93,11 @@ function EmergencyAction({ urgency }) {
           >
             {/* Modal Header */}
             <div className="emergency-modal__header">
-              <h3 id="emergency-modal-title">🚑 Emergency Resources</h3>
+              <h3 id="emergency-modal-title">{t('emergency.modalTitle')}</h3>
               <button 
                 className="emergency-modal__close"
                 onClick={handleCloseModal}
-                aria-label="Close emergency modal"
+                aria-label={t('emergency.closeAriaLabel')}
               >
                 ✕
               </button>
@@ -114,38 +105,38 @@ function EmergencyAction({ urgency }) {
 
             {/* Important Disclaimer */}
             <div className="emergency-modal__disclaimer">
-              <strong>⚠️ Important:</strong> If you or someone else is in immediate 
-              danger, please call emergency services immediately. This portal 
-              provides support coordination, not emergency medical care.
+              <strong>{t('emergency.importantLabel')}</strong> {t('emergency.important')}
             </div>
 
             {/* Emergency Numbers List */}
             <div className="emergency-modal__resources">
-              <h4>Emergency Contact Numbers</h4>
+              <h4>{t('emergency.numbersTitle')}</h4>
               <ul className="emergency-list">
-                {EMERGENCY_RESOURCES.map((resource, index) => (
-                  <li key={index} className="emergency-list__item">
-                    <div className="emergency-list__info">
-                      <span className="emergency-list__name">{resource.name}</span>
-                      <span className="emergency-list__desc">{resource.description}</span>
-                    </div>
-                    <a 
-                      href={`tel:${resource.number}`}
-                      className="emergency-list__number"
-                      aria-label={`Call ${resource.name} at ${resource.number}`}
-                    >
-                      📞 {resource.number}
-                    </a>
-                  </li>
-                ))}
+                {EMERGENCY_RESOURCES.map(resource => {
+                  const name = t(`emergency.resources.${resource.id}.name`);
+                  return (
+                    <li key={resource.id} className="emergency-list__item">
+                      <div className="emergency-list__info">
+                        <span className="emergency-list__name">{name}</span>
+                        <span className="emergency-list__desc">{t(`emergency.resources.${resource.id}.description`)}</span>
+                      </div>
+                      <a 
+                        href={`tel:${resource.number}`}
+                        className="emergency-list__number"
+                        aria-label={t('emergency.callAriaLabel', { name, number: resource.number })}
+                      >
+                        📞 {resource.number}
+                      </a>
+                    </li>
+                  );
+                })}
               </ul>
             </div>
 
             {/* Safety Message */}
             <div className="emergency-modal__safety">
               <p>
-                <strong>Jarurat Care</strong> volunteers will prioritize your case, 
-                but we are not a replacement for professional emergency services.
+                <strong>Jarurat Care</strong> {t('emergency.safety')}
               </p>
             </div>
 
@@ -155,7 +146,7 @@ function EmergencyAction({ urgency }) {
                 className="emergency-modal__understood"
                 onClick={handleCloseModal}
               >
-                I Understand
+                {t('emergency.understood')}
               </button>
             </div>
           </div>
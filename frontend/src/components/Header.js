@@ -1,14 +1,33 @@
 /**
  * Header Component - Application header with branding
  * 
- * Displays the NGO name and tagline at the top of the page.
+ * Displays the NGO name and tagline at the top of the page,
+ * plus navigation between the patient portal, request tracking and the
+ * volunteer view,
+ * and the language switcher for the patient-facing text.
  * Uses minimal, clean design appropriate for healthcare context.
  */
 
 import React from 'react';
+import { LANGUAGES, useTranslation } from '../i18n';
 import '../styles/Header.css';
 
-function Header() {
+/**
+ * Navigation links - hrefs match the hash routes handled in App
+ */
+const NAV_LINKS = [
+  { view: 'patient', href: '#/' },
+  { view: 'track', href: '#/track' },
+  { view: 'volunteer', href: '#/volunteer' }
+];
+
+/**
+ * @param {Object} props
+ * @param {string} props.currentView - The active view, used to highlight its link
+ */
+function Header({ currentView = 'patient' }) {
+  const { t, language, setLanguage } = useTranslation();
+
   return (
     <header className="header">
       <div className="header-content">
@@ -16,7 +35,35 @@ function Header() {
           <span className="logo-icon">❤️</span>
           <h1>Jarurat Care</h1>
         </div>
-        <p className="tagline">Healthcare Support for Communities in Need</p>
+        <p className="tagline">{t('header.tagline')}</p>
+
+        <nav className="header-nav" aria-label="Main navigation">
+          {NAV_LINKS.map(link => (
+            <a
+              key={link.view}
+              href={link.href}
+              className={`header-nav__link ${currentView === link.view ? 'header-nav__link--active' : ''}`}
+              aria-current={currentView === link.view ? 'page' : undefined}
+            >
+              {t(`header.nav.${link.view}`)}
+            </a>
+          ))}
+        </nav>
+
+        <div className="language-switcher" role="group" aria-label={t('header.languageLabel')}>
+          {LANGUAGES.map(option => (
+            <button
+              key={option.code}
+              type="button"
+              lang={option.code}
+              className={`language-switcher__option ${language === option.code ? 'language-switcher__option--active' : ''}`}
+              aria-pressed={language === option.code}
+              onClick={() => setLanguage(option.code)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
       </div>
     </header>
   );
@@ -18,28 +18,30 @@
  */
 
 import React from 'react';
+import { useTranslation } from '../i18n';
 import '../styles/HealthcareDisclaimer.css';
 
 function HealthcareDisclaimer() {
+  const { t } = useTranslation();
+
   return (
     <div 
       className="healthcare-disclaimer"
       role="alert"
-      aria-label="Important medical disclaimer"
+      aria-label={t('disclaimer.ariaLabel')}
     >
       <div className="healthcare-disclaimer__icon" aria-hidden="true">
         ⚕️
       </div>
       <div className="healthcare-disclaimer__content">
         <p className="healthcare-disclaimer__title">
-          Important Medical Notice
+          {t('disclaimer.title')}
         </p>
         <p className="healthcare-disclaimer__text">
-          This tool does not replace professional medical advice, diagnosis, or treatment. 
-          Always consult with qualified healthcare providers for medical concerns.
+          {t('disclaimer.text')}
         </p>
         <p className="healthcare-disclaimer__emergency">
-          <strong>In case of emergency, please contact local emergency services (e.g., 112/911) immediately.</strong>
+          <strong>{t('disclaimer.emergency')}</strong>
         </p>
       </div>
     </div>
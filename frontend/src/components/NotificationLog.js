@@ -0,0 +1,83 @@
+/**
+ * NotificationLog Component - Messages sent about a request
+ *
+ * PURPOSE:
+ * Shows staff what the patient, the assigned volunteer and the paged
+ * coordinators were told, on which channel, and whether it arrived at
+ * the provider:
+ * - Sent: handed to the email/SMS/WhatsApp provider
+ * - Logged only: no provider is configured (console or file driver),
+ *   so nobody received it
+ * - Retrying: the last attempt failed, another is scheduled
+ * - Failed: every attempt failed - contact the patient another way
+ *
+ * The patient's address is hidden for volunteers who may not see
+ * their contact details.
+ */
+
+import React from 'react';
+import { formatTimeAgo } from '../utils/requestHelpers';
+import { CONTACT_CHANNEL_LABELS } from '../utils/contactHelpers';
+import '../styles/NotificationLog.css';
+
+const EVENT_LABELS = {
+  request_created: 'Request received',
+  assigned: 'Volunteer assigned',
+  in_progress: 'Work started',
+  resolved: 'Resolved',
+  closed: 'Closed',
+  on_call_page: 'On-call page',
+  sla_at_risk: 'SLA at risk',
+  sla_escalated: 'SLA missed, escalated',
+  sla_breached: 'SLA breached'
+};
+
+const STATUS_LABELS = {
+  sent: 'Sent',
+  logged: 'Logged only',
+  pending: 'Retrying',
+  failed: 'Failed'
+};
+
+/**
+ * @param {Object} props
+ * @param {Array} props.notifications - Notifications from the API, oldest first
+ */
+function NotificationLog({ notifications = [] }) {
+  if (notifications.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="notification-log">
+      <h3>📨 Notifications</h3>
+      <ul className="notification-log__list">
+        {[...notifications].reverse().map(notification => (
+          <li key={notification.id} className="notification-log__item">
+            <span className={`notification-log__status notification-log__status--${notification.status}`}>
+              {STATUS_LABELS[notification.status] || notification.status}
+            </span>
+            <span className="notification-log__event">
+              {EVENT_LABELS[notification.event] || notification.event}
+              {' → '}
+              {notification.recipient}
+              {' by '}
+              {CONTACT_CHANNEL_LABELS[notification.channel] || notification.channel}
+              {notification.to && ` (${notification.to})`}
+            </span>
+            <span className="notification-log__time">
+              {formatTimeAgo(notification.sentAt || notification.createdAt)}
+            </span>
+            {notification.status !== 'sent' && notification.lastError && (
+              <span className="notification-log__error">
+                Attempt {notification.attempts}: {notification.lastError}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default NotificationLog;
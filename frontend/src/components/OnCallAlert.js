@@ -0,0 +1,122 @@
+/**
+ * OnCallAlert Component - On-call page for an urgent request
+ *
+ * PURPOSE:
+ * High urgency and Emergency requests page the on-call coordinator.
+ * This banner shows who was paged and by when they must acknowledge;
+ * coordinators acknowledge here, which stops the escalation to the
+ * backup. Assigning a volunteer or starting work also counts.
+ *
+ * STATES:
+ * - open: red, with the acknowledgement deadline and the button
+ * - unacknowledged: red - every level was paged and nobody answered
+ * - acknowledged: green, with who acknowledged and how
+ */
+
+import React, { useState } from 'react';
+import { acknowledgeAlert } from '../services/api';
+import { formatDuration, formatTimeAgo } from '../utils/requestHelpers';
+import '../styles/OnCallAlert.css';
+
+const LEVEL_LABELS = {
+  primary: 'on-call coordinator',
+  backup: 'backup coordinator',
+  coordinators: 'all coordinators'
+};
+
+const ACKNOWLEDGED_VIA_LABELS = {
+  acknowledge: 'acknowledged',
+  assignment: 'acknowledged by assigning a volunteer',
+  status: 'picked up when work on the request started'
+};
+
+/**
+ * Names of the people paged at the current level
+ */
+const getPagedNames = (alert) => {
+  const lastPage = alert.pages[alert.pages.length - 1];
+  return lastPage ? lastPage.recipients.map(recipient => recipient.name).join(', ') : '';
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.ticketId - Ticket ID of the request
+ * @param {Object|null} props.alert - Alert from the API
+ * @param {boolean} props.canAcknowledge - Coordinators only
+ * @param {function} props.onAcknowledged - Called after acknowledging
+ * @param {function} props.onSessionExpired - Called when the backend rejects the login
+ * @param {function} props.onShowToast - Shows a toast notification
+ */
+function OnCallAlert({ ticketId, alert, canAcknowledge, onAcknowledged, onSessionExpired, onShowToast }) {
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!alert) {
+    return null;
+  }
+
+  const handleAcknowledge = async () => {
+    setIsSaving(true);
+    const response = await acknowledgeAlert(ticketId);
+    setIsSaving(false);
+
+    if (response.unauthorized) {
+      onSessionExpired();
+      return;
+    }
+
+    if (onShowToast) {
+      onShowToast({
+        message: response.success ? 'Alert acknowledged' : response.error || 'Failed to acknowledge the alert',
+        type: response.success ? 'success' : 'error'
+      });
+    }
+
+    if (response.success) {
+      onAcknowledged();
+    }
+  };
+
+  if (alert.status === 'acknowledged') {
+    return (
+      <section className="on-call-alert on-call-alert--acknowledged">
+        <p>
+          ✅ On-call alert {ACKNOWLEDGED_VIA_LABELS[alert.acknowledgedVia] || 'acknowledged'}
+          {alert.acknowledgedBy && <> by <strong>{alert.acknowledgedBy.name}</strong></>}
+          {' '}{formatTimeAgo(alert.acknowledgedAt)}
+        </p>
+      </section>
+    );
+  }
+
+  const minutesLeft = alert.acknowledgeBy
+    ? (new Date(alert.acknowledgeBy).getTime() - Date.now()) / 60000
+    : null;
+
+  return (
+    <section className="on-call-alert">
+      <h3>🚨 On-call alert</h3>
+      {alert.status === 'open' ? (
+        <p>
+          Paged the {LEVEL_LABELS[alert.level] || alert.level}: <strong>{getPagedNames(alert)}</strong>.
+          {' '}
+          {minutesLeft > 0
+            ? `Acknowledge within ${formatDuration(minutesLeft)} or it is escalated.`
+            : 'The acknowledgement window has passed - escalating.'}
+        </p>
+      ) : (
+        <p>
+          {alert.pages.length > 0
+            ? 'Nobody acknowledged the page, including the backup and all coordinators. Please pick this request up now.'
+            : 'There was no coordinator to page. Please pick this request up now.'}
+        </p>
+      )}
+      {canAcknowledge && (
+        <button className="on-call-alert__acknowledge" onClick={handleAcknowledge} disabled={isSaving}>
+          {isSaving ? 'Saving…' : 'Acknowledge'}
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default OnCallAlert;
@@ -0,0 +1,240 @@
+/**
+ * OnCallRota Component - Coordinator on-call rota
+ *
+ * PURPOSE:
+ * High urgency and Emergency requests page the coordinator on call
+ * straight away. Coordinators plan who that is here: each shift has
+ * a primary coordinator and an optional backup, who is paged when the
+ * primary does not acknowledge in time. With a mobile number the page
+ * goes by SMS, otherwise by email.
+ *
+ * When no shift covers the current time, every coordinator is paged.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getOnCallRota, createOnCallShift, deleteOnCallShift } from '../services/api';
+import { formatPhone } from '../utils/contactHelpers';
+import '../styles/OnCallRota.css';
+
+const INITIAL_SHIFT = {
+  startsAt: '',
+  endsAt: '',
+  primaryUserId: '',
+  primaryPhone: '',
+  backupUserId: '',
+  backupPhone: ''
+};
+
+/**
+ * Formats a shift time, e.g. "Mon, 9 Feb, 09:00"
+ */
+const formatShiftTime = (isoString) => {
+  return new Date(isoString).toLocaleString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Name and phone of a shift member
+ */
+const formatMember = (member) => {
+  if (!member) return '—';
+  return member.phone ? `${member.name} (${formatPhone(member.phone)})` : member.name;
+};
+
+/**
+ * @param {Object} props
+ * @param {function} props.onSessionExpired - Called when the backend rejects the login
+ * @param {function} props.onShowToast - Shows a toast notification
+ */
+function OnCallRota({ onSessionExpired, onShowToast }) {
+  const [rota, setRota] = useState(null);
+  const [error, setError] = useState(null);
+  const [shift, setShift] = useState(INITIAL_SHIFT);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * Loads the rota from the backend
+   */
+  const loadRota = useCallback(async () => {
+    const response = await getOnCallRota();
+    if (response.success) {
+      setRota(response.data);
+      setError(null);
+    } else if (response.unauthorized) {
+      onSessionExpired();
+    } else {
+      setError(response.error || 'Failed to load the on-call rota');
+    }
+  }, [onSessionExpired]);
+
+  useEffect(() => {
+    loadRota();
+  }, [loadRota]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setShift(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Shows the outcome of a save or delete and reloads the rota
+   */
+  const handleResponse = (response, successMessage) => {
+    if (response.unauthorized) {
+      onSessionExpired();
+      return false;
+    }
+    if (onShowToast) {
+      onShowToast({
+        message: response.success ? successMessage : response.error || 'Something went wrong',
+        type: response.success ? 'success' : 'error'
+      });
+    }
+    if (response.success) {
+      loadRota();
+    }
+    return response.success;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const response = await createOnCallShift({
+      // datetime-local values are in the coordinator's own time zone
+      startsAt: new Date(shift.startsAt).toISOString(),
+      endsAt: new Date(shift.endsAt).toISOString(),
+      primary: { userId: shift.primaryUserId, phone: shift.primaryPhone || undefined },
+      backup: shift.backupUserId
+        ? { userId: shift.backupUserId, phone: shift.backupPhone || undefined }
+        : undefined
+    });
+    setIsSaving(false);
+
+    if (handleResponse(response, 'Shift added')) {
+      setShift(INITIAL_SHIFT);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    const response = await deleteOnCallShift(id);
+    handleResponse(response, 'Shift removed');
+  };
+
+  if (error) {
+    return (
+      <div className="api-error">
+        <span className="error-icon">⚠️</span>
+        {error}
+      </div>
+    );
+  }
+
+  if (!rota) {
+    return <p className="volunteer-dashboard__empty">Loading the rota…</p>;
+  }
+
+  const canSubmit = shift.startsAt && shift.endsAt && shift.primaryUserId && !isSaving;
+
+  return (
+    <div className="on-call-rota">
+      <section className={`on-call-rota__now${rota.current ? '' : ' on-call-rota__now--nobody'}`}>
+        {rota.current ? (
+          <p>
+            📟 On call now: <strong>{formatMember(rota.current.primary)}</strong>
+            {rota.current.backup && <>, backup {formatMember(rota.current.backup)}</>}
+            {' '}until {formatShiftTime(rota.current.endsAt)}
+          </p>
+        ) : (
+          <p>⚠️ Nobody is on call right now - urgent requests page every coordinator.</p>
+        )}
+        <p className="on-call-rota__hint">
+          Pages must be acknowledged within {rota.acknowledgeMinutes} minutes, then go to the
+          backup, then to all coordinators.
+        </p>
+      </section>
+
+      <h3>Shifts</h3>
+      {rota.shifts.length === 0 ? (
+        <p className="volunteer-dashboard__empty">No shifts planned.</p>
+      ) : (
+        <ul className="on-call-rota__shifts">
+          {rota.shifts.map(entry => (
+            <li key={entry.id} className="on-call-rota__shift">
+              <span className="on-call-rota__time">
+                {formatShiftTime(entry.startsAt)} → {formatShiftTime(entry.endsAt)}
+              </span>
+              <span>{formatMember(entry.primary)}</span>
+              <span className="on-call-rota__backup">Backup: {formatMember(entry.backup)}</span>
+              <button className="on-call-rota__remove" onClick={() => handleDelete(entry.id)}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="on-call-rota__form" onSubmit={handleSubmit}>
+        <h3>Add a shift</h3>
+        <div className="dashboard-filters">
+          <label className="dashboard-filters__field">
+            <span>Starts</span>
+            <input type="datetime-local" name="startsAt" value={shift.startsAt} onChange={handleChange} required />
+          </label>
+          <label className="dashboard-filters__field">
+            <span>Ends</span>
+            <input type="datetime-local" name="endsAt" value={shift.endsAt} onChange={handleChange} required />
+          </label>
+        </div>
+        <div className="dashboard-filters">
+          <label className="dashboard-filters__field">
+            <span>On call</span>
+            <select name="primaryUserId" value={shift.primaryUserId} onChange={handleChange} required>
+              <option value="">Choose a coordinator</option>
+              {rota.coordinators.map(user => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="dashboard-filters__field">
+            <span>Mobile for SMS pages (optional)</span>
+            <input type="tel" name="primaryPhone" value={shift.primaryPhone} onChange={handleChange} placeholder="98765 43210" />
+          </label>
+        </div>
+        <div className="dashboard-filters">
+          <label className="dashboard-filters__field">
+            <span>Backup</span>
+            <select name="backupUserId" value={shift.backupUserId} onChange={handleChange}>
+              <option value="">No backup</option>
+              {rota.coordinators
+                .filter(user => user.id !== shift.primaryUserId)
+                .map(user => (
+                  <option key={user.id} value={user.id}>{user.name}</option>
+                ))}
+            </select>
+          </label>
+          <label className="dashboard-filters__field">
+            <span>Backup mobile (optional)</span>
+            <input
+              type="tel"
+              name="backupPhone"
+              value={shift.backupPhone}
+              onChange={handleChange}
+              placeholder="98765 43210"
+              disabled={!shift.backupUserId}
+            />
+          </label>
+        </div>
+        <button type="submit" className="on-call-rota__save" disabled={!canSubmit}>
+          {isSaving ? 'Saving…' : 'Add Shift'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default OnCallRota;
@@ -3,26 +3,44 @@
  * 
  * Collects patient information including:
  * - Name, Age, Issue Category, and Description
+ * - Contact details: mobile number (Indian, checked here and on the
+ *   server), optional email, preferred channel, preferred language
+ *   and best time to contact - shown to the assigned volunteer
  * 
  * Validates inputs before submission and sends data to backend API.
  * 
- * FEATURE 4 SUPPORT (Edit Request):
- * Accepts initialData prop to pre-fill form when editing a previous submission.
- * This enables the edit flow without data loss.
+ * FEATURE 4 SUPPORT (New Request With These Details):
+ * Accepts initialData prop to pre-fill the form from a previous submission.
+ * When previousTicketId is set, a notice tells the patient that this sends
+ * a new request and their first ticket still stands.
+ * 
+ * Labels and errors are shown in the chosen language. The preferred
+ * language follows the page language unless the patient picks another,
+ * and is sent with the request so the NGO knows which language to reply in.
  */
 
 import React, { useState, useEffect } from 'react';
 import { submitSupportRequest } from '../services/api';
-import { ISSUE_CATEGORIES } from '../utils/categoryConfig';
+import { useCategories } from '../utils/categoryConfig';
+import { CONTACT_CHANNELS, CONTACT_TIMES, isValidIndianPhone } from '../utils/contactHelpers';
+import { LANGUAGES, useTranslation } from '../i18n';
 import '../styles/PatientSupportForm.css';
 
-function PatientSupportForm({ onSuccess, initialData }) {
+function PatientSupportForm({ onSuccess, initialData, previousTicketId }) {
+  const { t, language } = useTranslation();
+
   // Form field states - initialized from initialData if provided
+  // language '' means "same as the page"
   const [formData, setFormData] = useState({
     name: '',
     age: '',
     issueCategory: '',
-    description: ''
+    description: '',
+    phone: '',
+    email: '',
+    contactChannel: 'call',
+    contactTime: 'any',
+    language: ''
   });
 
   // UI states
@@ -30,11 +48,14 @@ function PatientSupportForm({ onSuccess, initialData }) {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [apiError, setApiError] = useState(null);
 
+  // Issue categories from the backend registry
+  const categories = useCategories();
+
   /**
-   * FEATURE 4: Pre-fill form with initial data when editing
+   * FEATURE 4: Pre-fill form with initial data
    * 
    * This effect runs when initialData changes, allowing the form
-   * to be pre-populated when the user clicks "Edit Request"
+   * to be pre-populated when the user clicks "New Request With These Details"
    */
   useEffect(() => {
     if (initialData) {
@@ -42,7 +63,12 @@ function PatientSupportForm({ onSuccess, initialData }) {
         name: initialData.name || '',
         age: initialData.age || '',
         issueCategory: initialData.issueCategory || '',
-        description: initialData.description || ''
+        description: initialData.description || '',
+        phone: initialData.phone || '',
+        email: initialData.email || '',
+        contactChannel: initialData.contactChannel || 'call',
+        contactTime: initialData.contactTime || 'any',
+        language: initialData.language || ''
       });
     }
   }, [initialData]);
@@ -81,31 +107,47 @@ function PatientSupportForm({ onSuccess, initialData }) {
 
     // Name validation
     if (!formData.name.trim()) {
-      newErrors.name = 'Name is required';
+      newErrors.name = t('form.errors.nameRequired');
     } else if (formData.name.trim().length < 2) {
-      newErrors.name = 'Name must be at least 2 characters';
+      newErrors.name = t('form.errors.nameTooShort');
     }
 
     // Age validation
     if (!formData.age) {
-      newErrors.age = 'Age is required';
+      newErrors.age = t('form.errors.ageRequired');
     } else {
       const ageNum = Number(formData.age);
       if (isNaN(ageNum) || ageNum < 0 || ageNum > 150) {
-        newErrors.age = 'Please enter a valid age (0-150)';
+        newErrors.age = t('form.errors.ageInvalid');
+      }
+    }
+
+    // Phone validation - Indian mobile numbers only, like the backend
+    if (!formData.phone.trim()) {
+      newErrors.phone = t('form.errors.phoneRequired');
+    } else if (!isValidIndianPhone(formData.phone)) {
+      newErrors.phone = t('form.errors.phoneInvalid');
+    }
+
+    // Email is optional, unless the patient wants to be contacted by email
+    if (!formData.email.trim()) {
+      if (formData.contactChannel === 'email') {
+        newErrors.email = t('form.errors.emailRequired');
       }
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email.trim())) {
+      newErrors.email = t('form.errors.emailInvalid');
     }
 
     // Issue category validation
     if (!formData.issueCategory) {
-      newErrors.issueCategory = 'Please select a category';
+      newErrors.issueCategory = t('form.errors.categoryRequired');
     }
 
     // Description validation
     if (!formData.description.trim()) {
-      newErrors.description = 'Description is required';
+      newErrors.description = t('form.errors.descriptionRequired');
     } else if (formData.description.trim().length < 10) {
-      newErrors.description = 'Please provide at least 10 characters';
+      newErrors.description = t('form.errors.descriptionTooShort');
     }
 
     setErrors(newErrors);
@@ -131,7 +173,9 @@ function PatientSupportForm({ onSuccess, initialData }) {
       // Prepare data for API (convert age to number)
       const requestData = {
         ...formData,
-        age: Number(formData.age)
+        age: Number(formData.age),
+        email: formData.email.trim() || undefined,
+        language: formData.language || language
       };
 
       // Send request to backend
@@ -139,13 +183,13 @@ function PatientSupportForm({ onSuccess, initialData }) {
 
       if (response.success) {
         // FEATURE 4: Pass both form data and result to parent
-        // This enables the edit flow by preserving the submitted data
+        // so a follow-up request can start from the submitted data
         onSuccess(requestData, response.data);
       } else {
-        setApiError(response.error || 'Failed to submit request');
+        setApiError(response.error || t('form.submitFailed'));
       }
     } catch (error) {
-      setApiError('Unable to connect to server. Please try again later.');
+      setApiError(t('form.connectionError'));
     } finally {
       setIsSubmitting(false);
     }
@@ -153,6 +197,13 @@ function PatientSupportForm({ onSuccess, initialData }) {
 
   return (
     <form className="support-form" onSubmit={handleSubmit}>
+      {/* Follow-up notice: the first ticket is not replaced */}
+      {previousTicketId && (
+        <div className="form-notice" role="note">
+          {t('form.previousTicketNotice', { ticketId: previousTicketId })}
+        </div>
+      )}
+
       {/* API Error Display */}
       {apiError && (
         <div className="api-error">
@@ -163,14 +214,14 @@ function PatientSupportForm({ onSuccess, initialData }) {
 
       {/* Name Field */}
       <div className="form-group">
-        <label htmlFor="name">Full Name *</label>
+        <label htmlFor="name">{t('form.nameLabel')}</label>
         <input
           type="text"
           id="name"
           name="name"
           value={formData.name}
           onChange={handleChange}
-          placeholder="Enter your full name"
+          placeholder={t('form.namePlaceholder')}
           className={errors.name ? 'error' : ''}
           disabled={isSubmitting}
         />
@@ -179,14 +230,14 @@ function PatientSupportForm({ onSuccess, initialData }) {
 
       {/* Age Field */}
       <div className="form-group">
-        <label htmlFor="age">Age *</label>
+        <label htmlFor="age">{t('form.ageLabel')}</label>
         <input
           type="number"
           id="age"
           name="age"
           value={formData.age}
           onChange={handleChange}
-          placeholder="Enter your age"
+          placeholder={t('form.agePlaceholder')}
           min="0"
           max="150"
           className={errors.age ? 'error' : ''}
@@ -197,7 +248,7 @@ function PatientSupportForm({ onSuccess, initialData }) {
 
       {/* Issue Category Dropdown */}
       <div className="form-group">
-        <label htmlFor="issueCategory">Issue Category <span aria-label="required">*</span></label>
+        <label htmlFor="issueCategory">{t('form.categoryLabel')} <span aria-label="required">*</span></label>
         <select
           id="issueCategory"
           name="issueCategory"
@@ -207,11 +258,14 @@ function PatientSupportForm({ onSuccess, initialData }) {
           disabled={isSubmitting}
           required
         >
-          <option value="">Select a category...</option>
-          <option value="Medical">General Medical</option>
-          <option value="Mental Health">Mental Health</option>
-          <option value="Emergency">Emergency</option>
-          <option value="Other">Other</option>
+          <option value="">
+            {categories.length > 0 ? t('form.categoryPlaceholder') : t('form.categoriesLoading')}
+          </option>
+          {categories.map(category => (
+            <option key={category.value} value={category.value}>
+              {category.icon} {category.label}
+            </option>
+          ))}
         </select>
         {errors.issueCategory && (
           <span className="field-error">{errors.issueCategory}</span>
@@ -220,13 +274,13 @@ function PatientSupportForm({ onSuccess, initialData }) {
 
       {/* Description Textarea */}
       <div className="form-group">
-        <label htmlFor="description">Describe Your Issue *</label>
+        <label htmlFor="description">{t('form.descriptionLabel')}</label>
         <textarea
           id="description"
           name="description"
           value={formData.description}
           onChange={handleChange}
-          placeholder="Please describe your health concern or issue in detail..."
+          placeholder={t('form.descriptionPlaceholder')}
           rows="5"
           className={errors.description ? 'error' : ''}
           disabled={isSubmitting}
@@ -235,10 +289,90 @@ function PatientSupportForm({ onSuccess, initialData }) {
           <span className="field-error">{errors.description}</span>
         )}
         <span className="char-count">
-          {formData.description.length} / 2000 characters
+          {t('form.charCount', { count: formData.description.length })}
         </span>
       </div>
 
+      {/* Contact Details - shown to the volunteer assigned to the request */}
+      <fieldset className="form-section" disabled={isSubmitting}>
+        <legend className="form-section__title">{t('form.contactTitle')}</legend>
+
+        <div className="form-group">
+          <label htmlFor="phone">{t('form.phoneLabel')}</label>
+          <input
+            type="tel"
+            id="phone"
+            name="phone"
+            value={formData.phone}
+            onChange={handleChange}
+            placeholder={t('form.phonePlaceholder')}
+            autoComplete="tel"
+            inputMode="tel"
+            className={errors.phone ? 'error' : ''}
+          />
+          {errors.phone && <span className="field-error">{errors.phone}</span>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="email">{t('form.emailLabel')}</label>
+          <input
+            type="email"
+            id="email"
+            name="email"
+            value={formData.email}
+            onChange={handleChange}
+            placeholder={t('form.emailPlaceholder')}
+            autoComplete="email"
+            className={errors.email ? 'error' : ''}
+          />
+          {errors.email && <span className="field-error">{errors.email}</span>}
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="contactChannel">{t('form.channelLabel')}</label>
+            <select
+              id="contactChannel"
+              name="contactChannel"
+              value={formData.contactChannel}
+              onChange={handleChange}
+            >
+              {CONTACT_CHANNELS.map(channel => (
+                <option key={channel} value={channel}>{t(`form.channels.${channel}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="contactTime">{t('form.timeLabel')}</label>
+            <select
+              id="contactTime"
+              name="contactTime"
+              value={formData.contactTime}
+              onChange={handleChange}
+            >
+              {CONTACT_TIMES.map(time => (
+                <option key={time} value={time}>{t(`form.times.${time}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="language">{t('form.languageLabel')}</label>
+            <select
+              id="language"
+              name="language"
+              value={formData.language || language}
+              onChange={handleChange}
+            >
+              {LANGUAGES.map(option => (
+                <option key={option.code} value={option.code} lang={option.code}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </fieldset>
+
       {/* Submit Button */}
       <button
         type="submit"
@@ -248,10 +382,10 @@ function PatientSupportForm({ onSuccess, initialData }) {
         {isSubmitting ? (
           <>
             <span className="spinner"></span>
-            Processing...
+            {t('form.submitting')}
           </>
         ) : (
-          'Submit Request'
+          t('form.submit')
         )}
       </button>
     </form>
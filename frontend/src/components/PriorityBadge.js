@@ -19,6 +19,7 @@
  */
 
 import React from 'react';
+import { useTranslation } from '../i18n';
 import '../styles/PriorityBadge.css';
 
 /**
@@ -29,21 +30,18 @@ const BADGE_CONFIG = {
   Low: {
     className: 'priority-badge--low',
     icon: '✓',
-    label: 'Low Priority',
     // Green indicates safe/non-urgent - universally understood
     ariaLabel: 'Low priority - non-urgent request'
   },
   Medium: {
     className: 'priority-badge--medium',
     icon: '⚡',
-    label: 'Medium Priority',
     // Yellow/amber signals caution - needs attention but not immediate
     ariaLabel: 'Medium priority - requires attention within 24-48 hours'
   },
   High: {
     className: 'priority-badge--high',
     icon: '🚨',
-    label: 'High Priority',
     // Red immediately draws attention - critical/urgent
     ariaLabel: 'High priority - requires immediate attention'
   }
@@ -56,8 +54,11 @@ const BADGE_CONFIG = {
  * @param {string} size - Optional size variant: "small" | "default" | "large"
  */
 function PriorityBadge({ urgency, size = 'default' }) {
+  const { t } = useTranslation();
+
   // Fallback to Medium if invalid urgency is provided
-  const config = BADGE_CONFIG[urgency] || BADGE_CONFIG.Medium;
+  const level = BADGE_CONFIG[urgency] ? urgency : 'Medium';
+  const config = BADGE_CONFIG[level];
   
   // Combine base class with urgency-specific and size classes
   const className = `priority-badge ${config.className} priority-badge--${size}`;
@@ -72,7 +73,7 @@ function PriorityBadge({ urgency, size = 'default' }) {
         {config.icon}
       </span>
       <span className="priority-badge__label">
-        {config.label}
+        {t(`priority.${level}`)}
       </span>
     </span>
   );
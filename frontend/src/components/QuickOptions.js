@@ -1,10 +1,12 @@
 import React from 'react';
+import { useTranslation } from '../i18n';
 
 // QuickOptions: Renders selectable quick reply buttons for chatbot guidance.
 // Improves usability by reducing typing and guiding users to safe, relevant questions.
 export default function QuickOptions({ options, onOptionClick, disabled }) {
+  const { t } = useTranslation();
   return (
-    <div className="chatbot-quick-options" aria-label="Quick options">
+    <div className="chatbot-quick-options" aria-label={t('chatbot.quickOptionsAriaLabel')}>
       {options.map((opt, i) => (
         <button
           key={i}
@@ -0,0 +1,277 @@
+/**
+ * RequestDetail Component - Full view of a single support request
+ *
+ * PURPOSE:
+ * Shows a volunteer everything needed to act on a request:
+ * - Patient details, category and priority
+ * - The on-call alert for High urgency and Emergency requests, which
+ *   coordinators acknowledge here
+ * - How and when the patient wants to be contacted (coordinators and
+ *   the assigned volunteer only - the backend leaves it out for others)
+ * - The patient's full description, exactly as written
+ * - The AI-generated summary, and why it got its priority
+ * - A mandatory priority review when the AI was not confident;
+ *   coordinators can change the priority later, with a reason
+ * - Current status with history, plus buttons for the allowed next steps
+ * - The assigned volunteer; coordinators also get the AssignmentPanel
+ * - How the request is doing against its response-time SLA
+ * - Staff notes, some of which may be shared with the patient, in a
+ *   timeline of everything that happened to the request and who did it
+ * - The notifications sent to the patient and volunteer, and whether
+ *   they were delivered
+ *
+ * The status buttons only offer transitions the backend lifecycle
+ * allows, so volunteers cannot move a request into an invalid state,
+ * and only to coordinators and the assigned volunteer.
+ * "Volunteer Assigned" is reached through the AssignmentPanel instead,
+ * because it always needs a volunteer.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSupportRequest, updateRequestStatus } from '../services/api';
+import { STATUS_LABELS, formatTimeAgo } from '../utils/requestHelpers';
+import { CONTACT_CHANNEL_LABELS, CONTACT_TIME_LABELS, formatPhone } from '../utils/contactHelpers';
+import { LANGUAGES } from '../i18n';
+import PriorityBadge from './PriorityBadge';
+import CategoryChip from './CategoryChip';
+import StatusTracker from './StatusTracker';
+import AssignmentPanel from './AssignmentPanel';
+import SlaIndicator from './SlaIndicator';
+import TriageReasoning from './TriageReasoning';
+import TriageReviewPanel from './TriageReviewPanel';
+import UrgencyOverride from './UrgencyOverride';
+import ActivityTimeline from './ActivityTimeline';
+import NotificationLog from './NotificationLog';
+import OnCallAlert from './OnCallAlert';
+import '../styles/RequestDetail.css';
+
+// Roles allowed to assign volunteers (matches the backend)
+const COORDINATOR_ROLES = ['coordinator', 'admin'];
+
+/**
+ * Name of a language code, e.g. "hi" → "हिन्दी"
+ */
+const getLanguageLabel = (code) => {
+  const language = LANGUAGES.find(entry => entry.code === code);
+  return language ? language.label : code;
+};
+
+function RequestDetail({ ticketId, currentUser, onBack, onSessionExpired, onShowToast }) {
+  const [request, setRequest] = useState(null);
+  const [error, setError] = useState(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  /**
+   * Loads the full request from the backend
+   */
+  const loadRequest = useCallback(async () => {
+    const response = await getSupportRequest(ticketId);
+    if (response.success) {
+      setRequest(response.data);
+      setError(null);
+    } else if (response.unauthorized) {
+      onSessionExpired();
+    } else {
+      setError(response.error || 'Failed to load request');
+    }
+  }, [ticketId, onSessionExpired]);
+
+  useEffect(() => {
+    loadRequest();
+  }, [loadRequest]);
+
+  const canAssign = COORDINATOR_ROLES.includes(currentUser.role);
+  const statusActions = request && request.canUpdateStatus
+    ? request.allowedTransitions.filter(status => status !== 'assigned')
+    : [];
+
+  /**
+   * Moves the request to a new status and reloads it
+   */
+  const handleStatusChange = async (status) => {
+    setIsUpdating(true);
+    const response = await updateRequestStatus(ticketId, status);
+    setIsUpdating(false);
+
+    if (response.unauthorized) {
+      onSessionExpired();
+      return;
+    }
+
+    if (onShowToast) {
+      onShowToast({
+        message: response.success
+          ? `Status updated to "${STATUS_LABELS[status]}"`
+          : response.error || 'Failed to update status',
+        type: response.success ? 'success' : 'error'
+      });
+    }
+
+    if (response.success) {
+      loadRequest();
+    }
+  };
+
+  return (
+    <div className="request-detail">
+      <button className="request-detail__back" onClick={onBack}>
+        ← Back to queue
+      </button>
+
+      {error && (
+        <div className="api-error">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {!request && !error && <p className="request-detail__loading">Loading request…</p>}
+
+      {request && (
+        <>
+          <div className="request-detail__header">
+            <div>
+              <h2>{request.patientName}</h2>
+              <span className="request-detail__meta">
+                Age {request.age} • {request.ticketId} • submitted {formatTimeAgo(request.createdAt)}
+              </span>
+              <span className="request-detail__assignee">
+                👤 {request.assignedVolunteer ? request.assignedVolunteer.name : 'Unassigned'}
+              </span>
+            </div>
+            <PriorityBadge urgency={request.urgency} size="medium" />
+          </div>
+
+          <div className="request-detail__tags">
+            <CategoryChip value={request.category} />
+            <SlaIndicator sla={request.sla} />
+          </div>
+
+          <OnCallAlert
+            ticketId={request.ticketId}
+            alert={request.alert}
+            canAcknowledge={canAssign}
+            onAcknowledged={loadRequest}
+            onSessionExpired={onSessionExpired}
+            onShowToast={onShowToast}
+          />
+
+          {(request.contact || request.contactHidden) && (
+            <section className="request-detail__section">
+              <h3>📞 Contact</h3>
+              {request.contact ? (
+                <div className="request-detail__contact">
+                  <a href={`tel:${request.contact.phone}`}>{formatPhone(request.contact.phone)}</a>
+                  {request.contact.channel === 'whatsapp' && (
+                    <a
+                      href={`https://wa.me/${request.contact.phone.replace('+', '')}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      Open WhatsApp
+                    </a>
+                  )}
+                  {request.contact.email && (
+                    <a href={`mailto:${request.contact.email}`}>{request.contact.email}</a>
+                  )}
+                  <span className="request-detail__contact-prefs">
+                    Prefers {CONTACT_CHANNEL_LABELS[request.contact.channel] || request.contact.channel}
+                    {' • '}{CONTACT_TIME_LABELS[request.contact.bestTime] || request.contact.bestTime}
+                    {' • '}{getLanguageLabel(request.language)}
+                  </span>
+                </div>
+              ) : (
+                <p className="request-detail__contact-hidden">
+                  Contact details are shown to coordinators and the assigned volunteer.
+                </p>
+              )}
+            </section>
+          )}
+
+          <section className="request-detail__section">
+            <h3>📝 Patient's Description</h3>
+            <p className="request-detail__description">{request.description}</p>
+          </section>
+
+          <section className="request-detail__section">
+            <h3>🤖 AI-Generated Summary</h3>
+            <p>{request.summary}</p>
+          </section>
+
+          <TriageReasoning
+            reasoning={request.reasoning}
+            urgency={request.urgency}
+            confidence={request.confidence}
+          />
+
+          <TriageReviewPanel
+            ticketId={request.ticketId}
+            urgency={request.urgency}
+            confidence={request.confidence}
+            humanReview={request.humanReview}
+            onReviewed={loadRequest}
+            onSessionExpired={onSessionExpired}
+            onShowToast={onShowToast}
+          />
+
+          {/* Later priority changes, once any triage review is done */}
+          {canAssign && !request.reviewPending && !['resolved', 'closed'].includes(request.status) && (
+            <UrgencyOverride
+              ticketId={request.ticketId}
+              urgency={request.urgency}
+              onChanged={loadRequest}
+              onSessionExpired={onSessionExpired}
+              onShowToast={onShowToast}
+            />
+          )}
+
+          <StatusTracker
+            currentStatus={request.status}
+            history={request.statusHistory}
+            urgency={request.urgency}
+          />
+
+          {/* Assignment waits for the priority review */}
+          {canAssign && !request.reviewPending && !['resolved', 'closed'].includes(request.status) && (
+            <AssignmentPanel
+              ticketId={request.ticketId}
+              assignedVolunteer={request.assignedVolunteer}
+              onAssigned={loadRequest}
+              onSessionExpired={onSessionExpired}
+              onShowToast={onShowToast}
+            />
+          )}
+
+          {/* Allowed next steps from the status lifecycle */}
+          {statusActions.length > 0 && (
+            <div className="request-detail__actions">
+              <span className="request-detail__actions-label">Move to:</span>
+              {statusActions.map(status => (
+                <button
+                  key={status}
+                  className={`status-action status-action--${status}`}
+                  onClick={() => handleStatusChange(status)}
+                  disabled={isUpdating}
+                >
+                  {STATUS_LABELS[status] || status}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <ActivityTimeline
+            ticketId={request.ticketId}
+            activity={request.activity}
+            onNoteAdded={loadRequest}
+            onSessionExpired={onSessionExpired}
+            onShowToast={onShowToast}
+          />
+
+          <NotificationLog notifications={request.notifications} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RequestDetail;
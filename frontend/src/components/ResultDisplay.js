@@ -7,13 +7,14 @@
  * 1. Priority Badge with Color Coding - Visual urgency indicator
  * 2. Auto-Acknowledgement Message - Urgency-based automated response
  * 3. Healthcare Emergency Disclaimer - Medical safety notice
- * 4. Edit Request & Reset Flow - Allows correction or new submission
+ * 4. Follow-up & Reset Flow - New request from these details or a blank form
  * 5. FAQ Section - Chatbot concept substitute
- * 6. AI Confidence Indicator - Simulated confidence percentage
+ * 6. AI Confidence Indicator - The classifier's saved confidence; low
+ *    confidence means a staff member double-checks the priority
  * 7. Copy Summary to Clipboard - One-click copy functionality
  * 
  * NEW FEATURES (v2.0):
- * 8. Status Tracker - Visual workflow progress indicator
+ * 8. Status Tracker - Visual workflow progress indicator (live backend status)
  * 9. Estimated Response Time - Dynamic wait time calculation
  * 10. Emergency Action - Prominent help for high urgency cases
  * 11. Card-Based Layout - Improved visual hierarchy
@@ -23,15 +24,17 @@
  * - Most critical info (urgency, emergency) appears at top
  * - Action buttons are always visible for easy access
  * - Animations provide smooth transitions without distraction
+ * - Text is shown in the patient's chosen language (src/i18n)
  */
 
 import React, { useState, useEffect } from 'react';
 import {
   getAcknowledgementMessage,
-  getAIConfidence,
+  getConfidencePercent,
   copyToClipboard,
   formatSummaryForCopy
 } from '../utils/resultHelpers';
+import { getRequestStatus } from '../services/api';
 import PriorityBadge from './PriorityBadge';
 import HealthcareDisclaimer from './HealthcareDisclaimer';
 import FAQAccordion from './FAQAccordion';
@@ -39,24 +42,48 @@ import StatusTracker from './StatusTracker';
 import ResponseTimeEstimate from './ResponseTimeEstimate';
 import EmergencyAction from './EmergencyAction';
 import CategoryChip from './CategoryChip';
+import { useTranslation } from '../i18n';
 import '../styles/ResultDisplay.css';
 
-function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
+function ResultDisplay({ result, onNewRequest, onRequestFromDetails, onShowToast }) {
+  const { t } = useTranslation();
+
   // FEATURE 7: Copy to clipboard state
   const [copyStatus, setCopyStatus] = useState(null); // null | 'success' | 'error'
 
-  // FEATURE 6: AI Confidence - calculated once on mount for consistency
-  const [aiConfidence, setAiConfidence] = useState(null);
+  // FEATURE 6: AI Confidence - computed by the backend and saved with the request
+  const aiConfidence = getConfidencePercent(result.confidence);
+  const needsHumanReview = Boolean(result.humanReview && result.humanReview.required);
+
+  // Request status - starts with the status returned on submission,
+  // then refreshed from the backend status lifecycle
+  const [requestStatus, setRequestStatus] = useState({
+    status: result.status || 'review',
+    history: result.statusHistory || []
+  });
 
-  // Calculate AI confidence on component mount
-  // This ensures the same confidence is shown throughout the session
+  // Fetch the latest status for this ticket
   useEffect(() => {
-    const confidence = getAIConfidence(result.urgency, result.category);
-    setAiConfidence(confidence);
-  }, [result.urgency, result.category]);
+    if (!result.ticketId) return undefined;
+
+    let isActive = true;
+    getRequestStatus(result.ticketId).then(response => {
+      if (isActive && response.success) {
+        setRequestStatus({
+          status: response.data.status,
+          history: response.data.history
+        });
+      }
+    });
+
+    // Ignore the response if the component unmounts first
+    return () => {
+      isActive = false;
+    };
+  }, [result.ticketId]);
 
   // FEATURE 2: Get automated acknowledgement message based on urgency
-  const acknowledgementMessage = getAcknowledgementMessage(result.urgency);
+  const acknowledgementMessage = getAcknowledgementMessage(result.urgency, t);
 
   /**
    * FEATURE 7: Handles copying the summary to clipboard
@@ -74,7 +101,7 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
     // Show toast notification if available
     if (onShowToast) {
       onShowToast({
-        message: success ? 'Summary copied to clipboard!' : 'Failed to copy. Please try again.',
+        message: success ? t('result.copySuccessToast') : t('result.copyErrorToast'),
         type: success ? 'success' : 'error'
       });
     }
@@ -86,13 +113,13 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
   };
 
   /**
-   * FEATURE 4: Edit Request Handler
-   * Takes user back to form with pre-filled data
-   * Allows correction without losing entered information
+   * FEATURE 4: New Request With These Details Handler
+   * Takes user back to form with pre-filled data for a second request;
+   * this ticket stays open
    */
-  const handleEdit = () => {
-    if (onEditRequest) {
-      onEditRequest();
+  const handleRequestFromDetails = () => {
+    if (onRequestFromDetails) {
+      onRequestFromDetails();
     }
   };
 
@@ -112,8 +139,34 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
       {/* Success Header - Confirmation of submission */}
       <div className="result-header">
         <div className="success-icon">✓</div>
-        <h2>Request Submitted Successfully</h2>
-        <p>Your support request has been received and analyzed by our AI system.</p>
+        <h2>{t('result.title')}</h2>
+        <p>{t('result.subtitle')}</p>
+
+        {/* Ticket reference - patients quote this when contacting the NGO,
+            and need it with the tracking code to check on the request later */}
+        {result.ticketId && (
+          <div className="ticket-reference">
+            <span className="ticket-reference__label">{t('result.ticketLabel')}</span>
+            <span className="ticket-reference__value">{result.ticketId}</span>
+            {result.trackingCode && (
+              <>
+                <span className="ticket-reference__label">{t('result.trackingCodeLabel')}</span>
+                <span className="ticket-reference__value">{result.trackingCode}</span>
+              </>
+            )}
+            <span className="ticket-reference__hint">
+              {t(result.trackingCode ? 'result.trackingHint' : 'result.ticketHint')}
+            </span>
+            {result.trackingCode && (
+              <a
+                className="ticket-reference__link"
+                href={`#/track?ticket=${encodeURIComponent(result.ticketId)}`}
+              >
+                {t('result.trackLink')}
+              </a>
+            )}
+          </div>
+        )}
       </div>
 
       {/* FEATURE 10: Emergency Action - Only shows for HIGH urgency
@@ -130,16 +183,16 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
         {/* CARD 1: Patient Info & Urgency - Most Critical Information */}
         <div className="result-card result-card--primary">
           <div className="card-header">
-            <h3>📋 Patient Information</h3>
+            <h3>{t('result.patientInfo')}</h3>
           </div>
           <div className="card-body">
             <div className="info-grid">
               <div className="info-item">
-                <span className="info-label">Name</span>
+                <span className="info-label">{t('result.name')}</span>
                 <span className="info-value">{result.patientName}</span>
               </div>
               <div className="info-item">
-                <span className="info-label">Category</span>
+                <span className="info-label">{t('result.category')}</span>
                 <span className="info-value">
                   <CategoryChip value={result.category} />
                 </span>
@@ -148,7 +201,7 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
             
             {/* Priority Badge - Inline with patient info for quick assessment */}
             <div className="urgency-inline">
-              <span className="info-label">Priority Level</span>
+              <span className="info-label">{t('result.priorityLevel')}</span>
               <PriorityBadge urgency={result.urgency} size="medium" />
             </div>
           </div>
@@ -157,15 +210,15 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
         {/* CARD 2: AI Summary - The core analysis output */}
         <div className="result-card result-card--summary">
           <div className="card-header">
-            <h3>🤖 AI-Generated Summary</h3>
+            <h3>{t('result.summary')}</h3>
             {/* FEATURE 7: Copy Summary Button */}
             <button 
               className={`copy-button ${copyStatus ? 'copy-button--' + copyStatus : ''}`}
               onClick={handleCopySummary}
-              aria-label="Copy summary to clipboard"
+              aria-label={t('result.copyAriaLabel')}
             >
-              {copyStatus === 'success' ? '✓ Copied!' : 
-               copyStatus === 'error' ? '✗ Failed' : '📋 Copy'}
+              {copyStatus === 'success' ? t('result.copied') : 
+               copyStatus === 'error' ? t('result.copyFailed') : t('result.copy')}
             </button>
           </div>
           <div className="card-body">
@@ -175,9 +228,8 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
             {aiConfidence !== null && (
               <div className="ai-confidence">
                 <div className="ai-confidence__header">
-                  <span className="ai-confidence__label">AI Confidence:</span>
+                  <span className="ai-confidence__label">{t('result.confidence')}</span>
                   <span className="ai-confidence__value">{aiConfidence}%</span>
-                  <span className="ai-confidence__disclaimer">(simulated)</span>
                 </div>
                 <div className="ai-confidence__bar">
                   <div 
@@ -185,6 +237,9 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
                     style={{ width: `${aiConfidence}%` }}
                   />
                 </div>
+                {needsHumanReview && (
+                  <p className="ai-confidence__review">{t('result.humanReview')}</p>
+                )}
               </div>
             )}
           </div>
@@ -193,7 +248,7 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
         {/* CARD 3: Response Time & Next Steps */}
         <div className="result-card result-card--timeline">
           <div className="card-header">
-            <h3>⏱️ Response Timeline</h3>
+            <h3>{t('result.timeline')}</h3>
           </div>
           <div className="card-body">
             {/* FEATURE 9: Estimated Response Time */}
@@ -213,7 +268,8 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
         {/* CARD 4: Status Tracker - Visual workflow */}
         <div className="result-card result-card--status">
           <StatusTracker 
-            currentStatus="review" 
+            currentStatus={requestStatus.status}
+            history={requestStatus.history}
             urgency={result.urgency} 
           />
         </div>
@@ -223,30 +279,29 @@ function ResultDisplay({ result, onNewRequest, onEditRequest, onShowToast }) {
 
       {/* What's Next Section - Actionable next steps */}
       <div className="next-steps">
-        <h3>📌 What Happens Next?</h3>
+        <h3>{t('result.nextStepsTitle')}</h3>
         <ul>
-          <li>✅ Your request has been added to our priority queue</li>
-          <li>👀 A healthcare support volunteer will review your case</li>
-          <li>📞 You will be contacted based on the urgency level</li>
-          <li>🚨 For emergencies, please also contact local emergency services</li>
+          {t('result.nextSteps').map(step => (
+            <li key={step}>{step}</li>
+          ))}
         </ul>
       </div>
 
-      {/* FEATURE 4: Edit Request & Reset Flow */}
+      {/* FEATURE 4: Follow-up & Reset Flow */}
       <div className="action-buttons">
         <button 
-          className="action-button action-button--edit"
-          onClick={handleEdit}
-          aria-label="Edit this request with pre-filled information"
+          className="action-button action-button--reuse"
+          onClick={handleRequestFromDetails}
+          aria-label={t('result.reuseDetailsAriaLabel')}
         >
-          ✏️ Edit Request
+          {t('result.reuseDetails')}
         </button>
         <button 
           className="action-button action-button--new"
           onClick={handleReset}
-          aria-label="Submit a new request with empty form"
+          aria-label={t('result.newRequestAriaLabel')}
         >
-          ➕ Submit Another Request
+          {t('result.newRequest')}
         </button>
       </div>
 
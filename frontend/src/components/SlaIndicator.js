@@ -0,0 +1,54 @@
+/**
+ * SlaIndicator Component - Shows how a request is doing against its SLA
+ *
+ * PURPOSE:
+ * Every request has a response-time promise based on its urgency.
+ * This small badge tells volunteers at a glance whether that promise
+ * is on track, at risk, already missed, or met.
+ *
+ * STATES:
+ * - on_track: "Due in 20 h"
+ * - at_risk: "Due in 30 min" (amber)
+ * - breached: "Overdue by 2 h" (red)
+ * - met: "SLA met"
+ * A second badge marks requests escalated after missing their SLA.
+ */
+
+import React from 'react';
+import { formatDuration } from '../utils/requestHelpers';
+import '../styles/SlaIndicator.css';
+
+/**
+ * Builds the badge text for an SLA
+ */
+const getSlaText = (sla) => {
+  if (sla.state === 'met') return '✅ SLA met';
+  if (sla.minutesRemaining === null) return '🔴 SLA missed';
+  if (sla.state === 'breached') return `🔴 Overdue by ${formatDuration(sla.minutesRemaining)}`;
+  if (sla.state === 'at_risk') return `⚠️ Due in ${formatDuration(sla.minutesRemaining)}`;
+  return `⏰ Due in ${formatDuration(sla.minutesRemaining)}`;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.sla - SLA view from the API { dueAt, state, minutesRemaining, escalated }
+ */
+function SlaIndicator({ sla }) {
+  if (!sla) return null;
+
+  return (
+    <span className="sla-indicator">
+      <span
+        className={`sla-indicator__badge sla-indicator__badge--${sla.state}`}
+        title={`Respond by ${new Date(sla.dueAt).toLocaleString()}`}
+      >
+        {getSlaText(sla)}
+      </span>
+      {sla.escalated && (
+        <span className="sla-indicator__badge sla-indicator__badge--escalated">⬆️ Escalated</span>
+      )}
+    </span>
+  );
+}
+
+export default SlaIndicator;
@@ -0,0 +1,134 @@
+/**
+ * SlaReport Component - SLA breach report for coordinators
+ *
+ * PURPOSE:
+ * Shows which requests missed their response-time promise, how many
+ * breaches there were per urgency level, and which of those patients
+ * are still waiting - so coordinators can spot capacity problems.
+ *
+ * Opening a row shows the request in the normal RequestDetail view.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSlaBreachReport } from '../services/api';
+import { STATUS_LABELS, URGENCY_LEVELS, formatTimeAgo } from '../utils/requestHelpers';
+import PriorityBadge from './PriorityBadge';
+import CategoryChip from './CategoryChip';
+import SlaIndicator from './SlaIndicator';
+import '../styles/SlaReport.css';
+
+/**
+ * @param {Object} props
+ * @param {function} props.onOpenRequest - Called with a ticket ID to open it
+ * @param {function} props.onSessionExpired - Called when the backend rejects the login
+ */
+function SlaReport({ onOpenRequest, onSessionExpired }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads the report for the selected date range
+   */
+  const loadReport = useCallback(async () => {
+    const response = await getSlaBreachReport(range);
+    if (response.success) {
+      setReport(response.data);
+      setError(null);
+    } else if (response.unauthorized) {
+      onSessionExpired();
+    } else {
+      setError(response.error || 'Failed to load the SLA report');
+    }
+  }, [range, onSessionExpired]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <div className="sla-report">
+      <div className="dashboard-filters">
+        <label className="dashboard-filters__field">
+          <span>From</span>
+          <input type="date" name="from" value={range.from} onChange={handleRangeChange} />
+        </label>
+        <label className="dashboard-filters__field">
+          <span>To</span>
+          <input type="date" name="to" value={range.to} onChange={handleRangeChange} />
+        </label>
+      </div>
+
+      {error && (
+        <div className="api-error">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {report && (
+        <>
+          {/* Totals */}
+          <div className="sla-report__summary">
+            <div className="sla-report__stat">
+              <span className="sla-report__stat-value">{report.summary.breaches}</span>
+              <span className="sla-report__stat-label">Breaches</span>
+            </div>
+            <div className="sla-report__stat">
+              <span className="sla-report__stat-value">{report.summary.stillWaiting}</span>
+              <span className="sla-report__stat-label">Still waiting</span>
+            </div>
+            {URGENCY_LEVELS.map(level => (
+              <div key={level} className="sla-report__stat">
+                <span className="sla-report__stat-value">{report.summary.byUrgency[level] || 0}</span>
+                <span className="sla-report__stat-label">{level}</span>
+              </div>
+            ))}
+          </div>
+
+          {report.requests.length === 0 ? (
+            <p className="volunteer-dashboard__empty">No SLA breaches in this period. 🎉</p>
+          ) : (
+            <ul className="request-queue">
+              {report.requests.map(request => (
+                <li key={request.ticketId}>
+                  <button
+                    className={`request-row request-row--${request.urgency.toLowerCase()}`}
+                    onClick={() => onOpenRequest(request.ticketId)}
+                    aria-label={`Open request ${request.ticketId}`}
+                  >
+                    <div className="request-row__top">
+                      <PriorityBadge urgency={request.urgency} size="small" />
+                      <CategoryChip value={request.category} />
+                      <SlaIndicator sla={request.sla} />
+                      <span className="request-row__status">
+                        {STATUS_LABELS[request.status] || request.status}
+                      </span>
+                    </div>
+                    <div className="request-row__meta">
+                      <span className="request-row__ticket">{request.ticketId}</span>
+                      <span>
+                        Missed at {request.breaches.map(breach => breach.urgency).join(', ')} urgency
+                      </span>
+                      <span>
+                        👤 {request.assignedVolunteer ? request.assignedVolunteer.name : 'Unassigned'}
+                      </span>
+                      <span>⏳ {formatTimeAgo(request.createdAt)}</span>
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SlaReport;
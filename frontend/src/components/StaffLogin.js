@@ -0,0 +1,107 @@
+/**
+ * StaffLogin Component - Login form for volunteers and coordinators
+ * 
+ * PURPOSE:
+ * Staff screens show patient health information, so they are only
+ * available after logging in. Patients never need to log in -
+ * the support form and status tracking stay public.
+ * 
+ * Accounts are created by an admin; there is no self sign-up.
+ */
+
+import React, { useState } from 'react';
+import { loginStaff } from '../services/api';
+import '../styles/PatientSupportForm.css';
+import '../styles/StaffLogin.css';
+
+function StaffLogin({ onLogin }) {
+  const [credentials, setCredentials] = useState({ email: '', password: '' });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * Updates a credential field and clears any previous error
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials(prev => ({ ...prev, [name]: value }));
+    if (error) setError(null);
+  };
+
+  /**
+   * Submits the credentials and passes the session to the parent
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!credentials.email.trim() || !credentials.password) {
+      setError('Please enter your email and password');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const response = await loginStaff(credentials.email.trim(), credentials.password);
+    setIsSubmitting(false);
+
+    if (response.success) {
+      onLogin(response.data);
+    } else {
+      setError(response.error || 'Login failed');
+    }
+  };
+
+  return (
+    <form className="staff-login support-form" onSubmit={handleSubmit}>
+      <h2 className="staff-login__title">🔐 Staff Login</h2>
+      <p className="staff-login__intro">
+        The volunteer dashboard is for Jarurat Care volunteers and coordinators only.
+      </p>
+
+      {error && (
+        <div className="api-error">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="staff-email">Email</label>
+        <input
+          type="email"
+          id="staff-email"
+          name="email"
+          value={credentials.email}
+          onChange={handleChange}
+          autoComplete="username"
+          disabled={isSubmitting}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="staff-password">Password</label>
+        <input
+          type="password"
+          id="staff-password"
+          name="password"
+          value={credentials.password}
+          onChange={handleChange}
+          autoComplete="current-password"
+          disabled={isSubmitting}
+        />
+      </div>
+
+      <button type="submit" className="submit-button" disabled={isSubmitting}>
+        {isSubmitting ? (
+          <>
+            <span className="spinner"></span>
+            Signing in...
+          </>
+        ) : (
+          'Sign In'
+        )}
+      </button>
+    </form>
+  );
+}
+
+export default StaffLogin;
@@ -10,10 +10,15 @@
  * 1. SUBMITTED - Request received and recorded in system
  * 2. UNDER REVIEW - AI has processed, staff is reviewing
  * 3. VOLUNTEER ASSIGNED - A volunteer has taken ownership
+ * 4. IN PROGRESS - The volunteer is actively working on the case
+ * 5. RESOLVED - Support has been provided
  * 
- * Note: For this demo, we always show "Under Review" as the
- * current status since there's no database tracking actual progress.
- * In production, status would be fetched from backend.
+ * A request may also be CLOSED (e.g. withdrawn or a duplicate).
+ * When that happens the final step is shown as "Closed" instead.
+ * 
+ * The status and its history come from the backend status lifecycle
+ * (GET /api/support-request/:ticketId/status). Each completed step
+ * shows the time it was reached.
  * 
  * UX REASONING:
  * - Horizontal stepper pattern is universally understood
@@ -49,29 +54,89 @@ const WORKFLOW_STEPS = [
     icon: '👤',
     label: 'Volunteer Assigned',
     description: 'Help is on the way'
+  },
+  {
+    id: 'in_progress',
+    icon: '🤝',
+    label: 'In Progress',
+    description: 'Volunteer working on it'
+  },
+  {
+    id: 'resolved',
+    icon: '✅',
+    label: 'Resolved',
+    description: 'Support provided'
   }
 ];
 
+/**
+ * Replaces the final step when a request was closed
+ */
+const CLOSED_STEP = {
+  id: 'closed',
+  icon: '📁',
+  label: 'Closed',
+  description: 'Request closed'
+};
+
+/**
+ * Statuses where the workflow has finished
+ * The current step is shown as completed rather than "in progress"
+ */
+const FINAL_STATUSES = ['resolved', 'closed'];
+
+/**
+ * Formats an ISO timestamp for display under a step
+ */
+const formatStepTime = (isoString) => {
+  const date = new Date(isoString);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
 /**
  * StatusTracker Component
  * 
  * @param {Object} props
- * @param {string} props.currentStatus - Current step: 'submitted' | 'review' | 'assigned'
+ * @param {string} props.currentStatus - Current status from the backend lifecycle
+ * @param {Array} props.history - Status history: [{ status, at }]
  * @param {string} props.urgency - Urgency level affects visual priority
  */
-function StatusTracker({ currentStatus = 'review', urgency = 'medium' }) {
+function StatusTracker({ currentStatus = 'review', history = [], urgency = 'medium' }) {
+  // A closed request shows "Closed" as its final step
+  const steps = currentStatus === 'closed'
+    ? [...WORKFLOW_STEPS.slice(0, -1), CLOSED_STEP]
+    : WORKFLOW_STEPS;
+
+  const currentIndex = steps.findIndex(s => s.id === currentStatus);
+
+  /**
+   * Finds when a step was (most recently) reached
+   * Returns undefined for steps the request has not reached
+   */
+  const getStepTime = (stepId) => {
+    const entries = history.filter(entry => entry.status === stepId);
+    return entries.length > 0 ? entries[entries.length - 1].at : undefined;
+  };
+
   /**
    * Determine step state (completed, current, or pending)
    * Steps before currentStatus are "completed"
-   * The currentStatus step is "current"
+   * The currentStatus step is "current" (or "completed" once the workflow is finished)
    * Steps after currentStatus are "pending"
    */
   const getStepState = (stepId) => {
-    const stepIndex = WORKFLOW_STEPS.findIndex(s => s.id === stepId);
-    const currentIndex = WORKFLOW_STEPS.findIndex(s => s.id === currentStatus);
+    const stepIndex = steps.findIndex(s => s.id === stepId);
     
     if (stepIndex < currentIndex) return 'completed';
-    if (stepIndex === currentIndex) return 'current';
+    if (stepIndex === currentIndex) {
+      return FINAL_STATUSES.includes(currentStatus) ? 'completed' : 'current';
+    }
     return 'pending';
   };
 
@@ -106,8 +171,9 @@ function StatusTracker({ currentStatus = 'review', urgency = 'medium' }) {
 
       {/* Progress Steps */}
       <div className="status-tracker__steps">
-        {WORKFLOW_STEPS.map((step, index) => {
+        {steps.map((step, index) => {
           const state = getStepState(step.id);
+          const stepTime = state !== 'pending' ? getStepTime(step.id) : undefined;
           
           return (
             <React.Fragment key={step.id}>
@@ -126,13 +192,18 @@ function StatusTracker({ currentStatus = 'review', urgency = 'medium' }) {
                 <div className="status-step__content">
                   <span className="status-step__label">{step.label}</span>
                   <span className="status-step__description">{step.description}</span>
+                  {stepTime && (
+                    <time className="status-step__time" dateTime={stepTime}>
+                      {formatStepTime(stepTime)}
+                    </time>
+                  )}
                 </div>
               </div>
 
               {/* Connector Line (except after last step) */}
-              {index < WORKFLOW_STEPS.length - 1 && (
+              {index < steps.length - 1 && (
                 <div className={`status-connector status-connector--${
-                  getStepState(WORKFLOW_STEPS[index + 1].id) !== 'pending' ? 'active' : 'inactive'
+                  getStepState(steps[index + 1].id) !== 'pending' ? 'active' : 'inactive'
                 }`} />
               )}
             </React.Fragment>
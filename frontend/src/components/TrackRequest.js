@@ -0,0 +1,191 @@
+/**
+ * TrackRequest Component - "Track my request" page for patients
+ *
+ * PURPOSE:
+ * Once the result screen is closed, patients need a way to come back
+ * and see how their request is going. They enter the ticket ID and the
+ * tracking code they received on submission, and see:
+ * - The request status via StatusTracker
+ * - The first name of the volunteer helping them, once assigned
+ * - Updates that staff marked as visible to the patient
+ *
+ * PRIVACY:
+ * Both values are needed, so a ticket ID read out on the phone is not
+ * enough to open the request. The backend limits wrong codes.
+ *
+ * The page is opened with the #/track hash route; a link with
+ * #/track?ticket=JC-... pre-fills the ticket ID.
+ */
+
+import React, { useState } from 'react';
+import { trackRequest } from '../services/api';
+import StatusTracker from './StatusTracker';
+import CategoryChip from './CategoryChip';
+import { useTranslation } from '../i18n';
+import '../styles/TrackRequest.css';
+
+/**
+ * Ticket ID from a #/track?ticket=... link, if any
+ */
+const getTicketFromHash = () => {
+  const query = window.location.hash.split('?')[1] || '';
+  return new URLSearchParams(query).get('ticket') || '';
+};
+
+/**
+ * Formats an ISO timestamp for the update list
+ */
+const formatDate = (isoString, language) => {
+  const date = new Date(isoString);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleString(language === 'hi' ? 'hi-IN' : 'en-IN', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+function TrackRequest() {
+  const { t, language } = useTranslation();
+
+  const [ticketId, setTicketId] = useState(getTicketFromHash);
+  const [trackingCode, setTrackingCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // The patient's view of the request, once found
+  const [request, setRequest] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!ticketId.trim() || !trackingCode.trim()) {
+      setError(t('track.errors.required'));
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    const response = await trackRequest(ticketId.trim(), trackingCode.trim());
+    if (response.success) {
+      setRequest(response.data);
+    } else {
+      setError(response.error || t('track.errors.failed'));
+    }
+
+    setIsLoading(false);
+  };
+
+  /**
+   * Back to the lookup form; the code is cleared so it is not left on screen
+   */
+  const handleReset = () => {
+    setRequest(null);
+    setTrackingCode('');
+    setError(null);
+  };
+
+  if (request) {
+    return (
+      <div className="track-request">
+        <div className="track-request__header">
+          <span className="track-request__label">{t('result.ticketLabel')}</span>
+          <span className="track-request__ticket">{request.ticketId}</span>
+          <CategoryChip value={request.category} />
+        </div>
+
+        <StatusTracker
+          currentStatus={request.status}
+          history={request.history}
+          urgency={request.urgency}
+        />
+
+        <div className="track-request__section">
+          <h3>{t('track.volunteerTitle')}</h3>
+          <p>
+            {request.volunteerFirstName
+              ? t('track.volunteerAssigned', { name: request.volunteerFirstName })
+              : t('track.volunteerPending')}
+          </p>
+        </div>
+
+        <div className="track-request__section">
+          <h3>{t('track.updatesTitle')}</h3>
+          {request.notes.length === 0 ? (
+            <p className="track-request__empty">{t('track.noUpdates')}</p>
+          ) : (
+            <ul className="track-request__updates">
+              {[...request.notes].reverse().map(note => (
+                <li key={note.id} className="track-request__update">
+                  <time dateTime={note.createdAt}>{formatDate(note.createdAt, language)}</time>
+                  <p>{note.text}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <button type="button" className="submit-button" onClick={handleReset}>
+          {t('track.another')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="track-request support-form" onSubmit={handleSubmit}>
+      <p className="track-request__intro">{t('track.intro')}</p>
+
+      {error && (
+        <div className="api-error" role="alert">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="track-ticket">{t('track.ticketLabel')}</label>
+        <input
+          type="text"
+          id="track-ticket"
+          value={ticketId}
+          onChange={(e) => setTicketId(e.target.value)}
+          placeholder="JC-20260208-7KQ4M2"
+          autoComplete="off"
+          disabled={isLoading}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="track-code">{t('track.codeLabel')}</label>
+        <input
+          type="text"
+          id="track-code"
+          value={trackingCode}
+          onChange={(e) => setTrackingCode(e.target.value)}
+          placeholder={t('track.codePlaceholder')}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={7}
+          disabled={isLoading}
+        />
+        <span className="track-request__hint">{t('track.codeHint')}</span>
+      </div>
+
+      <button type="submit" className="submit-button" disabled={isLoading}>
+        {isLoading ? (
+          <>
+            <span className="spinner"></span>
+            {t('track.searching')}
+          </>
+        ) : (
+          t('track.submit')
+        )}
+      </button>
+    </form>
+  );
+}
+
+export default TrackRequest;
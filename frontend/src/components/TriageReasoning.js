@@ -0,0 +1,172 @@
+/**
+ * TriageReasoning Component - "Why this priority?" panel for staff
+ *
+ * PURPOSE:
+ * Explains how a request got its urgency, so volunteers can trust it
+ * or spot a wrong call before acting on it:
+ * - Which engine decided (OpenAI, a local model or the rule-based
+ *   classifier), which ones were unavailable, and how confident it was
+ * - The rules that fired, e.g. "Fever → Medium", and the ones that
+ *   were negated ("no chest pain")
+ * - Whether the patient's age or the category minimum changed the level
+ *
+ * Collapsed by default to keep the request view short.
+ */
+
+import React, { useState } from 'react';
+import '../styles/TriageReasoning.css';
+
+const ENGINE_LABELS = {
+  openai: 'OpenAI',
+  local: 'Local model',
+  rules: 'Rule-based classifier'
+};
+
+const CONFIDENCE_SOURCES = {
+  rules: 'how strongly the matched rules agree',
+  logprobs: 'model token probability',
+  self_reported: "model's own estimate",
+  emergency_lexicon: 'emergency phrase match',
+  default: 'no estimate from the model'
+};
+
+const FALLBACK_REASONS = {
+  timeout: 'timed out',
+  connection: 'unreachable',
+  rate_limited: 'rate limited',
+  auth: 'rejected the API key',
+  api_error: 'returned an error',
+  invalid_json: 'gave no valid JSON',
+  schema_mismatch: 'gave an invalid answer'
+};
+
+const AGE_EFFECTS = {
+  raise: 'raises the level by one when symptoms are mentioned',
+  minimum: 'is at least Medium when symptoms are mentioned'
+};
+
+/**
+ * Short explanation of a matched rule's effect
+ */
+const getRuleEffect = (rule) => {
+  if (rule.negated) return 'negated - ignored';
+  return rule.level ? `→ ${rule.level}` : 'no effect';
+};
+
+/**
+ * "OpenAI timed out, Local model gave an invalid answer"
+ */
+const describeFallback = (fallbackFrom) => fallbackFrom
+  .map(({ provider, reason }) => `${ENGINE_LABELS[provider] || provider} ${FALLBACK_REASONS[reason] || 'was unavailable'}`)
+  .join(', ');
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.reasoning - Reasoning from the API
+ *   { engine, model, explanation, matchedRules, ageFactor, categoryDefault,
+ *   fallbackFrom, repaired, redactedPII, injectionSignals, ruleCheck, confidenceSource }
+ * @param {string} props.urgency - The request's current urgency
+ * @param {number|null} props.confidence - Classifier confidence (0-1)
+ */
+function TriageReasoning({ reasoning, urgency, confidence }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const {
+    engine, model, explanation, matchedRules = [], ageFactor, categoryDefault, fallbackFrom, repaired, redactedPII = {}, injectionSignals = [], ruleCheck,
+    confidenceSource
+  } = reasoning;
+  const maskedDetails = Object.entries(redactedPII);
+
+  return (
+    <section className="triage-reasoning">
+      <button
+        className="triage-reasoning__toggle"
+        onClick={() => setIsExpanded(expanded => !expanded)}
+        aria-expanded={isExpanded}
+        aria-controls="triage-reasoning-details"
+      >
+        <span>❓ Why this priority?</span>
+        <span className="triage-reasoning__icon" aria-hidden="true">
+          {isExpanded ? '−' : '+'}
+        </span>
+      </button>
+
+      {isExpanded && (
+        <div id="triage-reasoning-details" className="triage-reasoning__details" role="region">
+          <p className="triage-reasoning__engine">
+            Classified as <strong>{urgency}</strong> by {ENGINE_LABELS[engine] || engine}
+            {model && ` (${model})`}
+            {repaired && ' after one corrected answer'}
+            {fallbackFrom && fallbackFrom.length > 0 && ` - ${describeFallback(fallbackFrom)}`}
+          </p>
+
+          {typeof confidence === 'number' && (
+            <p className="triage-reasoning__confidence">
+              Confidence: <strong>{Math.round(confidence * 100)}%</strong>
+              {confidenceSource && ` (${CONFIDENCE_SOURCES[confidenceSource] || confidenceSource})`}
+            </p>
+          )}
+
+          {explanation && <p className="triage-reasoning__explanation">“{explanation}”</p>}
+
+          {injectionSignals.length > 0 && (
+            <p className="triage-reasoning__warning">
+              ⚠️ The description may be trying to steer the AI: {injectionSignals.map(signal => signal.label).join('; ')}
+            </p>
+          )}
+
+          <h4>Matched rules</h4>
+          {matchedRules.length > 0 ? (
+            <ul className="triage-reasoning__rules">
+              {matchedRules.map(rule => (
+                <li
+                  key={`${rule.type}-${rule.id}`}
+                  className={rule.negated ? 'triage-reasoning__rule--negated' : ''}
+                >
+                  <span className="triage-reasoning__rule-label">{rule.label}</span>
+                  <span className="triage-reasoning__matched">"{rule.matched}"</span>
+                  <span className={`triage-reasoning__effect triage-reasoning__effect--${(rule.level || 'none').toLowerCase()}`}>
+                    {getRuleEffect(rule)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="triage-reasoning__empty">No rules matched.</p>
+          )}
+
+          <h4>Other factors</h4>
+          <ul className="triage-reasoning__factors">
+            {ageFactor && (
+              <li>
+                Age {ageFactor.age}: {ageFactor.label}
+                {ageFactor.effect && ` - ${AGE_EFFECTS[ageFactor.effect]}`}
+                {ageFactor.applied && <strong> (applied)</strong>}
+              </li>
+            )}
+            {categoryDefault && (
+              <li>
+                Category {categoryDefault.label}: at least {categoryDefault.minimumUrgency}
+                {categoryDefault.applied && <strong> (applied)</strong>}
+              </li>
+            )}
+            {ruleCheck && (
+              <li>
+                Urgency rules alone: {ruleCheck.urgency}
+                {ruleCheck.disagrees && <strong> (strong disagreement)</strong>}
+              </li>
+            )}
+            {maskedDetails.length > 0 && (
+              <li>
+                Masked before sending to the model:{' '}
+                {maskedDetails.map(([category, count]) => `${category} ×${count}`).join(', ')}
+              </li>
+            )}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default TriageReasoning;
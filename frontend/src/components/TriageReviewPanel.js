@@ -0,0 +1,117 @@
+/**
+ * TriageReviewPanel Component - Human review of uncertain triage
+ *
+ * PURPOSE:
+ * When the request looks like spam or abuse, the classifier was not
+ * confident about its urgency, the description tried to instruct the AI,
+ * or the AI and the urgency rules disagreed strongly, a staff member must
+ * confirm or correct the urgency
+ * before anyone can be assigned. This panel says why and offers one
+ * button per urgency level; the current level is the "confirm" choice.
+ *
+ * Once reviewed, it shows who confirmed the priority and when.
+ */
+
+import React, { useState } from 'react';
+import { reviewTriage } from '../services/api';
+import { formatTimeAgo } from '../utils/requestHelpers';
+import '../styles/TriageReviewPanel.css';
+
+const URGENCY_LEVELS = ['High', 'Medium', 'Low'];
+
+/**
+ * Why the review is needed, in the order the backend ranks the reasons
+ */
+const describeReviewReason = ({ reason, spamSignals = [] }, urgency, confidenceText) => {
+  switch (reason) {
+    case 'suspected_spam':
+      return <>This request may be spam or abuse ({spamSignals.map(signal => signal.label).join('; ')}). Confirm its priority if it is genuine, otherwise close it.</>;
+    case 'prompt_injection':
+      return <>The description seems to give the AI instructions, so its <strong>{urgency}</strong> priority may not be genuine.</>;
+    case 'model_rule_disagreement':
+      return <>The AI chose <strong>{urgency}</strong> priority, but the urgency rules strongly disagree (see "Why this priority?").</>;
+    default:
+      return <>The AI was only {confidenceText} confident that this request is <strong>{urgency}</strong> priority.</>;
+  }
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.ticketId - Ticket ID of the request
+ * @param {string} props.urgency - Current urgency
+ * @param {number|null} props.confidence - Classifier confidence (0-1)
+ * @param {Object|null} props.humanReview - Review record from the API
+ * @param {function} props.onReviewed - Called after a successful review
+ * @param {function} props.onSessionExpired - Called when the backend rejects the login
+ * @param {function} props.onShowToast - Shows a toast notification
+ */
+function TriageReviewPanel({ ticketId, urgency, confidence, humanReview, onReviewed, onSessionExpired, onShowToast }) {
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Confident triage never needed a review
+  if (!humanReview || !humanReview.required) return null;
+
+  const confidenceText = typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : 'unknown';
+
+  /**
+   * Saves the confirmed or corrected urgency
+   */
+  const handleReview = async (level) => {
+    setIsSaving(true);
+    const response = await reviewTriage(ticketId, level);
+    setIsSaving(false);
+
+    if (response.unauthorized) {
+      onSessionExpired();
+      return;
+    }
+
+    if (onShowToast) {
+      onShowToast({
+        message: response.success
+          ? (level === urgency ? `Priority ${level} confirmed` : `Priority changed to ${level}`)
+          : response.error || 'Failed to save the review',
+        type: response.success ? 'success' : 'error'
+      });
+    }
+
+    if (response.success) {
+      onReviewed();
+    }
+  };
+
+  if (humanReview.reviewedAt) {
+    return (
+      <section className="triage-review triage-review--done">
+        <p>
+          ✅ Priority reviewed by <strong>{humanReview.reviewedBy.name}</strong> {formatTimeAgo(humanReview.reviewedAt)}
+          {humanReview.originalUrgency !== urgency && ` (AI suggested ${humanReview.originalUrgency})`}
+        </p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="triage-review">
+      <h3>🧐 Priority needs review</h3>
+      <p className="triage-review__text">
+        {describeReviewReason(humanReview, urgency, confidenceText)}
+        {' '}Confirm or correct it before the request can be assigned.
+      </p>
+      <div className="triage-review__actions">
+        {URGENCY_LEVELS.map(level => (
+          <button
+            key={level}
+            className={`triage-review__option triage-review__option--${level.toLowerCase()}${level === urgency ? ' triage-review__option--current' : ''}`}
+            onClick={() => handleReview(level)}
+            disabled={isSaving}
+          >
+            {level === urgency ? `Confirm ${level}` : `Change to ${level}`}
+          </button>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default TriageReviewPanel;
@@ -0,0 +1,113 @@
+/**
+ * UrgencyOverride Component - Coordinator priority override
+ *
+ * PURPOSE:
+ * After triage, a coordinator may learn that a request is more (or
+ * less) urgent than it looked, e.g. on the first call with the patient.
+ * They can change its priority here, but only with a reason: it is
+ * kept in the request's activity log. The SLA window restarts at the
+ * new priority.
+ */
+
+import React, { useState } from 'react';
+import { overrideUrgency } from '../services/api';
+import { URGENCY_LEVELS } from '../utils/requestHelpers';
+import '../styles/UrgencyOverride.css';
+
+const MIN_REASON_LENGTH = 5;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * @param {Object} props
+ * @param {string} props.ticketId - Ticket ID of the request
+ * @param {string} props.urgency - Current urgency
+ * @param {function} props.onChanged - Called after the urgency is changed
+ * @param {function} props.onSessionExpired - Called when the backend rejects the login
+ * @param {function} props.onShowToast - Shows a toast notification
+ */
+function UrgencyOverride({ ticketId, urgency, onChanged, onSessionExpired, onShowToast }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [level, setLevel] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleCancel = () => {
+    setIsOpen(false);
+    setLevel('');
+    setReason('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const response = await overrideUrgency(ticketId, level, reason.trim());
+    setIsSaving(false);
+
+    if (response.unauthorized) {
+      onSessionExpired();
+      return;
+    }
+
+    if (onShowToast) {
+      onShowToast({
+        message: response.success ? `Priority changed to ${level}` : response.error || 'Failed to change the priority',
+        type: response.success ? 'success' : 'error'
+      });
+    }
+
+    if (response.success) {
+      handleCancel();
+      onChanged();
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button className="urgency-override__open" onClick={() => setIsOpen(true)}>
+        Change priority
+      </button>
+    );
+  }
+
+  const canSubmit = level && reason.trim().length >= MIN_REASON_LENGTH && !isSaving;
+
+  return (
+    <form className="urgency-override" onSubmit={handleSubmit}>
+      <h3>⚡ Change priority</h3>
+      <div className="urgency-override__levels">
+        {URGENCY_LEVELS.filter(option => option !== urgency).map(option => (
+          <label key={option} className={`urgency-override__level urgency-override__level--${option.toLowerCase()}`}>
+            <input
+              type="radio"
+              name="urgency"
+              value={option}
+              checked={level === option}
+              onChange={() => setLevel(option)}
+              disabled={isSaving}
+            />
+            {option}
+          </label>
+        ))}
+      </div>
+      <textarea
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        placeholder={`Why is this request ${level ? `${level} priority` : 'a different priority'}? (required)`}
+        rows={2}
+        maxLength={MAX_REASON_LENGTH}
+        disabled={isSaving}
+        aria-label="Reason for the change"
+      />
+      <div className="urgency-override__actions">
+        <button type="button" className="urgency-override__cancel" onClick={handleCancel} disabled={isSaving}>
+          Cancel
+        </button>
+        <button type="submit" className="urgency-override__save" disabled={!canSubmit}>
+          {isSaving ? 'Saving…' : 'Change Priority'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default UrgencyOverride;
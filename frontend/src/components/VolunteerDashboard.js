@@ -0,0 +1,297 @@
+/**
+ * VolunteerDashboard Component - Triage Queue for NGO Volunteers
+ *
+ * PURPOSE:
+ * Gives volunteers and coordinators one screen to work through
+ * incoming support requests, most urgent first.
+ *
+ * FEATURES:
+ * - Queue sorted by urgency (High first), then by age (oldest first)
+ * - Filters for category, urgency, status and assigned volunteer
+ * - Reuses PriorityBadge and CategoryChip for instant visual triage
+ * - Click a request to open the full description and AI summary
+ * - SLA badge on every row: time left, at risk, overdue or escalated
+ * - Coordinators can switch to the SLA breach report and the on-call rota
+ * - Urgent requests still paging the on-call coordinator are flagged
+ * - Staff-only: shown after login, with a sign-out button
+ *
+ * UX REASONING:
+ * - Volunteers review many requests in quick succession, so each row
+ *   shows only what is needed to decide what to open next
+ * - "Waiting" time makes long-waiting patients obvious
+ * - The sort order is decided by the backend so every volunteer
+ *   sees the same queue
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSupportRequests } from '../services/api';
+import { STATUS_LABELS, URGENCY_LEVELS, formatTimeAgo } from '../utils/requestHelpers';
+import { useCategories } from '../utils/categoryConfig';
+import PriorityBadge from './PriorityBadge';
+import CategoryChip from './CategoryChip';
+import RequestDetail from './RequestDetail';
+import SlaIndicator from './SlaIndicator';
+import SlaReport from './SlaReport';
+import OnCallRota from './OnCallRota';
+import '../styles/VolunteerDashboard.css';
+
+/**
+ * Default filter state - show every open request
+ */
+const INITIAL_FILTERS = {
+  category: '',
+  urgency: '',
+  status: 'open',
+  assignee: ''
+};
+
+// Roles that can see oversight reports (matches the backend)
+const COORDINATOR_ROLES = ['coordinator', 'admin'];
+
+const TAB_TITLES = {
+  queue: '🗂️ Triage Queue',
+  sla: '📉 SLA Breaches',
+  'on-call': '📟 On-call Rota'
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.currentUser - Logged-in staff member { name, role }
+ * @param {function} props.onLogout - Called when the user signs out
+ * @param {function} props.onSessionExpired - Called when the backend rejects the login
+ * @param {function} props.onShowToast - Shows a toast notification
+ */
+function VolunteerDashboard({ currentUser, onLogout, onSessionExpired, onShowToast }) {
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Issue categories from the backend registry, for the category filter
+  const categories = useCategories();
+
+  // Ticket ID of the request currently opened in the detail view
+  const [selectedTicketId, setSelectedTicketId] = useState(null);
+
+  // 'queue', 'sla' (SLA breach report) or 'on-call' (rota); the last two for coordinators only
+  const [activeTab, setActiveTab] = useState('queue');
+  const canViewReports = COORDINATOR_ROLES.includes(currentUser.role);
+
+  /**
+   * Loads the queue from the backend using the current filters
+   */
+  const loadRequests = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    const response = await getSupportRequests(filters);
+
+    if (response.success) {
+      setRequests(response.data);
+    } else if (response.unauthorized) {
+      onSessionExpired();
+    } else {
+      setError(response.error || 'Failed to load requests');
+    }
+
+    setIsLoading(false);
+  }, [filters, onSessionExpired]);
+
+  // Reload whenever the filters change
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  /**
+   * Updates a single filter value
+   */
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Returns from the detail view and refreshes the queue,
+   * since the request may have changed status
+   */
+  const handleCloseDetail = () => {
+    setSelectedTicketId(null);
+    loadRequests();
+  };
+
+  if (selectedTicketId) {
+    return (
+      <RequestDetail
+        ticketId={selectedTicketId}
+        currentUser={currentUser}
+        onBack={handleCloseDetail}
+        onSessionExpired={onSessionExpired}
+        onShowToast={onShowToast}
+      />
+    );
+  }
+
+  return (
+    <div className="volunteer-dashboard">
+      {/* Signed-in user */}
+      <div className="volunteer-dashboard__user">
+        <span>
+          Signed in as <strong>{currentUser.name}</strong>
+          <span className="volunteer-dashboard__role">{currentUser.role}</span>
+        </span>
+        <button className="volunteer-dashboard__logout" onClick={onLogout}>
+          Sign out
+        </button>
+      </div>
+
+      <div className="volunteer-dashboard__header">
+        <h2>{TAB_TITLES[activeTab]}</h2>
+        <div className="volunteer-dashboard__tabs">
+          {canViewReports && (
+            <>
+              <button
+                className={`volunteer-dashboard__tab${activeTab === 'queue' ? ' volunteer-dashboard__tab--active' : ''}`}
+                onClick={() => setActiveTab('queue')}
+              >
+                Queue
+              </button>
+              <button
+                className={`volunteer-dashboard__tab${activeTab === 'sla' ? ' volunteer-dashboard__tab--active' : ''}`}
+                onClick={() => setActiveTab('sla')}
+              >
+                SLA report
+              </button>
+              <button
+                className={`volunteer-dashboard__tab${activeTab === 'on-call' ? ' volunteer-dashboard__tab--active' : ''}`}
+                onClick={() => setActiveTab('on-call')}
+              >
+                On-call
+              </button>
+            </>
+          )}
+          {activeTab === 'queue' && (
+            <button
+              className="volunteer-dashboard__refresh"
+              onClick={loadRequests}
+              disabled={isLoading}
+              aria-label="Refresh request list"
+            >
+              🔄 Refresh
+            </button>
+          )}
+        </div>
+      </div>
+
+      {activeTab === 'sla' ? (
+        <SlaReport onOpenRequest={setSelectedTicketId} onSessionExpired={onSessionExpired} />
+      ) : activeTab === 'on-call' ? (
+        <OnCallRota onSessionExpired={onSessionExpired} onShowToast={onShowToast} />
+      ) : (
+        <>
+          {/* Filters */}
+          <div className="dashboard-filters">
+            <label className="dashboard-filters__field">
+              <span>Category</span>
+              <select name="category" value={filters.category} onChange={handleFilterChange}>
+                <option value="">All categories</option>
+                {categories.map(category => (
+                  <option key={category.value} value={category.value}>{category.label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="dashboard-filters__field">
+              <span>Urgency</span>
+              <select name="urgency" value={filters.urgency} onChange={handleFilterChange}>
+                <option value="">All urgencies</option>
+                {URGENCY_LEVELS.map(level => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="dashboard-filters__field">
+              <span>Status</span>
+              <select name="status" value={filters.status} onChange={handleFilterChange}>
+                <option value="open">All open</option>
+                <option value="all">All statuses</option>
+                {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="dashboard-filters__field">
+              <span>Assigned to</span>
+              <select name="assignee" value={filters.assignee} onChange={handleFilterChange}>
+                <option value="">Anyone</option>
+                <option value="me">Me</option>
+                <option value="unassigned">Unassigned</option>
+              </select>
+            </label>
+          </div>
+
+          {error && (
+            <div className="api-error">
+              <span className="error-icon">⚠️</span>
+              {error}
+            </div>
+          )}
+
+          {/* Request Queue */}
+          {isLoading && requests.length === 0 ? (
+            <p className="volunteer-dashboard__empty">Loading requests…</p>
+          ) : requests.length === 0 ? (
+            <p className="volunteer-dashboard__empty">No requests match these filters. 🎉</p>
+          ) : (
+            <ul className="request-queue">
+              {requests.map(request => (
+                <li key={request.ticketId}>
+                  <button
+                    className={`request-row request-row--${request.urgency.toLowerCase()}`}
+                    onClick={() => setSelectedTicketId(request.ticketId)}
+                    aria-label={`Open request ${request.ticketId} from ${request.patientName}`}
+                  >
+                    <div className="request-row__top">
+                      <PriorityBadge urgency={request.urgency} size="small" />
+                      <CategoryChip value={request.category} />
+                      <SlaIndicator sla={request.sla} />
+                      {['open', 'unacknowledged'].includes(request.alertStatus) && (
+                        <span className="request-row__alert" title="High urgency or Emergency - waiting for a coordinator">
+                          🚨 {request.alertStatus === 'open' ? 'Paging on-call' : 'Not acknowledged'}
+                        </span>
+                      )}
+                      {request.reviewPending && (
+                        <span className="request-row__review" title="Low AI confidence - confirm the priority">
+                          🧐 Needs review
+                        </span>
+                      )}
+                      <span className="request-row__status">
+                        {STATUS_LABELS[request.status] || request.status}
+                      </span>
+                    </div>
+                    <div className="request-row__main">
+                      <span className="request-row__name">
+                        {request.patientName} <span className="request-row__age">({request.age})</span>
+                      </span>
+                      <span className="request-row__summary">{request.summary}</span>
+                    </div>
+                    <div className="request-row__meta">
+                      <span className="request-row__ticket">{request.ticketId}</span>
+                      <span className="request-row__assignee">
+                        👤 {request.assignedVolunteer ? request.assignedVolunteer.name : 'Unassigned'}
+                      </span>
+                      <span className="request-row__waiting">⏳ {formatTimeAgo(request.createdAt)}</span>
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default VolunteerDashboard;
@@ -0,0 +1,125 @@
+/**
+ * i18n - Translations for the patient-facing app
+ *
+ * PURPOSE:
+ * Many patients the NGO serves are more comfortable in Hindi than in
+ * English. Every patient-facing string is looked up in a locale bundle
+ * (locales/en.js, locales/hi.js) instead of being written in the component.
+ *
+ * USAGE:
+ *   const { t, language, setLanguage } = useTranslation();
+ *   t('form.nameLabel')                      // "Full Name *"
+ *   t('toast.submitted', { ticketId })       // fills in {ticketId}
+ *
+ * - Keys missing from a bundle fall back to English, so a partially
+ *   translated bundle never shows blank text
+ * - The chosen language is remembered in localStorage and sent to the
+ *   backend, which replies in it (chatbot) and stores it with requests
+ *
+ * ADDING A LANGUAGE:
+ * Add a bundle in locales/, list it in LANGUAGES below, and add the
+ * backend bundle (backend/locales) and language registry entry.
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import en from './locales/en';
+import hi from './locales/hi';
+
+/**
+ * Languages offered in the language switcher, named in their own script
+ */
+export const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'hi', label: 'हिन्दी' }
+];
+
+const BUNDLES = { en, hi };
+const DEFAULT_LANGUAGE = 'en';
+
+// localStorage (not sessionStorage): the language is a lasting preference
+const LANGUAGE_KEY = 'jaruratCare.language';
+
+/**
+ * Reads a dotted key such as "form.nameLabel" from a bundle
+ */
+const lookup = (bundle, key) => {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), bundle);
+};
+
+/**
+ * Returns the translation for a key, falling back to English and then the key itself
+ *
+ * Strings have {placeholders} filled in from params. Non-string values
+ * (e.g. lists of quick options) are returned as they are.
+ *
+ * @param {string} language - Language code
+ * @param {string} key - Dotted key
+ * @param {Object} params - Placeholder values
+ * @returns {*} The translation
+ */
+export const translate = (language, key, params = {}) => {
+  let value = lookup(BUNDLES[language], key);
+  if (value === undefined) {
+    value = lookup(BUNDLES[DEFAULT_LANGUAGE], key);
+  }
+  if (value === undefined) {
+    return key;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined ? params[name] : match
+  ));
+};
+
+const getStoredLanguage = () => {
+  try {
+    const stored = localStorage.getItem(LANGUAGE_KEY);
+    return BUNDLES[stored] ? stored : DEFAULT_LANGUAGE;
+  } catch (error) {
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+const LanguageContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => {}
+});
+
+/**
+ * Provides the current language to the whole app
+ */
+export function LanguageProvider({ children }) {
+  const [language, setLanguageState] = useState(getStoredLanguage);
+
+  const setLanguage = useCallback((code) => {
+    if (!BUNDLES[code]) return;
+    setLanguageState(code);
+    try {
+      localStorage.setItem(LANGUAGE_KEY, code);
+    } catch (error) {
+      // Private browsing - the choice simply isn't remembered
+    }
+  }, []);
+
+  // Lets screen readers and the browser pick the right pronunciation and fonts
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return (
+    <LanguageContext.Provider value={{ language, setLanguage }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+}
+
+/**
+ * Hook returning { t, language, setLanguage }
+ */
+export function useTranslation() {
+  const { language, setLanguage } = useContext(LanguageContext);
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+  return { t, language, setLanguage };
+}
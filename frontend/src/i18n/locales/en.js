@@ -0,0 +1,212 @@
+/**
+ * English strings - the reference bundle
+ *
+ * Every key used in the app must exist here; other bundles fall back to
+ * it for anything they do not translate.
+ */
+
+const en = {
+  header: {
+    tagline: 'Healthcare Support for Communities in Need',
+    nav: {
+      patient: 'Get Support',
+      track: 'Track My Request',
+      volunteer: 'Volunteer Dashboard'
+    },
+    languageLabel: 'Language'
+  },
+
+  app: {
+    introTitle: 'Patient Support Request',
+    introText: 'Welcome to Jarurat Care\'s support portal. Fill out the form below to submit your healthcare concern. Our AI-powered system will analyze your request and help prioritize your care needs.',
+    footerTagline: 'Bringing healthcare support to those who need it most.',
+    submitted: 'Request submitted successfully! Our team will review it shortly.'
+  },
+
+  form: {
+    nameLabel: 'Full Name *',
+    namePlaceholder: 'Enter your full name',
+    ageLabel: 'Age *',
+    agePlaceholder: 'Enter your age',
+    categoryLabel: 'Issue Category',
+    categoryPlaceholder: 'Select a category...',
+    categoriesLoading: 'Loading categories...',
+    descriptionLabel: 'Describe Your Issue *',
+    descriptionPlaceholder: 'Please describe your health concern or issue in detail...',
+    charCount: '{count} / 2000 characters',
+    submit: 'Submit Request',
+    submitting: 'Processing...',
+    contactTitle: 'How should we contact you?',
+    phoneLabel: 'Mobile Number *',
+    phonePlaceholder: 'e.g. 98765 43210',
+    emailLabel: 'Email (optional)',
+    emailPlaceholder: 'you@example.com',
+    channelLabel: 'Preferred Contact',
+    timeLabel: 'Best Time to Contact',
+    languageLabel: 'Preferred Language',
+    channels: {
+      call: 'Phone call',
+      sms: 'SMS',
+      whatsapp: 'WhatsApp',
+      email: 'Email'
+    },
+    times: {
+      any: 'Any time',
+      morning: 'Morning (9am–12pm)',
+      afternoon: 'Afternoon (12pm–5pm)',
+      evening: 'Evening (5pm–8pm)'
+    },
+    submitFailed: 'Failed to submit request',
+    connectionError: 'Unable to connect to server. Please try again later.',
+    previousTicketNotice: 'This sends a new request. Your first request ({ticketId}) still stands - you do not need to send it again, and a volunteer will still contact you about it.',
+    errors: {
+      nameRequired: 'Name is required',
+      nameTooShort: 'Name must be at least 2 characters',
+      ageRequired: 'Age is required',
+      ageInvalid: 'Please enter a valid age (0-150)',
+      categoryRequired: 'Please select a category',
+      descriptionRequired: 'Description is required',
+      descriptionTooShort: 'Please provide at least 10 characters',
+      phoneRequired: 'Mobile number is required',
+      phoneInvalid: 'Please enter a valid 10-digit Indian mobile number',
+      emailRequired: 'Please enter your email to be contacted by email',
+      emailInvalid: 'Please enter a valid email address'
+    }
+  },
+
+  disclaimer: {
+    ariaLabel: 'Important medical disclaimer',
+    title: 'Important Medical Notice',
+    text: 'This tool does not replace professional medical advice, diagnosis, or treatment. Always consult with qualified healthcare providers for medical concerns.',
+    emergency: 'In case of emergency, please contact local emergency services (e.g., 112/911) immediately.'
+  },
+
+  priority: {
+    High: 'High Priority',
+    Medium: 'Medium Priority',
+    Low: 'Low Priority'
+  },
+
+  acknowledgement: {
+    High: 'A volunteer will contact you as soon as possible due to high urgency. Please ensure your contact information is accessible.',
+    Medium: 'Your request is under review. You can expect a response within 24–48 hours. We appreciate your patience.',
+    Low: 'Your request has been queued and will be reviewed shortly. Our team will reach out within 3-5 business days.'
+  },
+
+  result: {
+    title: 'Request Submitted Successfully',
+    subtitle: 'Your support request has been received and analyzed by our AI system.',
+    ticketLabel: 'Your Ticket ID',
+    ticketHint: 'Please save this number to reference your request later',
+    trackingCodeLabel: 'Tracking Code',
+    trackingHint: 'Save both - you need the ticket ID and tracking code to check on your request',
+    trackLink: 'Track my request →',
+    patientInfo: '📋 Patient Information',
+    name: 'Name',
+    category: 'Category',
+    priorityLevel: 'Priority Level',
+    summary: '🤖 AI-Generated Summary',
+    copy: '📋 Copy',
+    copied: '✓ Copied!',
+    copyFailed: '✗ Failed',
+    copyAriaLabel: 'Copy summary to clipboard',
+    copySuccessToast: 'Summary copied to clipboard!',
+    copyErrorToast: 'Failed to copy. Please try again.',
+    confidence: 'AI Confidence:',
+    humanReview: 'A team member will double-check this priority before your request is assigned.',
+    timeline: '⏱️ Response Timeline',
+    nextStepsTitle: '📌 What Happens Next?',
+    nextSteps: [
+      '✅ Your request has been added to our priority queue',
+      '👀 A healthcare support volunteer will review your case',
+      '📞 You will be contacted based on the urgency level',
+      '🚨 For emergencies, please also contact local emergency services'
+    ],
+    reuseDetails: '📋 New Request With These Details',
+    reuseDetailsAriaLabel: 'Start a new request pre-filled with these details. This request stays open.',
+    newRequest: '➕ Submit Another Request',
+    newRequestAriaLabel: 'Submit a new request with empty form'
+  },
+
+  track: {
+    title: 'Track My Request',
+    intro: 'Enter the ticket ID and tracking code you received when you submitted your request.',
+    ticketLabel: 'Ticket ID',
+    codeLabel: 'Tracking Code',
+    codePlaceholder: '6-digit code',
+    codeHint: 'Shown next to your ticket ID after you submitted the request',
+    submit: 'Check Status',
+    searching: 'Checking...',
+    volunteerTitle: '👤 Your Volunteer',
+    volunteerAssigned: '{name} is helping you with this request.',
+    volunteerPending: 'A volunteer has not been assigned yet. We will assign one as soon as possible.',
+    updatesTitle: '💬 Updates From Our Team',
+    noUpdates: 'No updates yet.',
+    another: 'Check Another Request',
+    errors: {
+      required: 'Please enter your ticket ID and tracking code',
+      failed: 'Could not find your request. Please try again.'
+    }
+  },
+
+  emergency: {
+    title: 'High Priority Case Detected',
+    text: 'If this is a medical emergency, please seek immediate professional help.',
+    button: 'Emergency Help',
+    buttonAriaLabel: 'View emergency resources',
+    modalTitle: '🚑 Emergency Resources',
+    closeAriaLabel: 'Close emergency modal',
+    importantLabel: '⚠️ Important:',
+    important: 'If you or someone else is in immediate danger, please call emergency services immediately. This portal provides support coordination, not emergency medical care.',
+    numbersTitle: 'Emergency Contact Numbers',
+    callAriaLabel: 'Call {name} at {number}',
+    resources: {
+      emergency: { name: 'Emergency Services', description: 'For life-threatening emergencies' },
+      ambulance: { name: 'Ambulance', description: 'Medical emergencies' },
+      mentalHealth: { name: 'Mental Health Helpline', description: 'iCall - Psychosocial helpline' }
+    },
+    safety: 'volunteers will prioritize your case, but we are not a replacement for professional emergency services.',
+    understood: 'I Understand'
+  },
+
+  chatbot: {
+    open: '💬 Chat with Support',
+    title: 'Healthcare Support Assistant',
+    subtitle: 'NGO Guidance & FAQs',
+    closeAriaLabel: 'Close chat',
+    welcome: `Hello! 👋 I'm Jarurat Care's support assistant. I can help you with:
+
+• Information about our services
+• How to submit a support request
+• Response time expectations
+• General questions about our NGO
+
+How can I help you today?
+
+_Note: I provide general guidance only, not medical advice._`,
+    offline: `I can't reach our support server right now, so I can't answer that at the moment.
+
+If this is an emergency, please call 112 (ambulance: 102) immediately.
+
+Otherwise, please check your connection and try again.`,
+    // Sent to the backend as typed, so each must match one of its intents
+    quickOptions: [
+      'What happens after submission?',
+      'How long will it take to respond?',
+      'Is this an emergency?',
+      'Is my data safe?',
+      'Support related to my category',
+      'Submit a request here'
+    ],
+    retry: '🔄 Try again',
+    inputPlaceholder: 'Type your question here…',
+    inputAriaLabel: 'Chat input',
+    send: 'Send',
+    quickOptionsAriaLabel: 'Quick options',
+    empty: 'Hi! I’m here to help with general guidance and FAQs.',
+    typing: 'Support bot is typing…',
+    disclaimer: 'This chatbot provides guidance only and does not replace medical professionals.'
+  }
+};
+
+export default en;
@@ -0,0 +1,211 @@
+/**
+ * Hindi strings (हिन्दी)
+ *
+ * Keys mirror en.js; anything missing here is shown in English.
+ */
+
+const hi = {
+  header: {
+    tagline: 'ज़रूरतमंद समुदायों के लिए स्वास्थ्य सहायता',
+    nav: {
+      patient: 'सहायता पाएं',
+      track: 'मेरा अनुरोध देखें',
+      volunteer: 'स्वयंसेवक डैशबोर्ड'
+    },
+    languageLabel: 'भाषा'
+  },
+
+  app: {
+    introTitle: 'मरीज़ सहायता अनुरोध',
+    introText: 'जरूरत केयर के सहायता पोर्टल में आपका स्वागत है। अपनी स्वास्थ्य संबंधी समस्या भेजने के लिए नीचे दिया गया फॉर्म भरें। हमारा AI सिस्टम आपके अनुरोध का विश्लेषण करके आपकी ज़रूरत की प्राथमिकता तय करने में मदद करेगा।',
+    footerTagline: 'जिन्हें सबसे ज़्यादा ज़रूरत है, उन तक स्वास्थ्य सहायता पहुँचाना।',
+    submitted: 'आपका अनुरोध सफलतापूर्वक भेज दिया गया है! हमारी टीम जल्द ही इसकी समीक्षा करेगी।'
+  },
+
+  form: {
+    nameLabel: 'पूरा नाम *',
+    namePlaceholder: 'अपना पूरा नाम लिखें',
+    ageLabel: 'उम्र *',
+    agePlaceholder: 'अपनी उम्र लिखें',
+    categoryLabel: 'समस्या की श्रेणी',
+    categoryPlaceholder: 'श्रेणी चुनें...',
+    categoriesLoading: 'श्रेणियाँ लोड हो रही हैं...',
+    descriptionLabel: 'अपनी समस्या बताएं *',
+    descriptionPlaceholder: 'कृपया अपनी स्वास्थ्य समस्या के बारे में विस्तार से बताएं...',
+    charCount: '{count} / 2000 अक्षर',
+    submit: 'अनुरोध भेजें',
+    submitting: 'भेजा जा रहा है...',
+    contactTitle: 'हम आपसे कैसे संपर्क करें?',
+    phoneLabel: 'मोबाइल नंबर *',
+    phonePlaceholder: 'जैसे 98765 43210',
+    emailLabel: 'ईमेल (वैकल्पिक)',
+    emailPlaceholder: 'you@example.com',
+    channelLabel: 'संपर्क का तरीका',
+    timeLabel: 'संपर्क का सही समय',
+    languageLabel: 'पसंदीदा भाषा',
+    channels: {
+      call: 'फ़ोन कॉल',
+      sms: 'SMS',
+      whatsapp: 'WhatsApp',
+      email: 'ईमेल'
+    },
+    times: {
+      any: 'कभी भी',
+      morning: 'सुबह (9–12 बजे)',
+      afternoon: 'दोपहर (12–5 बजे)',
+      evening: 'शाम (5–8 बजे)'
+    },
+    submitFailed: 'अनुरोध नहीं भेजा जा सका',
+    connectionError: 'सर्वर से कनेक्ट नहीं हो पा रहा है। कृपया थोड़ी देर बाद फिर कोशिश करें।',
+    previousTicketNotice: 'यह एक नया अनुरोध भेजेगा। आपका पहला अनुरोध ({ticketId}) बना रहेगा - उसे दोबारा भेजने की ज़रूरत नहीं है, स्वयंसेवक उसके बारे में भी आपसे संपर्क करेंगे।',
+    errors: {
+      nameRequired: 'नाम ज़रूरी है',
+      nameTooShort: 'नाम कम से कम 2 अक्षर का होना चाहिए',
+      ageRequired: 'उम्र ज़रूरी है',
+      ageInvalid: 'कृपया सही उम्र लिखें (0-150)',
+      categoryRequired: 'कृपया एक श्रेणी चुनें',
+      descriptionRequired: 'समस्या का विवरण ज़रूरी है',
+      descriptionTooShort: 'कृपया कम से कम 10 अक्षर लिखें',
+      phoneRequired: 'मोबाइल नंबर ज़रूरी है',
+      phoneInvalid: 'कृपया 10 अंकों का सही भारतीय मोबाइल नंबर लिखें',
+      emailRequired: 'ईमेल से संपर्क के लिए अपना ईमेल लिखें',
+      emailInvalid: 'कृपया सही ईमेल पता लिखें'
+    }
+  },
+
+  disclaimer: {
+    ariaLabel: 'ज़रूरी चिकित्सा सूचना',
+    title: 'ज़रूरी चिकित्सा सूचना',
+    text: 'यह टूल डॉक्टर की सलाह, जांच या इलाज की जगह नहीं लेता। स्वास्थ्य संबंधी समस्याओं के लिए हमेशा योग्य डॉक्टर से सलाह लें।',
+    emergency: 'आपात स्थिति में तुरंत आपातकालीन सेवाओं (जैसे 112) को कॉल करें।'
+  },
+
+  priority: {
+    High: 'उच्च प्राथमिकता',
+    Medium: 'मध्यम प्राथमिकता',
+    Low: 'निम्न प्राथमिकता'
+  },
+
+  acknowledgement: {
+    High: 'ज़्यादा ज़रूरी होने के कारण एक स्वयंसेवक जल्द से जल्द आपसे संपर्क करेगा। कृपया अपना फ़ोन पास रखें।',
+    Medium: 'आपके अनुरोध की समीक्षा की जा रही है। 24–48 घंटों में आपसे संपर्क किया जाएगा। धैर्य रखने के लिए धन्यवाद।',
+    Low: 'आपका अनुरोध कतार में जोड़ दिया गया है और जल्द ही इसकी समीक्षा होगी। हमारी टीम 3-5 कार्यदिवसों में आपसे संपर्क करेगी।'
+  },
+
+  result: {
+    title: 'अनुरोध सफलतापूर्वक भेजा गया',
+    subtitle: 'आपका सहायता अनुरोध मिल गया है और हमारे AI सिस्टम ने इसका विश्लेषण किया है।',
+    ticketLabel: 'आपकी टिकट ID',
+    ticketHint: 'अपने अनुरोध के बारे में बाद में पूछने के लिए यह नंबर संभाल कर रखें',
+    trackingCodeLabel: 'ट्रैकिंग कोड',
+    trackingHint: 'दोनों संभाल कर रखें - अपने अनुरोध की जानकारी के लिए टिकट ID और ट्रैकिंग कोड दोनों ज़रूरी हैं',
+    trackLink: 'मेरा अनुरोध देखें →',
+    patientInfo: '📋 मरीज़ की जानकारी',
+    name: 'नाम',
+    category: 'श्रेणी',
+    priorityLevel: 'प्राथमिकता',
+    summary: '🤖 AI द्वारा बनाया गया सारांश',
+    copy: '📋 कॉपी करें',
+    copied: '✓ कॉपी हो गया!',
+    copyFailed: '✗ नहीं हुआ',
+    copyAriaLabel: 'सारांश कॉपी करें',
+    copySuccessToast: 'सारांश कॉपी हो गया!',
+    copyErrorToast: 'कॉपी नहीं हो सका। कृपया फिर कोशिश करें।',
+    confidence: 'AI का भरोसा:',
+    humanReview: 'आपका अनुरोध सौंपे जाने से पहले हमारी टीम का एक सदस्य इस प्राथमिकता की जांच करेगा।',
+    timeline: '⏱️ जवाब की समय-सीमा',
+    nextStepsTitle: '📌 आगे क्या होगा?',
+    nextSteps: [
+      '✅ आपका अनुरोध हमारी प्राथमिकता सूची में जोड़ दिया गया है',
+      '👀 एक स्वास्थ्य सहायता स्वयंसेवक आपके मामले की समीक्षा करेगा',
+      '📞 प्राथमिकता के अनुसार आपसे संपर्क किया जाएगा',
+      '🚨 आपात स्थिति में कृपया आपातकालीन सेवाओं से भी संपर्क करें'
+    ],
+    reuseDetails: '📋 इसी जानकारी से नया अनुरोध',
+    reuseDetailsAriaLabel: 'इसी जानकारी के साथ नया अनुरोध शुरू करें। यह अनुरोध खुला रहेगा।',
+    newRequest: '➕ नया अनुरोध भेजें',
+    newRequestAriaLabel: 'खाली फॉर्म के साथ नया अनुरोध भेजें'
+  },
+
+  track: {
+    title: 'मेरा अनुरोध देखें',
+    intro: 'अनुरोध भेजते समय मिली टिकट ID और ट्रैकिंग कोड डालें।',
+    ticketLabel: 'टिकट ID',
+    codeLabel: 'ट्रैकिंग कोड',
+    codePlaceholder: '6 अंकों का कोड',
+    codeHint: 'अनुरोध भेजने के बाद यह आपकी टिकट ID के साथ दिखाया गया था',
+    submit: 'स्थिति देखें',
+    searching: 'देख रहे हैं...',
+    volunteerTitle: '👤 आपके स्वयंसेवक',
+    volunteerAssigned: '{name} इस अनुरोध में आपकी मदद कर रहे हैं।',
+    volunteerPending: 'अभी कोई स्वयंसेवक नहीं सौंपा गया है। हम जल्द से जल्द एक स्वयंसेवक सौंपेंगे।',
+    updatesTitle: '💬 हमारी टीम की ओर से जानकारी',
+    noUpdates: 'अभी कोई नई जानकारी नहीं है।',
+    another: 'दूसरा अनुरोध देखें',
+    errors: {
+      required: 'कृपया अपनी टिकट ID और ट्रैकिंग कोड डालें',
+      failed: 'आपका अनुरोध नहीं मिला। कृपया फिर कोशिश करें।'
+    }
+  },
+
+  emergency: {
+    title: 'उच्च प्राथमिकता वाला मामला',
+    text: 'अगर यह मेडिकल इमरजेंसी है, तो कृपया तुरंत डॉक्टर की मदद लें।',
+    button: 'आपातकालीन सहायता',
+    buttonAriaLabel: 'आपातकालीन नंबर देखें',
+    modalTitle: '🚑 आपातकालीन सहायता',
+    closeAriaLabel: 'बंद करें',
+    importantLabel: '⚠️ ज़रूरी:',
+    important: 'अगर आप या कोई और तुरंत खतरे में है, तो अभी आपातकालीन सेवाओं को कॉल करें। यह पोर्टल सहायता का समन्वय करता है, आपातकालीन इलाज नहीं।',
+    numbersTitle: 'आपातकालीन संपर्क नंबर',
+    callAriaLabel: '{name} को {number} पर कॉल करें',
+    resources: {
+      emergency: { name: 'आपातकालीन सेवाएं', description: 'जान के खतरे वाली स्थिति के लिए' },
+      ambulance: { name: 'एम्बुलेंस', description: 'मेडिकल इमरजेंसी' },
+      mentalHealth: { name: 'मानसिक स्वास्थ्य हेल्पलाइन', description: 'iCall - मनोसामाजिक हेल्पलाइन' }
+    },
+    safety: 'के स्वयंसेवक आपके मामले को प्राथमिकता देंगे, लेकिन हम आपातकालीन सेवाओं की जगह नहीं ले सकते।',
+    understood: 'मैं समझ गया/गई'
+  },
+
+  chatbot: {
+    open: '💬 सहायता से बात करें',
+    title: 'स्वास्थ्य सहायता सहायक',
+    subtitle: 'NGO मार्गदर्शन और सामान्य प्रश्न',
+    closeAriaLabel: 'चैट बंद करें',
+    welcome: `नमस्ते! 👋 मैं जरूरत केयर का सहायता सहायक हूँ। मैं इनमें आपकी मदद कर सकता हूँ:
+
+• हमारी सेवाओं की जानकारी
+• सहायता अनुरोध कैसे भेजें
+• जवाब मिलने का समय
+• हमारे NGO के बारे में सामान्य प्रश्न
+
+आज मैं आपकी क्या मदद कर सकता हूँ?
+
+_ध्यान दें: मैं केवल सामान्य जानकारी देता हूँ, चिकित्सा सलाह नहीं।_`,
+    offline: `अभी हमारे सर्वर से संपर्क नहीं हो पा रहा है, इसलिए मैं इसका जवाब नहीं दे सकता।
+
+अगर यह इमरजेंसी है, तो तुरंत 112 (एम्बुलेंस: 102) पर कॉल करें।
+
+नहीं तो, कृपया अपना इंटरनेट कनेक्शन जांचें और फिर कोशिश करें।`,
+    // Matched by the Hindi keywords in backend/locales/hi.js
+    quickOptions: [
+      'भेजने के बाद आगे क्या होता है?',
+      'जवाब मिलने में कितना समय लगेगा?',
+      'क्या यह इमरजेंसी है?',
+      'क्या मेरी जानकारी सुरक्षित है?',
+      'मेरी श्रेणी से जुड़ी सहायता',
+      'यहीं अनुरोध भेजें'
+    ],
+    retry: '🔄 फिर कोशिश करें',
+    inputPlaceholder: 'अपना सवाल यहाँ लिखें…',
+    inputAriaLabel: 'चैट संदेश',
+    send: 'भेजें',
+    quickOptionsAriaLabel: 'सुझाए गए सवाल',
+    empty: 'नमस्ते! मैं सामान्य जानकारी और सवालों में आपकी मदद के लिए हूँ।',
+    typing: 'सहायक लिख रहा है…',
+    disclaimer: 'यह चैटबॉट केवल जानकारी देता है और डॉक्टर की जगह नहीं लेता।'
+  }
+};
+
+export default hi;
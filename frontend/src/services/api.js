@@ -8,6 +8,71 @@
 // API base URL - uses environment variable or localhost for development
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// sessionStorage key for the staff login session.
+// sessionStorage (not localStorage) so the login ends when the browser tab closes,
+// which is safer on shared computers at NGO centres.
+const STAFF_SESSION_KEY = 'jaruratCare.staffSession';
+
+/**
+ * Returns the stored staff session ({ token, user }) or null
+ */
+export const getStoredSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STAFF_SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Removes the stored staff session (logout)
+ */
+export const clearStoredSession = () => {
+  sessionStorage.removeItem(STAFF_SESSION_KEY);
+};
+
+/**
+ * Calls a staff-only endpoint with the stored login token
+ * 
+ * If the backend rejects the token (expired or revoked), the stored
+ * session is cleared and the response is flagged with unauthorized: true
+ * so the UI can send the user back to the login screen.
+ * 
+ * @param {string} path - Path below the API base URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} API response
+ */
+const staffFetch = async (path, options = {}) => {
+  try {
+    const session = getStoredSession();
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session && { Authorization: `Bearer ${session.token}` }),
+        ...options.headers,
+      },
+    });
+
+    const data = await response.json();
+
+    if (response.status === 401) {
+      clearStoredSession();
+      return { ...data, unauthorized: true };
+    }
+
+    return data;
+
+  } catch (error) {
+    console.error('API Error:', error.message);
+
+    return {
+      success: false,
+      error: 'Unable to connect to the server. Please check your connection and try again.'
+    };
+  }
+};
+
 /**
  * Submits a patient support request to the backend
  * 
@@ -46,6 +111,293 @@ export const submitSupportRequest = async (requestData) => {
   }
 };
 
+/**
+ * Fetches the current status of a support request
+ * 
+ * @param {string} ticketId - The ticket ID returned on submission
+ * @returns {Promise<Object>} API response with { status, history } data
+ */
+export const getRequestStatus = async (ticketId) => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}/support-request/${encodeURIComponent(ticketId)}/status`
+    );
+    return await response.json();
+  } catch (error) {
+    console.error('API Error:', error.message);
+
+    return {
+      success: false,
+      error: 'Unable to connect to the server. Please check your connection and try again.'
+    };
+  }
+};
+
+/**
+ * Looks up a request for the patient ("Track my request")
+ * 
+ * @param {string} ticketId - The ticket ID returned on submission
+ * @param {string} trackingCode - The tracking code returned on submission
+ * @returns {Promise<Object>} API response with { status, history,
+ *   volunteerFirstName, notes } data
+ */
+export const trackRequest = async (ticketId, trackingCode) => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}/support-request/${encodeURIComponent(ticketId)}/track`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ trackingCode }),
+      }
+    );
+    return await response.json();
+  } catch (error) {
+    console.error('API Error:', error.message);
+
+    return {
+      success: false,
+      error: 'Unable to connect to the server. Please check your connection and try again.'
+    };
+  }
+};
+
+/**
+ * Fetches the issue categories from the backend registry
+ * 
+ * @param {string} language - Language code for the labels (default English)
+ * @returns {Promise<Object>} API response with a list of categories
+ */
+export const getCategories = async (language = 'en') => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/categories?language=${encodeURIComponent(language)}`);
+    return await response.json();
+  } catch (error) {
+    console.error('API Error:', error.message);
+
+    return {
+      success: false,
+      error: 'Unable to connect to the server. Please check your connection and try again.'
+    };
+  }
+};
+
+/**
+ * Fetches the triage queue for the volunteer dashboard
+ * 
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.category - Issue category
+ * @param {string} filters.urgency - 'Low' | 'Medium' | 'High'
+ * @param {string} filters.status - Lifecycle status, 'open' or 'all'
+ * @param {string} filters.assignee - Volunteer ID, 'me' or 'unassigned'
+ * @returns {Promise<Object>} API response with a list of requests
+ */
+export const getSupportRequests = async (filters = {}) => {
+  // Only send filters that have a value
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value)
+  );
+  return staffFetch(`/support-requests?${params}`);
+};
+
+/**
+ * Fetches the full details of a single support request
+ * 
+ * @param {string} ticketId - Ticket ID of the request
+ * @returns {Promise<Object>} API response with the request details
+ */
+export const getSupportRequest = async (ticketId) => {
+  return staffFetch(`/support-requests/${encodeURIComponent(ticketId)}`);
+};
+
+/**
+ * Moves a support request to a new lifecycle status (staff action)
+ * 
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {string} status - Target status
+ * @returns {Promise<Object>} API response with the updated status
+ */
+export const updateRequestStatus = async (ticketId, status) => {
+  return staffFetch(`/support-request/${encodeURIComponent(ticketId)}/status`, {
+    method: 'PATCH',
+    body: JSON.stringify({ status }),
+  });
+};
+
+/**
+ * Fetches the best volunteers for a request (coordinators)
+ * 
+ * @param {string} ticketId - Ticket ID of the request
+ * @returns {Promise<Object>} API response with ranked suggestions
+ */
+export const getAssignmentSuggestions = async (ticketId) => {
+  return staffFetch(`/support-requests/${encodeURIComponent(ticketId)}/assignment-suggestions`);
+};
+
+/**
+ * Assigns or reassigns a request to a volunteer (coordinators)
+ * 
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {string} volunteerId - Volunteer to assign
+ * @param {boolean} override - Assign even if the volunteer is unavailable or at capacity
+ * @returns {Promise<Object>} API response with the new assignment
+ */
+export const assignVolunteer = async (ticketId, volunteerId, override = false) => {
+  return staffFetch(`/support-requests/${encodeURIComponent(ticketId)}/assignment`, {
+    method: 'POST',
+    body: JSON.stringify({ volunteerId, override }),
+  });
+};
+
+/**
+ * Confirms or corrects the urgency of a low-confidence request (staff)
+ * 
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {string} urgency - 'Low' | 'Medium' | 'High'
+ * @returns {Promise<Object>} API response with the reviewed urgency
+ */
+export const reviewTriage = async (ticketId, urgency) => {
+  return staffFetch(`/support-requests/${encodeURIComponent(ticketId)}/triage-review`, {
+    method: 'POST',
+    body: JSON.stringify({ urgency }),
+  });
+};
+
+/**
+ * Overrides the urgency of an open request (coordinators)
+ * 
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {string} urgency - 'Low' | 'Medium' | 'High'
+ * @param {string} reason - Why the urgency is changed (required)
+ * @returns {Promise<Object>} API response with the new urgency and SLA
+ */
+export const overrideUrgency = async (ticketId, urgency, reason) => {
+  return staffFetch(`/support-requests/${encodeURIComponent(ticketId)}/urgency`, {
+    method: 'POST',
+    body: JSON.stringify({ urgency, reason }),
+  });
+};
+
+/**
+ * Adds a note to a request's activity log (staff)
+ * 
+ * @param {string} ticketId - Ticket ID of the request
+ * @param {string} text - Note text
+ * @param {boolean} patientVisible - Also show the note to the patient
+ * @returns {Promise<Object>} API response with the new activity entry
+ */
+export const addRequestNote = async (ticketId, text, patientVisible = false) => {
+  return staffFetch(`/support-requests/${encodeURIComponent(ticketId)}/notes`, {
+    method: 'POST',
+    body: JSON.stringify({ text, patientVisible }),
+  });
+};
+
+/**
+ * Acknowledges the on-call alert of an urgent request (coordinators)
+ * 
+ * @param {string} ticketId - Ticket ID of the request
+ * @returns {Promise<Object>} API response with the acknowledged alert
+ */
+export const acknowledgeAlert = async (ticketId) => {
+  return staffFetch(`/support-requests/${encodeURIComponent(ticketId)}/alert/acknowledge`, {
+    method: 'POST',
+  });
+};
+
+/**
+ * Fetches the on-call rota (coordinators)
+ * 
+ * @returns {Promise<Object>} API response with { current, shifts, coordinators, acknowledgeMinutes }
+ */
+export const getOnCallRota = async () => {
+  return staffFetch('/on-call');
+};
+
+/**
+ * Adds a shift to the on-call rota (coordinators)
+ * 
+ * @param {Object} shift - { startsAt, endsAt, primary: { userId, phone? }, backup?: { userId, phone? } }
+ * @returns {Promise<Object>} API response with the new shift
+ */
+export const createOnCallShift = async (shift) => {
+  return staffFetch('/on-call/shifts', {
+    method: 'POST',
+    body: JSON.stringify(shift),
+  });
+};
+
+/**
+ * Removes a shift from the on-call rota (coordinators)
+ * 
+ * @param {string} id - Shift ID
+ * @returns {Promise<Object>} API response confirming the removal
+ */
+export const deleteOnCallShift = async (id) => {
+  return staffFetch(`/on-call/shifts/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+  });
+};
+
+/**
+ * Fetches all volunteer profiles with their workload (coordinators)
+ * 
+ * @returns {Promise<Object>} API response with the volunteer list
+ */
+export const getVolunteers = async () => {
+  return staffFetch('/volunteers');
+};
+
+/**
+ * Fetches the SLA breach report (coordinators)
+ * 
+ * @param {Object} range - Optional { from, to } dates (YYYY-MM-DD)
+ * @returns {Promise<Object>} API response with { summary, requests }
+ */
+export const getSlaBreachReport = async (range = {}) => {
+  const params = new URLSearchParams(
+    Object.entries(range).filter(([, value]) => value)
+  );
+  return staffFetch(`/reports/sla-breaches?${params}`);
+};
+
+/**
+ * Logs a staff member in and stores the session
+ * 
+ * @param {string} email - Staff email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} API response with { token, user } data
+ */
+export const loginStaff = async (email, password) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email, password }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      sessionStorage.setItem(STAFF_SESSION_KEY, JSON.stringify(data.data));
+    }
+
+    return data;
+
+  } catch (error) {
+    console.error('API Error:', error.message);
+
+    return {
+      success: false,
+      error: 'Unable to connect to the server. Please check your connection and try again.'
+    };
+  }
+};
+
 /**
  * Health check endpoint to verify backend connectivity
  * Useful for debugging connection issues
@@ -65,16 +417,26 @@ export const checkApiHealth = async () => {
  * Sends a message to the FAQ chatbot
  * 
  * @param {string} message - User's message/question
- * @returns {Promise<Object>} Chatbot response with reply
+ * @param {Object} context - Optional { sessionId, category, language }
+ * @param {string} context.sessionId - Chat session to continue
+ * @param {string} context.category - Issue category selected on the form
+ * @param {string} context.language - Language the bot should reply in
+ * @returns {Promise<Object>} Chatbot response with { reply, intent, disclaimer, sessionId }
+ * @throws {Error} If the server cannot be reached or rejects the message
  */
-export const sendChatMessage = async (message) => {
+export const sendChatMessage = async (message, { sessionId, category, language } = {}) => {
   try {
     const response = await fetch(`${API_BASE_URL}/chatbot/message`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ message }),
+      body: JSON.stringify({
+        message,
+        ...(sessionId && { sessionId }),
+        ...(category && { category }),
+        ...(language && { language })
+      }),
     });
 
     const data = await response.json();
@@ -90,3 +452,25 @@ export const sendChatMessage = async (message) => {
     throw error;
   }
 };
+
+/**
+ * Fetches the conversation so far for a chat session
+ * 
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<Object>} API response with { sessionId, category, history } data
+ */
+export const getChatSession = async (sessionId) => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}/chatbot/sessions/${encodeURIComponent(sessionId)}`
+    );
+    return await response.json();
+  } catch (error) {
+    console.error('Chatbot API Error:', error.message);
+
+    return {
+      success: false,
+      error: 'Unable to connect to the server. Please check your connection and try again.'
+    };
+  }
+};
@@ -1,20 +1,54 @@
 // Category definitions with icons and accent colors for NGO triage
-// Keeping this config in a separate file ensures maintainability and clarity
-
-export const ISSUE_CATEGORIES = [
-  { value: 'general', label: 'General Medical', icon: '🩺', color: '#6c63ff' },
-  { value: 'emergency', label: 'Emergency / Critical Care', icon: '🚨', color: '#e53935' },
-  { value: 'mental_health', label: 'Mental Health & Emotional Support', icon: '🧠', color: '#2196f3' },
-  { value: 'womens_health', label: 'Women’s Health', icon: '♀️', color: '#e91e63' },
-  { value: 'child_elderly', label: 'Child & Elderly Care', icon: '👶👴', color: '#ffb300' },
-  { value: 'chronic', label: 'Chronic Illness Support', icon: '♾️', color: '#8bc34a' },
-  { value: 'disability', label: 'Disability Assistance', icon: '♿', color: '#607d8b' },
-  { value: 'medication', label: 'Medication / Treatment Guidance', icon: '💊', color: '#00bcd4' },
-  { value: 'financial', label: 'Financial / Aid Assistance', icon: '💰', color: '#43a047' },
-  { value: 'other', label: 'Other / Not Sure', icon: '❓', color: '#bdbdbd' }
-];
+// Categories are loaded from the backend registry (GET /api/categories),
+// so the form, chips and chatbot always match what the backend accepts.
+// They are fetched once per language and cached for the rest of the session.
+
+import { useState, useEffect } from 'react';
+import { getCategories } from '../services/api';
+import { useTranslation } from '../i18n';
+
+// Shown for values not (yet) found in the registry
+const UNKNOWN_CATEGORY = { icon: '❓', color: '#bdbdbd' };
+
+// Keyed by language code
+const cachedCategories = {};
+const pendingRequests = {};
+
+// Loads the categories for a language once; failed loads are retried on the next call
+export function loadCategories(language = 'en') {
+  if (cachedCategories[language]) return Promise.resolve(cachedCategories[language]);
+
+  if (!pendingRequests[language]) {
+    pendingRequests[language] = getCategories(language).then(response => {
+      delete pendingRequests[language];
+      if (response.success) {
+        cachedCategories[language] = response.data;
+      }
+      return cachedCategories[language] || [];
+    });
+  }
+  return pendingRequests[language];
+}
+
+// Hook returning the category list in the current language (empty until loaded)
+export function useCategories() {
+  const { language } = useTranslation();
+  const [categories, setCategories] = useState(cachedCategories[language] || []);
+
+  useEffect(() => {
+    let isMounted = true;
+    loadCategories(language).then(loaded => {
+      if (isMounted) setCategories(loaded);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, [language]);
+
+  return categories;
+}
 
 // Helper to get category details by value
-export function getCategoryDetails(value) {
-  return ISSUE_CATEGORIES.find(cat => cat.value === value) || ISSUE_CATEGORIES[0];
+export function getCategoryDetails(value, categories = cachedCategories.en || []) {
+  return categories.find(cat => cat.value === value) || { ...UNKNOWN_CATEGORY, value, label: value };
 }
@@ -0,0 +1,56 @@
+/**
+ * Contact Helper Functions - Patient contact details
+ *
+ * Option values match the backend (config/contact.js). Patients see
+ * translated labels from the i18n bundles (form.channels, form.times);
+ * the English labels below are for the staff request view.
+ */
+
+/**
+ * Preferred contact channels, in the order offered on the form
+ */
+export const CONTACT_CHANNELS = ['call', 'sms', 'whatsapp', 'email'];
+
+/**
+ * Best times to contact, in the order offered on the form
+ */
+export const CONTACT_TIMES = ['any', 'morning', 'afternoon', 'evening'];
+
+export const CONTACT_CHANNEL_LABELS = {
+  call: 'Phone call',
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+  email: 'Email'
+};
+
+export const CONTACT_TIME_LABELS = {
+  any: 'Any time',
+  morning: 'Morning (9am-12pm)',
+  afternoon: 'Afternoon (12pm-5pm)',
+  evening: 'Evening (5pm-8pm)'
+};
+
+// 10 digits starting 6-9 after an optional +91, 91 or 0 (same rule as the backend)
+const INDIAN_MOBILE_PATTERN = /^(?:\+?91|0)?[6-9]\d{9}$/;
+
+/**
+ * Checks for a valid Indian mobile number
+ * Spaces, dashes, dots and brackets are ignored: "+91 98765-43210" is valid
+ *
+ * @param {string} phone - Number as typed
+ * @returns {boolean}
+ */
+export const isValidIndianPhone = (phone) => {
+  return INDIAN_MOBILE_PATTERN.test(String(phone || '').replace(/[\s\-().]/g, ''));
+};
+
+/**
+ * Formats a stored number (+91XXXXXXXXXX) for reading: "+91 98765 43210"
+ *
+ * @param {string} phone - Stored phone number
+ * @returns {string}
+ */
+export const formatPhone = (phone) => {
+  const match = /^\+91(\d{5})(\d{5})$/.exec(phone || '');
+  return match ? `+91 ${match[1]} ${match[2]}` : phone;
+};
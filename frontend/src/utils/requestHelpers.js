@@ -0,0 +1,66 @@
+/**
+ * Request Helper Functions - Utilities for the volunteer dashboard
+ * 
+ * Shared display helpers for stored support requests:
+ * status labels, urgency/status filter options, "time waiting"
+ * and SLA time remaining.
+ */
+
+/**
+ * Human-readable labels for each lifecycle status
+ * Keys match the backend status lifecycle
+ */
+export const STATUS_LABELS = {
+  submitted: 'Submitted',
+  review: 'Under Review',
+  assigned: 'Volunteer Assigned',
+  in_progress: 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
+
+/**
+ * Urgency levels in triage order
+ */
+export const URGENCY_LEVELS = ['High', 'Medium', 'Low'];
+
+/**
+ * formatTimeAgo - Describes how long ago a request was created
+ * 
+ * WHY THIS MATTERS FOR VOLUNTEERS:
+ * Seeing "3 days ago" next to a request makes long waits obvious
+ * at a glance, so nobody is left waiting in the queue.
+ * 
+ * @param {string} isoString - ISO timestamp
+ * @returns {string} e.g. "just now", "25 min ago", "3 h ago", "2 days ago"
+ */
+export const formatTimeAgo = (isoString) => {
+  const elapsedMs = Date.now() - new Date(isoString).getTime();
+  if (isNaN(elapsedMs)) return '';
+
+  const minutes = Math.floor(elapsedMs / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  const days = Math.floor(hours / 24);
+  return days === 1 ? '1 day ago' : `${days} days ago`;
+};
+
+/**
+ * formatDuration - Describes a number of minutes in the largest sensible unit
+ * 
+ * @param {number} minutes - Duration in minutes (sign is ignored)
+ * @returns {string} e.g. "25 min", "3 h", "2 days"
+ */
+export const formatDuration = (minutes) => {
+  const total = Math.abs(Math.round(minutes));
+  if (total < 60) return `${total} min`;
+
+  const hours = Math.floor(total / 60);
+  if (hours < 48) return `${hours} h`;
+
+  return `${Math.floor(hours / 24)} days`;
+};
@@ -16,70 +16,38 @@
  * - Sets clear expectations for the patient
  * - Reduces patient anxiety by providing immediate feedback
  * 
+ * The messages live in the i18n bundles (acknowledgement.*) so the
+ * patient reads them in their own language.
+ * 
  * @param {string} urgency - The urgency level: "Low" | "Medium" | "High"
+ * @param {Function} t - Translate function from useTranslation()
  * @returns {string} The appropriate acknowledgement message
  */
-export const getAcknowledgementMessage = (urgency) => {
-  const messages = {
-    High: 'A volunteer will contact you as soon as possible due to high urgency. Please ensure your contact information is accessible.',
-    Medium: 'Your request is under review. You can expect a response within 24–48 hours. We appreciate your patience.',
-    Low: 'Your request has been queued and will be reviewed shortly. Our team will reach out within 3-5 business days.'
-  };
-
+export const getAcknowledgementMessage = (urgency, t) => {
   // Default to medium if urgency is not recognized
-  return messages[urgency] || messages.Medium;
+  const level = ['High', 'Medium', 'Low'].includes(urgency) ? urgency : 'Medium';
+  return t(`acknowledgement.${level}`);
 };
 
 /**
- * getAIConfidence - Returns a simulated AI confidence score
+ * getConfidencePercent - Converts the backend's triage confidence to a percentage
  * 
- * WHY CONFIDENCE IS SIMULATED:
- * - Real AI confidence scores require complex model calibration
- * - Displaying confidence helps users understand AI isn't 100% certain
- * - In production, this would come from the actual AI model's output
- * - Simulated values are based on how certain keyword-based classification is
+ * The confidence (0-1) comes from the classifier that set the urgency:
+ * how strongly the matched rules agree, or the model's probability for
+ * OpenAI. It is saved with the request, so it never changes between renders.
  * 
  * IMPORTANT DISCLAIMER:
- * This is a SIMULATED score for demonstration purposes only.
- * It should NOT be interpreted as medical certainty or diagnostic confidence.
- * 
- * PRODUCTION IMPLEMENTATION:
- * In a real system, confidence would be derived from:
- * - Model's softmax probabilities for classification
- * - Uncertainty estimation techniques
- * - Calibrated confidence scores from the AI service
+ * This is confidence in the priority level only. It should NOT be
+ * interpreted as medical certainty or diagnostic confidence.
  * 
- * @param {string} urgency - The urgency level: "Low" | "Medium" | "High"
- * @param {string} category - The issue category
- * @returns {number} A simulated confidence percentage (0-100)
+ * @param {number|null|undefined} confidence - Confidence from the API (0-1)
+ * @returns {number|null} Whole percentage (0-100), or null if there is none
  */
-export const getAIConfidence = (urgency, category) => {
-  // Base confidence scores - higher for clearer categories
-  const categoryConfidence = {
-    'Emergency': 92,      // Clear signals usually present in emergencies
-    'Medical': 78,        // Medical issues can be more nuanced
-    'Mental Health': 72,  // Mental health requires careful interpretation
-    'Other': 65          // "Other" is inherently less certain
-  };
-
-  // Urgency modifier - extreme urgencies are often clearer
-  const urgencyModifier = {
-    'High': 8,   // High urgency keywords are usually obvious
-    'Medium': 0, // Baseline
-    'Low': -5    // Low urgency is sometimes default/uncertain
-  };
-
-  // Calculate base score with sensible defaults
-  const baseScore = categoryConfidence[category] || 70;
-  const modifier = urgencyModifier[urgency] || 0;
-  
-  // Add small random variation to make it feel more realistic (±3%)
-  const variation = Math.floor(Math.random() * 7) - 3;
-  
-  // Clamp result between 60% and 95% for realism
-  const confidence = Math.min(95, Math.max(60, baseScore + modifier + variation));
-  
-  return confidence;
+export const getConfidencePercent = (confidence) => {
+  if (typeof confidence !== 'number' || Number.isNaN(confidence)) {
+    return null;
+  }
+  return Math.round(Math.min(1, Math.max(0, confidence)) * 100);
 };
 
 /**
@@ -133,6 +101,7 @@ export const formatSummaryForCopy = (result) => {
   const lines = [
     '=== Jarurat Care Support Request ===',
     '',
+    ...(result.ticketId ? [`Ticket ID: ${result.ticketId}`] : []),
     `Patient: ${result.patientName}`,
     `Category: ${result.category}`,
     `Priority: ${result.urgency}`,